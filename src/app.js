@@ -18,6 +18,20 @@ import offerRoutes from "./routes/offer.route.js"
 import heroRoutes from "./routes/hero.route.js"
 import adminRoutes from "./routes/admin.route.js"
 import healthRoutes from "./routes/health.route.js"
+import salonCalendarRoutes from "./routes/salonCalendar.route.js"
+import waitlistRoutes from "./routes/waitlist.route.js"
+import cancellationPolicyRoutes from "./routes/cancellationPolicy.route.js"
+import webhookRoutes from "./routes/webhook.route.js"
+import refundRoutes from "./routes/refund.route.js"
+import transactionRoutes from "./routes/transaction.route.js"
+import posRoutes from "./routes/pos.route.js"
+import invoiceRoutes from "./routes/invoice.route.js"
+import giftCardRoutes from "./routes/giftCard.route.js"
+import walletRoutes from "./routes/wallet.route.js"
+import reconciliationRoutes from "./routes/reconciliation.route.js"
+import tipRoutes from "./routes/tip.route.js"
+import payrollRoutes from "./routes/payroll.route.js"
+import jobRoutes from "./routes/job.route.js"
 import { errorHandler } from "./middleware/errorHandler.middleware.js"
 import { initializeHealthChecks } from "./utils/healthCheck.js"
 import { 
@@ -157,6 +171,11 @@ app.use((req, res, next) => {
         return next();
     }
     
+    // Skip JSON parsing for payment webhooks, which are verified against the raw body
+    if (req.path === '/api/webhooks/razorpay') {
+        return next();
+    }
+    
     // Apply JSON parsing for other routes
     express.json({limit: "100mb"})(req, res, next);
 })
@@ -169,6 +188,10 @@ app.use(cookieParser())
 app.use(securityHeaders)
 app.use(sanitizeSearchParams)
 app.use(sanitizeStringInputs)
+
+// Payment gateway webhooks are signed and retried by the gateway, so they skip the API rate limit
+app.use("/api/webhooks", webhookRoutes)
+
 app.use(apiRateLimit)
 
 // Routes with /api prefix
@@ -187,6 +210,19 @@ app.use("/api/offers", offerRoutes)
 app.use("/api/hero", heroRoutes)
 app.use("/api/admin", adminRoutes)
 app.use("/api/health", healthRoutes)
+app.use("/api/salon-calendar", salonCalendarRoutes)
+app.use("/api/waitlist", waitlistRoutes)
+app.use("/api/cancellation-policies", cancellationPolicyRoutes)
+app.use("/api/refunds", refundRoutes)
+app.use("/api/transactions", transactionRoutes)
+app.use("/api/pos", posRoutes)
+app.use("/api/invoices", invoiceRoutes)
+app.use("/api/gift-cards", giftCardRoutes)
+app.use("/api/wallet", walletRoutes)
+app.use("/api/reconciliation", reconciliationRoutes)
+app.use("/api/tips", tipRoutes)
+app.use("/api/payroll", payrollRoutes)
+app.use("/api/jobs", jobRoutes)
 
 // Initialize health checks
 initializeHealthChecks()
@@ -1,8 +1,10 @@
 import { Appointment } from "../models/appointment.model.js";
 import { User } from "../models/user.model.js";
+import { Transaction } from "../models/transaction.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
+import { REVENUE_STATUSES, REVENUE_TYPES, SIGNED_AMOUNT, getRevenueTotals } from "../utils/transactions.js";
 import mongoose from "mongoose";
 
 // Get admin dashboard statistics
@@ -62,25 +64,16 @@ const getDashboardStats = asyncHandler(async (req, res) => {
             ? ((servicesBooked - lastMonthServicesBookedCount) / lastMonthServicesBookedCount * 100).toFixed(1)
             : 0;
 
-        // Revenue (from appointments only)
-        const revenueResult = await Appointment.aggregate([
-            { $match: { status: { $in: ['completed', 'confirmed'] } } },
-            { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
-        ]);
-        const revenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
-
-        const lastMonthRevenue = await Appointment.aggregate([
-            { 
-                $match: { 
-                    status: { $in: ['completed', 'confirmed'] },
-                    createdAt: { $gte: startOfLastMonth, $lte: endOfLastMonth }
-                } 
-            },
-            { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
-        ]);
-        const lastMonthRevenueAmount = lastMonthRevenue.length > 0 ? lastMonthRevenue[0].totalRevenue : 0;
+        // Revenue net of refunds, from the transactions ledger
+        const { netRevenue: revenue } = await getRevenueTotals();
+        const { netRevenue: currentMonthRevenue } = await getRevenueTotals({
+            occurredAt: { $gte: startOfMonth }
+        });
+        const { netRevenue: lastMonthRevenueAmount } = await getRevenueTotals({
+            occurredAt: { $gte: startOfLastMonth, $lt: startOfMonth }
+        });
         const revenueChange = lastMonthRevenueAmount > 0 
-            ? ((revenue - lastMonthRevenueAmount) / lastMonthRevenueAmount * 100).toFixed(1)
+            ? ((currentMonthRevenue - lastMonthRevenueAmount) / lastMonthRevenueAmount * 100).toFixed(1)
             : 0;
 
         // Format revenue for display
@@ -182,34 +175,38 @@ const getRevenueAnalytics = asyncHandler(async (req, res) => {
 
         switch (period) {
             case 'week':
-                groupFormat = { $dayOfWeek: '$createdAt' };
+                groupFormat = { $dayOfWeek: '$occurredAt' };
                 dateFilter = { $gte: new Date(now.setDate(now.getDate() - 7)) };
                 break;
             case 'month':
-                groupFormat = { $dayOfMonth: '$createdAt' };
+                groupFormat = { $dayOfMonth: '$occurredAt' };
                 dateFilter = { $gte: new Date(now.getFullYear(), now.getMonth(), 1) };
                 break;
             case 'year':
-                groupFormat = { $month: '$createdAt' };
+                groupFormat = { $month: '$occurredAt' };
                 dateFilter = { $gte: new Date(now.getFullYear(), 0, 1) };
                 break;
             default:
-                groupFormat = { $dayOfMonth: '$createdAt' };
+                groupFormat = { $dayOfMonth: '$occurredAt' };
                 dateFilter = { $gte: new Date(now.getFullYear(), now.getMonth(), 1) };
         }
 
-        const revenueData = await Appointment.aggregate([
-            {
-                $match: {
-                    status: { $in: ['completed', 'confirmed'] },
-                    createdAt: dateFilter
-                }
-            },
+        const match = {
+            status: { $in: REVENUE_STATUSES },
+            type: { $in: REVENUE_TYPES },
+            occurredAt: dateFilter
+        };
+
+        // Revenue over the period, net of refunds
+        const revenue = await Transaction.aggregate([
+            { $match: match },
             {
                 $group: {
                     _id: groupFormat,
-                    totalRevenue: { $sum: '$totalAmount' },
-                    appointmentCount: { $sum: 1 }
+                    grossRevenue: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, '$amount'] } },
+                    refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+                    netRevenue: { $sum: SIGNED_AMOUNT },
+                    transactionCount: { $sum: 1 }
                 }
             },
             {
@@ -218,18 +215,40 @@ const getRevenueAnalytics = asyncHandler(async (req, res) => {
         ]);
 
         // Get appointment revenue
-        const appointmentRevenue = await Appointment.aggregate([
+        const appointmentRevenue = await Transaction.aggregate([
+            { $match: { ...match, appointmentId: { $exists: true } } },
+            {
+                $group: {
+                    _id: groupFormat,
+                    totalRevenue: { $sum: SIGNED_AMOUNT },
+                    appointments: { $addToSet: '$appointmentId' }
+                }
+            },
             {
-                $match: {
-                    status: { $in: ['completed'] },
-                    createdAt: dateFilter
+                $project: {
+                    totalRevenue: 1,
+                    appointmentCount: { $size: '$appointments' }
                 }
             },
+            {
+                $sort: { _id: 1 }
+            }
+        ]);
+
+        // Get membership revenue
+        const membershipRevenue = await Transaction.aggregate([
+            { $match: { ...match, membershipId: { $exists: true } } },
             {
                 $group: {
                     _id: groupFormat,
-                    totalRevenue: { $sum: '$totalPrice' },
-                    appointmentCount: { $sum: 1 }
+                    totalRevenue: { $sum: SIGNED_AMOUNT },
+                    memberships: { $addToSet: '$membershipId' }
+                }
+            },
+            {
+                $project: {
+                    totalRevenue: 1,
+                    membershipCount: { $size: '$memberships' }
                 }
             },
             {
@@ -237,9 +256,30 @@ const getRevenueAnalytics = asyncHandler(async (req, res) => {
             }
         ]);
 
+        // Split by how the money was taken
+        const byMethod = await Transaction.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$method',
+                    netRevenue: { $sum: SIGNED_AMOUNT },
+                    transactionCount: { $sum: 1 }
+                }
+            },
+            {
+                $sort: { netRevenue: -1 }
+            }
+        ]);
+
+        const totals = await getRevenueTotals({ occurredAt: dateFilter });
+
         return res.status(200).json(
             new ApiResponse(200, {
+                revenue: revenue,
                 appointmentRevenue: appointmentRevenue,
+                membershipRevenue: membershipRevenue,
+                byMethod: byMethod,
+                totals: totals,
                 period: period
             }, "Revenue analytics retrieved successfully")
         );
@@ -329,11 +369,16 @@ const getDashboardOverview = asyncHandler(async (req, res) => {
                 ]);
                 const servicesBooked = servicesBookedResult.length > 0 ? servicesBookedResult[0].totalServices : 0;
 
-                const revenueResult = await Appointment.aggregate([
-                    { $match: { status: { $in: ['completed', 'confirmed'] } } },
-                    { $group: { _id: null, totalRevenue: { $sum: '$totalAmount' } } }
-                ]);
-                const revenue = revenueResult.length > 0 ? revenueResult[0].totalRevenue : 0;
+                const { netRevenue: revenue } = await getRevenueTotals();
+                const { netRevenue: currentMonthRevenue } = await getRevenueTotals({
+                    occurredAt: { $gte: startOfMonth }
+                });
+                const { netRevenue: lastMonthRevenue } = await getRevenueTotals({
+                    occurredAt: { $gte: startOfLastMonth, $lt: startOfMonth }
+                });
+                const revenueChange = lastMonthRevenue > 0 
+                    ? ((currentMonthRevenue - lastMonthRevenue) / lastMonthRevenue * 100).toFixed(1)
+                    : 0;
 
                 const formatCurrency = (amount) => {
                     if (amount >= 100000) {
@@ -363,8 +408,8 @@ const getDashboardOverview = asyncHandler(async (req, res) => {
                     },
                     revenue: {
                         value: formatCurrency(revenue),
-                        change: '+18%', // Simplified for now
-                        trend: 'up'
+                        change: `${revenueChange >= 0 ? '+' : ''}${revenueChange}%`,
+                        trend: revenueChange >= 0 ? 'up' : 'down'
                     }
                 };
             })(),
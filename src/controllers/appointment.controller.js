@@ -1,20 +1,156 @@
 import mongoose from "mongoose";
 import { Appointment } from "../models/appointment.model.js";
+import { Membership } from "../models/membership.model.js";
 import { Service } from "../models/service.model.js";
 import { Stylist } from "../models/stylist.model.js";
 import { User } from "../models/user.model.js";
-import { Offer } from "../models/offer.model.js";
+import { Waitlist } from "../models/waitlist.model.js";
+import { SlotHold } from "../models/slotHold.model.js";
 import { ApiError } from "../utils/ApiError.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 import { retryDatabaseOperation } from "../utils/retryHandler.js";
 import { logger } from "../utils/logger.js";
+import { findEligibleStylists, getAssignmentStrategy, pickAvailableStylist } from "../utils/stylistAssignment.js";
+import { getWaitlistBookingError, offerSlotsFreedBy } from "../utils/waitlist.js";
+import { getOccurrenceDates, validateRecurrence } from "../utils/recurrence.js";
+import {
+    calculatePolicyFee,
+    countUserNoShows,
+    getAppointmentPolicy,
+    getCancellationTerms,
+    isPrepaymentRequired,
+    resolveVisitPolicy
+} from "../utils/cancellationPolicy.js";
+import { getStatusesLeadingTo, getTransitionError, transitionAppointment } from "../utils/appointmentStatus.js";
+import { getAppointmentRefundableAmount, refundAppointmentPayments } from "../utils/refunds.js";
+import { recordFeeTransaction } from "../utils/transactions.js";
+import { buildVisitLines, resolveOfferDiscount } from "../utils/visitPricing.js";
+import { issueInvoiceQuietly } from "../utils/invoices.js";
+import {
+    getMembershipUseError,
+    getVisitBenefit,
+    pickMembershipForVisit,
+    restoreMembershipVisit,
+    useMembershipVisit
+} from "../utils/membershipBenefits.js";
+import {
+    SLOT_INTERVAL_MINUTES,
+    findConflictingAppointment,
+    findVisitConflict,
+    getBookedIntervals,
+    getLineIntervals,
+    generateAvailableSlots,
+    getDayRange,
+    getScheduleConflict,
+    getStylistDaySchedule,
+    loadSalonCalendar,
+    loadStylistExceptions,
+    resolveStylistDaySchedule
+} from "../utils/availability.js";
+
+// Assign one free stylist to the lines of a visit that have none; returns the strategy used, if any
+const assignVisitStylists = async (visit, date, { location, userId, session }) => {
+    const unassignedLines = visit.services.filter(line => !line.stylistId);
+    if (unassignedLines.length === 0) {
+        return null;
+    }
+
+    const assignmentStrategy = getAssignmentStrategy();
+    const candidates = await findEligibleStylists(
+        unassignedLines.map(line => line.category),
+        { location, session }
+    );
+    const unassignedIntervals = getLineIntervals(visit).filter(line => !line.stylistId);
+    const assignedStylist = await pickAvailableStylist(candidates, date, unassignedIntervals, {
+        strategy: assignmentStrategy,
+        holdOwnerId: userId,
+        session
+    });
+    if (!assignedStylist) {
+        throw new ApiError(409, "No stylist is available at this time. Please choose a different time slot.");
+    }
+    unassignedLines.forEach(line => {
+        line.stylistId = assignedStylist._id;
+    });
+    return assignmentStrategy;
+};
+
+// Check every stylist of a visit is active, serves the location and is scheduled for their lines
+const validateVisitStylists = async (visit, date, { location, session }) => {
+    const lineIntervals = getLineIntervals(visit);
+    const visitStylistIds = [...new Set(
+        lineIntervals.filter(line => line.stylistId).map(line => line.stylistId.toString())
+    )];
+
+    for (const lineStylistId of visitStylistIds) {
+        const stylist = await Stylist.findById(lineStylistId).session(session);
+        if (!stylist) {
+            throw new ApiError(404, "Stylist not found");
+        }
+        if (!stylist.isActive) {
+            throw new ApiError(400, "Stylist is currently inactive");
+        }
+
+        // Check if stylist is available for the location
+        if (location === "home" && !stylist.availableForHome) {
+            throw new ApiError(400, "This stylist is not available for home appointments");
+        }
+        if (location === "salon" && !stylist.availableForSalon) {
+            throw new ApiError(400, "This stylist is not available for salon appointments");
+        }
+
+        // Check the stylist's part of the visit against their schedule, leave and breaks
+        const scheduleConflict = await getStylistLinesConflict(stylist, lineIntervals, date, session);
+        if (scheduleConflict) {
+            throw new ApiError(400, scheduleConflict);
+        }
+    }
+
+    return visitStylistIds;
+};
+
+// Check a stylist's lines of a visit against their schedule, leave, breaks and the salon calendar
+const getStylistLinesConflict = async (stylist, lineIntervals, date, session) => {
+    const schedule = await getStylistDaySchedule(stylist, date, { session });
+    return getScheduleConflict(
+        schedule,
+        lineIntervals.filter(line => line.stylistId && line.stylistId.toString() === stylist._id.toString())
+    );
+};
+
+// Check the stylists of a booked visit can still serve it on a new day or time; returns the reason if not.
+// The appointment model only checks schedules for new bookings, so moves and edits check here.
+const getVisitScheduleConflict = async (visit, date, { session } = {}) => {
+    const lineIntervals = getLineIntervals(visit);
+    const visitStylistIds = [...new Set(
+        lineIntervals.filter(line => line.stylistId).map(line => line.stylistId.toString())
+    )];
+
+    for (const lineStylistId of visitStylistIds) {
+        const stylist = await Stylist.findById(lineStylistId).session(session);
+        if (!stylist) {
+            return "Stylist not found";
+        }
+        if (!stylist.isActive) {
+            return "Stylist is currently inactive";
+        }
+
+        const scheduleConflict = await getStylistLinesConflict(stylist, lineIntervals, date, session);
+        if (scheduleConflict) {
+            return scheduleConflict;
+        }
+    }
+
+    return null;
+};
 
 // Create a new appointment with enhanced error handling and validation
 export const createAppointment = asyncHandler(async (req, res) => {
     const startTime = Date.now();
     const { 
         serviceId, 
+        services,
         stylistId, 
         date, 
         timeSlot, 
@@ -22,13 +158,23 @@ export const createAppointment = asyncHandler(async (req, res) => {
         notes, 
         address, 
         specialInstructions,
-        offerCode
+        offerCode,
+        waitlistEntryId,
+        recurrence,
+        membershipId,
+        useMembership = true
     } = req.body;
     const userId = req.user._id;
 
+    // A visit is an ordered list of service lines; a lone serviceId is a one-line visit
+    const requestedLines = Array.isArray(services) && services.length > 0
+        ? services
+        : (serviceId ? [{ serviceId, stylistId }] : []);
+    const serviceIds = requestedLines.map(line => line.serviceId);
+
     // Log booking attempt
     logger.logBookingAttempt(userId, {
-        serviceId,
+        serviceIds,
         stylistId,
         date,
         timeSlot,
@@ -41,7 +187,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
     // Enhanced input validation
     const validationErrors = [];
     
-    if (!serviceId) validationErrors.push({ field: 'serviceId', message: 'Service ID is required' });
+    if (requestedLines.length === 0) validationErrors.push({ field: 'services', message: 'At least one service is required' });
     if (!date) validationErrors.push({ field: 'date', message: 'Date is required' });
     if (!timeSlot) validationErrors.push({ field: 'timeSlot', message: 'Time slot is required' });
     if (!location) validationErrors.push({ field: 'location', message: 'Location is required' });
@@ -72,201 +218,257 @@ export const createAppointment = asyncHandler(async (req, res) => {
         }
     }
     
+    // Validate recurrence rule for a series
+    if (recurrence) {
+        const recurrenceError = validateRecurrence(recurrence);
+        if (recurrenceError) {
+            validationErrors.push({ field: 'recurrence', message: recurrenceError });
+        }
+    }
+    
     if (validationErrors.length > 0) {
         throw new ApiError(400, "Validation failed", validationErrors);
     }
 
+    // A series books every free occurrence and reports the ones that conflict
+    const occurrenceDates = recurrence ? getOccurrenceDates(appointmentDate, recurrence) : [appointmentDate];
+    const seriesId = recurrence ? new mongoose.Types.ObjectId() : undefined;
+
     // Use database transaction for atomicity
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
-        // Validate service exists and is active
-        const service = await Service.findById(serviceId).session(session);
-        if (!service) {
-            throw new ApiError(404, "Service not found");
-        }
-        if (!service.isActive) {
-            throw new ApiError(400, "Service is currently inactive");
-        }
+        // Validate every service exists, is active and is offered at the location
+        const baseLines = await buildVisitLines(requestedLines, { stylistId, location, session });
+        const totalDuration = baseLines.reduce((total, line) => total + line.duration, 0);
 
-        // Validate location availability for service
-        if (location === "home" && !service.availableAtHome) {
-            throw new ApiError(400, "This service is not available at home");
-        }
-        if (location === "salon" && !service.availableAtSalon) {
-            throw new ApiError(400, "This service is not available at salon");
-        }
+        // Visit subtotal from the (service-discounted) line prices
+        const subtotal = baseLines.reduce((total, line) => total + line.price, 0);
 
-        // If stylist is provided, validate stylist
-        let stylist = null;
-        if (stylistId) {
-            stylist = await Stylist.findById(stylistId).session(session);
-            if (!stylist) {
-                throw new ApiError(404, "Stylist not found");
-            }
-            if (!stylist.isActive) {
-                throw new ApiError(400, "Stylist is currently inactive");
-            }
+        // Book under the current cancellation policy; repeat no-shows must prepay
+        const cancellationPolicy = await resolveVisitPolicy(baseLines.map(line => line.category), { session });
+        const noShowCount = await countUserNoShows(userId, { session });
+        const prepaymentRequired = isPrepaymentRequired(cancellationPolicy, noShowCount);
 
-            // Check if stylist is available for the location
-            if (location === "home" && !stylist.availableForHome) {
-                throw new ApiError(400, "This stylist is not available for home appointments");
+        // Apply offer code discount if provided
+        const { offer: appliedOffer, discount: offerDiscountAmount } = offerCode
+            ? await resolveOfferDiscount(offerCode, baseLines, { session })
+            : { offer: null, discount: 0 };
+
+        // Members get their included services and tier discount, and use one of their included visits.
+        // A chosen membership must be usable for the visit; otherwise the best active one is picked.
+        let memberships = [];
+        if (membershipId) {
+            const membership = await Membership.findOne({ _id: membershipId, userId }).session(session);
+            if (!membership) {
+                throw new ApiError(404, "Membership not found");
             }
-            if (location === "salon" && !stylist.availableForSalon) {
-                throw new ApiError(400, "This stylist is not available for salon appointments");
+            const membershipError = getMembershipUseError(membership, appointmentDate);
+            if (membershipError) {
+                throw new ApiError(400, membershipError);
             }
+            memberships = [membership];
+        } else if (useMembership) {
+            memberships = await Membership.find({
+                userId,
+                isActive: true,
+                paymentStatus: "paid",
+                membershipStatus: "active"
+            }).session(session);
+        }
 
-            // Check if stylist works on the appointment day
-            const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const dayOfWeek = days[appointmentDate.getDay()];
-            if (!stylist.workingDays.includes(dayOfWeek)) {
-                throw new ApiError(400, "Stylist is not available on this day");
-            }
-            
-            // Check if appointment time is within stylist's working hours
-            if (timeSlot < stylist.workingHours.start || timeSlot > stylist.workingHours.end) {
-                throw new ApiError(400, "Appointment time is outside stylist working hours");
-            }
+        const createdAppointments = [];
+        const conflicts = [];
+
+        for (const [seriesIndex, occurrenceDate] of occurrenceDates.entries()) {
+            try {
+                // Each occurrence gets its own copy of the lines so stylists can be assigned per date
+                const lines = baseLines.map(line => ({ ...line }));
+                const visit = { timeSlot, stylistId, services: lines };
+
+                // No stylist preference: auto-assign one free stylist to the unassigned lines
+                const assignmentStrategy = await assignVisitStylists(visit, occurrenceDate, { location, userId, session });
+
+                // Validate every stylist serving part of the visit
+                const visitStylistIds = await validateVisitStylists(visit, occurrenceDate, { location, session });
 
-            // Check for existing appointment at the same time with retry mechanism
-            const maxRetries = 3;
-            let retryCount = 0;
-            let existingAppointment = null;
-            
-            while (retryCount < maxRetries) {
-                existingAppointment = await Appointment.findOne({
-                    stylistId,
-                    date: appointmentDate,
+                if (visitStylistIds.length > 0) {
+                    // Check for overlapping appointments with retry mechanism
+                    const maxRetries = 3;
+                    let retryCount = 0;
+                    let existingAppointment = null;
+                    
+                    while (retryCount < maxRetries) {
+                        existingAppointment = await findVisitConflict(visit, occurrenceDate, { holdOwnerId: userId, session });
+
+                        if (existingAppointment) {
+                            throw new ApiError(409, "Stylist is already booked at this time. Please choose a different time slot.");
+                        }
+                        
+                        // Small delay to handle race conditions
+                        if (retryCount < maxRetries - 1) {
+                            await new Promise(resolve => setTimeout(resolve, 100));
+                        }
+                        retryCount++;
+                    }
+                }
+
+                // Check for user's existing appointment overlapping this visit
+                const userExistingAppointment = await findConflictingAppointment(
+                    { userId },
+                    occurrenceDate,
                     timeSlot,
-                    status: { $in: ["pending", "confirmed", "in_progress"] }
-                }).session(session);
+                    totalDuration,
+                    { session }
+                );
 
-                if (existingAppointment) {
-                    throw new ApiError(409, "Stylist is already booked at this time. Please choose a different time slot.");
+                if (userExistingAppointment) {
+                    throw new ApiError(409, "You already have an appointment at this time. Please choose a different time slot.");
                 }
-                
-                // Small delay to handle race conditions
-                if (retryCount < maxRetries - 1) {
-                    await new Promise(resolve => setTimeout(resolve, 100));
+
+                // The offer discount applies to the first booked occurrence only
+                const discount = appliedOffer && createdAppointments.length === 0 ? offerDiscountAmount : 0;
+                const serviceAmount = Math.max(0, subtotal - discount);
+
+                // Occurrences after the membership runs out of visits or expires are booked at the regular price
+                const membership = pickMembershipForVisit(memberships, occurrenceDate, lines, serviceAmount, {
+                    chosen: Boolean(membershipId)
+                });
+                const benefit = membership
+                    ? getVisitBenefit(membership, lines, serviceAmount)
+                    : { entitlements: [], discount: 0 };
+                const membershipDiscount = benefit.discount;
+                const totalPrice = Math.round((serviceAmount - membershipDiscount) * 100) / 100;
+
+                // Create appointment with enhanced data
+                const appointmentData = {
+                    userId,
+                    serviceId: lines[0].serviceId,
+                    services: lines,
+                    stylistId: stylistId || lines[0].stylistId || null,
+                    assignmentStrategy: assignmentStrategy || undefined,
+                    date: occurrenceDate,
+                    timeSlot,
+                    location,
+                    notes: notes?.trim() || '',
+                    specialInstructions: specialInstructions?.trim() || '',
+                    address: location === "home" ? address : undefined,
+                    subtotal,
+                    totalPrice,
+                    estimatedDuration: totalDuration,
+                    offerCode: discount > 0 ? appliedOffer.code : undefined,
+                    offerDiscount: discount > 0 ? discount : undefined,
+                    membershipId: membership?._id,
+                    membershipDiscount: membership ? membershipDiscount : undefined,
+                    membershipEntitlements: benefit.entitlements,
+                    seriesId,
+                    seriesIndex: seriesId ? seriesIndex : undefined,
+                    recurrence: seriesId ? recurrence : undefined,
+                    cancellationPolicy,
+                    prepaymentRequired
+                };
+
+                // The visit is taken from the membership in the booking's transaction
+                if (membership) {
+                    const updatedMembership = await useMembershipVisit(membership, membershipDiscount, {
+                        session,
+                        entitlements: benefit.entitlements
+                    });
+                    memberships = memberships.map(item => item._id.equals(updatedMembership._id) ? updatedMembership : item);
+                }
+
+                const [createdAppointment] = await Appointment.create([appointmentData], { session });
+                createdAppointments.push(createdAppointment);
+            } catch (error) {
+                // Single bookings fail outright; a series skips unavailable occurrences
+                if (!seriesId || !(error instanceof ApiError) || ![400, 409].includes(error.statusCode)) {
+                    throw error;
                 }
-                retryCount++;
+                conflicts.push({
+                    seriesIndex,
+                    date: occurrenceDate.toISOString().split('T')[0],
+                    reason: error.message
+                });
             }
         }
 
-        // Check for user's existing appointment at the same time
-        const userExistingAppointment = await Appointment.findOne({
-            userId,
-            date: appointmentDate,
-            timeSlot,
-            status: { $in: ["pending", "confirmed", "in_progress"] }
-        }).session(session);
-
-        if (userExistingAppointment) {
-            throw new ApiError(409, "You already have an appointment at this time. Please choose a different time slot.");
+        if (createdAppointments.length === 0) {
+            throw new ApiError(409, "None of the requested occurrences are available", conflicts);
         }
 
-        // Calculate total price with discount handling
-        let totalPrice = service.price;
-        
-        // Check if discount is active
-        if (service.discount && service.discount.isActive && service.discount.percentage > 0) {
-            const now = new Date();
-            const validFrom = service.discount.validFrom ? new Date(service.discount.validFrom) : null;
-            const validUntil = service.discount.validUntil ? new Date(service.discount.validUntil) : null;
-            
-            // Check if discount is within valid date range
-            const isDiscountValid = (!validFrom || now >= validFrom) && (!validUntil || now <= validUntil);
-            
-            if (isDiscountValid) {
-                const discountAmount = (service.price * service.discount.percentage) / 100;
-                totalPrice = Math.max(0, service.price - discountAmount);
-            }
+        // Increment offer usage count
+        if (appliedOffer) {
+            appliedOffer.usedCount += 1;
+            await appliedOffer.save({ session });
         }
 
-        // Apply offer code discount if provided
-        let appliedOffer = null;
-        let offerDiscountAmount = 0;
-        
-        if (offerCode) {
-            // Find and validate offer
-            const offer = await Offer.findOne({ code: offerCode.toUpperCase() }).session(session);
-            
-            if (!offer) {
-                throw new ApiError(400, "Invalid offer code");
-            }
+        const createdAppointment = createdAppointments[0];
 
-            // Check if offer is valid
-            if (!offer.isValid) {
-                throw new ApiError(400, "Offer is not currently valid");
-            }
+        // The customer has checked out, so release their holds for the day
+        const { start: dayStart, end: dayEnd } = getDayRange(appointmentDate);
+        await SlotHold.deleteMany({ userId, date: { $gte: dayStart, $lt: dayEnd } }).session(session);
 
-            // Validate offer can be applied
-            const serviceIds = [serviceId];
-            const category = service.category;
-            const validation = offer.canBeApplied(totalPrice, serviceIds, category);
-            
-            if (!validation.canApply) {
-                throw new ApiError(400, validation.reason || "Offer cannot be applied to this booking");
+        // Close the waitlist entry whose offered slot is being booked, if this is that slot
+        if (waitlistEntryId) {
+            const waitlistEntry = await Waitlist.findOne({ _id: waitlistEntryId, userId }).session(session);
+            if (!waitlistEntry || !["waiting", "offered"].includes(waitlistEntry.status)) {
+                throw new ApiError(400, "Waitlist entry not found or no longer open");
             }
-
-            // Calculate offer discount
-            offerDiscountAmount = offer.calculateDiscount(totalPrice);
-            totalPrice = Math.max(0, totalPrice - offerDiscountAmount);
-            
-            appliedOffer = offer;
-
-            // Increment offer usage count
-            offer.usedCount += 1;
-            await offer.save({ session });
-        }
-        
-        if (totalPrice < 0) {
-            throw new ApiError(400, "Invalid service price");
+            const waitlistError = getWaitlistBookingError(waitlistEntry, createdAppointment);
+            if (waitlistError) {
+                throw new ApiError(400, waitlistError);
+            }
+            const lastOffer = waitlistEntry.offerHistory[waitlistEntry.offerHistory.length - 1];
+            if (waitlistEntry.currentOffer && lastOffer && lastOffer.outcome === "pending") {
+                lastOffer.outcome = "booked";
+            }
+            waitlistEntry.status = "booked";
+            waitlistEntry.currentOffer = null;
+            waitlistEntry.bookedAppointmentId = createdAppointment._id;
+            await waitlistEntry.save({ session });
         }
 
-        // Create appointment with enhanced data
-        const appointmentData = {
-            userId,
-            serviceId,
-            stylistId: stylistId || null,
-            date: appointmentDate,
-            timeSlot,
-            location,
-            notes: notes?.trim() || '',
-            specialInstructions: specialInstructions?.trim() || '',
-            address: location === "home" ? address : undefined,
-            totalPrice,
-            estimatedDuration: service.duration,
-            offerCode: appliedOffer ? appliedOffer.code : undefined,
-            offerDiscount: offerDiscountAmount > 0 ? offerDiscountAmount : undefined
-        };
-
-        const appointment = await Appointment.create([appointmentData], { session });
-        const createdAppointment = appointment[0];
-
-        // Populate the appointment with service and stylist details
-        await createdAppointment.populate([
-            { path: "serviceId", select: "name description duration price category" },
-            { path: "stylistId", select: "name specialties rating" },
-            { path: "userId", select: "name phone email" }
-        ]);
+        // Populate the appointments with service and stylist details
+        for (const appointment of createdAppointments) {
+            await appointment.populate([
+                { path: "serviceId", select: "name description duration price category" },
+                { path: "stylistId", select: "name specialties rating" },
+                { path: "services.stylistId", select: "name specialties rating" },
+                { path: "userId", select: "name phone email" },
+                { path: "membershipId", select: "packageName membershipTier remainingAppointments entitlements totalSavings" }
+            ]);
+        }
 
         // Commit transaction
         await session.commitTransaction();
 
         // Log successful booking
         const duration = Date.now() - startTime;
-        logger.logBookingSuccess(userId, createdAppointment._id, createdAppointment.bookingReference, {
-            duration,
-            serviceId,
-            stylistId,
-            location
+        createdAppointments.forEach(appointment => {
+            logger.logBookingSuccess(userId, appointment._id, appointment.bookingReference, {
+                duration,
+                serviceIds,
+                stylistId,
+                location,
+                seriesId
+            });
         });
 
         // Log performance
         logger.logPerformance('createAppointment', duration, 2000);
 
+        if (seriesId) {
+            return res.status(201).json(
+                new ApiResponse(201, {
+                    seriesId,
+                    appointments: createdAppointments,
+                    conflicts
+                }, conflicts.length > 0
+                    ? `Created ${createdAppointments.length} of ${occurrenceDates.length} appointments in the series`
+                    : "Recurring appointments created successfully")
+            );
+        }
 
         res.status(201).json(
             new ApiResponse(201, createdAppointment, "Appointment created successfully")
@@ -279,7 +481,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
         // Log booking failure
         const duration = Date.now() - startTime;
         logger.logBookingFailure(userId, error, {
-            serviceId,
+            serviceIds,
             stylistId,
             date,
             timeSlot,
@@ -293,7 +495,7 @@ export const createAppointment = asyncHandler(async (req, res) => {
         // Log specific conflict types
         if (error.message.includes('already booked') || error.message.includes('conflict')) {
             logger.logBookingConflict(userId, 'time_slot_conflict', {
-                serviceId,
+                serviceIds,
                 stylistId,
                 date,
                 timeSlot
@@ -328,9 +530,22 @@ export const getUserAppointments = asyncHandler(async (req, res) => {
 
     const total = await Appointment.countDocuments(query);
 
+    // Summarise unpaid policy fees across all of the user's appointments
+    const outstandingFees = await Appointment.aggregate([
+        { $match: { userId } },
+        { $unwind: "$fees" },
+        { $match: { "fees.status": "pending" } },
+        { $group: { _id: null, total: { $sum: "$fees.amount" } } }
+    ]);
+    const noShowCount = await countUserNoShows(userId);
+
     res.status(200).json(
         new ApiResponse(200, {
             appointments,
+            fees: {
+                outstandingTotal: outstandingFees[0]?.total || 0,
+                noShowCount
+            },
             pagination: {
                 currentPage: parseInt(page),
                 totalPages: Math.ceil(total / limit),
@@ -416,7 +631,7 @@ export const updateAppointment = asyncHandler(async (req, res) => {
     const { appointmentId } = req.params;
     const userId = req.user._id;
     const userRole = req.user.role;
-    const { serviceId, stylistId, date, timeSlot, location, notes, address, status } = req.body;
+    const { serviceId, stylistId, date, timeSlot, location, notes, address } = req.body;
 
     const query = { _id: appointmentId };
     
@@ -435,21 +650,45 @@ export const updateAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cannot update completed or cancelled appointments");
     }
 
-    // If updating date/time, check for conflicts
-    if (date || timeSlot) {
+    // Changing the service rebuilds the booking's line and totals. Multi-service bookings and ones
+    // priced with an offer, a membership or a payment are cancelled and rebooked instead.
+    let serviceLines = null;
+    if (serviceId && serviceId !== appointment.serviceId?.toString()) {
+        if (appointment.services.length > 1) {
+            throw new ApiError(400, "Cannot change the service of a multi-service booking; cancel and rebook it instead");
+        }
+        if (appointment.offerDiscount > 0 || appointment.membershipId || appointment.amountPaid > 0) {
+            throw new ApiError(400, "Cannot change the service of a booking with an offer, membership benefit or payment; cancel and rebook it instead");
+        }
+
+        serviceLines = await buildVisitLines(
+            [{ serviceId, stylistId: stylistId || appointment.services[0]?.stylistId }],
+            { stylistId: stylistId || appointment.stylistId, location: location || appointment.location }
+        );
+    }
+
+    // If updating the service, date/time or stylist, check schedules and overlapping appointments
+    if (serviceLines || date || timeSlot || stylistId) {
         const newDate = date ? new Date(date) : appointment.date;
         const newTimeSlot = timeSlot || appointment.timeSlot;
+        const conflictOptions = { excludeAppointmentId: appointmentId, holdOwnerId: appointment.userId };
+        const updatedVisit = {
+            timeSlot: newTimeSlot,
+            stylistId: stylistId || appointment.stylistId,
+            serviceId: serviceLines ? serviceLines[0].serviceId : appointment.serviceId,
+            services: serviceLines || appointment.services,
+            estimatedDuration: serviceLines ? serviceLines[0].duration : appointment.estimatedDuration
+        };
 
-        // Check for stylist conflicts
-        if (stylistId || appointment.stylistId) {
-            const checkStylistId = stylistId || appointment.stylistId;
-            const existingAppointment = await Appointment.findOne({
-                _id: { $ne: appointmentId },
-                stylistId: checkStylistId,
-                date: newDate,
-                timeSlot: newTimeSlot,
-                status: { $in: ["pending", "confirmed", "in_progress"] }
-            });
+        // Check the stylists work at the new date/time and the salon is open
+        const scheduleConflict = await getVisitScheduleConflict(updatedVisit, newDate);
+        if (scheduleConflict) {
+            throw new ApiError(400, scheduleConflict);
+        }
+
+        // Check for stylist conflicts across every line of the visit
+        if (updatedVisit.stylistId || appointment.services.some(line => line.stylistId)) {
+            const existingAppointment = await findVisitConflict(updatedVisit, newDate, conflictOptions);
 
             if (existingAppointment) {
                 throw new ApiError(400, "Stylist is already booked at this time");
@@ -457,13 +696,13 @@ export const updateAppointment = asyncHandler(async (req, res) => {
         }
 
         // Check for user conflicts
-        const userExistingAppointment = await Appointment.findOne({
-            _id: { $ne: appointmentId },
-            userId: appointment.userId,
-            date: newDate,
-            timeSlot: newTimeSlot,
-            status: { $in: ["pending", "confirmed", "in_progress"] }
-        });
+        const userExistingAppointment = await findConflictingAppointment(
+            { userId: appointment.userId },
+            newDate,
+            newTimeSlot,
+            updatedVisit.estimatedDuration,
+            conflictOptions
+        );
 
         if (userExistingAppointment) {
             throw new ApiError(400, "You already have an appointment at this time");
@@ -472,14 +711,20 @@ export const updateAppointment = asyncHandler(async (req, res) => {
 
     // Update appointment
     const updateData = {};
-    if (serviceId) updateData.serviceId = serviceId;
+    if (serviceLines) {
+        const [line] = serviceLines;
+        updateData.serviceId = line.serviceId;
+        updateData.services = serviceLines;
+        updateData.estimatedDuration = line.duration;
+        updateData.subtotal = line.price;
+        updateData.totalPrice = Math.round((line.price + (appointment.retailTotal || 0)) * 100) / 100;
+    }
     if (stylistId !== undefined) updateData.stylistId = stylistId;
     if (date) updateData.date = new Date(date);
     if (timeSlot) updateData.timeSlot = timeSlot;
     if (location) updateData.location = location;
     if (notes !== undefined) updateData.notes = notes;
     if (address !== undefined) updateData.address = address;
-    if (status && userRole === "admin") updateData.status = status;
 
     const updatedAppointment = await Appointment.findByIdAndUpdate(
         appointmentId,
@@ -496,12 +741,81 @@ export const updateAppointment = asyncHandler(async (req, res) => {
     );
 });
 
+// Offer slots freed by a cancelled or moved appointment to waitlisted customers
+// without failing the request that freed them
+const offerFreedSlotsToWaitlist = async (visit) => {
+    try {
+        await offerSlotsFreedBy(visit);
+    } catch (error) {
+        logger.error('Failed to offer freed slot to waitlist', { error: error.message, date: visit.date, timeSlot: visit.timeSlot });
+    }
+};
+
+// Save a cancelled appointment and give back the membership visit it used in one transaction.
+// The cancellation is claimed with a conditional update first, so of two requests cancelling the
+// same booking only one gets true back and goes on to refund it.
+const saveCancellation = async (appointment) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const { modifiedCount } = await Appointment.updateOne(
+            { _id: appointment._id, status: { $in: getStatusesLeadingTo("cancelled") } },
+            { $set: { status: "cancelled" } },
+            { session }
+        );
+        if (modifiedCount === 0) {
+            await session.abortTransaction();
+            return false;
+        }
+
+        await appointment.save({ session });
+        await restoreMembershipVisit(appointment, { session });
+        await session.commitTransaction();
+        return true;
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+};
+
+// Refund a cancelled appointment's online payments, keeping the late cancellation fee
+// (if any) out of the amount paid. Refund failures stay in the ledger for an admin to retry.
+const refundCancelledAppointment = async (appointment, actor, lateFee = null) => {
+    const paidOnline = appointment.amountPaid - appointment.amountRefunded;
+    if (paidOnline <= 0) {
+        return [];
+    }
+
+    // The fee is settled from the payment rather than charged separately
+    if (lateFee && paidOnline >= lateFee.amount) {
+        lateFee.status = "paid";
+    }
+
+    const refundable = getAppointmentRefundableAmount(appointment, lateFee ? lateFee.amount : 0);
+    if (refundable <= 0) {
+        return [];
+    }
+
+    try {
+        return await refundAppointmentPayments(appointment, refundable, {
+            reason: appointment.cancellationReason || "Appointment cancelled",
+            initiatedBy: actor
+        });
+    } catch (error) {
+        logger.error('Failed to refund cancelled appointment', { appointmentId: appointment._id, error: error.message });
+        return [];
+    }
+};
+
 // Cancel appointment
 export const cancelAppointment = asyncHandler(async (req, res) => {
     const { appointmentId } = req.params;
     const userId = req.user._id;
     const userRole = req.user.role;
-    const { cancellationReason } = req.body;
+    const { cancellationReason, scope = "single", waiveFee = false } = req.body;
 
     const query = { _id: appointmentId };
     
@@ -524,44 +838,146 @@ export const cancelAppointment = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Cannot cancel completed appointments");
     }
 
-    // Check if appointment can be cancelled (at least 2 hours before)
-    const appointmentDateTime = new Date(`${appointment.date.toDateString()} ${appointment.timeSlot}`);
-    const twoHoursBefore = new Date(appointmentDateTime.getTime() - (2 * 60 * 60 * 1000));
-    
-    if (new Date() > twoHoursBefore && userRole !== "admin") {
-        throw new ApiError(400, "Appointment cannot be cancelled less than 2 hours before the scheduled time");
+    // Check the notice window of the policy the appointment was booked under
+    const cancellationTerms = getCancellationTerms(appointment);
+    if (!cancellationTerms.isAllowed && userRole !== "admin") {
+        throw new ApiError(400, `Appointment cannot be cancelled less than ${cancellationTerms.noticeHours} hours before the scheduled time`);
     }
 
-    // Update appointment status
-    appointment.status = "cancelled";
-    appointment.cancellationReason = cancellationReason;
-    appointment.cancelledAt = new Date();
-    appointment.cancelledBy = userId;
+    // Cancelling the rest of a series also cancels its later open occurrences
+    const appointments = [appointment];
+    if (scope === "following" && appointment.seriesId) {
+        const laterOccurrences = await Appointment.find({
+            seriesId: appointment.seriesId,
+            seriesIndex: { $gt: appointment.seriesIndex },
+            status: { $nin: ["cancelled", "completed", "no_show"] }
+        }).sort({ seriesIndex: 1 });
+        appointments.push(...laterOccurrences);
+    }
 
-    await appointment.save();
+    const cancelled = [];
+    for (const occurrence of appointments) {
+        // Update appointment status
+        transitionAppointment(occurrence, "cancelled", {
+            actor: userId,
+            reason: cancellationReason || "Appointment cancelled"
+        });
+        occurrence.cancellationReason = cancellationReason;
+        occurrence.cancelledAt = new Date();
+        occurrence.cancelledBy = userId;
+
+        // Charge the late cancellation fee unless an admin waives it
+        const { fee, feePercent } = getCancellationTerms(occurrence);
+        let lateFee = null;
+        if (fee > 0 && !(waiveFee && userRole === "admin")) {
+            occurrence.fees.push({
+                type: "late_cancellation",
+                amount: fee,
+                percent: feePercent,
+                chargedBy: userId
+            });
+            lateFee = occurrence.fees[occurrence.fees.length - 1];
+        }
+
+        // Another request cancelled or closed the booking meanwhile; it owns the refund
+        if (!await saveCancellation(occurrence)) {
+            if (occurrence === appointment) {
+                throw new ApiError(409, "Appointment was cancelled or changed by another request");
+            }
+            continue;
+        }
+        cancelled.push(occurrence);
+
+        // Return what was paid online, less the fee
+        await refundCancelledAppointment(occurrence, userId, lateFee);
+        await occurrence.save();
+
+        // Offer the freed slot to the waitlist
+        await offerFreedSlotsToWaitlist(occurrence);
+    }
 
     await appointment.populate([
         { path: "serviceId", select: "name" },
         { path: "userId", select: "name phone" }
     ]);
 
+    if (scope === "following" && appointment.seriesId) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                appointment,
+                cancelledCount: cancelled.length,
+                cancelledAppointmentIds: cancelled.map(occurrence => occurrence._id)
+            }, "Appointment series cancelled successfully")
+        );
+    }
 
     res.status(200).json(
         new ApiResponse(200, appointment, "Appointment cancelled successfully")
     );
 });
 
-// Get available time slots for a stylist on a specific date
-export const getAvailableTimeSlots = asyncHandler(async (req, res) => {
-    const { stylistId, date } = req.query;
+// Collect requested service IDs from ?serviceId= or a comma-separated ?serviceIds=
+const parseServiceIds = ({ serviceId, serviceIds }) => {
+    if (serviceIds) {
+        return serviceIds.split(',').map(id => id.trim()).filter(Boolean);
+    }
+    return serviceId ? [serviceId] : [];
+};
 
-    if (!stylistId || !date) {
-        throw new ApiError(400, "Stylist ID and date are required");
+// Resolve the slot length (whole visit duration, or one slot) and the service categories to cover
+const resolveSlotRequirements = async (serviceIds) => {
+    if (serviceIds.length === 0) {
+        return { duration: SLOT_INTERVAL_MINUTES, categories: [] };
     }
 
-    const stylist = await Stylist.findById(stylistId);
-    if (!stylist || !stylist.isActive) {
-        throw new ApiError(404, "Stylist not found or inactive");
+    const services = await Service.find({ _id: { $in: serviceIds }, isActive: true }).select("duration category");
+    const requestedServices = serviceIds.map(id => services.find(service => service._id.toString() === id.toString()));
+    if (requestedServices.some(service => !service)) {
+        throw new ApiError(404, "Service not found or inactive");
+    }
+    return {
+        duration: requestedServices.reduce((total, service) => total + service.duration, 0),
+        categories: [...new Set(requestedServices.map(service => service.category))]
+    };
+};
+
+// Get the start times at which a stylist can take a visit on a day with a resolved schedule
+const getStylistSlots = async (stylistId, date, schedule, duration, options = {}) => {
+    if (!schedule.isWorking) {
+        return [];
+    }
+
+    // Existing appointments and breaks both block time
+    const bookedIntervals = [
+        ...await getBookedIntervals({ stylistId }, date, options),
+        ...schedule.blockedIntervals
+    ];
+    return generateAvailableSlots({
+        workingHours: schedule.workingHours,
+        duration,
+        bookedIntervals
+    });
+};
+
+// Count, for each start time, how many of the stylists could take the visit
+const getAnyStylistSlots = async (stylists, date, duration, calendar, options = {}) => {
+    const stylistsPerSlot = {};
+    for (const stylist of stylists) {
+        const schedule = resolveStylistDaySchedule(stylist, date, calendar.exceptions, calendar.salonCalendar);
+        const slots = await getStylistSlots(stylist._id, date, schedule, duration, options);
+        slots.forEach(slot => {
+            stylistsPerSlot[slot] = (stylistsPerSlot[slot] || 0) + 1;
+        });
+    }
+    return stylistsPerSlot;
+};
+
+// Get available time slots for a stylist (or any matching stylist) on a specific date
+export const getAvailableTimeSlots = asyncHandler(async (req, res) => {
+    const { stylistId, date, location } = req.query;
+
+    if (!date) {
+        throw new ApiError(400, "Date is required");
     }
 
     const appointmentDate = new Date(date);
@@ -570,29 +986,48 @@ export const getAvailableTimeSlots = asyncHandler(async (req, res) => {
     if (isNaN(appointmentDate.getTime())) {
         throw new ApiError(400, "Invalid date format");
     }
-    
-    
-    const dayOfWeek = appointmentDate.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
-    
-    if (!stylist.workingDays.includes(dayOfWeek)) {
+
+    const { duration, categories } = await resolveSlotRequirements(parseServiceIds(req.query));
+
+    // No stylist preference: offer every start time at least one matching stylist can take
+    if (!stylistId) {
+        const stylists = await findEligibleStylists(categories, { location });
+        const [exceptions, salonCalendar] = await Promise.all([
+            loadStylistExceptions(stylists.map(stylist => stylist._id), appointmentDate, appointmentDate),
+            loadSalonCalendar(appointmentDate, appointmentDate)
+        ]);
+        const availableStylists = await getAnyStylistSlots(
+            stylists, appointmentDate, duration, { exceptions, salonCalendar }, { holdOwnerId: req.user._id }
+        );
+        const availableSlots = Object.keys(availableStylists).sort();
+
         return res.status(200).json(
-            new ApiResponse(200, { availableSlots: [] }, "Stylist is not available on this day")
+            new ApiResponse(200, { availableSlots, availableStylists, duration }, "Available time slots retrieved successfully")
         );
     }
 
-    // Get existing appointments for the date
-    const existingAppointments = await Appointment.find({
-        stylistId,
-        date: appointmentDate,
-        status: { $in: ["pending", "confirmed", "in_progress"] }
-    }).select("timeSlot");
+    const stylist = await Stylist.findById(stylistId);
+    if (!stylist || !stylist.isActive) {
+        throw new ApiError(404, "Stylist not found or inactive");
+    }
+
+    // Resolve the day's hours and breaks from the weekly schedule, exceptions and salon hours
+    const schedule = await getStylistDaySchedule(stylist, appointmentDate);
 
-    const bookedSlots = existingAppointments.map(apt => apt.timeSlot);
+    if (schedule.isSalonClosed) {
+        return res.status(200).json(
+            new ApiResponse(200, { availableSlots: [] }, "Salon is closed on this day")
+        );
+    }
+
+    if (!schedule.isWorking) {
+        return res.status(200).json(
+            new ApiResponse(200, { availableSlots: [] }, "Stylist is not available on this day")
+        );
+    }
 
-    // Generate available time slots (30-minute intervals)
-    const availableSlots = [];
-    const startTime = stylist.workingHours.start;
-    const endTime = stylist.workingHours.end;
+    const startTime = schedule.workingHours.start;
+    const endTime = schedule.workingHours.end;
 
     // Validate working hours format
     if (!startTime || !endTime || !startTime.includes(':') || !endTime.includes(':')) {
@@ -607,39 +1042,33 @@ export const getAvailableTimeSlots = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Invalid stylist working hours");
     }
 
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    for (let minutes = startMinutes; minutes < endMinutes; minutes += 30) {
-        const hour = Math.floor(minutes / 60);
-        const min = minutes % 60;
-        const timeSlot = `${hour.toString().padStart(2, '0')}:${min.toString().padStart(2, '0')}`;
-        
-        if (!bookedSlots.includes(timeSlot)) {
-            availableSlots.push(timeSlot);
-        }
-    }
+    // Only offer start times where the full duration fits without overlapping a booking or break
+    const availableSlots = await getStylistSlots(stylistId, appointmentDate, schedule, duration, { holdOwnerId: req.user._id });
 
     res.status(200).json(
-        new ApiResponse(200, { availableSlots }, "Available time slots retrieved successfully")
+        new ApiResponse(200, { availableSlots, duration }, "Available time slots retrieved successfully")
     );
 });
 
-// Get available dates for a stylist
+// Get available dates for a stylist (or any matching stylist)
 export const getAvailableDates = asyncHandler(async (req, res) => {
-    const { stylistId } = req.query;
+    const { stylistId, location } = req.query;
 
-    if (!stylistId) {
-        throw new ApiError(400, "Stylist ID is required");
+    let stylists;
+    if (stylistId) {
+        const stylist = await Stylist.findById(stylistId);
+        if (!stylist || !stylist.isActive) {
+            throw new ApiError(404, "Stylist not found or inactive");
+        }
+        stylists = [stylist];
     }
 
-    const stylist = await Stylist.findById(stylistId);
-    if (!stylist || !stylist.isActive) {
-        throw new ApiError(404, "Stylist not found or inactive");
-    }
+    const { duration, categories } = await resolveSlotRequirements(parseServiceIds(req.query));
 
-    // Get working days for the stylist
-    const workingDays = stylist.workingDays;
+    // No stylist preference: consider every stylist who can perform the services
+    if (!stylists) {
+        stylists = await findEligibleStylists(categories, { location });
+    }
     
     // Generate available dates for the next 30 days
     const availableDates = [];
@@ -647,53 +1076,29 @@ export const getAvailableDates = asyncHandler(async (req, res) => {
     const maxDate = new Date();
     maxDate.setDate(today.getDate() + 30);
 
+    // Load breaks, leave, overrides and salon closures for the whole window at once
+    const [exceptions, salonCalendar] = await Promise.all([
+        loadStylistExceptions(stylists.map(stylist => stylist._id), today, maxDate),
+        loadSalonCalendar(today, maxDate)
+    ]);
+
     const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
     
     for (let date = new Date(today); date <= maxDate; date.setDate(date.getDate() + 1)) {
         const dayOfWeek = days[date.getDay()];
+
+        // Check if there are any slots where the service still fits on this date
+        const availableSlotsCount = Object.keys(
+            await getAnyStylistSlots(stylists, date, duration, { exceptions, salonCalendar }, { holdOwnerId: req.user._id })
+        ).length;
         
-        // Check if stylist works on this day
-        if (workingDays.includes(dayOfWeek)) {
-            // Check if there are any available time slots for this date
-            const existingAppointments = await Appointment.find({
-                stylistId,
-                date: new Date(date),
-                status: { $in: ["pending", "confirmed", "in_progress"] }
-            }).select("timeSlot");
-
-            const bookedSlots = existingAppointments.map(apt => apt.timeSlot);
-            
-            // Generate all possible time slots for this date
-            const startTime = stylist.workingHours.start;
-            const endTime = stylist.workingHours.end;
-            
-            if (startTime && endTime && startTime.includes(':') && endTime.includes(':')) {
-                const [startHour, startMin] = startTime.split(':').map(Number);
-                const [endHour, endMin] = endTime.split(':').map(Number);
-                
-                const startMinutes = startHour * 60 + startMin;
-                const endMinutes = endHour * 60 + endMin;
-                
-                let availableSlotsCount = 0;
-                for (let minutes = startMinutes; minutes < endMinutes; minutes += 30) {
-                    const hour = Math.floor(minutes / 60);
-                    const min = minutes % 60;
-                    const timeSlot = `${hour.toString().padStart(2, '0')}:${min.toString().padStart(2, '0')}`;
-                    
-                    if (!bookedSlots.includes(timeSlot)) {
-                        availableSlotsCount++;
-                    }
-                }
-                
-                // Only include dates that have at least one available slot
-                if (availableSlotsCount > 0) {
-                    availableDates.push({
-                        date: date.toISOString().split('T')[0],
-                        availableSlots: availableSlotsCount,
-                        dayOfWeek: dayOfWeek
-                    });
-                }
-            }
+        // Only include dates that have at least one available slot
+        if (availableSlotsCount > 0) {
+            availableDates.push({
+                date: date.toISOString().split('T')[0],
+                availableSlots: availableSlotsCount,
+                dayOfWeek: dayOfWeek
+            });
         }
     }
 
@@ -740,82 +1145,159 @@ export const getAppointmentStats = asyncHandler(async (req, res) => {
     );
 });
 
-// Reschedule appointment
-export const rescheduleAppointment = asyncHandler(async (req, res) => {
-    const { appointmentId } = req.params;
-    const { newDate, newTimeSlot, reason } = req.body;
-    const userId = req.user._id;
-    const userRole = req.user.role;
-
-    const query = { _id: appointmentId };
-    
-    // If not admin, only allow access to own appointments
-    if (userRole !== "admin") {
-        query.userId = userId;
-    }
-
-    const appointment = await Appointment.findOne(query);
-    if (!appointment) {
-        throw new ApiError(404, "Appointment not found");
-    }
+// Check whether an appointment can move to a new date and time; returns the reason if not
+const getRescheduleConflict = async (appointment, newDate, newTimeSlot, { session } = {}) => {
+    const conflictOptions = { excludeAppointmentId: appointment._id, holdOwnerId: appointment.userId, session };
+    const movedVisit = {
+        timeSlot: newTimeSlot,
+        stylistId: appointment.stylistId,
+        serviceId: appointment.serviceId,
+        services: appointment.services,
+        estimatedDuration: appointment.estimatedDuration
+    };
 
-    // Check if appointment can be rescheduled
-    if (appointment.status === "completed" || appointment.status === "cancelled") {
-        throw new ApiError(400, "Cannot reschedule completed or cancelled appointments");
+    // Check the stylists work at the new date/time and the salon is open
+    const scheduleConflict = await getVisitScheduleConflict(movedVisit, newDate, { session });
+    if (scheduleConflict) {
+        return scheduleConflict;
     }
 
-    // Check for conflicts with new date/time
-    if (appointment.stylistId) {
-        const existingAppointment = await Appointment.findOne({
-            _id: { $ne: appointmentId },
-            stylistId: appointment.stylistId,
-            date: new Date(newDate),
-            timeSlot: newTimeSlot,
-            status: { $in: ["pending", "confirmed", "in_progress"] }
-        });
+    // Check for appointments overlapping the new date/time
+    if (appointment.stylistId || appointment.services.some(line => line.stylistId)) {
+        const existingAppointment = await findVisitConflict(movedVisit, newDate, conflictOptions);
 
         if (existingAppointment) {
-            throw new ApiError(400, "Stylist is already booked at this time");
+            return "Stylist is already booked at this time";
         }
     }
 
     // Check for user conflicts
-    const userExistingAppointment = await Appointment.findOne({
-        _id: { $ne: appointmentId },
-        userId: appointment.userId,
-        date: new Date(newDate),
-        timeSlot: newTimeSlot,
-        status: { $in: ["pending", "confirmed", "in_progress"] }
-    });
+    const userExistingAppointment = await findConflictingAppointment(
+        { userId: appointment.userId },
+        newDate,
+        newTimeSlot,
+        appointment.estimatedDuration,
+        conflictOptions
+    );
 
     if (userExistingAppointment) {
-        throw new ApiError(400, "You already have an appointment at this time");
+        return "You already have an appointment at this time";
     }
 
+    return null;
+};
+
+// Move an appointment to a new date and time, returning the visit it freed
+const applyReschedule = (appointment, newDate, newTimeSlot, userId, reason) => {
     // Store old appointment details
     const oldDate = appointment.date;
     const oldTimeSlot = appointment.timeSlot;
+    const freedVisit = {
+        date: oldDate,
+        timeSlot: oldTimeSlot,
+        stylistId: appointment.stylistId,
+        serviceId: appointment.serviceId,
+        services: appointment.services,
+        estimatedDuration: appointment.estimatedDuration
+    };
 
     // Update appointment
     appointment.date = new Date(newDate);
     appointment.timeSlot = newTimeSlot;
-    appointment.status = "rescheduled";
     appointment.rescheduledFrom = {
         date: oldDate,
         timeSlot: oldTimeSlot,
         rescheduledAt: new Date(),
         rescheduledBy: userId
     };
-
-    // Add to status history
-    appointment.statusHistory.push({
-        status: "rescheduled",
-        changedAt: new Date(),
-        changedBy: userId,
+    transitionAppointment(appointment, "rescheduled", {
+        actor: userId,
         reason: reason || "Appointment rescheduled"
     });
 
-    await appointment.save();
+    return freedVisit;
+};
+
+// Reschedule appointment, or this and the following occurrences of its series
+export const rescheduleAppointment = asyncHandler(async (req, res) => {
+    const { appointmentId } = req.params;
+    const { newDate, newTimeSlot, reason, scope = "single" } = req.body;
+    const userId = req.user._id;
+    const userRole = req.user.role;
+
+    const query = { _id: appointmentId };
+    
+    // If not admin, only allow access to own appointments
+    if (userRole !== "admin") {
+        query.userId = userId;
+    }
+
+    const appointment = await Appointment.findOne(query);
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+
+    // Check if appointment can be rescheduled
+    const rejection = getTransitionError(appointment, "rescheduled");
+    if (rejection) {
+        throw new ApiError(400, `Cannot reschedule ${appointment.status} appointments`, [rejection]);
+    }
+
+    // Later occurrences keep their spacing: each moves by the same number of days
+    const moves = [{ appointment, date: new Date(newDate) }];
+    if (scope === "following" && appointment.seriesId) {
+        const dayShift = getDayRange(newDate).start - getDayRange(appointment.date).start;
+        const laterOccurrences = await Appointment.find({
+            seriesId: appointment.seriesId,
+            seriesIndex: { $gt: appointment.seriesIndex },
+            status: { $nin: ["cancelled", "completed", "no_show"] }
+        }).sort({ seriesIndex: 1 });
+        laterOccurrences.forEach(occurrence => {
+            moves.push({ appointment: occurrence, date: new Date(occurrence.date.getTime() + dayShift) });
+        });
+    }
+
+    // Move all occurrences or none: the checks and the saves share one transaction
+    const freedVisits = [];
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        const conflicts = [];
+        for (const move of moves) {
+            const conflict = await getRescheduleConflict(move.appointment, move.date, newTimeSlot, { session });
+            if (conflict) {
+                conflicts.push({
+                    appointmentId: move.appointment._id,
+                    seriesIndex: move.appointment.seriesIndex,
+                    date: move.date.toISOString().split('T')[0],
+                    reason: conflict
+                });
+            }
+        }
+        if (conflicts.length === 1 && moves.length === 1) {
+            throw new ApiError(400, conflicts[0].reason);
+        }
+        if (conflicts.length > 0) {
+            throw new ApiError(409, `${conflicts.length} occurrence(s) cannot be moved to the new time`, conflicts);
+        }
+
+        for (const move of moves) {
+            freedVisits.push(applyReschedule(move.appointment, move.date, newTimeSlot, userId, reason));
+            await move.appointment.save({ session });
+        }
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    // Offer the old slots to the waitlist once the moves are committed
+    for (const freedVisit of freedVisits) {
+        await offerFreedSlotsToWaitlist(freedVisit);
+    }
 
     // Populate for response
     await appointment.populate([
@@ -824,6 +1306,16 @@ export const rescheduleAppointment = asyncHandler(async (req, res) => {
         { path: "stylistId", select: "name specialties rating" }
     ]);
 
+    if (moves.length > 1) {
+        return res.status(200).json(
+            new ApiResponse(200, {
+                appointment,
+                rescheduledCount: moves.length,
+                rescheduledAppointmentIds: moves.map(move => move.appointment._id)
+            }, "Appointment series rescheduled successfully")
+        );
+    }
+
     res.status(200).json(
         new ApiResponse(200, appointment, "Appointment rescheduled successfully")
     );
@@ -840,29 +1332,8 @@ export const updateAppointmentStatus = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Appointment not found");
     }
 
-    // Validate status transition
-    const validTransitions = {
-        pending: ["confirmed", "cancelled"],
-        confirmed: ["in_progress", "cancelled", "no_show"],
-        in_progress: ["completed", "cancelled"],
-        completed: [],
-        cancelled: [],
-        no_show: [],
-        rescheduled: ["confirmed", "cancelled"]
-    };
-
-    if (!validTransitions[appointment.status]?.includes(status)) {
-        throw new ApiError(400, `Cannot change status from ${appointment.status} to ${status}`);
-    }
-
-    // Update appointment
-    appointment.status = status;
-    appointment.statusHistory.push({
-        status: status,
-        changedAt: new Date(),
-        changedBy: userId,
-        reason: reason || `Status changed to ${status}`
-    });
+    // Enforce the transition table and its guards, recording the change
+    transitionAppointment(appointment, status, { actor: userId, reason });
 
     // Set specific fields based on status
     if (status === "cancelled") {
@@ -871,7 +1342,39 @@ export const updateAppointmentStatus = asyncHandler(async (req, res) => {
         appointment.cancellationReason = reason;
     }
 
-    await appointment.save();
+    // Charge the no-show fee under the appointment's policy
+    if (status === "no_show") {
+        const { noShowFeePercent } = getAppointmentPolicy(appointment);
+        const fee = calculatePolicyFee(appointment, noShowFeePercent);
+        if (fee > 0) {
+            appointment.fees.push({
+                type: "no_show",
+                amount: fee,
+                percent: noShowFeePercent,
+                chargedBy: userId
+            });
+        }
+    }
+
+    // A cancelled booking gives back the membership visit it used, then admin cancellations
+    // refund the full online payment once the cancellation is claimed
+    if (status === "cancelled") {
+        if (!await saveCancellation(appointment)) {
+            throw new ApiError(409, "Appointment was cancelled or changed by another request");
+        }
+        await refundCancelledAppointment(appointment, userId);
+        await appointment.save();
+
+        // Offer the freed slot to the waitlist
+        await offerFreedSlotsToWaitlist(appointment);
+    } else {
+        await appointment.save();
+    }
+
+    // Completed visits get their tax invoice straight away
+    if (status === "completed") {
+        await issueInvoiceQuietly("appointment", appointment, { issuedBy: userId });
+    }
 
     // Populate for response
     await appointment.populate([
@@ -885,6 +1388,37 @@ export const updateAppointmentStatus = asyncHandler(async (req, res) => {
     );
 });
 
+// Mark a cancellation or no-show fee as paid or waived (admin only)
+export const updateAppointmentFee = asyncHandler(async (req, res) => {
+    const { appointmentId, feeId } = req.params;
+    const { status, method = "cash" } = req.body;
+
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+
+    const fee = appointment.fees.id(feeId);
+    if (!fee) {
+        throw new ApiError(404, "Fee not found");
+    }
+    if (fee.status !== "pending") {
+        throw new ApiError(400, `Fee is already ${fee.status}`);
+    }
+
+    fee.status = status;
+    await appointment.save();
+
+    // Fees collected at the counter go into the transactions ledger
+    if (status === "paid") {
+        await recordFeeTransaction(appointment, fee, { method, recordedBy: req.user._id });
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, appointment, "Appointment fee updated successfully")
+    );
+});
+
 // Get appointment by booking reference
 export const getAppointmentByReference = asyncHandler(async (req, res) => {
     const { bookingReference } = req.params;
@@ -961,3 +1495,108 @@ export const getTodaysAppointments = asyncHandler(async (req, res) => {
         new ApiResponse(200, { appointments }, "Today's appointments retrieved successfully")
     );
 });
+
+// Get how long a checkout hold lasts by default (SLOT_HOLD_MINUTES, default 10)
+const getDefaultHoldMinutes = () => {
+    const minutes = parseInt(process.env.SLOT_HOLD_MINUTES, 10);
+    return minutes > 0 ? minutes : 10;
+};
+
+// Hold a slot while the customer completes checkout
+export const createSlotHold = asyncHandler(async (req, res) => {
+    const { serviceId, services, stylistId, date, timeSlot, location = "salon", holdMinutes } = req.body;
+    const userId = req.user._id;
+
+    const requestedLines = Array.isArray(services) && services.length > 0
+        ? services
+        : (serviceId ? [{ serviceId, stylistId }] : []);
+    if (requestedLines.length === 0) {
+        throw new ApiError(400, "At least one service is required");
+    }
+
+    const holdDate = new Date(date);
+    if (isNaN(holdDate.getTime()) || holdDate <= new Date()) {
+        throw new ApiError(400, "Hold date must be a valid future date");
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let hold;
+    try {
+        const lines = await buildVisitLines(requestedLines, { stylistId, location, session });
+        const visit = { timeSlot, stylistId, services: lines };
+
+        await assignVisitStylists(visit, holdDate, { location, userId, session });
+        await validateVisitStylists(visit, holdDate, { location, session });
+
+        // Holds respect bookings and other customers' holds, but replace the customer's own
+        const conflict = await findVisitConflict(visit, holdDate, { holdOwnerId: userId, session });
+        if (conflict) {
+            throw new ApiError(409, "This slot is no longer available. Please choose a different time slot.");
+        }
+        await SlotHold.deleteMany({ userId }).session(session);
+
+        [hold] = await SlotHold.create([{
+            userId,
+            date: holdDate,
+            timeSlot,
+            location,
+            services: lines.map(line => ({
+                serviceId: line.serviceId,
+                stylistId: line.stylistId,
+                duration: line.duration
+            })),
+            expiresAt: new Date(Date.now() + (holdMinutes || getDefaultHoldMinutes()) * 60 * 1000)
+        }], { session });
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    await hold.populate([
+        { path: "services.serviceId", select: "name duration price category" },
+        { path: "services.stylistId", select: "name specialties rating" }
+    ]);
+
+    res.status(201).json(
+        new ApiResponse(201, hold, "Slot held successfully")
+    );
+});
+
+// Get the current user's active slot holds
+export const getMySlotHolds = asyncHandler(async (req, res) => {
+    const holds = await SlotHold.find({ userId: req.user._id, expiresAt: { $gt: new Date() } })
+        .populate([
+            { path: "services.serviceId", select: "name duration price category" },
+            { path: "services.stylistId", select: "name specialties rating" }
+        ])
+        .sort({ expiresAt: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, holds, "Slot holds retrieved successfully")
+    );
+});
+
+// Release a slot hold before it expires
+export const releaseSlotHold = asyncHandler(async (req, res) => {
+    const { holdId } = req.params;
+
+    const query = { _id: holdId };
+    if (req.user.role !== "admin") {
+        query.userId = req.user._id;
+    }
+
+    const hold = await SlotHold.findOneAndDelete(query);
+    if (!hold) {
+        throw new ApiError(404, "Slot hold not found or already expired");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Slot hold released successfully")
+    );
+});
@@ -0,0 +1,250 @@
+import mongoose from "mongoose";
+import { Appointment } from "../models/appointment.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { BLOCKING_STATUSES } from "../utils/availability.js";
+import { createRazorpayOrder, verifyPaymentSignature } from "../utils/razorpay.js";
+import { getTransitionError, transitionAppointment } from "../utils/appointmentStatus.js";
+import {
+    getAmountDue,
+    getDepositPercent,
+    getPaymentAmount
+} from "../utils/appointmentPayment.js";
+import { settleAppointmentPayment } from "../utils/paymentWebhook.js";
+import { getWalletBalance, payAppointmentFromWallet } from "../utils/wallet.js";
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Find an appointment the current user may pay for or inspect
+const findPayableAppointment = async (req) => {
+    const query = { _id: req.params.appointmentId };
+
+    // If not admin, only allow access to own appointments
+    if (req.user.role !== "admin") {
+        query.userId = req.user._id;
+    }
+
+    const appointment = await Appointment.findOne(query);
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+    return appointment;
+};
+
+// Create a Razorpay order for an appointment's deposit or full payment,
+// taking part or all of it from the customer's wallet when asked
+export const createAppointmentPaymentOrder = asyncHandler(async (req, res) => {
+    const { type = "full", walletAmount = 0 } = req.body;
+    const appointment = await findPayableAppointment(req);
+
+    if (!BLOCKING_STATUSES.includes(appointment.status)) {
+        throw new ApiError(400, `Cannot take payment for a ${appointment.status} appointment`);
+    }
+
+    const amountDue = getAmountDue(appointment);
+    if (amountDue <= 0) {
+        throw new ApiError(400, "Appointment is already paid");
+    }
+
+    // Deposits secure an unpaid booking; repeat no-shows must pay in full
+    if (type === "deposit") {
+        if (appointment.prepaymentRequired) {
+            throw new ApiError(400, "Full prepayment is required for this booking");
+        }
+        if (appointment.amountPaid > 0) {
+            throw new ApiError(400, "A deposit has already been paid for this appointment");
+        }
+    }
+
+    const amount = getPaymentAmount(appointment, type);
+    const walletShare = Math.min(roundAmount(parseFloat(walletAmount) || 0), amount);
+    const chargeAmount = roundAmount(amount - walletShare);
+
+    // An order that was opened but not paid can still be paid, so a second one could take the
+    // balance twice: the open order is handed back when it still fits, otherwise it blocks a new one
+    const openPayment = appointment.payments.find(item => item.method !== "wallet" && item.status === "created");
+    if (openPayment) {
+        if (openPayment.type !== type || walletShare > 0 || openPayment.amount > amountDue) {
+            throw new ApiError(409, `A ${openPayment.type} payment order of ${openPayment.amount} is still open for this appointment; complete it first`);
+        }
+
+        return res.status(200).json(
+            new ApiResponse(200, {
+                order: {
+                    id: openPayment.razorpayOrderId,
+                    amount: Math.round(openPayment.amount * 100),
+                    currency: openPayment.currency,
+                    status: "created"
+                },
+                payment: {
+                    type,
+                    amount: openPayment.amount,
+                    walletAmount: 0,
+                    chargeAmount: openPayment.amount,
+                    amountDue,
+                    depositPercent: type === "deposit" ? getDepositPercent() : undefined
+                },
+                paymentStatus: appointment.paymentStatus,
+                key: process.env.RAZORPAY_KEY_ID
+            }, "Payment order already open. Please complete payment.")
+        );
+    }
+
+    if (walletShare > 0 && await getWalletBalance(appointment.userId) < walletShare) {
+        throw new ApiError(400, "Insufficient wallet balance");
+    }
+
+    // The order is created first: if taking the wallet share then fails, an unpaid order is harmless
+    let result = null;
+    if (chargeAmount > 0) {
+        const receipt = `${appointment.bookingReference}_${Date.now().toString().slice(-6)}`;
+        result = await createRazorpayOrder(chargeAmount, "INR", receipt, {
+            type: "appointment",
+            paymentType: type,
+            appointmentId: appointment._id.toString(),
+            userId: appointment.userId.toString()
+        });
+
+        if (!result.success) {
+            throw new ApiError(400, result.error);
+        }
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+        if (walletShare > 0) {
+            await payAppointmentFromWallet(appointment, walletShare, { type, createdBy: req.user._id, session });
+
+            // Paid in full from the wallet: a pending booking is confirmed straight away
+            if (!result && appointment.status === "pending" && !getTransitionError(appointment, "confirmed")) {
+                transitionAppointment(appointment, "confirmed", {
+                    actor: req.user._id,
+                    reason: `Confirmed on ${type} payment from wallet`
+                });
+            }
+        }
+
+        if (result) {
+            appointment.payments.push({
+                type,
+                amount: chargeAmount,
+                currency: result.order.currency,
+                razorpayOrderId: result.order.id
+            });
+        }
+
+        await appointment.save({ session });
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    logger.info('Appointment payment started', {
+        appointmentId: appointment._id,
+        orderId: result?.order.id,
+        type,
+        amount,
+        walletAmount: walletShare
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, {
+            order: result?.order || null,
+            payment: {
+                type,
+                amount,
+                walletAmount: walletShare,
+                chargeAmount,
+                amountDue,
+                depositPercent: type === "deposit" ? getDepositPercent() : undefined
+            },
+            paymentStatus: appointment.paymentStatus,
+            key: result ? process.env.RAZORPAY_KEY_ID : undefined
+        }, result
+            ? "Payment order created successfully. Please complete payment."
+            : "Payment taken from wallet balance.")
+    );
+});
+
+// Verify a Razorpay payment for an appointment
+export const verifyAppointmentPayment = asyncHandler(async (req, res) => {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const appointment = await findPayableAppointment(req);
+
+    const payment = appointment.payments.find(item => item.razorpayOrderId === razorpay_order_id);
+    if (!payment) {
+        throw new ApiError(404, "Payment order not found for this appointment");
+    }
+
+    // Verifying the same payment twice is a no-op
+    if (payment.status === "paid") {
+        return res.status(200).json(
+            new ApiResponse(200, { appointment, payment }, "Payment already verified")
+        );
+    }
+
+    const verification = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+    if (!verification.success) {
+        // Only an order still open is marked failed; a webhook may have settled it meanwhile
+        await Appointment.updateOne(
+            { _id: appointment._id, payments: { $elemMatch: { _id: payment._id, status: "created" } } },
+            { $set: { "payments.$.status": "failed" } }
+        );
+        throw new ApiError(400, verification.message);
+    }
+
+    // A webhook may settle the same order at the same time; only one of them counts the payment
+    const settled = await settleAppointmentPayment(appointment, razorpay_order_id, {
+        razorpayPaymentId: razorpay_payment_id,
+        razorpaySignature: razorpay_signature,
+        actor: req.user._id
+    });
+    if (!settled) {
+        const current = await Appointment.findById(appointment._id);
+        return res.status(200).json(
+            new ApiResponse(200, {
+                appointment: current,
+                payment: current.payments.id(payment._id)
+            }, "Payment already verified")
+        );
+    }
+
+    logger.info('Appointment payment verified', {
+        appointmentId: appointment._id,
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        amount: settled.payment.amount,
+        paymentStatus: settled.appointment.paymentStatus
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, settled, "Payment verified successfully")
+    );
+});
+
+// Get an appointment's payment summary and history
+export const getAppointmentPayments = asyncHandler(async (req, res) => {
+    const appointment = await findPayableAppointment(req);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            paymentStatus: appointment.paymentStatus,
+            totalPrice: appointment.totalPrice,
+            amountPaid: appointment.amountPaid,
+            amountDue: getAmountDue(appointment),
+            prepaymentRequired: appointment.prepaymentRequired,
+            depositAmount: getPaymentAmount(appointment, "deposit"),
+            payments: appointment.payments,
+            tipTotal: appointment.tipTotal,
+            tips: appointment.tips
+        }, "Appointment payments retrieved successfully")
+    );
+});
@@ -0,0 +1,72 @@
+import { CancellationPolicy } from "../models/cancellationPolicy.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { DEFAULT_CANCELLATION_POLICY } from "../utils/cancellationPolicy.js";
+
+const policyCategories = ["default", "hair", "nail", "body", "skin"];
+
+// Get the cancellation policy of every category (Public)
+export const getCancellationPolicies = asyncHandler(async (req, res) => {
+    const configuredPolicies = await CancellationPolicy.find({ isActive: true });
+    const fallback = configuredPolicies.find(policy => policy.category === "default");
+
+    // Show the terms that apply to each category, including inherited ones
+    const policies = policyCategories.map(category => {
+        const policy = configuredPolicies.find(item => item.category === category);
+        if (policy) {
+            return { ...policy.toObject(), isConfigured: true };
+        }
+        const inherited = fallback ? fallback.toObject() : DEFAULT_CANCELLATION_POLICY;
+        return {
+            category,
+            isConfigured: false,
+            noticeHours: inherited.noticeHours,
+            allowLateCancellation: inherited.allowLateCancellation,
+            lateCancelFeePercent: inherited.lateCancelFeePercent,
+            noShowFeePercent: inherited.noShowFeePercent,
+            maxNoShows: inherited.maxNoShows
+        };
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, policies, "Cancellation policies retrieved successfully")
+    );
+});
+
+// Create or update the cancellation policy of a category (Admin only)
+export const setCancellationPolicy = asyncHandler(async (req, res) => {
+    const { category } = req.params;
+    const { noticeHours, allowLateCancellation, lateCancelFeePercent, noShowFeePercent, maxNoShows, isActive } = req.body;
+
+    const policy = await CancellationPolicy.findOne({ category }) || new CancellationPolicy({ category });
+    const isNew = policy.isNew;
+
+    if (noticeHours !== undefined) policy.noticeHours = noticeHours;
+    if (allowLateCancellation !== undefined) policy.allowLateCancellation = allowLateCancellation;
+    if (lateCancelFeePercent !== undefined) policy.lateCancelFeePercent = lateCancelFeePercent;
+    if (noShowFeePercent !== undefined) policy.noShowFeePercent = noShowFeePercent;
+    if (maxNoShows !== undefined) policy.maxNoShows = maxNoShows;
+    if (isActive !== undefined) policy.isActive = isActive;
+    policy.updatedBy = req.user._id;
+
+    await policy.save();
+
+    res.status(isNew ? 201 : 200).json(
+        new ApiResponse(isNew ? 201 : 200, policy, "Cancellation policy saved successfully")
+    );
+});
+
+// Remove a category's cancellation policy so it falls back to the default (Admin only)
+export const deleteCancellationPolicy = asyncHandler(async (req, res) => {
+    const { category } = req.params;
+
+    const policy = await CancellationPolicy.findOneAndDelete({ category });
+    if (!policy) {
+        throw new ApiError(404, "Cancellation policy not configured for this category");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Cancellation policy removed successfully")
+    );
+});
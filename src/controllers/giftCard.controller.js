@@ -0,0 +1,226 @@
+import mongoose from "mongoose";
+import { GiftCard } from "../models/giftCard.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { createRazorpayOrder, verifyPaymentSignature } from "../utils/razorpay.js";
+import {
+    activateGiftCard,
+    creditWallet,
+    getGiftCardRedeemError,
+    getWalletBalance
+} from "../utils/wallet.js";
+
+const giftCardPopulate = [
+    { path: "purchaserId", select: "name email phone" },
+    { path: "redeemedBy", select: "name email phone" }
+];
+
+// Build the paginated gift card response
+const paginate = (giftCards, total, page, limit) => ({
+    giftCards,
+    pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalGiftCards: total,
+        hasNext: page < Math.ceil(total / limit),
+        hasPrev: page > 1
+    }
+});
+
+// Start buying a gift card: creates the Razorpay order to pay for it
+export const purchaseGiftCard = asyncHandler(async (req, res) => {
+    const { amount, recipientName, recipientEmail, message } = req.body;
+    const value = Math.round(parseFloat(amount) * 100) / 100;
+
+    const receipt = `GC_${Date.now().toString().slice(-8)}`;
+    const result = await createRazorpayOrder(value, "INR", receipt, {
+        type: "gift_card",
+        userId: req.user._id.toString()
+    });
+
+    if (!result.success) {
+        throw new ApiError(400, result.error);
+    }
+
+    const giftCard = await GiftCard.create({
+        amount: value,
+        currency: result.order.currency,
+        purchaserId: req.user._id,
+        recipientName,
+        recipientEmail,
+        message,
+        razorpayOrderId: result.order.id
+    });
+
+    logger.info('Razorpay order created for gift card', {
+        giftCardId: giftCard._id,
+        orderId: result.order.id,
+        purchaserId: req.user._id,
+        amount: value
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, {
+            giftCard,
+            order: result.order,
+            key: process.env.RAZORPAY_KEY_ID
+        }, "Gift card order created successfully. Please complete payment.")
+    );
+});
+
+// Verify a gift card payment and issue its code
+export const verifyGiftCardPayment = asyncHandler(async (req, res) => {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+
+    const query = { razorpayOrderId: razorpay_order_id };
+    if (req.user.role !== "admin") {
+        query.purchaserId = req.user._id;
+    }
+
+    const giftCard = await GiftCard.findOne(query);
+    if (!giftCard) {
+        throw new ApiError(404, "Gift card order not found");
+    }
+
+    // Verifying the same payment twice is a no-op
+    if (giftCard.status !== "pending_payment") {
+        return res.status(200).json(
+            new ApiResponse(200, giftCard, "Payment already verified")
+        );
+    }
+
+    const verification = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+    if (!verification.success) {
+        throw new ApiError(400, verification.message);
+    }
+
+    // A webhook may have activated the card meanwhile; either way the stored code is returned
+    const { giftCard: issuedCard } = await activateGiftCard(giftCard, razorpay_payment_id);
+
+    res.status(200).json(
+        new ApiResponse(200, issuedCard, "Payment verified successfully. Gift card issued.")
+    );
+});
+
+// Redeem a gift card code into the current user's wallet
+export const redeemGiftCard = asyncHandler(async (req, res) => {
+    const code = req.body.code.trim().toUpperCase();
+    const now = new Date();
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let giftCard;
+    try {
+        // Claiming the card and crediting the wallet happen together, so a code pays out once
+        giftCard = await GiftCard.findOneAndUpdate(
+            { code, status: "active", expiresAt: { $gt: now } },
+            { $set: { status: "redeemed", redeemedBy: req.user._id, redeemedAt: now } },
+            { new: true, session }
+        );
+
+        if (!giftCard) {
+            const existing = await GiftCard.findOne({ code }).session(session);
+            if (!existing) {
+                throw new ApiError(404, "Gift card not found");
+            }
+            throw new ApiError(400, getGiftCardRedeemError(existing, now) || "Gift card cannot be redeemed");
+        }
+
+        await creditWallet(req.user._id, giftCard.amount, {
+            source: "gift_card",
+            idempotencyKey: `gift_card:${giftCard._id}`,
+            giftCardId: giftCard._id,
+            description: `Gift card ${giftCard.code} redeemed`,
+            createdBy: req.user._id,
+            session
+        });
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    const balance = await getWalletBalance(req.user._id);
+
+    logger.info('Gift card redeemed', {
+        giftCardId: giftCard._id,
+        redeemedBy: req.user._id,
+        amount: giftCard.amount
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { giftCard, balance }, "Gift card redeemed to your wallet")
+    );
+});
+
+// Get the gift cards the current user has bought
+export const getMyGiftCards = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 10, status } = req.query;
+
+    const query = { purchaserId: req.user._id };
+    if (status) query.status = status;
+
+    const giftCards = await GiftCard.find(query)
+        .populate("redeemedBy", "name")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await GiftCard.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, paginate(giftCards, total, page, limit), "Gift cards retrieved successfully")
+    );
+});
+
+// Get all gift cards (Admin only)
+export const getGiftCards = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, code, purchaserId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (code) query.code = code.trim().toUpperCase();
+    if (purchaserId) query.purchaserId = new mongoose.Types.ObjectId(purchaserId);
+
+    const giftCards = await GiftCard.find(query)
+        .populate(giftCardPopulate)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await GiftCard.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, paginate(giftCards, total, page, limit), "Gift cards retrieved successfully")
+    );
+});
+
+// Cancel an unredeemed gift card, e.g. one reported lost or bought fraudulently (Admin only).
+// Any refund to the purchaser is issued separately.
+export const cancelGiftCard = asyncHandler(async (req, res) => {
+    const giftCard = await GiftCard.findOneAndUpdate(
+        { _id: req.params.giftCardId, status: "active" },
+        { $set: { status: "cancelled", cancelledBy: req.user._id, cancelledAt: new Date() } },
+        { new: true }
+    );
+
+    if (!giftCard) {
+        const existing = await GiftCard.findById(req.params.giftCardId);
+        if (!existing) {
+            throw new ApiError(404, "Gift card not found");
+        }
+        throw new ApiError(400, `Cannot cancel a ${existing.status} gift card`);
+    }
+
+    logger.info('Gift card cancelled', { giftCardId: giftCard._id, cancelledBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, giftCard, "Gift card cancelled successfully")
+    );
+});
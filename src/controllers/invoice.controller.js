@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import { Invoice } from "../models/invoice.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { Membership } from "../models/membership.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDayRange } from "../utils/availability.js";
+import { issueInvoice } from "../utils/invoices.js";
+import { writeInvoicePdf } from "../utils/invoicePdf.js";
+
+// Customers only see their own invoices
+const getOwnerQuery = (req, query) => {
+    if (req.user.role !== "admin") {
+        query.userId = req.user._id;
+    }
+    return query;
+};
+
+// Get invoices, newest first
+export const getInvoices = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, targetType, status, userId, invoiceNumber, financialYear, from, to } = req.query;
+
+    const query = {};
+    if (targetType) query.targetType = targetType;
+    if (status) query.status = status;
+    if (invoiceNumber) query.invoiceNumber = invoiceNumber.toUpperCase();
+    if (financialYear) query.financialYear = financialYear;
+    if (userId && req.user.role === "admin") query.userId = new mongoose.Types.ObjectId(userId);
+    if (from || to) {
+        query.issuedAt = {};
+        if (from) query.issuedAt.$gte = getDayRange(from).start;
+        if (to) query.issuedAt.$lt = getDayRange(to).end;
+    }
+    getOwnerQuery(req, query);
+
+    const invoices = await Invoice.find(query)
+        .select("-supplier")
+        .sort({ issuedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Invoice.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            invoices,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalInvoices: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Invoices retrieved successfully")
+    );
+});
+
+// Get a single invoice
+export const getInvoice = asyncHandler(async (req, res) => {
+    const invoice = await Invoice.findOne(getOwnerQuery(req, { _id: req.params.invoiceId }));
+    if (!invoice) {
+        throw new ApiError(404, "Invoice not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, invoice, "Invoice retrieved successfully")
+    );
+});
+
+// Download an invoice as PDF
+export const downloadInvoicePdf = asyncHandler(async (req, res) => {
+    const invoice = await Invoice.findOne(getOwnerQuery(req, { _id: req.params.invoiceId }));
+    if (!invoice) {
+        throw new ApiError(404, "Invoice not found");
+    }
+
+    const filename = `${invoice.invoiceNumber.replace(/[^\w-]+/g, "-")}.pdf`;
+    res.setHeader("Content-Type", "application/pdf");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    writeInvoicePdf(invoice, res);
+});
+
+// Get the invoice for a completed appointment, issuing it on first request
+export const getAppointmentInvoice = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findOne(getOwnerQuery(req, { _id: req.params.appointmentId }));
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+
+    const invoice = await issueInvoice("appointment", appointment, { issuedBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, invoice, "Invoice retrieved successfully")
+    );
+});
+
+// Get the invoice for a paid membership, issuing it on first request
+export const getMembershipInvoice = asyncHandler(async (req, res) => {
+    const membership = await Membership.findOne(getOwnerQuery(req, { _id: req.params.membershipId }));
+    if (!membership) {
+        throw new ApiError(404, "Membership not found");
+    }
+
+    const invoice = await issueInvoice("membership", membership, { issuedBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, invoice, "Invoice retrieved successfully")
+    );
+});
@@ -0,0 +1,73 @@
+import { JobRun } from "../models/jobRun.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDayRange } from "../utils/availability.js";
+import { listJobs, runJob } from "../utils/jobs.js";
+
+// Get the background jobs with their schedule and latest run (Admin only)
+export const getJobs = asyncHandler(async (req, res) => {
+    const jobs = await listJobs();
+
+    res.status(200).json(
+        new ApiResponse(200, jobs, "Jobs retrieved successfully")
+    );
+});
+
+// Get job runs, newest first (Admin only)
+export const getJobRuns = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, name, status, trigger, from, to } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+    if (from || to) {
+        query.startedAt = {};
+        if (from) query.startedAt.$gte = getDayRange(from).start;
+        if (to) query.startedAt.$lt = getDayRange(to).end;
+    }
+
+    const runs = await JobRun.find(query)
+        .populate("triggeredBy", "name email")
+        .sort({ startedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await JobRun.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            runs,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalRuns: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Job runs retrieved successfully")
+    );
+});
+
+// Get one job run (Admin only)
+export const getJobRun = asyncHandler(async (req, res) => {
+    const run = await JobRun.findById(req.params.runId).populate("triggeredBy", "name email");
+    if (!run) {
+        throw new ApiError(404, "Job run not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, run, "Job run retrieved successfully")
+    );
+});
+
+// Run a job now instead of waiting for its schedule (Admin only)
+export const triggerJob = asyncHandler(async (req, res) => {
+    const run = await runJob(req.params.name, { trigger: "manual", triggeredBy: req.user._id });
+    await run.populate("triggeredBy", "name email");
+
+    res.status(201).json(
+        new ApiResponse(201, run, run.status === "completed" ? "Job completed" : "Job failed")
+    );
+});
@@ -1,3 +1,4 @@
+import { Appointment } from "../models/appointment.model.js";
 import { Membership } from "../models/membership.model.js";
 import { Package } from "../models/package.model.js";
 import { User } from "../models/user.model.js";
@@ -10,6 +11,10 @@ import {
     handlePaymentFailure as handlePaymentFailureUtil,
     getPaymentStatus as getPaymentStatusUtil
 } from "../utils/enhancedRazorpay.js";
+import { getMembershipRefundableAmount, refundMembershipPayment } from "../utils/refunds.js";
+import { releaseMembershipWallet } from "../utils/wallet.js";
+import { cancelRenewalMandate, confirmRenewalMandate, createRenewalMandate } from "../utils/membershipRenewal.js";
+import { logger } from "../utils/logger.js";
 
 // Get user's active memberships
 export const getUserActiveMemberships = asyncHandler(async (req, res) => {
@@ -22,6 +27,54 @@ export const getUserActiveMemberships = asyncHandler(async (req, res) => {
     );
 });
 
+// Get the included services left on the user's active memberships, with the visits that used them
+export const getUserEntitlements = asyncHandler(async (req, res) => {
+    const userId = req.user._id;
+
+    const memberships = await Membership.find({
+        userId,
+        isActive: true,
+        paymentStatus: "paid",
+        expiryDate: { $gt: new Date() },
+        "entitlements.0": { $exists: true }
+    }).select("packageName membershipTier expiryDate remainingAppointments entitlements").sort({ expiryDate: 1 });
+
+    const visits = await Appointment.find({
+        membershipId: { $in: memberships.map(membership => membership._id) },
+        status: { $ne: "cancelled" },
+        "membershipEntitlements.0": { $exists: true }
+    }).select("membershipId bookingReference date timeSlot status membershipEntitlements").sort({ date: -1 });
+
+    const entitlements = memberships.map(membership => ({
+        membershipId: membership._id,
+        packageName: membership.packageName,
+        membershipTier: membership.membershipTier,
+        expiryDate: membership.expiryDate,
+        remainingAppointments: membership.remainingAppointments,
+        services: membership.entitlements.map(entitlement => ({
+            serviceId: entitlement.serviceId,
+            serviceName: entitlement.serviceName,
+            quantity: entitlement.quantity,
+            used: entitlement.used,
+            remaining: entitlement.remaining
+        })),
+        visits: visits
+            .filter(visit => visit.membershipId.equals(membership._id))
+            .map(visit => ({
+                appointmentId: visit._id,
+                bookingReference: visit.bookingReference,
+                date: visit.date,
+                timeSlot: visit.timeSlot,
+                status: visit.status,
+                services: visit.membershipEntitlements
+            }))
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, entitlements, "Membership entitlements retrieved successfully")
+    );
+});
+
 // Get user's all memberships (active and expired)
 export const getUserAllMemberships = asyncHandler(async (req, res) => {
     const userId = req.user._id;
@@ -110,7 +163,7 @@ export const getMembership = asyncHandler(async (req, res) => {
 // Enhanced membership purchase with Razorpay integration
 export const purchaseMembership = asyncHandler(async (req, res) => {
     const userId = req.user._id;
-    const { packageId, notes = '', autoRenewal = false } = req.body;
+    const { packageId, notes = '', autoRenewal = false, walletAmount = 0 } = req.body;
 
     // Validate packageId
     if (!packageId) {
@@ -118,7 +171,9 @@ export const purchaseMembership = asyncHandler(async (req, res) => {
     }
 
     // Create membership with Razorpay order
-    const result = await createMembershipWithOrder(userId, packageId, notes);
+    const result = await createMembershipWithOrder(userId, packageId, notes, {
+        walletAmount: parseFloat(walletAmount) || 0
+    });
 
     if (!result.success) {
         throw new ApiError(400, result.error);
@@ -137,7 +192,9 @@ export const purchaseMembership = asyncHandler(async (req, res) => {
             membership: result.membership,
             order: result.order,
             package: result.package
-        }, "Membership order created successfully. Please complete payment.")
+        }, result.order
+            ? "Membership order created successfully. Please complete payment."
+            : "Membership paid from wallet balance and activated.")
     );
 });
 
@@ -232,6 +289,35 @@ export const updatePaymentStatus = asyncHandler(async (req, res) => {
     );
 });
 
+// Refund the unused share of a cancelled membership under the refund policy.
+// Refund failures stay in the ledger for an admin to retry.
+const refundCancelledMembership = async (membership, actor, reason) => {
+    try {
+        // Wallet balance set aside for a membership that was never paid goes straight back
+        if (["pending", "failed"].includes(membership.paymentStatus)) {
+            membership.membershipStatus = "cancelled";
+            await membership.save();
+            await releaseMembershipWallet(membership, { createdBy: actor });
+            return null;
+        }
+
+        const amount = getMembershipRefundableAmount(membership);
+        if (amount <= 0) {
+            return null;
+        }
+
+        const refund = await refundMembershipPayment(membership, amount, {
+            reason: reason || "Membership cancelled",
+            initiatedBy: actor
+        });
+        await membership.save();
+        return refund;
+    } catch (error) {
+        logger.error('Failed to refund cancelled membership', { membershipId: membership._id, error: error.message });
+        return null;
+    }
+};
+
 // Cancel membership
 export const cancelMembership = asyncHandler(async (req, res) => {
     const { membershipId } = req.params;
@@ -247,11 +333,13 @@ export const cancelMembership = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Membership not found");
     }
 
-    if (!membership.isActive) {
+    // Unpaid memberships were never active but can still be cancelled
+    if (!membership.isActive && membership.membershipStatus !== "pending_payment") {
         throw new ApiError(400, "Membership is already cancelled");
     }
 
     await membership.cancel(userId, reason);
+    await refundCancelledMembership(membership, userId, reason);
 
     res.status(200).json(
         new ApiResponse(200, membership, "Membership cancelled successfully")
@@ -498,11 +586,13 @@ export const adminCancelMembership = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Membership not found");
     }
 
-    if (!membership.isActive) {
+    // Unpaid memberships were never active but can still be cancelled
+    if (!membership.isActive && membership.membershipStatus !== "pending_payment") {
         throw new ApiError(400, "Membership is already cancelled");
     }
 
     await membership.cancel(adminId, reason);
+    await refundCancelledMembership(membership, adminId, reason);
 
     res.status(200).json(
         new ApiResponse(200, membership, "Membership cancelled by admin successfully")
@@ -635,10 +725,59 @@ export const upgradeMembershipTier = asyncHandler(async (req, res) => {
     );
 });
 
-// Set auto-renewal
+// Turn auto-renewal on or off. Turning it on needs a recurring mandate, authorised through the
+// returned Razorpay order and confirmed with verifyAutoRenewal
 export const setAutoRenewal = asyncHandler(async (req, res) => {
     const { membershipId } = req.params;
-    const { enabled } = req.body;
+    const { enabled, method = "card" } = req.body;
+    const userId = req.user._id;
+
+    const membership = await Membership.findOne({
+        _id: membershipId,
+        userId: userId
+    });
+
+    if (!membership) {
+        throw new ApiError(404, "Membership not found");
+    }
+
+    if (!enabled) {
+        await cancelRenewalMandate(membership);
+        return res.status(200).json(
+            new ApiResponse(200, membership, "Auto-renewal disabled successfully")
+        );
+    }
+
+    if (["active", "past_due"].includes(membership.renewal.status)) {
+        return res.status(200).json(
+            new ApiResponse(200, membership, "Auto-renewal is already enabled")
+        );
+    }
+
+    if (!membership.isActive || membership.paymentStatus !== "paid" || membership.isExpired) {
+        throw new ApiError(400, "Only an active, paid membership can be set to renew");
+    }
+
+    let order;
+    try {
+        order = await createRenewalMandate(membership, { method });
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            membership,
+            order,
+            key: process.env.RAZORPAY_KEY_ID
+        }, "Mandate order created. Please authorise it to enable auto-renewal.")
+    );
+});
+
+// Confirm the mandate authorised for auto-renewal
+export const verifyAutoRenewal = asyncHandler(async (req, res) => {
+    const { membershipId } = req.params;
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
     const userId = req.user._id;
 
     const membership = await Membership.findOne({
@@ -650,10 +789,18 @@ export const setAutoRenewal = asyncHandler(async (req, res) => {
         throw new ApiError(404, "Membership not found");
     }
 
-    await membership.setAutoRenewal(enabled);
+    try {
+        await confirmRenewalMandate(membership, {
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
+    } catch (error) {
+        throw new ApiError(400, error.message);
+    }
 
     res.status(200).json(
-        new ApiResponse(200, membership, `Auto-renewal ${enabled ? 'enabled' : 'disabled'} successfully`)
+        new ApiResponse(200, membership, "Auto-renewal enabled successfully")
     );
 });
 
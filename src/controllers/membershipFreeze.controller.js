@@ -0,0 +1,140 @@
+import { Membership } from "../models/membership.model.js";
+import { MembershipFreeze } from "../models/membershipFreeze.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+    approveFreeze as approveFreezeUtil,
+    cancelFreeze as cancelFreezeUtil,
+    getFreezeAllowance,
+    getFreezeSettings,
+    rejectFreeze as rejectFreezeUtil,
+    requestFreeze as requestFreezeUtil
+} from "../utils/membershipFreeze.js";
+
+// Ask for one of the user's memberships to be frozen
+export const requestFreeze = asyncHandler(async (req, res) => {
+    const { membershipId } = req.params;
+    const { startDate, days, reason } = req.body;
+
+    const membership = await Membership.findOne({ _id: membershipId, userId: req.user._id });
+    if (!membership) {
+        throw new ApiError(404, "Membership not found");
+    }
+
+    const freeze = await requestFreezeUtil(membership, { startDate, days, reason });
+
+    res.status(201).json(
+        new ApiResponse(201, freeze, "Freeze requested successfully")
+    );
+});
+
+// Get the freezes of one of the user's memberships, with this year's allowance
+export const getMembershipFreezes = asyncHandler(async (req, res) => {
+    const { membershipId } = req.params;
+
+    const membership = await Membership.findOne({ _id: membershipId, userId: req.user._id });
+    if (!membership) {
+        throw new ApiError(404, "Membership not found");
+    }
+
+    const freezes = await MembershipFreeze.find({ membershipId })
+        .sort({ startDate: -1 });
+    const allowance = await getFreezeAllowance(membership);
+    const { minDays, maxDays } = getFreezeSettings();
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            freezes,
+            allowance: { ...allowance, minDays, maxDays }
+        }, "Membership freezes retrieved successfully")
+    );
+});
+
+// Withdraw a freeze request, or call off an approved freeze before it starts
+export const cancelFreeze = asyncHandler(async (req, res) => {
+    const { membershipId, freezeId } = req.params;
+
+    const freeze = await MembershipFreeze.findOne({ _id: freezeId, membershipId, userId: req.user._id });
+    if (!freeze) {
+        throw new ApiError(404, "Freeze request not found");
+    }
+
+    const cancelled = await cancelFreezeUtil(freeze, { cancelledBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, cancelled, "Freeze cancelled successfully")
+    );
+});
+
+// Get freeze requests, oldest request first (Admin only)
+export const getAllFreezes = asyncHandler(async (req, res) => {
+    const { status = "pending", membershipId, userId, page = 1, limit = 20 } = req.query;
+
+    const query = { status };
+    if (membershipId) query.membershipId = membershipId;
+    if (userId) query.userId = userId;
+
+    const freezes = await MembershipFreeze.find(query)
+        .populate("userId", "name email phone")
+        .populate("membershipId", "packageName membershipTier startDate expiryDate")
+        .populate("reviewedBy", "name email")
+        .sort({ requestedAt: 1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await MembershipFreeze.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            freezes,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalFreezes: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Freeze requests retrieved successfully")
+    );
+});
+
+// Approve a freeze request and extend the membership (Admin only)
+export const approveFreeze = asyncHandler(async (req, res) => {
+    const { freezeId } = req.params;
+    const { note } = req.body;
+
+    const result = await approveFreezeUtil(freezeId, { reviewedBy: req.user._id, note });
+
+    res.status(200).json(
+        new ApiResponse(200, result, "Freeze approved successfully")
+    );
+});
+
+// Reject a freeze request (Admin only)
+export const rejectFreeze = asyncHandler(async (req, res) => {
+    const { freezeId } = req.params;
+    const { note } = req.body;
+
+    const freeze = await rejectFreezeUtil(freezeId, { reviewedBy: req.user._id, note });
+
+    res.status(200).json(
+        new ApiResponse(200, freeze, "Freeze rejected successfully")
+    );
+});
+
+// Call off an approved freeze before it starts (Admin only)
+export const adminCancelFreeze = asyncHandler(async (req, res) => {
+    const { freezeId } = req.params;
+
+    const freeze = await MembershipFreeze.findById(freezeId);
+    if (!freeze) {
+        throw new ApiError(404, "Freeze request not found");
+    }
+
+    const cancelled = await cancelFreezeUtil(freeze, { cancelledBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, cancelled, "Freeze cancelled successfully")
+    );
+});
@@ -1,8 +1,22 @@
 import { Package } from "../models/package.model.js";
+import { Service } from "../models/service.model.js";
 import { ApiResponse } from "../utils/ApiResponse.js";
 import { ApiError } from "../utils/ApiError.js";
 import { asyncHandler } from "../utils/asyncHandler.js";
 
+// Check that each included service exists and is listed only once
+const validateEntitlements = async (entitlements) => {
+    const serviceIds = entitlements.map(entitlement => String(entitlement.serviceId));
+    if (new Set(serviceIds).size !== serviceIds.length) {
+        throw new ApiError(400, "Each service can only be included once in a package");
+    }
+
+    const found = await Service.countDocuments({ _id: { $in: serviceIds } });
+    if (found !== serviceIds.length) {
+        throw new ApiError(404, "One or more included services were not found");
+    }
+};
+
 // Get all packages (Public)
 export const getAllPackages = asyncHandler(async (req, res) => {
     const { 
@@ -34,7 +48,8 @@ export const getAllPackages = asyncHandler(async (req, res) => {
     const packages = await Package.find(filter)
         .sort(sort)
         .limit(limit * 1)
-        .skip((page - 1) * limit);
+        .skip((page - 1) * limit)
+        .populate("entitlements.serviceId", "name category price duration");
 
     const total = await Package.countDocuments(filter);
 
@@ -56,7 +71,8 @@ export const getAllPackages = asyncHandler(async (req, res) => {
 export const getPackage = asyncHandler(async (req, res) => {
     const { packageId } = req.params;
 
-    const packageDoc = await Package.findById(packageId);
+    const packageDoc = await Package.findById(packageId)
+        .populate("entitlements.serviceId", "name category price duration");
 
     if (!packageDoc) {
         throw new ApiError(404, "Package not found");
@@ -104,11 +120,13 @@ export const createPackage = asyncHandler(async (req, res) => {
         durationUnit = "months",
         benefits = [],
         services = [],
+        entitlements = [],
         discountPercentage = 0,
         maxAppointments = null,
         isPopular = false,
         sortOrder = 0,
-        termsAndConditions
+        termsAndConditions,
+        sacCode
     } = req.body;
 
     // Check if package with same name already exists
@@ -130,6 +148,8 @@ export const createPackage = asyncHandler(async (req, res) => {
         throw new ApiError(400, "Discount percentage must be between 0 and 100");
     }
 
+    await validateEntitlements(entitlements);
+
     const packageDoc = await Package.create({
         name,
         description,
@@ -138,11 +158,13 @@ export const createPackage = asyncHandler(async (req, res) => {
         durationUnit,
         benefits,
         services,
+        entitlements,
         discountPercentage,
         maxAppointments,
         isPopular,
         sortOrder,
-        termsAndConditions
+        termsAndConditions,
+        sacCode
     });
 
     res.status(201).json(
@@ -187,6 +209,11 @@ export const updatePackage = asyncHandler(async (req, res) => {
         }
     }
 
+    // Memberships already bought keep the balances they were sold with
+    if (updateData.entitlements) {
+        await validateEntitlements(updateData.entitlements);
+    }
+
     const updatedPackage = await Package.findByIdAndUpdate(
         packageId,
         updateData,
@@ -405,7 +432,8 @@ export const getAllPackagesAdmin = asyncHandler(async (req, res) => {
     const packages = await Package.find(filter)
         .sort(sort)
         .limit(limit * 1)
-        .skip((page - 1) * limit);
+        .skip((page - 1) * limit)
+        .populate("entitlements.serviceId", "name category price duration");
 
     const total = await Package.countDocuments(filter);
 
@@ -0,0 +1,347 @@
+import { CommissionRule } from "../models/commissionRule.model.js";
+import { PayrollPeriod } from "../models/payrollPeriod.model.js";
+import { PayrollStatement } from "../models/payrollStatement.model.js";
+import { Stylist } from "../models/stylist.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { getDayRange } from "../utils/availability.js";
+import { toCsvHeader, toCsvRow } from "../utils/csv.js";
+import { generatePayrollStatements, getCommissionRuleError, getPayPeriodError } from "../utils/payroll.js";
+
+const SUMMARY_CSV_COLUMNS = [
+    ["Stylist", statement => statement.stylistName],
+    ["Appointments", statement => statement.appointmentCount],
+    ["Service Revenue", statement => statement.serviceRevenue],
+    ["Service Commission", statement => statement.serviceCommission],
+    ["Retail Revenue", statement => statement.retailRevenue],
+    ["Retail Commission", statement => statement.retailCommission],
+    ["Tips", statement => statement.tips],
+    ["Total Payout", statement => statement.totalPayout]
+];
+
+const LINE_CSV_COLUMNS = [
+    ["Stylist", ({ statement }) => statement.stylistName],
+    ["Date", ({ line }) => line.date?.toISOString().slice(0, 10)],
+    ["Booking Reference", ({ line }) => line.bookingReference],
+    ["Kind", ({ line }) => line.kind],
+    ["Description", ({ line }) => line.description],
+    ["Category", ({ line }) => line.category],
+    ["Revenue", ({ line }) => line.kind === "tip" ? "" : line.revenue],
+    ["Rate", ({ line }) => line.kind === "tip" ? "" : line.rate],
+    ["Amount", ({ line }) => line.amount]
+];
+
+// Sort tiers by revenue so they can be checked and applied in order
+const sortTiers = (tiers = []) =>
+    tiers
+        .map(tier => ({ minRevenue: parseFloat(tier.minRevenue), rate: parseFloat(tier.rate) }))
+        .sort((a, b) => a.minRevenue - b.minRevenue);
+
+// Find a payroll period or fail
+const findPayrollPeriod = async (periodId) => {
+    const period = await PayrollPeriod.findById(periodId);
+    if (!period) {
+        throw new ApiError(404, "Payroll period not found");
+    }
+    return period;
+};
+
+// Get commission rules, salon-wide ones first (Admin only)
+export const getCommissionRules = asyncHandler(async (req, res) => {
+    const { stylistId, category, isActive } = req.query;
+
+    const query = {};
+    if (stylistId) query.stylistId = stylistId;
+    if (category) query.category = category;
+    if (isActive !== undefined) query.isActive = isActive === "true";
+
+    const rules = await CommissionRule.find(query)
+        .populate("stylistId", "name email")
+        .sort({ stylistId: 1, category: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, rules, "Commission rules retrieved successfully")
+    );
+});
+
+// Create a commission rule for a stylist, or salon-wide when no stylist is given (Admin only)
+export const createCommissionRule = asyncHandler(async (req, res) => {
+    const { stylistId = null, category, type, rate, notes } = req.body;
+    const tiers = type === "tiered" ? sortTiers(req.body.tiers) : [];
+
+    const ruleError = getCommissionRuleError({ type, rate, tiers });
+    if (ruleError) {
+        throw new ApiError(400, ruleError);
+    }
+
+    if (stylistId && !await Stylist.exists({ _id: stylistId })) {
+        throw new ApiError(404, "Stylist not found");
+    }
+    if (await CommissionRule.exists({ stylistId, category })) {
+        throw new ApiError(409, `A ${category} commission rule already exists for ${stylistId ? "this stylist" : "the salon"}`);
+    }
+
+    const rule = await CommissionRule.create({
+        stylistId,
+        category,
+        type,
+        rate: type === "flat" ? rate : undefined,
+        tiers,
+        notes,
+        updatedBy: req.user._id
+    });
+    await rule.populate("stylistId", "name email");
+
+    res.status(201).json(
+        new ApiResponse(201, rule, "Commission rule created successfully")
+    );
+});
+
+// Change a commission rule's rates or turn it on or off (Admin only)
+export const updateCommissionRule = asyncHandler(async (req, res) => {
+    const rule = await CommissionRule.findById(req.params.ruleId);
+    if (!rule) {
+        throw new ApiError(404, "Commission rule not found");
+    }
+
+    const { type, rate, tiers, isActive, notes } = req.body;
+    if (type !== undefined) rule.type = type;
+    if (rate !== undefined) rule.rate = rate;
+    if (tiers !== undefined) rule.tiers = sortTiers(tiers);
+    if (isActive !== undefined) rule.isActive = isActive;
+    if (notes !== undefined) rule.notes = notes;
+
+    // Rates left over from the other type would only confuse later reads
+    if (rule.type === "flat") {
+        rule.tiers = [];
+    } else {
+        rule.rate = undefined;
+    }
+
+    const ruleError = getCommissionRuleError(rule);
+    if (ruleError) {
+        throw new ApiError(400, ruleError);
+    }
+
+    rule.updatedBy = req.user._id;
+    await rule.save();
+    await rule.populate("stylistId", "name email");
+
+    res.status(200).json(
+        new ApiResponse(200, rule, "Commission rule updated successfully")
+    );
+});
+
+// Delete a commission rule; statements already generated keep the rates they used (Admin only)
+export const deleteCommissionRule = asyncHandler(async (req, res) => {
+    const rule = await CommissionRule.findByIdAndDelete(req.params.ruleId);
+    if (!rule) {
+        throw new ApiError(404, "Commission rule not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Commission rule deleted successfully")
+    );
+});
+
+// Get pay periods, most recent first (Admin only)
+export const getPayrollPeriods = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+
+    const periods = await PayrollPeriod.find(query)
+        .populate("generatedBy", "name email")
+        .populate("finalisedBy", "name email")
+        .sort({ startDate: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await PayrollPeriod.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            periods,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalPeriods: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Payroll periods retrieved successfully")
+    );
+});
+
+// Open a pay period and generate its statements (Admin only)
+export const createPayrollPeriod = asyncHandler(async (req, res) => {
+    const startDate = getDayRange(req.body.startDate).start;
+    const endDate = getDayRange(req.body.endDate).start;
+
+    const periodError = getPayPeriodError(startDate, endDate);
+    if (periodError) {
+        throw new ApiError(400, periodError);
+    }
+
+    // Every day is paid in exactly one period
+    const overlapping = await PayrollPeriod.findOne({
+        startDate: { $lte: endDate },
+        endDate: { $gte: startDate }
+    });
+    if (overlapping) {
+        throw new ApiError(409, `Overlaps the payroll period from ${overlapping.startDate.toISOString().slice(0, 10)} to ${overlapping.endDate.toISOString().slice(0, 10)}`);
+    }
+
+    const period = await PayrollPeriod.create({
+        startDate,
+        endDate,
+        notes: req.body.notes
+    });
+    const generated = await generatePayrollStatements(period, { generatedBy: req.user._id });
+
+    logger.info('Payroll period created', {
+        periodId: period._id,
+        startDate,
+        endDate,
+        stylistCount: generated.period.stylistCount,
+        totalPayout: generated.period.totals.totalPayout,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, {
+            period: generated.period,
+            statements: generated.statements.map(statement => ({ ...statement.toObject(), lines: undefined }))
+        }, "Payroll period created successfully")
+    );
+});
+
+// Get a pay period with each stylist's totals (Admin only)
+export const getPayrollPeriod = asyncHandler(async (req, res) => {
+    const period = await findPayrollPeriod(req.params.periodId);
+    await period.populate([
+        { path: "generatedBy", select: "name email" },
+        { path: "finalisedBy", select: "name email" }
+    ]);
+
+    const statements = await PayrollStatement.find({ periodId: period._id })
+        .select("-lines")
+        .sort({ totalPayout: -1 });
+
+    res.status(200).json(
+        new ApiResponse(200, { period, statements }, "Payroll period retrieved successfully")
+    );
+});
+
+// Regenerate a draft pay period's statements from the latest appointments, tips and rules (Admin only)
+export const regeneratePayrollPeriod = asyncHandler(async (req, res) => {
+    const period = await findPayrollPeriod(req.params.periodId);
+    if (period.status === "finalised") {
+        throw new ApiError(400, "Payroll period is finalised and cannot be regenerated");
+    }
+
+    const generated = await generatePayrollStatements(period, { generatedBy: req.user._id });
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            period: generated.period,
+            statements: generated.statements.map(statement => ({ ...statement.toObject(), lines: undefined }))
+        }, "Payroll period regenerated successfully")
+    );
+});
+
+// Finalise a pay period once it has ended; its statements are locked from then on (Admin only)
+export const finalisePayrollPeriod = asyncHandler(async (req, res) => {
+    const period = await findPayrollPeriod(req.params.periodId);
+    if (period.status === "finalised") {
+        throw new ApiError(400, "Payroll period is already finalised");
+    }
+    if (getDayRange(period.endDate).end > new Date()) {
+        throw new ApiError(400, "A payroll period can only be finalised after it ends");
+    }
+
+    // Only a draft can be finalised, so this cannot race a regeneration into a locked period
+    const finalised = await PayrollPeriod.findOneAndUpdate(
+        { _id: period._id, status: "draft" },
+        { $set: { status: "finalised", finalisedAt: new Date(), finalisedBy: req.user._id } },
+        { new: true }
+    );
+    if (!finalised) {
+        throw new ApiError(400, "Payroll period is already finalised");
+    }
+
+    logger.info('Payroll period finalised', {
+        periodId: finalised._id,
+        totalPayout: finalised.totals.totalPayout,
+        finalisedBy: req.user._id
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, finalised, "Payroll period finalised successfully")
+    );
+});
+
+// Delete a draft pay period and its statements (Admin only)
+export const deletePayrollPeriod = asyncHandler(async (req, res) => {
+    const period = await PayrollPeriod.findOneAndDelete({ _id: req.params.periodId, status: "draft" });
+    if (!period) {
+        if (await PayrollPeriod.exists({ _id: req.params.periodId })) {
+            throw new ApiError(400, "A finalised payroll period cannot be deleted");
+        }
+        throw new ApiError(404, "Payroll period not found");
+    }
+
+    await PayrollStatement.deleteMany({ periodId: period._id });
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Payroll period deleted successfully")
+    );
+});
+
+// Get one stylist's statement for a pay period, line by line (Admin only)
+export const getPayrollStatement = asyncHandler(async (req, res) => {
+    const period = await findPayrollPeriod(req.params.periodId);
+
+    const statement = await PayrollStatement.findOne({ periodId: period._id, stylistId: req.params.stylistId })
+        .populate("stylistId", "name email phone")
+        .populate("lines.ruleId", "stylistId category type");
+    if (!statement) {
+        throw new ApiError(404, "No statement for this stylist in the payroll period");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, { period, statement }, "Payroll statement retrieved successfully")
+    );
+});
+
+// Export a pay period as CSV: one row per stylist, or one row per line with view=lines (Admin only)
+export const exportPayrollPeriod = asyncHandler(async (req, res) => {
+    const period = await findPayrollPeriod(req.params.periodId);
+    const view = req.query.view === "lines" ? "lines" : "summary";
+
+    const statements = await PayrollStatement.find({ periodId: period._id }).sort({ stylistName: 1 });
+
+    const range = `${period.startDate.toISOString().slice(0, 10)}-to-${period.endDate.toISOString().slice(0, 10)}`;
+    const filename = `payroll-${range}${view === "lines" ? "-lines" : ""}${period.status === "draft" ? "-draft" : ""}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+    if (view === "lines") {
+        res.write(toCsvHeader(LINE_CSV_COLUMNS));
+        for (const statement of statements) {
+            for (const line of statement.lines) {
+                res.write(toCsvRow(LINE_CSV_COLUMNS, { statement, line }));
+            }
+        }
+    } else {
+        res.write(toCsvHeader(SUMMARY_CSV_COLUMNS));
+        for (const statement of statements) {
+            res.write(toCsvRow(SUMMARY_CSV_COLUMNS, statement));
+        }
+    }
+    res.end();
+});
@@ -0,0 +1,349 @@
+import crypto from "crypto";
+import mongoose from "mongoose";
+import { Appointment } from "../models/appointment.model.js";
+import { Membership } from "../models/membership.model.js";
+import { Transaction } from "../models/transaction.model.js";
+import { Stylist } from "../models/stylist.model.js";
+import { User } from "../models/user.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { BLOCKING_STATUSES, getDayRange, getSalonClock } from "../utils/availability.js";
+import { applyCounterPayment, getAmountDue } from "../utils/appointmentPayment.js";
+import { transitionAppointment } from "../utils/appointmentStatus.js";
+import { buildVisitLines, resolveOfferDiscount } from "../utils/visitPricing.js";
+import { REVENUE_STATUSES, recordTipTransaction, recordTransaction } from "../utils/transactions.js";
+import { issueInvoiceQuietly } from "../utils/invoices.js";
+import { applyTipPayment, buildTipAllocations } from "../utils/tips.js";
+import { buildReceipt, buildRetailItems, getSplitPaymentError } from "../utils/pos.js";
+import {
+    getMembershipUseError,
+    getVisitBenefit,
+    useMembershipVisit
+} from "../utils/membershipBenefits.js";
+
+// Next step from each open status on the way to completed
+const CHECKOUT_PATH = {
+    pending: "confirmed",
+    confirmed: "in_progress",
+    rescheduled: "in_progress",
+    in_progress: "completed"
+};
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Find a walk-in customer by ID, email or phone, registering them if they are new
+const findOrCreateWalkInCustomer = async ({ userId, name, email, phone }, { session }) => {
+    if (userId) {
+        const user = await User.findById(userId).session(session);
+        if (!user) {
+            throw new ApiError(404, "Customer not found");
+        }
+        return user;
+    }
+
+    const lookup = [];
+    if (email) lookup.push({ email: email.toLowerCase() });
+    if (phone) lookup.push({ phone });
+    const existingUser = lookup.length > 0 ? await User.findOne({ $or: lookup }).session(session) : null;
+    if (existingUser) {
+        return existingUser;
+    }
+
+    if (!name || !email) {
+        throw new ApiError(400, "Name and email are required to register a walk-in customer");
+    }
+
+    // Walk-ins get an unusable password; they can set one through password reset
+    const [user] = await User.create([{
+        name,
+        email,
+        phone,
+        password: crypto.randomBytes(24).toString("hex"),
+        role: "customer"
+    }], { session });
+    return user;
+};
+
+// Load the charges taken for an appointment and build its receipt
+const getAppointmentReceipt = async (appointment) => {
+    const charges = await Transaction.find({
+        appointmentId: appointment._id,
+        type: "charge",
+        status: { $in: REVENUE_STATUSES }
+    }).sort({ occurredAt: 1 });
+
+    await appointment.populate("userId", "name email phone");
+    return buildReceipt(appointment, charges);
+};
+
+// Look up a customer at the counter with their usable memberships and today's open visits (Admin only)
+export const findPosCustomer = asyncHandler(async (req, res) => {
+    const { email, phone } = req.query;
+
+    const lookup = [];
+    if (email) lookup.push({ email: email.toLowerCase() });
+    if (phone) lookup.push({ phone });
+    if (lookup.length === 0) {
+        throw new ApiError(400, "Provide an email or phone number");
+    }
+
+    const customer = await User.findOne({ $or: lookup }).select("name email phone role isActive");
+    if (!customer) {
+        throw new ApiError(404, "Customer not found");
+    }
+
+    const memberships = (await Membership.getActiveMemberships(customer._id))
+        .filter(membership => !getMembershipUseError(membership));
+
+    const { start, end } = getDayRange(getSalonClock().date);
+    const openAppointments = await Appointment.find({
+        userId: customer._id,
+        date: { $gte: start, $lt: end },
+        status: { $in: BLOCKING_STATUSES }
+    })
+        .populate("services.serviceId", "name price duration category")
+        .sort({ timeSlot: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, { customer, memberships, openAppointments }, "Customer retrieved successfully")
+    );
+});
+
+// Check out a visit at the counter: add services and retail, apply discounts, take payment and complete (Admin only)
+export const posCheckout = asyncHandler(async (req, res) => {
+    const {
+        appointmentId,
+        customer,
+        services = [],
+        retailItems = [],
+        offerCode,
+        membershipId,
+        payments = [],
+        tip,
+        notes
+    } = req.body;
+    const adminId = req.user._id;
+
+    if (!appointmentId && !customer) {
+        throw new ApiError(400, "Provide an appointment or a walk-in customer");
+    }
+    if (!appointmentId && services.length === 0) {
+        throw new ApiError(400, "At least one service is required for a walk-in");
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let appointment;
+    let paidTip = null;
+    try {
+        const checkedOutAt = new Date();
+
+        if (appointmentId) {
+            appointment = await Appointment.findById(appointmentId).session(session);
+            if (!appointment) {
+                throw new ApiError(404, "Appointment not found");
+            }
+            if (!BLOCKING_STATUSES.includes(appointment.status)) {
+                throw new ApiError(400, `Cannot check out a ${appointment.status} appointment`);
+            }
+        } else {
+            // Walk-ins are served on the spot, so the visit starts in progress at the salon's current time
+            const user = await findOrCreateWalkInCustomer(customer, { session });
+            const salonClock = getSalonClock(checkedOutAt);
+            appointment = new Appointment({
+                userId: user._id,
+                channel: "pos",
+                date: salonClock.date,
+                timeSlot: salonClock.timeSlot,
+                location: "salon",
+                status: "in_progress",
+                statusHistory: [{
+                    status: "in_progress",
+                    changedAt: checkedOutAt,
+                    changedBy: adminId,
+                    reason: "Walk-in checked in at the counter"
+                }],
+                services: []
+            });
+        }
+
+        // Services added at the counter are performed during this visit
+        if (services.length > 0) {
+            const lines = await buildVisitLines(services, { location: appointment.location, session });
+            for (const lineStylistId of new Set(lines.filter(line => line.stylistId).map(line => line.stylistId.toString()))) {
+                const stylist = await Stylist.findById(lineStylistId).session(session);
+                if (!stylist || !stylist.isActive) {
+                    throw new ApiError(400, "Selected stylist is not available");
+                }
+            }
+            appointment.services.push(...lines);
+            appointment.estimatedDuration = (appointment.estimatedDuration || 0) +
+                lines.reduce((total, line) => total + line.duration, 0);
+            if (!appointment.serviceId) {
+                appointment.serviceId = lines[0].serviceId;
+                appointment.stylistId = lines[0].stylistId;
+            }
+        }
+        appointment.subtotal = roundAmount(appointment.services.reduce((total, line) => total + line.price, 0));
+
+        // Offer codes discount the services they cover, once per visit
+        let appliedOffer = null;
+        if (offerCode) {
+            if (appointment.offerCode) {
+                throw new ApiError(400, `Offer ${appointment.offerCode} is already applied to this visit`);
+            }
+            const { offer, discount } = await resolveOfferDiscount(offerCode, appointment.services, { session });
+            appliedOffer = offer;
+            appointment.offerCode = offer.code;
+            appointment.offerDiscount = roundAmount(discount);
+        }
+        const serviceAmount = Math.max(0, appointment.subtotal - (appointment.offerDiscount || 0));
+
+        // A membership covers its included services, takes its tier discount off the rest and uses one of its visits
+        let membership = null;
+        if (membershipId) {
+            if (appointment.membershipId) {
+                throw new ApiError(400, "A membership is already applied to this visit");
+            }
+            membership = await Membership.findOne({ _id: membershipId, userId: appointment.userId }).session(session);
+            if (!membership) {
+                throw new ApiError(404, "Membership not found for this customer");
+            }
+            const membershipError = getMembershipUseError(membership);
+            if (membershipError) {
+                throw new ApiError(400, membershipError);
+            }
+
+            const benefit = getVisitBenefit(membership, appointment.services, serviceAmount);
+            appointment.membershipId = membership._id;
+            appointment.membershipDiscount = benefit.discount;
+            appointment.membershipEntitlements = benefit.entitlements;
+
+            await useMembershipVisit(membership, appointment.membershipDiscount, {
+                at: checkedOutAt,
+                session,
+                entitlements: benefit.entitlements
+            });
+        }
+
+        // Retail lines sold with the visit
+        appointment.retailItems.push(...buildRetailItems(retailItems));
+        appointment.retailTotal = roundAmount(appointment.retailItems.reduce((total, item) => total + item.amount, 0));
+
+        appointment.totalPrice = roundAmount(serviceAmount - (appointment.membershipDiscount || 0) + appointment.retailTotal);
+
+        // Split payments must settle the visit in full
+        const paymentError = getSplitPaymentError(payments, getAmountDue(appointment));
+        if (paymentError) {
+            throw new ApiError(400, paymentError);
+        }
+        for (const payment of payments) {
+            applyCounterPayment(appointment, parseFloat(payment.amount));
+        }
+
+        // Close the visit through its regular status transitions
+        while (appointment.status !== "completed") {
+            transitionAppointment(appointment, CHECKOUT_PATH[appointment.status], {
+                actor: adminId,
+                reason: "Checked out at the counter",
+                at: checkedOutAt
+            });
+        }
+
+        // A tip taken with the payment goes to the stylists who served the visit
+        if (tip) {
+            const tipAmount = roundAmount(parseFloat(tip.amount));
+            const allocation = buildTipAllocations(appointment, tipAmount, tip.allocations);
+            if (allocation.error) {
+                throw new ApiError(400, allocation.error);
+            }
+            appointment.tips.push({
+                amount: tipAmount,
+                method: tip.method,
+                allocations: allocation.allocations,
+                reference: tip.reference,
+                addedBy: adminId
+            });
+            paidTip = appointment.tips[appointment.tips.length - 1];
+            applyTipPayment(appointment, paidTip);
+        }
+
+        if (notes) {
+            appointment.notes = notes.trim();
+        }
+        appointment.checkedOutAt = checkedOutAt;
+        appointment.checkedOutBy = adminId;
+        await appointment.save({ session });
+
+        if (appliedOffer) {
+            appliedOffer.usedCount += 1;
+            await appliedOffer.save({ session });
+        }
+
+        await session.commitTransaction();
+    } catch (error) {
+        await session.abortTransaction();
+        throw error;
+    } finally {
+        session.endSession();
+    }
+
+    // Each split payment goes into the transactions ledger
+    for (const [index, payment] of payments.entries()) {
+        await recordTransaction({
+            idempotencyKey: `charge:pos:${appointment._id}:${index}`,
+            type: "charge",
+            method: payment.method,
+            source: "counter",
+            amount: parseFloat(payment.amount),
+            reference: payment.reference,
+            userId: appointment.userId,
+            appointmentId: appointment._id,
+            description: `Checkout payment (${appointment.bookingReference})`,
+            recordedBy: adminId,
+            occurredAt: appointment.checkedOutAt
+        });
+    }
+
+    if (paidTip) {
+        await recordTipTransaction(appointment, paidTip, { recordedBy: adminId });
+    }
+
+    const receipt = await getAppointmentReceipt(appointment);
+    const invoice = await issueInvoiceQuietly("appointment", appointment, { issuedBy: adminId });
+
+    logger.info('POS checkout completed', {
+        appointmentId: appointment._id,
+        bookingReference: appointment.bookingReference,
+        walkIn: !appointmentId,
+        total: appointment.totalPrice,
+        payments: payments.map(payment => ({ method: payment.method, amount: payment.amount })),
+        tip: paidTip?.amount,
+        checkedOutBy: adminId
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, { appointment, receipt, invoice }, "Checkout completed successfully")
+    );
+});
+
+// Get the receipt for a checked out visit (Admin only)
+export const getPosReceipt = asyncHandler(async (req, res) => {
+    const appointment = await Appointment.findById(req.params.appointmentId);
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+    if (appointment.status !== "completed") {
+        throw new ApiError(400, "A receipt is available once the visit is completed");
+    }
+
+    const receipt = await getAppointmentReceipt(appointment);
+
+    res.status(200).json(
+        new ApiResponse(200, receipt, "Receipt retrieved successfully")
+    );
+});
@@ -0,0 +1,76 @@
+import { ReconciliationReport } from "../models/reconciliationReport.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDayRange } from "../utils/availability.js";
+import { getRazorpayClient } from "../utils/razorpay.js";
+import { runPaymentReconciliation } from "../utils/paymentReconciliation.js";
+
+const reportPopulate = [
+    { path: "triggeredBy", select: "name email" },
+    { path: "items.membershipId", select: "packageName membershipStatus paymentStatus amountPaid" },
+    { path: "items.userId", select: "name email phone" }
+];
+
+// Get reconciliation runs, newest first; items are left out of the list (Admin only)
+export const getReconciliationReports = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, trigger, outcome, from, to } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+    if (outcome) query["items.outcome"] = outcome;
+    if (from || to) {
+        query.startedAt = {};
+        if (from) query.startedAt.$gte = getDayRange(from).start;
+        if (to) query.startedAt.$lt = getDayRange(to).end;
+    }
+
+    const reports = await ReconciliationReport.find(query)
+        .select("-items")
+        .populate("triggeredBy", "name email")
+        .sort({ startedAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await ReconciliationReport.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            reports,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalReports: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Reconciliation reports retrieved successfully")
+    );
+});
+
+// Get a reconciliation run with the memberships it checked (Admin only)
+export const getReconciliationReport = asyncHandler(async (req, res) => {
+    const report = await ReconciliationReport.findById(req.params.reportId).populate(reportPopulate);
+    if (!report) {
+        throw new ApiError(404, "Reconciliation report not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, report, "Reconciliation report retrieved successfully")
+    );
+});
+
+// Run reconciliation now instead of waiting for the schedule (Admin only)
+export const runReconciliation = asyncHandler(async (req, res) => {
+    if (!getRazorpayClient()) {
+        throw new ApiError(503, "Razorpay service not configured");
+    }
+
+    const report = await runPaymentReconciliation({ trigger: "manual", triggeredBy: req.user._id });
+    await report.populate(reportPopulate);
+
+    res.status(201).json(
+        new ApiResponse(201, report, "Reconciliation completed")
+    );
+});
@@ -0,0 +1,102 @@
+import mongoose from "mongoose";
+import { Refund } from "../models/refund.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDayRange } from "../utils/availability.js";
+import { retryRefund } from "../utils/refunds.js";
+
+const refundPopulate = [
+    { path: "userId", select: "name email phone" },
+    { path: "initiatedBy", select: "name email" },
+    { path: "targetId", select: "bookingReference packageName date timeSlot totalPrice amountPaid amountRefunded paymentStatus" }
+];
+
+// Get the refunds ledger with totals (Admin only)
+export const getRefunds = asyncHandler(async (req, res) => {
+    const { status, targetType, source, userId, from, to, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (targetType) query.targetType = targetType;
+    if (source) query.source = source;
+    if (userId) query.userId = new mongoose.Types.ObjectId(userId);
+    if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = getDayRange(from).start;
+        if (to) query.createdAt.$lt = getDayRange(to).end;
+    }
+
+    const refunds = await Refund.find(query)
+        .populate(refundPopulate)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Refund.countDocuments(query);
+
+    // Totals per status across the whole filtered ledger
+    const totalsByStatus = await Refund.aggregate([
+        { $match: query },
+        { $group: { _id: "$status", amount: { $sum: "$amount" }, count: { $sum: 1 } } }
+    ]);
+    const totals = totalsByStatus.reduce((summary, item) => {
+        summary[item._id] = { amount: item.amount, count: item.count };
+        return summary;
+    }, {});
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            refunds,
+            totals,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalRefunds: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Refunds retrieved successfully")
+    );
+});
+
+// Get a single refund (Admin only)
+export const getRefund = asyncHandler(async (req, res) => {
+    const refund = await Refund.findById(req.params.refundId).populate(refundPopulate);
+    if (!refund) {
+        throw new ApiError(404, "Refund not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, refund, "Refund retrieved successfully")
+    );
+});
+
+// Retry a failed refund (Admin only)
+export const retryFailedRefund = asyncHandler(async (req, res) => {
+    const refund = await Refund.findById(req.params.refundId);
+    if (!refund) {
+        throw new ApiError(404, "Refund not found");
+    }
+    if (refund.status !== "failed") {
+        throw new ApiError(400, `Only failed refunds can be retried; this refund is ${refund.status}`);
+    }
+
+    const target = await mongoose.model(refund.targetModel).findById(refund.targetId);
+    if (!target) {
+        throw new ApiError(404, `Refunded ${refund.targetType} no longer exists`);
+    }
+
+    refund.initiatedBy = req.user._id;
+    const accepted = await retryRefund(refund, target);
+    if (!accepted) {
+        throw new ApiError(400, refund.failureReason || "Refund failed again");
+    }
+    await target.save();
+
+    await refund.populate(refundPopulate);
+
+    res.status(200).json(
+        new ApiResponse(200, refund, "Refund issued successfully")
+    );
+});
@@ -0,0 +1,161 @@
+import { BusinessHours } from "../models/businessHours.model.js";
+import { Holiday } from "../models/holiday.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { getDayRange } from "../utils/availability.js";
+
+const weekDays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Get the salon's weekly business hours (Public)
+export const getBusinessHours = asyncHandler(async (req, res) => {
+    const configuredDays = await BusinessHours.find({});
+
+    // Return every weekday; days without configuration are unrestricted
+    const businessHours = weekDays.map(dayOfWeek => {
+        const day = configuredDays.find(item => item.dayOfWeek === dayOfWeek);
+        return day
+            ? { dayOfWeek, isConfigured: true, isClosed: day.isClosed, openTime: day.openTime, closeTime: day.closeTime }
+            : { dayOfWeek, isConfigured: false, isClosed: false, openTime: null, closeTime: null };
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, businessHours, "Business hours retrieved successfully")
+    );
+});
+
+// Set business hours for one or more weekdays (Admin only)
+export const setBusinessHours = asyncHandler(async (req, res) => {
+    const { days } = req.body;
+
+    const duplicates = days.map(day => day.dayOfWeek)
+        .filter((dayOfWeek, index, all) => all.indexOf(dayOfWeek) !== index);
+    if (duplicates.length > 0) {
+        throw new ApiError(400, `Duplicate day in business hours: ${duplicates[0]}`);
+    }
+
+    const updatedDays = [];
+    for (const { dayOfWeek, isClosed = false, openTime, closeTime } of days) {
+        const day = await BusinessHours.findOne({ dayOfWeek }) || new BusinessHours({ dayOfWeek });
+        day.set({
+            isClosed,
+            openTime: isClosed ? undefined : openTime,
+            closeTime: isClosed ? undefined : closeTime,
+            updatedBy: req.user._id
+        });
+        updatedDays.push(day);
+    }
+
+    // Validate every day before saving any of them
+    await Promise.all(updatedDays.map(day => day.validate()));
+    await Promise.all(updatedDays.map(day => day.save()));
+
+    res.status(200).json(
+        new ApiResponse(200, updatedDays, "Business hours updated successfully")
+    );
+});
+
+// Remove the business hours of a weekday, lifting the salon restriction (Admin only)
+export const deleteBusinessHours = asyncHandler(async (req, res) => {
+    const { dayOfWeek } = req.params;
+
+    const day = await BusinessHours.findOneAndDelete({ dayOfWeek });
+    if (!day) {
+        throw new ApiError(404, "Business hours not configured for this day");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Business hours removed successfully")
+    );
+});
+
+// Get holidays and special days, optionally within a date range (Public)
+export const getHolidays = asyncHandler(async (req, res) => {
+    const { from, to } = req.query;
+
+    const query = { isActive: true };
+    if (from || to) {
+        query.date = {};
+        if (from) query.date.$gte = getDayRange(from).start;
+        if (to) query.date.$lt = getDayRange(to).end;
+    } else {
+        // Default to upcoming holidays
+        query.date = { $gte: getDayRange(new Date()).start };
+    }
+
+    const holidays = await Holiday.find(query).sort({ date: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, holidays, "Holidays retrieved successfully")
+    );
+});
+
+// Create holiday or special day (Admin only)
+export const createHoliday = asyncHandler(async (req, res) => {
+    const { name, date, isClosed, openTime, closeTime, notes } = req.body;
+
+    const existingHoliday = await Holiday.findOne({ date: getDayRange(date).start });
+    if (existingHoliday) {
+        throw new ApiError(409, "A holiday already exists on this date");
+    }
+
+    const holiday = await Holiday.create({
+        name,
+        date,
+        isClosed,
+        openTime,
+        closeTime,
+        notes,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, holiday, "Holiday created successfully")
+    );
+});
+
+// Update holiday (Admin only)
+export const updateHoliday = asyncHandler(async (req, res) => {
+    const { holidayId } = req.params;
+    const updateData = req.body;
+
+    const holiday = await Holiday.findById(holidayId);
+    if (!holiday) {
+        throw new ApiError(404, "Holiday not found");
+    }
+
+    if (updateData.date) {
+        const existingHoliday = await Holiday.findOne({
+            date: getDayRange(updateData.date).start,
+            _id: { $ne: holidayId }
+        });
+        if (existingHoliday) {
+            throw new ApiError(409, "A holiday already exists on this date");
+        }
+    }
+
+    ["name", "date", "isClosed", "openTime", "closeTime", "notes", "isActive"].forEach(field => {
+        if (updateData[field] !== undefined) {
+            holiday[field] = updateData[field];
+        }
+    });
+    await holiday.save();
+
+    res.status(200).json(
+        new ApiResponse(200, holiday, "Holiday updated successfully")
+    );
+});
+
+// Delete holiday (Admin only)
+export const deleteHoliday = asyncHandler(async (req, res) => {
+    const { holidayId } = req.params;
+
+    const holiday = await Holiday.findByIdAndDelete(holidayId);
+    if (!holiday) {
+        throw new ApiError(404, "Holiday not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Holiday deleted successfully")
+    );
+});
@@ -213,7 +213,9 @@ export const createService = asyncHandler(async (req, res) => {
         availableAtHome,
         availableAtSalon,
         isFeatured,
-        sortOrder
+        sortOrder,
+        sacCode,
+        gstRate
     } = req.body;
 
     // Check if service with same name already exists
@@ -266,7 +268,9 @@ export const createService = asyncHandler(async (req, res) => {
         availableAtHome: availableAtHome || false,
         availableAtSalon: availableAtSalon !== undefined ? availableAtSalon : true,
         isFeatured: isFeatured || false,
-        sortOrder: sortOrder || 0
+        sortOrder: sortOrder || 0,
+        sacCode,
+        gstRate
     });
 
     res.status(201).json(
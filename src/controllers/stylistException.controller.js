@@ -0,0 +1,151 @@
+import { StylistException } from "../models/stylistException.model.js";
+import { Stylist } from "../models/stylist.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import {
+    getDayRange,
+    getExceptionRangeFilter,
+    loadSalonCalendar,
+    loadStylistExceptions,
+    resolveStylistDaySchedule
+} from "../utils/availability.js";
+
+const exceptionFields = [
+    "type",
+    "reason",
+    "daysOfWeek",
+    "startTime",
+    "endTime",
+    "startDate",
+    "endDate",
+    "date",
+    "isDayOff",
+    "workingHours",
+    "isActive"
+];
+
+// Pick the exception fields present in the request body
+const pickExceptionFields = (body) => {
+    return exceptionFields.reduce((fields, field) => {
+        if (body[field] !== undefined) {
+            fields[field] = body[field];
+        }
+        return fields;
+    }, {});
+};
+
+// Create a break, leave or override for a stylist (Admin only)
+export const createStylistException = asyncHandler(async (req, res) => {
+    const { stylistId } = req.params;
+
+    const stylist = await Stylist.findById(stylistId);
+    if (!stylist) {
+        throw new ApiError(404, "Stylist not found");
+    }
+
+    const exception = await StylistException.create({
+        ...pickExceptionFields(req.body),
+        stylistId,
+        createdBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, exception, "Stylist exception created successfully")
+    );
+});
+
+// Get a stylist's exceptions, optionally filtered by type and date range (Admin only)
+export const getStylistExceptions = asyncHandler(async (req, res) => {
+    const { stylistId } = req.params;
+    const { type, from, to, isActive } = req.query;
+
+    const query = { stylistId };
+    if (type) query.type = type;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    // Keep only exceptions that touch the requested range
+    if (from || to) {
+        const rangeStart = from ? getDayRange(from).start : new Date(0);
+        const rangeEnd = to ? getDayRange(to).end : new Date(8640000000000000);
+        Object.assign(query, getExceptionRangeFilter(rangeStart, rangeEnd));
+    }
+
+    const exceptions = await StylistException.find(query)
+        .sort({ type: 1, date: 1, startDate: 1, startTime: 1 });
+
+    res.status(200).json(
+        new ApiResponse(200, exceptions, "Stylist exceptions retrieved successfully")
+    );
+});
+
+// Update a stylist exception (Admin only)
+export const updateStylistException = asyncHandler(async (req, res) => {
+    const { stylistId, exceptionId } = req.params;
+
+    const exception = await StylistException.findOne({ _id: exceptionId, stylistId });
+    if (!exception) {
+        throw new ApiError(404, "Stylist exception not found");
+    }
+
+    // Save through the document so the per-type validation runs on the merged result
+    exception.set(pickExceptionFields(req.body));
+    await exception.save();
+
+    res.status(200).json(
+        new ApiResponse(200, exception, "Stylist exception updated successfully")
+    );
+});
+
+// Delete a stylist exception (Admin only)
+export const deleteStylistException = asyncHandler(async (req, res) => {
+    const { stylistId, exceptionId } = req.params;
+
+    const exception = await StylistException.findOneAndDelete({ _id: exceptionId, stylistId });
+    if (!exception) {
+        throw new ApiError(404, "Stylist exception not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Stylist exception deleted successfully")
+    );
+});
+
+// Get a stylist's effective schedule for each day in a range (Admin only)
+export const getStylistSchedule = asyncHandler(async (req, res) => {
+    const { stylistId } = req.params;
+    const { from, to } = req.query;
+
+    const stylist = await Stylist.findById(stylistId);
+    if (!stylist) {
+        throw new ApiError(404, "Stylist not found");
+    }
+
+    const startDate = getDayRange(from || new Date()).start;
+    const endDate = to ? getDayRange(to).start : new Date(startDate);
+    if (!to) {
+        endDate.setUTCDate(endDate.getUTCDate() + 6);
+    }
+
+    const rangeDays = Math.round((endDate - startDate) / (24 * 60 * 60 * 1000)) + 1;
+    if (rangeDays < 1 || rangeDays > 62) {
+        throw new ApiError(400, "Schedule range must be between 1 and 62 days");
+    }
+
+    const [exceptions, salonCalendar] = await Promise.all([
+        loadStylistExceptions(stylist._id, startDate, endDate),
+        loadSalonCalendar(startDate, endDate)
+    ]);
+
+    const schedule = [];
+    for (let date = new Date(startDate); date <= endDate; date.setUTCDate(date.getUTCDate() + 1)) {
+        schedule.push({
+            date: date.toISOString().split('T')[0],
+            ...resolveStylistDaySchedule(stylist, date, exceptions, salonCalendar)
+        });
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, { stylistId, schedule }, "Stylist schedule retrieved successfully")
+    );
+});
@@ -0,0 +1,238 @@
+import mongoose from "mongoose";
+import { Appointment } from "../models/appointment.model.js";
+import { Stylist } from "../models/stylist.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { getDayRange } from "../utils/availability.js";
+import { createRazorpayOrder, verifyPaymentSignature } from "../utils/razorpay.js";
+import { recordTipTransaction } from "../utils/transactions.js";
+import { debitWallet } from "../utils/wallet.js";
+import {
+    ONLINE_TIP_METHODS,
+    applyTipPayment,
+    buildTipAllocations,
+    getStylistTipTotals,
+    getStylistTips,
+    getTipError,
+    settleTipPayment
+} from "../utils/tips.js";
+
+// Find an appointment the current user may tip on
+const findTippableAppointment = async (req) => {
+    const query = { _id: req.params.appointmentId };
+
+    // If not admin, only allow access to own appointments
+    if (req.user.role !== "admin") {
+        query.userId = req.user._id;
+    }
+
+    const appointment = await Appointment.findOne(query);
+    if (!appointment) {
+        throw new ApiError(404, "Appointment not found");
+    }
+    return appointment;
+};
+
+// Turn the report's from/to dates into a paidAt range
+const getReportRange = ({ from, to }) => ({
+    start: from ? getDayRange(from).start : undefined,
+    end: to ? getDayRange(to).end : undefined
+});
+
+// Add a tip to a completed appointment. Customers pay online or from their wallet;
+// staff can also record a tip taken at the counter
+export const addTip = asyncHandler(async (req, res) => {
+    const isAdmin = req.user.role === "admin";
+    const { amount, method = isAdmin ? "cash" : "razorpay", allocations = [], reference } = req.body;
+    const tipAmount = Math.round(parseFloat(amount) * 100) / 100;
+
+    if (!isAdmin && !ONLINE_TIP_METHODS.includes(method)) {
+        throw new ApiError(403, "Tips taken at the counter are recorded by staff");
+    }
+
+    const appointment = await findTippableAppointment(req);
+    const tipError = getTipError(appointment);
+    if (tipError) {
+        throw new ApiError(400, tipError);
+    }
+
+    const allocation = buildTipAllocations(appointment, tipAmount, allocations);
+    if (allocation.error) {
+        throw new ApiError(400, allocation.error);
+    }
+
+    const tipId = new mongoose.Types.ObjectId();
+    const tip = {
+        _id: tipId,
+        amount: tipAmount,
+        method,
+        allocations: allocation.allocations,
+        reference: ONLINE_TIP_METHODS.includes(method) ? undefined : reference,
+        addedBy: req.user._id
+    };
+
+    let order = null;
+    if (method === "razorpay") {
+        const receipt = `TIP_${appointment.bookingReference}_${Date.now().toString().slice(-6)}`;
+        const result = await createRazorpayOrder(tipAmount, "INR", receipt, {
+            type: "tip",
+            appointmentId: appointment._id.toString(),
+            userId: appointment.userId.toString()
+        });
+        if (!result.success) {
+            throw new ApiError(400, result.error);
+        }
+
+        order = result.order;
+        appointment.tips.push({ ...tip, razorpayOrderId: order.id });
+        await appointment.save();
+    } else if (method === "wallet") {
+        // Taking the balance and recording the tip happen together
+        const session = await mongoose.startSession();
+        session.startTransaction();
+
+        try {
+            await debitWallet(appointment.userId, tipAmount, {
+                source: "tip",
+                idempotencyKey: `tip:${tipId}`,
+                appointmentId: appointment._id,
+                description: `Tip (${appointment.bookingReference})`,
+                createdBy: req.user._id,
+                session
+            });
+
+            appointment.tips.push(tip);
+            applyTipPayment(appointment, appointment.tips.id(tipId));
+            await appointment.save({ session });
+            await session.commitTransaction();
+        } catch (error) {
+            await session.abortTransaction();
+            throw error;
+        } finally {
+            session.endSession();
+        }
+    } else {
+        appointment.tips.push(tip);
+        applyTipPayment(appointment, appointment.tips.id(tipId));
+        await appointment.save();
+    }
+
+    const savedTip = appointment.tips.id(tipId);
+    if (savedTip.status === "paid") {
+        await recordTipTransaction(appointment, savedTip, { recordedBy: req.user._id });
+    }
+
+    logger.info('Tip added', {
+        appointmentId: appointment._id,
+        tipId,
+        method,
+        amount: tipAmount,
+        status: savedTip.status,
+        addedBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, {
+            tip: savedTip,
+            tipTotal: appointment.tipTotal,
+            order,
+            key: order ? process.env.RAZORPAY_KEY_ID : undefined
+        }, order
+            ? "Tip order created successfully. Please complete payment."
+            : "Tip added successfully")
+    );
+});
+
+// Verify a Razorpay payment for a tip
+export const verifyTipPayment = asyncHandler(async (req, res) => {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = req.body;
+    const appointment = await findTippableAppointment(req);
+
+    const tip = appointment.tips.find(item => item.razorpayOrderId === razorpay_order_id);
+    if (!tip) {
+        throw new ApiError(404, "Tip order not found for this appointment");
+    }
+
+    // Verifying the same payment twice is a no-op
+    if (tip.status === "paid") {
+        return res.status(200).json(
+            new ApiResponse(200, { tip, tipTotal: appointment.tipTotal }, "Payment already verified")
+        );
+    }
+
+    const verification = verifyPaymentSignature(razorpay_order_id, razorpay_payment_id, razorpay_signature);
+    if (!verification.success) {
+        // Only a tip still open is marked failed; a webhook may have settled it meanwhile
+        await Appointment.updateOne(
+            { _id: appointment._id, tips: { $elemMatch: { _id: tip._id, status: "created" } } },
+            { $set: { "tips.$.status": "failed" } }
+        );
+        throw new ApiError(400, verification.message);
+    }
+
+    // A webhook may settle the same tip at the same time; only one of them counts it
+    const settled = await settleTipPayment(appointment, razorpay_order_id, {
+        razorpayPaymentId: razorpay_payment_id,
+        razorpaySignature: razorpay_signature,
+        recordedBy: req.user._id
+    });
+    if (!settled) {
+        const current = await Appointment.findById(appointment._id);
+        return res.status(200).json(
+            new ApiResponse(200, { tip: current.tips.id(tip._id), tipTotal: current.tipTotal }, "Payment already verified")
+        );
+    }
+
+    logger.info('Tip payment verified', {
+        appointmentId: appointment._id,
+        tipId: tip._id,
+        orderId: razorpay_order_id,
+        paymentId: razorpay_payment_id,
+        amount: settled.tip.amount
+    });
+
+    res.status(200).json(
+        new ApiResponse(200, { tip: settled.tip, tipTotal: settled.appointment.tipTotal }, "Payment verified successfully")
+    );
+});
+
+// Get tip totals per stylist for a period, for payroll (Admin only)
+export const getTipReport = asyncHandler(async (req, res) => {
+    const range = getReportRange(req.query);
+    const stylists = await getStylistTipTotals({ ...range, stylistId: req.query.stylistId });
+
+    const totalTips = Math.round(stylists.reduce((total, stylist) => total + stylist.totalTips, 0) * 100) / 100;
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            from: req.query.from,
+            to: req.query.to,
+            totalTips,
+            stylists
+        }, "Tip report retrieved successfully")
+    );
+});
+
+// Get the tips allocated to one stylist for a period (Admin only)
+export const getStylistTipReport = asyncHandler(async (req, res) => {
+    const stylist = await Stylist.findById(req.params.stylistId).select("name email phone");
+    if (!stylist) {
+        throw new ApiError(404, "Stylist not found");
+    }
+
+    const tips = await getStylistTips(stylist._id, getReportRange(req.query));
+    const totalTips = Math.round(tips.reduce((total, tip) => total + tip.amount, 0) * 100) / 100;
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            stylist,
+            from: req.query.from,
+            to: req.query.to,
+            totalTips,
+            tipCount: tips.length,
+            tips
+        }, "Stylist tips retrieved successfully")
+    );
+});
@@ -0,0 +1,239 @@
+import mongoose from "mongoose";
+import { Transaction } from "../models/transaction.model.js";
+import { Appointment } from "../models/appointment.model.js";
+import { Membership } from "../models/membership.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { BLOCKING_STATUSES, getDayRange } from "../utils/availability.js";
+import { applyCounterPayment, getAmountDue } from "../utils/appointmentPayment.js";
+import { getTransitionError, transitionAppointment } from "../utils/appointmentStatus.js";
+import { getRevenueTotals, recordTransaction } from "../utils/transactions.js";
+import { issueInvoiceQuietly } from "../utils/invoices.js";
+import { toCsvHeader, toCsvRow } from "../utils/csv.js";
+
+const transactionPopulate = [
+    { path: "userId", select: "name email phone" },
+    { path: "recordedBy", select: "name email" },
+    { path: "appointmentId", select: "bookingReference date timeSlot totalPrice status" },
+    { path: "membershipId", select: "packageName membershipTier membershipStatus" }
+];
+
+const CSV_COLUMNS = [
+    ["Date", transaction => transaction.occurredAt?.toISOString()],
+    ["Type", transaction => transaction.type],
+    ["Method", transaction => transaction.method],
+    ["Source", transaction => transaction.source],
+    ["Status", transaction => transaction.status],
+    ["Amount", transaction => transaction.type === "refund" ? -transaction.amount : transaction.amount],
+    ["Currency", transaction => transaction.currency],
+    ["Customer", transaction => transaction.userId?.name],
+    ["Email", transaction => transaction.userId?.email],
+    ["Booking Reference", transaction => transaction.appointmentId?.bookingReference],
+    ["Membership", transaction => transaction.membershipId?.packageName],
+    ["Razorpay Order ID", transaction => transaction.razorpayOrderId],
+    ["Razorpay Payment ID", transaction => transaction.razorpayPaymentId],
+    ["Razorpay Refund ID", transaction => transaction.razorpayRefundId],
+    ["Reference", transaction => transaction.reference],
+    ["Description", transaction => transaction.description],
+    ["Recorded By", transaction => transaction.recordedBy?.name]
+];
+
+// Build the ledger filter shared by search and export
+const buildTransactionQuery = ({ type, method, source, status, userId, appointmentId, membershipId, reference, from, to }) => {
+    const query = {};
+    if (type) query.type = type;
+    if (method) query.method = method;
+    if (source) query.source = source;
+    if (status) query.status = status;
+    if (userId) query.userId = new mongoose.Types.ObjectId(userId);
+    if (appointmentId) query.appointmentId = new mongoose.Types.ObjectId(appointmentId);
+    if (membershipId) query.membershipId = new mongoose.Types.ObjectId(membershipId);
+    if (reference) {
+        query.$or = [
+            { razorpayOrderId: reference },
+            { razorpayPaymentId: reference },
+            { razorpayRefundId: reference },
+            { reference }
+        ];
+    }
+    if (from || to) {
+        query.occurredAt = {};
+        if (from) query.occurredAt.$gte = getDayRange(from).start;
+        if (to) query.occurredAt.$lt = getDayRange(to).end;
+    }
+    return query;
+};
+
+// Search the transactions ledger (Admin only)
+export const getTransactions = asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20 } = req.query;
+    const query = buildTransactionQuery(req.query);
+
+    const transactions = await Transaction.find(query)
+        .populate(transactionPopulate)
+        .sort({ occurredAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Transaction.countDocuments(query);
+    const totals = await getRevenueTotals(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            transactions,
+            totals,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalTransactions: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Transactions retrieved successfully")
+    );
+});
+
+// Export the filtered transactions ledger as CSV (Admin only)
+export const exportTransactions = asyncHandler(async (req, res) => {
+    const query = buildTransactionQuery(req.query);
+    const filename = `transactions-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    res.write(toCsvHeader(CSV_COLUMNS));
+
+    // Stream rows so large exports don't have to fit in memory
+    const cursor = Transaction.find(query)
+        .populate(transactionPopulate)
+        .sort({ occurredAt: -1 })
+        .cursor();
+
+    for await (const transaction of cursor) {
+        res.write(toCsvRow(CSV_COLUMNS, transaction));
+    }
+    res.end();
+});
+
+// Get a single transaction (Admin only)
+export const getTransaction = asyncHandler(async (req, res) => {
+    const transaction = await Transaction.findById(req.params.transactionId).populate(transactionPopulate);
+    if (!transaction) {
+        throw new ApiError(404, "Transaction not found");
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, transaction, "Transaction retrieved successfully")
+    );
+});
+
+// Take a cash, UPI or card payment at the counter for an appointment or membership (Admin only)
+export const recordCounterPayment = asyncHandler(async (req, res) => {
+    const { appointmentId, membershipId, method, amount, reference, description } = req.body;
+
+    if (Boolean(appointmentId) === Boolean(membershipId)) {
+        throw new ApiError(400, "Provide either an appointment or a membership");
+    }
+
+    let transactionData;
+    let target;
+
+    if (appointmentId) {
+        const appointment = await Appointment.findById(appointmentId);
+        if (!appointment) {
+            throw new ApiError(404, "Appointment not found");
+        }
+        if (![...BLOCKING_STATUSES, "completed"].includes(appointment.status)) {
+            throw new ApiError(400, `Cannot take payment for a ${appointment.status} appointment`);
+        }
+
+        const amountDue = getAmountDue(appointment);
+        if (amountDue <= 0) {
+            throw new ApiError(400, "Appointment is already paid");
+        }
+        const paymentAmount = amount === undefined ? amountDue : parseFloat(amount);
+        if (paymentAmount > amountDue) {
+            throw new ApiError(400, `Payment exceeds the amount due of ${amountDue}`);
+        }
+
+        applyCounterPayment(appointment, paymentAmount);
+
+        // Paying confirms a pending booking, as it does online
+        if (appointment.status === "pending" && !getTransitionError(appointment, "confirmed")) {
+            transitionAppointment(appointment, "confirmed", {
+                actor: req.user._id,
+                reason: `Confirmed on ${method} payment at the counter`
+            });
+        }
+        await appointment.save();
+
+        target = appointment;
+        transactionData = {
+            amount: paymentAmount,
+            userId: appointment.userId,
+            appointmentId: appointment._id,
+            description: description || `Counter payment (${appointment.bookingReference})`
+        };
+    } else {
+        const membership = await Membership.findById(membershipId);
+        if (!membership) {
+            throw new ApiError(404, "Membership not found");
+        }
+        if (!["pending", "failed"].includes(membership.paymentStatus)) {
+            throw new ApiError(400, `Membership payment is already ${membership.paymentStatus}`);
+        }
+        // Any wallet share was taken when the membership was created
+        const membershipDue = Math.round((membership.amountPaid - (membership.walletAmount || 0)) * 100) / 100;
+        if (amount !== undefined && parseFloat(amount) !== membershipDue) {
+            throw new ApiError(400, `Membership must be paid in full: ${membershipDue}`);
+        }
+
+        membership.paymentMethod = method;
+        membership.paymentStatus = "paid";
+        membership.membershipStatus = "active";
+        membership.isActive = true;
+        membership.activatedAt = membership.activatedAt || new Date();
+        await membership.save();
+
+        target = membership;
+        transactionData = {
+            amount: membershipDue,
+            userId: membership.userId,
+            membershipId: membership._id,
+            description: description || `Counter payment (${membership.packageName})`
+        };
+    }
+
+    const transaction = await recordTransaction({
+        idempotencyKey: `charge:counter:${new mongoose.Types.ObjectId()}`,
+        type: "charge",
+        method,
+        source: "counter",
+        reference,
+        recordedBy: req.user._id,
+        ...transactionData
+    });
+    if (!transaction) {
+        throw new ApiError(500, "Payment was applied but could not be recorded in the ledger");
+    }
+    await transaction.populate(transactionPopulate);
+
+    // A membership paid at the counter gets its tax invoice straight away
+    if (membershipId) {
+        await issueInvoiceQuietly("membership", target, { issuedBy: req.user._id });
+    }
+
+    logger.info('Counter payment recorded', {
+        transactionId: transaction._id,
+        appointmentId,
+        membershipId,
+        method,
+        amount: transaction.amount,
+        recordedBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, { transaction, [appointmentId ? "appointment" : "membership"]: target }, "Counter payment recorded successfully")
+    );
+});
@@ -0,0 +1,271 @@
+import { Waitlist } from "../models/waitlist.model.js";
+import { Service } from "../models/service.model.js";
+import { Stylist } from "../models/stylist.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { findConflictingAppointment, getDayRange } from "../utils/availability.js";
+import {
+    WAITLIST_QUEUE_ORDER,
+    holdSlotForEntry,
+    releaseWaitlistOffer
+} from "../utils/waitlist.js";
+
+const waitlistPopulate = [
+    { path: "userId", select: "name phone email" },
+    { path: "serviceId", select: "name duration price category" },
+    { path: "stylistId", select: "name specialties rating" },
+    { path: "currentOffer.stylistId", select: "name specialties rating" }
+];
+
+// Join the waitlist for a service
+export const joinWaitlist = asyncHandler(async (req, res) => {
+    const { serviceId, stylistId, location = "salon", dateFrom, dateTo, notes } = req.body;
+    const userId = req.user._id;
+
+    const service = await Service.findById(serviceId);
+    if (!service || !service.isActive) {
+        throw new ApiError(404, "Service not found or inactive");
+    }
+
+    if (stylistId) {
+        const stylist = await Stylist.findById(stylistId);
+        if (!stylist || !stylist.isActive) {
+            throw new ApiError(404, "Stylist not found or inactive");
+        }
+    }
+
+    if (getDayRange(dateTo).start < getDayRange(new Date()).start) {
+        throw new ApiError(400, "Date range must not be in the past");
+    }
+
+    // One open entry per service and overlapping date range
+    const existingEntry = await Waitlist.findOne({
+        userId,
+        serviceId,
+        status: { $in: ["waiting", "offered"] },
+        dateFrom: { $lte: getDayRange(dateTo).start },
+        dateTo: { $gte: getDayRange(dateFrom).start }
+    });
+    if (existingEntry) {
+        throw new ApiError(409, "You are already on the waitlist for this service in these dates");
+    }
+
+    const entry = await Waitlist.create({
+        userId,
+        serviceId,
+        stylistId: stylistId || null,
+        location,
+        dateFrom,
+        dateTo,
+        notes
+    });
+
+    await entry.populate(waitlistPopulate);
+
+    res.status(201).json(
+        new ApiResponse(201, entry, "Added to waitlist successfully")
+    );
+});
+
+// Get the current user's waitlist entries with their queue position
+export const getMyWaitlist = asyncHandler(async (req, res) => {
+    const { status } = req.query;
+
+    const query = { userId: req.user._id };
+    if (status) query.status = status;
+
+    const entries = await Waitlist.find(query)
+        .populate(waitlistPopulate)
+        .sort({ createdAt: -1 });
+
+    // Position among waiting entries for the same service
+    const entriesWithPosition = await Promise.all(entries.map(async (entry) => {
+        let position = null;
+        if (entry.status === "waiting" && entry.serviceId) {
+            position = await Waitlist.countDocuments({
+                serviceId: entry.serviceId._id,
+                status: "waiting",
+                $or: [
+                    { priority: { $gt: entry.priority } },
+                    { priority: entry.priority, createdAt: { $lt: entry.createdAt } }
+                ]
+            }) + 1;
+        }
+        return { ...entry.toObject(), position };
+    }));
+
+    res.status(200).json(
+        new ApiResponse(200, entriesWithPosition, "Waitlist entries retrieved successfully")
+    );
+});
+
+// Leave the waitlist
+export const cancelWaitlistEntry = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+
+    const query = { _id: entryId };
+    if (req.user.role !== "admin") {
+        query.userId = req.user._id;
+    }
+
+    const entry = await Waitlist.findOne(query);
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+    if (!["waiting", "offered"].includes(entry.status)) {
+        throw new ApiError(400, `Waitlist entry is already ${entry.status}`);
+    }
+
+    // Pass any held slot on before leaving the queue
+    const wasOffered = entry.status === "offered";
+    entry.status = "cancelled";
+    entry.cancelledAt = new Date();
+    if (wasOffered) {
+        await releaseWaitlistOffer(entry, "withdrawn");
+    } else {
+        await entry.save();
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, entry, "Waitlist entry cancelled successfully")
+    );
+});
+
+// Decline an offered slot and stay on the waitlist
+export const declineWaitlistOffer = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+
+    const entry = await Waitlist.findOne({ _id: entryId, userId: req.user._id });
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+    if (entry.status !== "offered" || !entry.currentOffer) {
+        throw new ApiError(400, "There is no open offer for this waitlist entry");
+    }
+
+    await releaseWaitlistOffer(entry, "declined");
+    await entry.populate(waitlistPopulate);
+
+    res.status(200).json(
+        new ApiResponse(200, entry, "Offer declined successfully")
+    );
+});
+
+// Get the waitlist queue (admin only)
+export const getWaitlist = asyncHandler(async (req, res) => {
+    const { status, serviceId, stylistId, date, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (serviceId) query.serviceId = serviceId;
+    if (stylistId) query.stylistId = stylistId;
+    if (date) {
+        const { start } = getDayRange(date);
+        query.dateFrom = { $lte: start };
+        query.dateTo = { $gte: start };
+    }
+
+    const entries = await Waitlist.find(query)
+        .populate(waitlistPopulate)
+        .sort(WAITLIST_QUEUE_ORDER)
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await Waitlist.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            entries,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEntries: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Waitlist retrieved successfully")
+    );
+});
+
+// Update a waitlist entry's priority, date range or notes (admin only)
+export const updateWaitlistEntry = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+    const { priority, dateFrom, dateTo, stylistId, notes } = req.body;
+
+    const entry = await Waitlist.findById(entryId);
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+    if (!["waiting", "offered"].includes(entry.status)) {
+        throw new ApiError(400, `Cannot update a ${entry.status} waitlist entry`);
+    }
+
+    if (priority !== undefined) entry.priority = priority;
+    if (dateFrom !== undefined) entry.dateFrom = dateFrom;
+    if (dateTo !== undefined) entry.dateTo = dateTo;
+    if (stylistId !== undefined) entry.stylistId = stylistId || null;
+    if (notes !== undefined) entry.notes = notes;
+
+    await entry.save();
+    await entry.populate(waitlistPopulate);
+
+    res.status(200).json(
+        new ApiResponse(200, entry, "Waitlist entry updated successfully")
+    );
+});
+
+// Manually offer a slot to a waitlisted customer (admin only)
+export const offerWaitlistSlot = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+    const { date, timeSlot, stylistId } = req.body;
+
+    const entry = await Waitlist.findById(entryId).populate("serviceId", "duration");
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+    if (entry.status !== "waiting") {
+        throw new ApiError(400, "Only waiting entries can be offered a slot");
+    }
+
+    const stylist = await Stylist.findById(stylistId || entry.stylistId);
+    if (!stylist || !stylist.isActive) {
+        throw new ApiError(404, "Stylist not found or inactive");
+    }
+
+    // The admin picks the slot, so only guard against double-booking it
+    const conflict = await findConflictingAppointment(
+        { stylistId: stylist._id }, date, timeSlot, entry.serviceId.duration
+    );
+    if (conflict) {
+        throw new ApiError(409, "Stylist is already booked at this time");
+    }
+
+    await holdSlotForEntry(entry, { date, timeSlot, stylistId: stylist._id, duration: entry.serviceId.duration });
+    await entry.populate(waitlistPopulate);
+
+    res.status(200).json(
+        new ApiResponse(200, entry, "Slot offered successfully")
+    );
+});
+
+// Delete a waitlist entry (admin only)
+export const deleteWaitlistEntry = asyncHandler(async (req, res) => {
+    const { entryId } = req.params;
+
+    const entry = await Waitlist.findById(entryId);
+    if (!entry) {
+        throw new ApiError(404, "Waitlist entry not found");
+    }
+
+    // Pass any held slot on before removing the entry
+    if (entry.status === "offered") {
+        entry.status = "cancelled";
+        await releaseWaitlistOffer(entry, "withdrawn");
+    }
+    await entry.deleteOne();
+
+    res.status(200).json(
+        new ApiResponse(200, {}, "Waitlist entry deleted successfully")
+    );
+});
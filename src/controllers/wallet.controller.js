@@ -0,0 +1,96 @@
+import mongoose from "mongoose";
+import { Wallet } from "../models/wallet.model.js";
+import { WalletTransaction } from "../models/walletTransaction.model.js";
+import { User } from "../models/user.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { logger } from "../utils/logger.js";
+import { creditWallet, debitWallet } from "../utils/wallet.js";
+
+// Load a customer's balance and a page of their wallet ledger
+const getWalletSummary = async (userId, { page = 1, limit = 20, type, source }) => {
+    const wallet = await Wallet.findOne({ userId });
+
+    const query = { userId: new mongoose.Types.ObjectId(userId) };
+    if (type) query.type = type;
+    if (source) query.source = source;
+
+    const transactions = await WalletTransaction.find(query)
+        .populate("giftCardId", "code")
+        .populate("appointmentId", "bookingReference date timeSlot")
+        .populate("membershipId", "packageName")
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await WalletTransaction.countDocuments(query);
+
+    return {
+        balance: wallet?.balance || 0,
+        currency: wallet?.currency || "INR",
+        transactions,
+        pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(total / limit),
+            totalTransactions: total,
+            hasNext: page < Math.ceil(total / limit),
+            hasPrev: page > 1
+        }
+    };
+};
+
+// Get the current user's wallet balance and ledger
+export const getMyWallet = asyncHandler(async (req, res) => {
+    const summary = await getWalletSummary(req.user._id, req.query);
+
+    res.status(200).json(
+        new ApiResponse(200, summary, "Wallet retrieved successfully")
+    );
+});
+
+// Get a customer's wallet balance and ledger (Admin only)
+export const getUserWallet = asyncHandler(async (req, res) => {
+    const user = await User.findById(req.params.userId).select("name email phone");
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const summary = await getWalletSummary(user._id, req.query);
+
+    res.status(200).json(
+        new ApiResponse(200, { user, ...summary }, "Wallet retrieved successfully")
+    );
+});
+
+// Credit or debit a customer's wallet by hand, e.g. goodwill credit or a correction (Admin only)
+export const adjustWallet = asyncHandler(async (req, res) => {
+    const { type, amount, reason } = req.body;
+
+    const user = await User.findById(req.params.userId).select("_id");
+    if (!user) {
+        throw new ApiError(404, "User not found");
+    }
+
+    const details = {
+        source: "adjustment",
+        idempotencyKey: `adjustment:${new mongoose.Types.ObjectId()}`,
+        description: reason,
+        createdBy: req.user._id
+    };
+    const entry = type === "credit"
+        ? await creditWallet(user._id, parseFloat(amount), details)
+        : await debitWallet(user._id, parseFloat(amount), details);
+
+    logger.info('Wallet adjusted', {
+        userId: user._id,
+        type,
+        amount: entry.amount,
+        balanceAfter: entry.balanceAfter,
+        adjustedBy: req.user._id
+    });
+
+    res.status(201).json(
+        new ApiResponse(201, entry, "Wallet adjusted successfully")
+    );
+});
@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import { PaymentEvent } from "../models/paymentEvent.model.js";
+import { ApiResponse } from "../utils/ApiResponse.js";
+import { ApiError } from "../utils/ApiError.js";
+import { asyncHandler } from "../utils/asyncHandler.js";
+import { verifyWebhookSignature } from "../utils/razorpay.js";
+import { getEventReferences, processPaymentEvent } from "../utils/paymentWebhook.js";
+
+// Receive a Razorpay webhook (signed by Razorpay, no user authentication)
+export const handleRazorpayWebhook = asyncHandler(async (req, res) => {
+    const rawBody = req.body;
+
+    // The signature covers the exact bytes Razorpay sent
+    if (!Buffer.isBuffer(rawBody) || !verifyWebhookSignature(rawBody, req.get("X-Razorpay-Signature"))) {
+        throw new ApiError(400, "Invalid webhook signature");
+    }
+
+    let body;
+    try {
+        body = JSON.parse(rawBody.toString("utf8"));
+    } catch (error) {
+        throw new ApiError(400, "Invalid webhook payload");
+    }
+    if (!body.event) {
+        throw new ApiError(400, "Webhook event type is missing");
+    }
+
+    // Razorpay sends the same event ID on every redelivery
+    const eventId = req.get("X-Razorpay-Event-Id") || crypto.createHash("sha256").update(rawBody).digest("hex");
+
+    let paymentEvent = await PaymentEvent.findOne({ eventId });
+    if (paymentEvent && ["processed", "ignored"].includes(paymentEvent.status)) {
+        return res.status(200).json(
+            new ApiResponse(200, { eventId, status: paymentEvent.status, duplicate: true }, "Webhook already processed")
+        );
+    }
+
+    if (!paymentEvent) {
+        try {
+            paymentEvent = await PaymentEvent.create({
+                eventId,
+                event: body.event,
+                payload: body,
+                ...getEventReferences(body)
+            });
+        } catch (error) {
+            // A concurrent delivery of the same event got there first
+            if (error.code === 11000) {
+                return res.status(200).json(
+                    new ApiResponse(200, { eventId, duplicate: true }, "Webhook already received")
+                );
+            }
+            throw error;
+        }
+    }
+
+    // Failures respond with an error so Razorpay redelivers the event
+    await processPaymentEvent(paymentEvent);
+
+    res.status(200).json(
+        new ApiResponse(200, { eventId, status: paymentEvent.status }, "Webhook processed successfully")
+    );
+});
+
+// Get stored payment events (Admin only)
+export const getPaymentEvents = asyncHandler(async (req, res) => {
+    const { status, event, orderId, paymentId, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (event) query.event = event;
+    if (orderId) query.orderId = orderId;
+    if (paymentId) query.paymentId = paymentId;
+
+    const events = await PaymentEvent.find(query)
+        .sort({ createdAt: -1 })
+        .limit(limit * 1)
+        .skip((page - 1) * limit);
+
+    const total = await PaymentEvent.countDocuments(query);
+
+    res.status(200).json(
+        new ApiResponse(200, {
+            events,
+            pagination: {
+                currentPage: parseInt(page),
+                totalPages: Math.ceil(total / limit),
+                totalEvents: total,
+                hasNext: page < Math.ceil(total / limit),
+                hasPrev: page > 1
+            }
+        }, "Payment events retrieved successfully")
+    );
+});
+
+// Replay a stored payment event (Admin only)
+export const replayPaymentEvent = asyncHandler(async (req, res) => {
+    const { paymentEventId } = req.params;
+
+    const paymentEvent = await PaymentEvent.findById(paymentEventId);
+    if (!paymentEvent) {
+        throw new ApiError(404, "Payment event not found");
+    }
+
+    try {
+        await processPaymentEvent(paymentEvent);
+    } catch (error) {
+        throw new ApiError(500, `Payment event replay failed: ${error.message}`);
+    }
+
+    res.status(200).json(
+        new ApiResponse(200, paymentEvent, "Payment event replayed successfully")
+    );
+});
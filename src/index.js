@@ -1,6 +1,7 @@
 import dotenv from "dotenv";
 import connectDB from "./db/index.js";
 import { app } from "./app.js";
+import { startJobs } from "./utils/jobs.js";
 
 
 dotenv.config();
@@ -12,6 +13,7 @@ connectDB()
     app.listen(process.env.PORT || 8000, () => {
         console.log(`Server is running at port: ${process.env.PORT}`)
     })
+    startJobs()
 })
 .catch((err) => {
     console.log("Mongo db connection failed : ",err)
@@ -1,4 +1,6 @@
 import mongoose from "mongoose";
+import { getLineIntervals, getSalonSlotStart, getScheduleConflict, getStylistDaySchedule } from "../utils/availability.js";
+import { getCancellationTerms } from "../utils/cancellationPolicy.js";
 
 const appointmentSchema = new mongoose.Schema({
     userId: {
@@ -9,19 +11,87 @@ const appointmentSchema = new mongoose.Schema({
     serviceId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Service",
-        required: [true, "Service ID is required"]
+        required: [true, "Service ID is required"] // Primary (first) service of the visit
     },
+    // Ordered service lines performed back to back during the visit
+    services: [{
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: [true, "Service ID is required"]
+        },
+        serviceName: {
+            type: String,
+            trim: true
+        },
+        category: {
+            type: String,
+            enum: ["hair", "nail", "body", "skin"]
+        },
+        price: {
+            type: Number,
+            required: [true, "Service price is required"],
+            min: [0, "Price cannot be negative"]
+        },
+        duration: {
+            type: Number,
+            required: [true, "Service duration is required"],
+            min: [15, "Duration must be at least 15 minutes"]
+        },
+        stylistId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Stylist"
+        },
+        // GST terms of the service when it was booked
+        sacCode: {
+            type: String,
+            trim: true
+        },
+        gstRate: {
+            type: Number
+        }
+    }],
     stylistId: {
         type: mongoose.Schema.Types.ObjectId,
         ref: "Stylist",
         required: false // Optional as per requirements
     },
+    // Set when the stylist was auto-assigned for a "no preference" booking
+    assignmentStrategy: {
+        type: String,
+        enum: ["least_loaded", "highest_rated", "round_robin"]
+    },
+    // Recurring series: occurrences share a seriesId and are numbered from 0
+    seriesId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    seriesIndex: {
+        type: Number,
+        min: 0
+    },
+    recurrence: {
+        frequency: {
+            type: String,
+            enum: ["daily", "weekly", "monthly"]
+        },
+        interval: {
+            type: Number,
+            min: 1
+        },
+        count: {
+            type: Number
+        },
+        endDate: {
+            type: Date
+        }
+    },
     date: {
         type: Date,
         required: [true, "Appointment date is required"],
         validate: {
             validator: function(value) {
-                return value > new Date();
+                // Walk-ins checked out at the counter are served on the spot
+                return this.channel === "pos" || value > new Date();
             },
             message: "Appointment date must be in the future"
         }
@@ -103,6 +173,100 @@ const appointmentSchema = new mongoose.Schema({
         min: [0, "Offer discount cannot be negative"],
         required: false
     },
+    // Sum of service line prices before the offer discount
+    subtotal: {
+        type: Number,
+        min: [0, "Subtotal cannot be negative"]
+    },
+    // Retail products sold during the visit; included in totalPrice
+    retailItems: [{
+        name: {
+            type: String,
+            required: [true, "Item name is required"],
+            trim: true,
+            maxLength: [100, "Item name cannot exceed 100 characters"]
+        },
+        sku: {
+            type: String,
+            trim: true
+        },
+        quantity: {
+            type: Number,
+            required: true,
+            min: [1, "Quantity must be at least 1"]
+        },
+        unitPrice: {
+            type: Number,
+            required: true,
+            min: [0, "Price cannot be negative"]
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, "Amount cannot be negative"]
+        },
+        hsnCode: {
+            type: String,
+            trim: true,
+            match: [/^\d{4,8}$/, "HSN code must be 4 to 8 digits"]
+        },
+        gstRate: {
+            type: Number,
+            enum: [0, 5, 12, 18, 28],
+            default: 18
+        },
+        // Stylist credited with the sale
+        stylistId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Stylist"
+        }
+    }],
+    retailTotal: {
+        type: Number,
+        default: 0,
+        min: [0, "Retail total cannot be negative"]
+    },
+    // Membership whose tier discount and included services were applied to the visit
+    membershipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Membership"
+    },
+    membershipDiscount: {
+        type: Number,
+        min: [0, "Membership discount cannot be negative"]
+    },
+    // Included services the visit took from the membership's balances
+    membershipEntitlements: [{
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service"
+        },
+        serviceName: {
+            type: String,
+            trim: true
+        },
+        quantity: {
+            type: Number,
+            min: [1, "Quantity must be at least 1"]
+        }
+    }],
+    // Set once a cancellation has given the visit back to its membership
+    membershipRestoredAt: {
+        type: Date
+    },
+    // online: booked by the customer, pos: walk-in created at the counter
+    channel: {
+        type: String,
+        enum: ["online", "pos"],
+        default: "online"
+    },
+    checkedOutAt: {
+        type: Date
+    },
+    checkedOutBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
     // Status tracking
     statusHistory: [{
         status: {
@@ -135,6 +299,50 @@ const appointmentSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "User"
     },
+    // Cancellation policy in force when the appointment was booked
+    cancellationPolicy: {
+        noticeHours: Number,
+        allowLateCancellation: Boolean,
+        lateCancelFeePercent: Number,
+        noShowFeePercent: Number,
+        maxNoShows: Number
+    },
+    // Set when the customer's no-show record requires the booking to be prepaid
+    prepaymentRequired: {
+        type: Boolean,
+        default: false
+    },
+    // Late cancellation and no-show fees charged under the policy
+    fees: [{
+        type: {
+            type: String,
+            enum: ["late_cancellation", "no_show"],
+            required: true
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, "Fee cannot be negative"]
+        },
+        percent: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        status: {
+            type: String,
+            enum: ["pending", "paid", "waived"],
+            default: "pending"
+        },
+        chargedAt: {
+            type: Date,
+            default: Date.now
+        },
+        chargedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        }
+    }],
     // Rescheduling details
     rescheduledFrom: {
         date: Date,
@@ -145,12 +353,125 @@ const appointmentSchema = new mongoose.Schema({
             ref: "User"
         }
     },
-    // Payment status (for future integration)
+    // Payment status: partial once a deposit is paid, paid once nothing is due,
+    // refunded or partially_refunded once money has gone back to the customer
     paymentStatus: {
         type: String,
-        enum: ["pending", "paid", "refunded", "partial"],
+        enum: ["pending", "paid", "refunded", "partial", "partially_refunded"],
         default: "pending"
     },
+    amountPaid: {
+        type: Number,
+        default: 0,
+        min: [0, "Amount paid cannot be negative"]
+    },
+    amountRefunded: {
+        type: Number,
+        default: 0,
+        min: [0, "Amount refunded cannot be negative"]
+    },
+    // Razorpay orders raised for the appointment's deposit or full payment
+    payments: [{
+        type: {
+            type: String,
+            enum: ["deposit", "full"],
+            required: true
+        },
+        // Wallet payments are taken from the customer's prepaid balance and have no Razorpay order
+        method: {
+            type: String,
+            enum: ["razorpay", "wallet"],
+            default: "razorpay"
+        },
+        amount: {
+            type: Number,
+            required: true,
+            min: [0, "Payment amount cannot be negative"]
+        },
+        currency: {
+            type: String,
+            default: "INR"
+        },
+        razorpayOrderId: {
+            type: String,
+            required: function() {
+                return this.method !== "wallet";
+            }
+        },
+        razorpayPaymentId: String,
+        razorpaySignature: String,
+        status: {
+            type: String,
+            enum: ["created", "paid", "failed"],
+            default: "created"
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        paidAt: Date
+    }],
+    // Gratuities added once the visit is completed, shared between the stylists who served it.
+    // Tips are kept apart from the price and the amount paid and are not part of the invoice.
+    tips: [{
+        amount: {
+            type: Number,
+            required: [true, "Tip amount is required"],
+            min: [1, "Tip must be at least 1"]
+        },
+        // razorpay and wallet: added by the customer online, cash/upi/card: taken at the counter
+        method: {
+            type: String,
+            enum: ["razorpay", "wallet", "cash", "upi", "card"],
+            required: [true, "Tip payment method is required"]
+        },
+        status: {
+            type: String,
+            enum: ["created", "paid", "failed"],
+            default: "created"
+        },
+        allocations: [{
+            stylistId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: "Stylist",
+                required: [true, "Stylist ID is required"]
+            },
+            amount: {
+                type: Number,
+                required: true,
+                min: [0.01, "Allocated amount must be positive"]
+            }
+        }],
+        razorpayOrderId: {
+            type: String,
+            required: function() {
+                return this.method === "razorpay";
+            }
+        },
+        razorpayPaymentId: String,
+        razorpaySignature: String,
+        // Card terminal or UPI reference for tips taken at the counter
+        reference: {
+            type: String,
+            trim: true,
+            maxLength: [100, "Reference cannot exceed 100 characters"]
+        },
+        addedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        createdAt: {
+            type: Date,
+            default: Date.now
+        },
+        paidAt: Date
+    }],
+    // Sum of the paid tips
+    tipTotal: {
+        type: Number,
+        default: 0,
+        min: [0, "Tip total cannot be negative"]
+    },
     // Reminder settings
     reminderSent: {
         type: Boolean,
@@ -175,19 +496,21 @@ const appointmentSchema = new mongoose.Schema({
 // Index for efficient queries
 appointmentSchema.index({ userId: 1, date: 1 });
 appointmentSchema.index({ stylistId: 1, date: 1, timeSlot: 1 });
+appointmentSchema.index({ "services.stylistId": 1, date: 1 });
+appointmentSchema.index({ seriesId: 1, seriesIndex: 1 });
+appointmentSchema.index({ "payments.razorpayOrderId": 1 });
+appointmentSchema.index({ "tips.razorpayOrderId": 1 });
+appointmentSchema.index({ "tips.paidAt": 1 });
 appointmentSchema.index({ date: 1, status: 1 });
 
 // Virtual for checking if appointment is in the past
 appointmentSchema.virtual('isPast').get(function() {
-    const appointmentDateTime = new Date(`${this.date.toDateString()} ${this.timeSlot}`);
-    return appointmentDateTime < new Date();
+    return getSalonSlotStart(this.date, this.timeSlot) < new Date();
 });
 
-// Virtual for checking if appointment can be cancelled (at least 2 hours before)
+// Virtual for checking if appointment can be cancelled under its cancellation policy
 appointmentSchema.virtual('canBeCancelled').get(function() {
-    const appointmentDateTime = new Date(`${this.date.toDateString()} ${this.timeSlot}`);
-    const twoHoursBefore = new Date(appointmentDateTime.getTime() - (2 * 60 * 60 * 1000));
-    return new Date() < twoHoursBefore && this.status !== 'cancelled' && this.status !== 'completed';
+    return getCancellationTerms(this).isAllowed && this.status !== 'cancelled' && this.status !== 'completed';
 });
 
 // Pre-save middleware to generate booking reference and validate stylist availability
@@ -200,7 +523,10 @@ appointmentSchema.pre('save', async function(next) {
             this.bookingReference = `APT-${timestamp}-${random}`;
         }
 
-        // Set estimated duration from service if not provided
+        // Set estimated duration from service lines (or the single service) if not provided
+        if (this.isNew && !this.estimatedDuration && this.services.length > 0) {
+            this.estimatedDuration = this.services.reduce((total, line) => total + line.duration, 0);
+        }
         if (this.isNew && !this.estimatedDuration && this.serviceId) {
             const service = await mongoose.model('Service').findById(this.serviceId);
             if (service) {
@@ -209,7 +535,7 @@ appointmentSchema.pre('save', async function(next) {
         }
 
         // Initialize statusHistory for new appointments
-        if (this.isNew && !this.statusHistory) {
+        if (this.isNew && this.statusHistory.length === 0) {
             this.statusHistory = [{
                 status: this.status || 'pending',
                 changedAt: new Date(),
@@ -218,11 +544,9 @@ appointmentSchema.pre('save', async function(next) {
             }];
         }
 
-        // Add status to history when status changes
-        if (this.isModified('status') && !this.isNew) {
-            if (!this.statusHistory) {
-                this.statusHistory = [];
-            }
+        // Add status to history when status changes outside transitionAppointment
+        const lastChange = this.statusHistory[this.statusHistory.length - 1];
+        if (this.isModified('status') && !this.isNew && lastChange?.status !== this.status) {
             this.statusHistory.push({
                 status: this.status,
                 changedAt: new Date(),
@@ -231,24 +555,24 @@ appointmentSchema.pre('save', async function(next) {
             });
         }
 
-        // Validate stylist availability
-        if (this.isNew && this.stylistId) {
-            const stylist = await mongoose.model('Stylist').findById(this.stylistId);
-            if (!stylist || !stylist.isActive) {
-                return next(new Error('Selected stylist is not available'));
-            }
-            
-            // Check if stylist works on the appointment day
-            const days = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
-            const dayOfWeek = days[this.date.getDay()];
-            if (!stylist.workingDays.includes(dayOfWeek)) {
-                return next(new Error('Stylist is not available on this day'));
-            }
-            
-            // Check if appointment time is within stylist's working hours
-            const appointmentTime = this.timeSlot;
-            if (appointmentTime < stylist.workingHours.start || appointmentTime > stylist.workingHours.end) {
-                return next(new Error('Appointment time is outside stylist working hours'));
+        // Validate availability of every stylist for the lines they serve
+        if (this.isNew) {
+            for (const line of getLineIntervals(this).filter(interval => interval.stylistId)) {
+                const stylist = await mongoose.model('Stylist').findById(line.stylistId).session(this.$session());
+                if (!stylist || !stylist.isActive) {
+                    return next(new Error('Selected stylist is not available'));
+                }
+
+                // Check the line against the stylist's working days, hours, leave and breaks;
+                // walk-ins are recorded at the counter once served, so their schedule is not checked
+                if (this.channel === 'pos') {
+                    continue;
+                }
+                const schedule = await getStylistDaySchedule(stylist, this.date, { session: this.$session() });
+                const scheduleConflict = getScheduleConflict(schedule, [line]);
+                if (scheduleConflict) {
+                    return next(new Error(scheduleConflict));
+                }
             }
         }
         next();
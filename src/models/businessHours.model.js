@@ -0,0 +1,47 @@
+import mongoose from "mongoose";
+import { timeToMinutes } from "../utils/availability.js";
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Salon-wide opening hours, one document per weekday.
+// Weekdays without a document place no salon-level restriction on bookings.
+const businessHoursSchema = new mongoose.Schema({
+    dayOfWeek: {
+        type: String,
+        enum: ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"],
+        required: [true, "Day of week is required"],
+        unique: true
+    },
+    isClosed: {
+        type: Boolean,
+        default: false
+    },
+    openTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    closeTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// Open days need a valid opening window
+businessHoursSchema.pre('validate', function(next) {
+    if (!this.isClosed) {
+        if (!this.openTime || !this.closeTime) {
+            this.invalidate('openTime', 'Open and close times are required unless the salon is closed');
+        } else if (timeToMinutes(this.openTime) >= timeToMinutes(this.closeTime)) {
+            this.invalidate('closeTime', 'Close time must be after open time');
+        }
+    }
+    next();
+});
+
+export const BusinessHours = mongoose.model("BusinessHours", businessHoursSchema);
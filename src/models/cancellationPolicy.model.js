@@ -0,0 +1,56 @@
+import mongoose from "mongoose";
+
+// Cancellation and no-show terms for a service category.
+// The "default" policy covers categories without their own; bookings snapshot the
+// policy that applied when they were made, so later changes don't alter their terms.
+const cancellationPolicySchema = new mongoose.Schema({
+    category: {
+        type: String,
+        enum: ["default", "hair", "nail", "body", "skin"],
+        required: [true, "Category is required"],
+        unique: true
+    },
+    // Cancelling with less notice than this counts as a late cancellation
+    noticeHours: {
+        type: Number,
+        required: [true, "Notice window is required"],
+        min: [0, "Notice window cannot be negative"],
+        max: [168, "Notice window cannot exceed 7 days"],
+        default: 2
+    },
+    // When false, customers cannot cancel inside the notice window at all
+    allowLateCancellation: {
+        type: Boolean,
+        default: true
+    },
+    lateCancelFeePercent: {
+        type: Number,
+        min: [0, "Fee percentage cannot be negative"],
+        max: [100, "Fee percentage cannot exceed 100"],
+        default: 0
+    },
+    noShowFeePercent: {
+        type: Number,
+        min: [0, "Fee percentage cannot be negative"],
+        max: [100, "Fee percentage cannot exceed 100"],
+        default: 0
+    },
+    // Customers with this many no-shows must prepay new bookings; null means no limit
+    maxNoShows: {
+        type: Number,
+        min: [1, "Maximum no-shows must be at least 1"],
+        default: null
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+export const CancellationPolicy = mongoose.model("CancellationPolicy", cancellationPolicySchema);
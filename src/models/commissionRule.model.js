@@ -0,0 +1,65 @@
+import mongoose from "mongoose";
+
+// How much of the revenue a stylist brings in is paid out to them as commission.
+// Rules are per service category, with "default" covering the categories without their own,
+// and "retail" covering products sold. A rule without a stylist applies salon-wide; a
+// stylist's own rule wins over it. Payroll statements snapshot the rates they used.
+const commissionRuleSchema = new mongoose.Schema({
+    stylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Stylist",
+        default: null
+    },
+    category: {
+        type: String,
+        enum: ["default", "hair", "nail", "body", "skin", "retail"],
+        required: [true, "Category is required"]
+    },
+    // flat: one rate on all revenue, tiered: the rate of the highest tier the month's revenue reaches
+    type: {
+        type: String,
+        enum: ["flat", "tiered"],
+        required: [true, "Commission type is required"]
+    },
+    rate: {
+        type: Number,
+        min: [0, "Commission rate cannot be negative"],
+        max: [100, "Commission rate cannot exceed 100"],
+        required: [function() {
+            return this.type === "flat";
+        }, "Commission rate is required for a flat rule"]
+    },
+    tiers: [{
+        // Revenue in a calendar month from which the tier's rate applies
+        minRevenue: {
+            type: Number,
+            required: true,
+            min: [0, "Tier revenue cannot be negative"]
+        },
+        rate: {
+            type: Number,
+            required: true,
+            min: [0, "Commission rate cannot be negative"],
+            max: [100, "Commission rate cannot exceed 100"]
+        }
+    }],
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Notes cannot exceed 200 characters"]
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+commissionRuleSchema.index({ stylistId: 1, category: 1 }, { unique: true });
+
+export const CommissionRule = mongoose.model("CommissionRule", commissionRuleSchema);
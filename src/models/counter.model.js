@@ -0,0 +1,30 @@
+import mongoose from "mongoose";
+
+// Named sequences, e.g. invoice numbers per financial year.
+// Incrementing inside the transaction that uses the number keeps the sequence gapless:
+// if the transaction aborts, the increment is rolled back with it.
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String,
+        required: true
+    },
+    seq: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    versionKey: false
+});
+
+// Static method to take the next number in a sequence
+counterSchema.statics.next = async function(name, { session } = {}) {
+    const counter = await this.findOneAndUpdate(
+        { _id: name },
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+export const Counter = mongoose.model("Counter", counterSchema);
@@ -0,0 +1,87 @@
+import mongoose from "mongoose";
+
+// Salon gift cards bought online for someone else (or oneself).
+// A card gets its code once its Razorpay payment is captured and is redeemed in full
+// into the wallet of whoever enters the code.
+const giftCardSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        unique: true,
+        sparse: true
+    },
+    amount: {
+        type: Number,
+        required: [true, "Gift card amount is required"],
+        min: [100, "Gift card amount must be at least 100"],
+        max: [50000, "Gift card amount cannot exceed 50000"]
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    },
+    purchaserId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "Purchaser is required"]
+    },
+    recipientName: {
+        type: String,
+        trim: true,
+        maxLength: [50, "Recipient name cannot exceed 50 characters"]
+    },
+    recipientEmail: {
+        type: String,
+        trim: true,
+        lowercase: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, "Please enter a valid email"]
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxLength: [300, "Message cannot exceed 300 characters"]
+    },
+    status: {
+        type: String,
+        enum: ["pending_payment", "active", "redeemed", "cancelled"],
+        default: "pending_payment"
+    },
+    razorpayOrderId: {
+        type: String,
+        trim: true,
+        unique: true,
+        sparse: true
+    },
+    razorpayPaymentId: {
+        type: String,
+        trim: true
+    },
+    paidAt: {
+        type: Date
+    },
+    expiresAt: {
+        type: Date
+    },
+    redeemedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    redeemedAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    cancelledAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+giftCardSchema.index({ purchaserId: 1, createdAt: -1 });
+giftCardSchema.index({ status: 1, createdAt: -1 });
+
+export const GiftCard = mongoose.model("GiftCard", giftCardSchema);
@@ -0,0 +1,64 @@
+import mongoose from "mongoose";
+import { getDayRange, timeToMinutes } from "../utils/availability.js";
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Salon closure days and one-off special hours (e.g. closed for Diwali, early close on New Year's Eve).
+// A holiday replaces the weekly business hours for its date.
+const holidaySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Holiday name is required"],
+        trim: true,
+        maxLength: [100, "Name cannot exceed 100 characters"]
+    },
+    date: {
+        type: Date,
+        required: [true, "Holiday date is required"],
+        unique: true
+    },
+    isClosed: {
+        type: Boolean,
+        default: true
+    },
+    openTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    closeTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxLength: [300, "Notes cannot exceed 300 characters"]
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+// Store holidays at the start of their day and require hours when the salon opens
+holidaySchema.pre('validate', function(next) {
+    if (this.date) {
+        this.date = getDayRange(this.date).start;
+    }
+    if (!this.isClosed) {
+        if (!this.openTime || !this.closeTime) {
+            this.invalidate('openTime', 'Open and close times are required unless the salon is closed');
+        } else if (timeToMinutes(this.openTime) >= timeToMinutes(this.closeTime)) {
+            this.invalidate('closeTime', 'Close time must be after open time');
+        }
+    }
+    next();
+});
+
+export const Holiday = mongoose.model("Holiday", holidaySchema);
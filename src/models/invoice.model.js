@@ -0,0 +1,176 @@
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        trim: true,
+        uppercase: true
+    },
+    email: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    address: {
+        type: String,
+        trim: true
+    },
+    state: {
+        type: String,
+        trim: true
+    },
+    stateCode: {
+        type: String,
+        trim: true
+    }
+}, { _id: false });
+
+// GST tax invoices: one per completed appointment or paid membership.
+// Numbers run without gaps within each financial year (April to March).
+// Parties, lines and totals are snapshots taken when the invoice is issued.
+const invoiceSchema = new mongoose.Schema({
+    invoiceNumber: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    financialYear: {
+        type: String,
+        required: true,
+        match: [/^\d{4}-\d{2}$/, "Financial year must look like 2025-26"]
+    },
+    sequence: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    targetType: {
+        type: String,
+        enum: ["appointment", "membership"],
+        required: [true, "Invoice target type is required"]
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+    membershipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Membership"
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    supplier: partySchema,
+    buyer: partySchema,
+    placeOfSupply: {
+        state: String,
+        stateCode: String
+    },
+    supplyType: {
+        type: String,
+        enum: ["intra_state", "inter_state"],
+        required: true
+    },
+    lines: [{
+        description: {
+            type: String,
+            required: true,
+            trim: true
+        },
+        // SAC for services, HSN for goods
+        hsnSac: {
+            type: String,
+            trim: true
+        },
+        quantity: {
+            type: Number,
+            default: 1,
+            min: 1
+        },
+        // Line amount before discount, including GST
+        grossAmount: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        discount: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        taxableValue: {
+            type: Number,
+            required: true,
+            min: 0
+        },
+        gstRate: {
+            type: Number,
+            required: true
+        },
+        cgst: {
+            type: Number,
+            default: 0
+        },
+        sgst: {
+            type: Number,
+            default: 0
+        },
+        igst: {
+            type: Number,
+            default: 0
+        },
+        // Line amount after discount, including GST
+        amount: {
+            type: Number,
+            required: true,
+            min: 0
+        }
+    }],
+    totals: {
+        grossAmount: Number,
+        discount: Number,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number,
+        total: Number
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    },
+    status: {
+        type: String,
+        enum: ["issued", "cancelled"],
+        default: "issued"
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    issuedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+invoiceSchema.index({ financialYear: 1, sequence: 1 }, { unique: true });
+invoiceSchema.index({ appointmentId: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ membershipId: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+invoiceSchema.index({ issuedAt: -1 });
+
+export const Invoice = mongoose.model("Invoice", invoiceSchema);
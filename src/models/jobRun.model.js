@@ -0,0 +1,54 @@
+import mongoose from "mongoose";
+
+// One run of a background job: when it ran, who started it and what it did.
+// Only one run of a job can be running at a time.
+const jobRunSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, "Job name is required"],
+        trim: true
+    },
+    trigger: {
+        type: String,
+        enum: ["schedule", "manual"],
+        default: "schedule"
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    status: {
+        type: String,
+        enum: ["running", "completed", "failed"],
+        default: "running"
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date
+    },
+    durationMs: {
+        type: Number,
+        min: [0, "Duration cannot be negative"]
+    },
+    // Counts and references the job reports, e.g. { expired: 12 }
+    summary: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    error: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// A second run of a job that is still running fails to insert
+jobRunSchema.index({ name: 1 }, { unique: true, partialFilterExpression: { status: "running" } });
+
+export const JobRun = mongoose.model("JobRun", jobRunSchema);
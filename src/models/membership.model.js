@@ -71,6 +71,11 @@ const membershipSchema = new mongoose.Schema({
         required: [true, "Amount paid is required"],
         min: [0, "Amount paid cannot be negative"]
     },
+    amountRefunded: {
+        type: Number,
+        default: 0,
+        min: [0, "Amount refunded cannot be negative"]
+    },
     originalAmount: {
         type: Number,
         required: [true, "Original amount is required"],
@@ -86,6 +91,12 @@ const membershipSchema = new mongoose.Schema({
         default: 0,
         min: [0, "Tax amount cannot be negative"]
     },
+    // Part of amountPaid taken from the customer's wallet; the rest is charged through Razorpay
+    walletAmount: {
+        type: Number,
+        default: 0,
+        min: [0, "Wallet amount cannot be negative"]
+    },
     // Enhanced appointment tracking
     remainingAppointments: {
         type: Number,
@@ -96,6 +107,33 @@ const membershipSchema = new mongoose.Schema({
         default: 0,
         min: [0, "Used appointments cannot be negative"]
     },
+    // Balances of the services included by the package, taken when it was bought
+    entitlements: [{
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: [true, "Service ID is required"]
+        },
+        serviceName: {
+            type: String,
+            trim: true
+        },
+        quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be at least 1"]
+        },
+        used: {
+            type: Number,
+            default: 0,
+            min: [0, "Used sessions cannot be negative"]
+        },
+        remaining: {
+            type: Number,
+            required: [true, "Remaining sessions are required"],
+            min: [0, "Remaining sessions cannot be negative"]
+        }
+    }],
     // Membership tier and benefits
     membershipTier: {
         type: String,
@@ -114,6 +152,117 @@ const membershipSchema = new mongoose.Schema({
     renewalDate: {
         type: Date
     },
+    // Recurring charges against a mandate the customer authorised; each renewal starts a new membership
+    renewal: {
+        status: {
+            type: String,
+            enum: ["none", "mandate_pending", "active", "past_due", "renewed", "failed", "cancelled"],
+            default: "none"
+        },
+        method: {
+            type: String,
+            enum: ["card", "upi", "emandate"]
+        },
+        razorpayCustomerId: {
+            type: String,
+            trim: true
+        },
+        razorpayTokenId: {
+            type: String,
+            trim: true
+        },
+        mandateOrderId: {
+            type: String,
+            trim: true
+        },
+        authorisedAt: {
+            type: Date
+        },
+        nextAttemptAt: {
+            type: Date
+        },
+        attemptCount: {
+            type: Number,
+            default: 0,
+            min: [0, "Attempt count cannot be negative"]
+        },
+        // End of the paid period while a grace period keeps the membership going past it
+        periodEndsAt: {
+            type: Date
+        },
+        graceEndsAt: {
+            type: Date
+        },
+        lastError: {
+            type: String,
+            trim: true
+        },
+        renewedMembershipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Membership"
+        }
+    },
+    // Expiring-soon reminders sent, per expiry date so an extended membership is reminded again
+    expiryReminders: [{
+        leadDays: {
+            type: Number,
+            min: [1, "Lead time must be at least 1 day"]
+        },
+        expiryDate: {
+            type: Date
+        },
+        sentAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Approved freezes; the membership cannot be used from startDate until endDate
+    freezePeriods: [{
+        freezeId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "MembershipFreeze"
+        },
+        startDate: {
+            type: Date
+        },
+        endDate: {
+            type: Date
+        },
+        days: {
+            type: Number,
+            min: [1, "A freeze must last at least 1 day"]
+        }
+    }],
+    renewalAttempts: [{
+        razorpayOrderId: {
+            type: String,
+            trim: true
+        },
+        razorpayPaymentId: {
+            type: String,
+            trim: true
+        },
+        amount: {
+            type: Number,
+            min: [0, "Amount cannot be negative"]
+        },
+        status: {
+            type: String,
+            enum: ["pending", "captured", "failed"],
+            default: "pending"
+        },
+        error: {
+            type: String,
+            trim: true
+        },
+        attemptedAt: {
+            type: Date,
+            default: Date.now
+        },
+        settledAt: {
+            type: Date
+        }
+    }],
     // Enhanced tracking
     notes: {
         type: String,
@@ -185,9 +334,12 @@ membershipSchema.index({ paymentStatus: 1 });
 membershipSchema.index({ membershipStatus: 1 });
 membershipSchema.index({ membershipTier: 1 });
 membershipSchema.index({ expiryDate: 1 });
+membershipSchema.index({ membershipStatus: 1, expiryDate: 1 });
 membershipSchema.index({ createdAt: -1 });
 // razorpayOrderId and razorpayPaymentId already have unique indexes from field definitions
 membershipSchema.index({ autoRenewal: 1, renewalDate: 1 });
+membershipSchema.index({ "renewal.status": 1, "renewal.nextAttemptAt": 1 });
+membershipSchema.index({ "renewalAttempts.razorpayOrderId": 1 });
 membershipSchema.index({ startDate: 1, expiryDate: 1 });
 
 // Virtual for membership duration in days
@@ -289,17 +441,21 @@ membershipSchema.statics.getMembershipsByStatus = function(status) {
     
     switch (status) {
         case 'active':
+            query.membershipStatus = 'active';
             query.startDate = { $lte: now };
             query.expiryDate = { $gt: now };
             break;
         case 'expired':
-            query.expiryDate = { $lte: now };
+            // Expired by the lifecycle sweep, or lapsed since it last ran
+            query.$or = [{ membershipStatus: 'expired' }, { expiryDate: { $lte: now } }];
             break;
         case 'not_started':
+            query.membershipStatus = 'active';
             query.startDate = { $gt: now };
             break;
         case 'expiring_soon':
             const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+            query.membershipStatus = 'active';
             query.startDate = { $lte: now };
             query.expiryDate = { $gt: now, $lte: sevenDaysFromNow };
             break;
@@ -448,17 +604,31 @@ membershipSchema.methods.setAutoRenewal = function(enabled) {
     return this.save();
 };
 
-// Instance method to calculate savings
-membershipSchema.methods.calculateSavings = function(servicePrice) {
+// Instance method to get the tier discount rate on services
+membershipSchema.methods.getDiscountRate = function() {
     const tierDiscounts = {
         basic: 0.05,    // 5%
         premium: 0.10,  // 10%
         vip: 0.15,      // 15%
         platinum: 0.20  // 20%
     };
-    
-    const discountRate = tierDiscounts[this.membershipTier] || 0;
-    const savings = servicePrice * discountRate;
+    return tierDiscounts[this.membershipTier] || 0;
+};
+
+// Instance method to get the days the membership can be frozen per year
+membershipSchema.methods.getFreezeAllowanceDays = function() {
+    const tierFreezeDays = {
+        basic: 15,
+        premium: 30,
+        vip: 45,
+        platinum: 60
+    };
+    return tierFreezeDays[this.membershipTier] || 0;
+};
+
+// Instance method to calculate savings
+membershipSchema.methods.calculateSavings = function(servicePrice) {
+    const savings = servicePrice * this.getDiscountRate();
     this.totalSavings += savings;
     return this.save();
 };
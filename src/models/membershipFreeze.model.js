@@ -0,0 +1,78 @@
+import mongoose from "mongoose";
+
+// A member's request to pause a membership for a while. Once approved the membership
+// cannot be used between startDate and endDate and its expiry moves out by the frozen days.
+const membershipFreezeSchema = new mongoose.Schema({
+    membershipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Membership",
+        required: [true, "Membership ID is required"]
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    startDate: {
+        type: Date,
+        required: [true, "Freeze start date is required"]
+    },
+    // First day the membership can be used again
+    endDate: {
+        type: Date,
+        required: [true, "Freeze end date is required"]
+    },
+    days: {
+        type: Number,
+        required: [true, "Freeze length is required"],
+        min: [1, "A freeze must last at least 1 day"]
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Reason cannot exceed 500 characters"]
+    },
+    status: {
+        type: String,
+        enum: ["pending", "approved", "rejected", "cancelled"],
+        default: "pending"
+    },
+    requestedAt: {
+        type: Date,
+        default: Date.now
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    reviewedAt: {
+        type: Date
+    },
+    reviewNote: {
+        type: String,
+        trim: true,
+        maxlength: [500, "Review note cannot exceed 500 characters"]
+    },
+    // Expiry before and after the freeze was applied
+    previousExpiryDate: {
+        type: Date
+    },
+    extendedExpiryDate: {
+        type: Date
+    },
+    cancelledAt: {
+        type: Date
+    },
+    cancelledBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+membershipFreezeSchema.index({ membershipId: 1, status: 1, startDate: 1 });
+membershipFreezeSchema.index({ userId: 1, createdAt: -1 });
+membershipFreezeSchema.index({ status: 1, requestedAt: 1 });
+
+export const MembershipFreeze = mongoose.model("MembershipFreeze", membershipFreezeSchema);
@@ -38,6 +38,19 @@ const packageSchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: "Service"
     }],
+    // Sessions of each service the package includes, e.g. 6 hair spas and 2 facials
+    entitlements: [{
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: [true, "Service ID is required"]
+        },
+        quantity: {
+            type: Number,
+            required: [true, "Quantity is required"],
+            min: [1, "Quantity must be at least 1"]
+        }
+    }],
     discountPercentage: {
         type: Number,
         min: [0, "Discount percentage cannot be negative"],
@@ -65,6 +78,13 @@ const packageSchema = new mongoose.Schema({
         type: String,
         trim: true,
         maxLength: [1000, "Terms and conditions cannot exceed 1000 characters"]
+    },
+    // SAC code printed on membership invoices
+    sacCode: {
+        type: String,
+        trim: true,
+        match: [/^99\d{4}$/, "SAC code must be a 6-digit code starting with 99"],
+        default: "999729" // Other beauty treatment services
     }
 }, {
     timestamps: true
@@ -0,0 +1,72 @@
+import mongoose from "mongoose";
+
+// A payment gateway webhook delivery, stored before it is processed.
+// eventId is unique so redelivered events are recognised and not applied twice;
+// the raw payload is kept so failed events can be replayed.
+const paymentEventSchema = new mongoose.Schema({
+    provider: {
+        type: String,
+        enum: ["razorpay"],
+        default: "razorpay"
+    },
+    eventId: {
+        type: String,
+        required: [true, "Event ID is required"],
+        unique: true,
+        trim: true
+    },
+    event: {
+        type: String,
+        required: [true, "Event type is required"],
+        trim: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // Gateway references pulled out of the payload for lookups
+    orderId: {
+        type: String,
+        trim: true
+    },
+    paymentId: {
+        type: String,
+        trim: true
+    },
+    refundId: {
+        type: String,
+        trim: true
+    },
+    status: {
+        type: String,
+        enum: ["received", "processed", "ignored", "failed"],
+        default: "received"
+    },
+    // What the event was reconciled against
+    targetType: {
+        type: String,
+        enum: ["membership", "appointment", "gift_card"]
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: {
+        type: String,
+        trim: true
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+paymentEventSchema.index({ status: 1, createdAt: -1 });
+paymentEventSchema.index({ orderId: 1 });
+paymentEventSchema.index({ paymentId: 1 });
+
+export const PaymentEvent = mongoose.model("PaymentEvent", paymentEventSchema);
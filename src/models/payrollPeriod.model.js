@@ -0,0 +1,52 @@
+import mongoose from "mongoose";
+
+// A pay period and the statements generated for it. Draft periods can be regenerated
+// as appointments and tips come in; finalised periods are locked and never change.
+const payrollPeriodSchema = new mongoose.Schema({
+    // First and last day of the period, inclusive; periods cover whole calendar months
+    startDate: {
+        type: Date,
+        required: [true, "Start date is required"]
+    },
+    endDate: {
+        type: Date,
+        required: [true, "End date is required"]
+    },
+    status: {
+        type: String,
+        enum: ["draft", "finalised"],
+        default: "draft"
+    },
+    totals: {
+        serviceRevenue: { type: Number, default: 0 },
+        retailRevenue: { type: Number, default: 0 },
+        commission: { type: Number, default: 0 },
+        tips: { type: Number, default: 0 },
+        totalPayout: { type: Number, default: 0 }
+    },
+    stylistCount: {
+        type: Number,
+        default: 0
+    },
+    generatedAt: Date,
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    finalisedAt: Date,
+    finalisedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxLength: [500, "Notes cannot exceed 500 characters"]
+    }
+}, {
+    timestamps: true
+});
+
+payrollPeriodSchema.index({ startDate: 1, endDate: 1 });
+
+export const PayrollPeriod = mongoose.model("PayrollPeriod", payrollPeriodSchema);
@@ -0,0 +1,105 @@
+import mongoose from "mongoose";
+
+// One stylist's earnings for a pay period: commission on the services they performed and
+// the products they sold on completed appointments, plus the tips allocated to them.
+// Revenue is net of discounts and GST; rates are copied from the rules in force when generated.
+const payrollStatementSchema = new mongoose.Schema({
+    periodId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "PayrollPeriod",
+        required: [true, "Payroll period is required"]
+    },
+    stylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Stylist",
+        required: [true, "Stylist ID is required"]
+    },
+    stylistName: {
+        type: String,
+        trim: true
+    },
+    lines: [{
+        kind: {
+            type: String,
+            enum: ["service", "retail", "tip"],
+            required: true
+        },
+        appointmentId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Appointment"
+        },
+        bookingReference: String,
+        date: Date,
+        description: String,
+        category: String,
+        revenue: {
+            type: Number,
+            default: 0
+        },
+        ruleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CommissionRule"
+        },
+        rate: {
+            type: Number,
+            default: 0
+        },
+        // Commission for service and retail lines, the stylist's share for tips
+        amount: {
+            type: Number,
+            default: 0
+        }
+    }],
+    // Revenue and commission per rule applied, with the rate the revenue earned
+    breakdown: [{
+        ruleId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "CommissionRule"
+        },
+        category: String,
+        type: {
+            type: String,
+            enum: ["flat", "tiered", "none"]
+        },
+        // Calendar month (YYYY-MM) whose revenue set a tiered rule's rate
+        month: String,
+        revenue: Number,
+        rate: Number,
+        commission: Number
+    }],
+    appointmentCount: {
+        type: Number,
+        default: 0
+    },
+    serviceRevenue: {
+        type: Number,
+        default: 0
+    },
+    retailRevenue: {
+        type: Number,
+        default: 0
+    },
+    serviceCommission: {
+        type: Number,
+        default: 0
+    },
+    retailCommission: {
+        type: Number,
+        default: 0
+    },
+    tips: {
+        type: Number,
+        default: 0
+    },
+    totalPayout: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+payrollStatementSchema.index({ periodId: 1, stylistId: 1 }, { unique: true });
+payrollStatementSchema.index({ stylistId: 1, createdAt: -1 });
+
+export const PayrollStatement = mongoose.model("PayrollStatement", payrollStatementSchema);
@@ -0,0 +1,77 @@
+import mongoose from "mongoose";
+
+// One run of the payment reconciliation job: every stale pending membership it checked
+// against Razorpay and what it did with it. Admins review runs for records flagged for review.
+const reconciliationReportSchema = new mongoose.Schema({
+    trigger: {
+        type: String,
+        enum: ["schedule", "manual"],
+        default: "schedule"
+    },
+    triggeredBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    status: {
+        type: String,
+        enum: ["running", "completed", "failed"],
+        default: "running"
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    finishedAt: {
+        type: Date
+    },
+    // Settings the run used
+    staleAfterMinutes: Number,
+    expireAfterHours: Number,
+    summary: {
+        checked: { type: Number, default: 0 },
+        settled: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        review: { type: Number, default: 0 },
+        errors: { type: Number, default: 0 }
+    },
+    items: [{
+        membershipId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Membership",
+            required: true
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "User"
+        },
+        razorpayOrderId: String,
+        // settled: captured payment applied, failed: given up on, pending: left to wait,
+        // review: needs an admin (e.g. amount mismatch), error: Razorpay could not be queried
+        outcome: {
+            type: String,
+            enum: ["settled", "failed", "pending", "review", "error"],
+            required: true
+        },
+        previousPaymentStatus: String,
+        orderStatus: String,
+        razorpayPaymentId: String,
+        amount: Number,
+        expectedAmount: Number,
+        message: {
+            type: String,
+            trim: true
+        }
+    }],
+    error: {
+        type: String,
+        trim: true
+    }
+}, {
+    timestamps: true
+});
+
+reconciliationReportSchema.index({ startedAt: -1 });
+reconciliationReportSchema.index({ "items.outcome": 1, startedAt: -1 });
+
+export const ReconciliationReport = mongoose.model("ReconciliationReport", reconciliationReportSchema);
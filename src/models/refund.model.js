@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+
+// Refunds ledger: one entry per refund issued against a Razorpay payment.
+// Entries start as pending once the gateway accepts them and become processed when
+// Razorpay confirms the money has moved (refund.processed webhook).
+const refundSchema = new mongoose.Schema({
+    targetType: {
+        type: String,
+        enum: ["appointment", "membership"],
+        required: [true, "Refund target type is required"]
+    },
+    targetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: [true, "Refund target is required"],
+        refPath: "targetModel"
+    },
+    targetModel: {
+        type: String,
+        enum: ["Appointment", "Membership"],
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    razorpayPaymentId: {
+        type: String,
+        required: [true, "Payment ID is required"],
+        trim: true
+    },
+    razorpayRefundId: {
+        type: String,
+        trim: true,
+        unique: true,
+        sparse: true
+    },
+    amount: {
+        type: Number,
+        required: [true, "Refund amount is required"],
+        min: [0.01, "Refund amount must be positive"]
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Reason cannot exceed 200 characters"]
+    },
+    status: {
+        type: String,
+        enum: ["pending", "processed", "failed"],
+        default: "pending"
+    },
+    // Refunds raised outside the API (e.g. from the Razorpay dashboard) arrive by webhook
+    source: {
+        type: String,
+        enum: ["cancellation", "admin", "gateway"],
+        default: "cancellation"
+    },
+    failureReason: {
+        type: String,
+        trim: true
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    processedAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+refundSchema.index({ targetType: 1, targetId: 1 });
+refundSchema.index({ status: 1, createdAt: -1 });
+refundSchema.index({ userId: 1, createdAt: -1 });
+refundSchema.index({ razorpayPaymentId: 1 });
+
+export const Refund = mongoose.model("Refund", refundSchema);
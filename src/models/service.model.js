@@ -1,5 +1,13 @@
 import mongoose from "mongoose";
 
+// SAC codes for beauty and physical well-being services (heading 9997)
+const DEFAULT_SAC_CODES = {
+    hair: "999721", // Hairdressing and barbers' services
+    nail: "999722", // Cosmetic treatment, manicuring and pedicuring services
+    skin: "999722",
+    body: "999723" // Physical well-being services
+};
+
 const serviceSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -83,6 +91,20 @@ const serviceSchema = new mongoose.Schema({
         type: Number,
         default: 0
     },
+    // GST: SAC code printed on invoices and the rate the price includes
+    sacCode: {
+        type: String,
+        trim: true,
+        match: [/^99\d{4}$/, "SAC code must be a 6-digit code starting with 99"],
+        default: function() {
+            return DEFAULT_SAC_CODES[this.category] || "999729";
+        }
+    },
+    gstRate: {
+        type: Number,
+        enum: [0, 5, 12, 18, 28],
+        default: 18
+    },
     discount: {
         percentage: {
             type: Number,
@@ -0,0 +1,55 @@
+import mongoose from "mongoose";
+
+// A short-lived reservation of stylist time while a customer completes checkout.
+// Holds share the appointment's timeSlot + services shape so their stylist intervals
+// are computed the same way. MongoDB removes expired holds via the TTL index, and
+// availability queries ignore holds past expiresAt in the meantime.
+const slotHoldSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    date: {
+        type: Date,
+        required: [true, "Hold date is required"]
+    },
+    timeSlot: {
+        type: String,
+        required: [true, "Time slot is required"],
+        match: [/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/, "Please enter time in HH:MM format"]
+    },
+    location: {
+        type: String,
+        enum: ["home", "salon"],
+        default: "salon"
+    },
+    services: [{
+        serviceId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Service",
+            required: true
+        },
+        stylistId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: "Stylist",
+            required: true
+        },
+        duration: {
+            type: Number,
+            required: true
+        }
+    }],
+    expiresAt: {
+        type: Date,
+        required: [true, "Hold expiry is required"]
+    }
+}, {
+    timestamps: true
+});
+
+slotHoldSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+slotHoldSchema.index({ "services.stylistId": 1, date: 1 });
+slotHoldSchema.index({ userId: 1 });
+
+export const SlotHold = mongoose.model("SlotHold", slotHoldSchema);
@@ -0,0 +1,114 @@
+import mongoose from "mongoose";
+import { timeToMinutes } from "../utils/availability.js";
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const weekDays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+
+// Exceptions to a stylist's regular weekly schedule:
+// - break: recurring blocked time on some (or all) weekdays, e.g. lunch
+// - leave: whole days off between startDate and endDate (inclusive)
+// - override: replaces the schedule for a single date (shorter day, extra day or day off)
+const stylistExceptionSchema = new mongoose.Schema({
+    stylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Stylist",
+        required: [true, "Stylist ID is required"]
+    },
+    type: {
+        type: String,
+        enum: ["break", "leave", "override"],
+        required: [true, "Exception type is required"]
+    },
+    reason: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Reason cannot exceed 200 characters"]
+    },
+    // Break fields
+    daysOfWeek: [{
+        type: String,
+        enum: weekDays
+    }],
+    startTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    endTime: {
+        type: String,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    // Leave fields (also bound a break's validity when set)
+    startDate: {
+        type: Date
+    },
+    endDate: {
+        type: Date
+    },
+    // Override fields
+    date: {
+        type: Date
+    },
+    isDayOff: {
+        type: Boolean,
+        default: false
+    },
+    workingHours: {
+        start: {
+            type: String,
+            match: [timeRegex, "Please enter time in HH:MM format"]
+        },
+        end: {
+            type: String,
+            match: [timeRegex, "Please enter time in HH:MM format"]
+        }
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+stylistExceptionSchema.index({ stylistId: 1, type: 1, isActive: 1 });
+stylistExceptionSchema.index({ stylistId: 1, date: 1 });
+stylistExceptionSchema.index({ stylistId: 1, startDate: 1, endDate: 1 });
+
+// Validate that the fields required by each exception type are present
+stylistExceptionSchema.pre('validate', function(next) {
+    if (this.type === 'break') {
+        if (!this.startTime || !this.endTime) {
+            this.invalidate('startTime', 'Breaks require a start and end time');
+        } else if (timeToMinutes(this.startTime) >= timeToMinutes(this.endTime)) {
+            this.invalidate('endTime', 'Break end time must be after start time');
+        }
+    }
+
+    if (this.type === 'leave') {
+        if (!this.startDate || !this.endDate) {
+            this.invalidate('startDate', 'Leave requires a start and end date');
+        } else if (this.endDate < this.startDate) {
+            this.invalidate('endDate', 'Leave end date cannot be before start date');
+        }
+    }
+
+    if (this.type === 'override') {
+        const { start, end } = this.workingHours || {};
+        if (!this.date) {
+            this.invalidate('date', 'Overrides require a date');
+        }
+        if (!this.isDayOff && (!start || !end)) {
+            this.invalidate('workingHours', 'Overrides require working hours unless the stylist is off');
+        } else if (!this.isDayOff && timeToMinutes(start) >= timeToMinutes(end)) {
+            this.invalidate('workingHours.end', 'Override end time must be after start time');
+        }
+    }
+
+    next();
+});
+
+export const StylistException = mongoose.model("StylistException", stylistExceptionSchema);
@@ -0,0 +1,116 @@
+import mongoose from "mongoose";
+
+// Payment transactions ledger: one entry per movement of money, whichever way it was taken.
+// Charges are Razorpay payments and payments taken at the counter, refunds are money returned
+// and fees are cancellation or no-show fees collected separately. Fees kept back from an online
+// payment are not recorded again: they are the part of the charge that was not refunded.
+// Gift card sales are charges; spending the wallet balance they fund is not recorded here.
+// Tips are taken for the stylists rather than the salon, so they are kept out of revenue.
+const transactionSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ["charge", "refund", "fee", "tip"],
+        required: [true, "Transaction type is required"]
+    },
+    method: {
+        type: String,
+        enum: ["razorpay", "cash", "upi", "card"],
+        required: [true, "Payment method is required"]
+    },
+    // online: Razorpay checkout, counter: taken at the salon, gateway: raised from the Razorpay dashboard
+    source: {
+        type: String,
+        enum: ["online", "counter", "gateway"],
+        default: "online"
+    },
+    status: {
+        type: String,
+        enum: ["pending", "completed", "failed"],
+        default: "completed"
+    },
+    amount: {
+        type: Number,
+        required: [true, "Transaction amount is required"],
+        min: [0.01, "Transaction amount must be positive"]
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+    membershipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Membership"
+    },
+    refundId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Refund"
+    },
+    feeId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    tipId: {
+        type: mongoose.Schema.Types.ObjectId
+    },
+    giftCardId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GiftCard"
+    },
+    razorpayOrderId: {
+        type: String,
+        trim: true
+    },
+    razorpayPaymentId: {
+        type: String,
+        trim: true
+    },
+    razorpayRefundId: {
+        type: String,
+        trim: true
+    },
+    // Card terminal or UPI reference for payments taken at the counter
+    reference: {
+        type: String,
+        trim: true,
+        maxLength: [100, "Reference cannot exceed 100 characters"]
+    },
+    // Identifies the event being recorded so verify calls, webhooks and replays record it once
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Description cannot exceed 200 characters"]
+    },
+    recordedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    occurredAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+transactionSchema.index({ occurredAt: -1 });
+transactionSchema.index({ type: 1, status: 1, occurredAt: -1 });
+transactionSchema.index({ userId: 1, occurredAt: -1 });
+transactionSchema.index({ appointmentId: 1 });
+transactionSchema.index({ membershipId: 1 });
+transactionSchema.index({ razorpayPaymentId: 1 });
+
+export const Transaction = mongoose.model("Transaction", transactionSchema);
@@ -0,0 +1,132 @@
+import mongoose from "mongoose";
+import { getDayRange } from "../utils/availability.js";
+
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// A slot offered to a waitlisted customer, held for them until expiresAt
+const offerSchema = new mongoose.Schema({
+    date: {
+        type: Date,
+        required: true
+    },
+    timeSlot: {
+        type: String,
+        required: true,
+        match: [timeRegex, "Please enter time in HH:MM format"]
+    },
+    stylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Stylist",
+        required: true
+    },
+    duration: {
+        type: Number,
+        required: true
+    },
+    offeredAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    outcome: {
+        type: String,
+        enum: ["pending", "booked", "declined", "expired", "withdrawn"],
+        default: "pending"
+    }
+}, { _id: false });
+
+const waitlistSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    serviceId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Service",
+        required: [true, "Service ID is required"]
+    },
+    stylistId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Stylist",
+        default: null // null means any stylist who can perform the service
+    },
+    location: {
+        type: String,
+        enum: ["home", "salon"],
+        default: "salon"
+    },
+    dateFrom: {
+        type: Date,
+        required: [true, "Start of the date range is required"]
+    },
+    dateTo: {
+        type: Date,
+        required: [true, "End of the date range is required"]
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxLength: [300, "Notes cannot exceed 300 characters"]
+    },
+    status: {
+        type: String,
+        enum: ["waiting", "offered", "booked", "expired", "cancelled"],
+        default: "waiting"
+    },
+    // Higher priority entries are offered slots first; ties go to the earliest entry
+    priority: {
+        type: Number,
+        default: 0
+    },
+    currentOffer: {
+        type: offerSchema,
+        default: null
+    },
+    offerHistory: [offerSchema],
+    bookedAppointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+    cancelledAt: {
+        type: Date
+    }
+}, {
+    timestamps: true
+});
+
+waitlistSchema.index({ status: 1, priority: -1, createdAt: 1 });
+waitlistSchema.index({ serviceId: 1, status: 1, dateFrom: 1, dateTo: 1 });
+waitlistSchema.index({ userId: 1, status: 1 });
+waitlistSchema.index({ "currentOffer.stylistId": 1, "currentOffer.date": 1, status: 1 });
+waitlistSchema.index({ "currentOffer.expiresAt": 1, status: 1 });
+
+// Store the date range as whole days and validate it
+waitlistSchema.pre('validate', function(next) {
+    if (this.isModified('dateFrom') && this.dateFrom) {
+        this.dateFrom = getDayRange(this.dateFrom).start;
+    }
+    if (this.isModified('dateTo') && this.dateTo) {
+        this.dateTo = getDayRange(this.dateTo).start;
+    }
+    if (this.dateFrom && this.dateTo && this.dateTo < this.dateFrom) {
+        this.invalidate('dateTo', 'End of the date range cannot be before its start');
+    }
+    next();
+});
+
+// Check whether the entry holds an unexpired offer
+waitlistSchema.virtual('hasActiveOffer').get(function() {
+    return this.status === 'offered' &&
+           Boolean(this.currentOffer) &&
+           this.currentOffer.expiresAt > new Date();
+});
+
+// Ensure virtual fields are serialized
+waitlistSchema.set('toJSON', { virtuals: true });
+waitlistSchema.set('toObject', { virtuals: true });
+
+export const Waitlist = mongoose.model("Waitlist", waitlistSchema);
@@ -0,0 +1,25 @@
+import mongoose from "mongoose";
+
+// Prepaid salon balance, one wallet per customer.
+// The balance only changes together with a WalletTransaction entry that explains it.
+const walletSchema = new mongoose.Schema({
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"],
+        unique: true
+    },
+    balance: {
+        type: Number,
+        default: 0,
+        min: [0, "Wallet balance cannot be negative"]
+    },
+    currency: {
+        type: String,
+        default: "INR"
+    }
+}, {
+    timestamps: true
+});
+
+export const Wallet = mongoose.model("Wallet", walletSchema);
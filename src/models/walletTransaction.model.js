@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// Wallet balance ledger: every credit and debit with the balance it left behind.
+// Spending from the wallet moves no money, so these entries stay out of the payments
+// ledger; the gift card purchase that funded the balance is recorded there instead.
+const walletTransactionSchema = new mongoose.Schema({
+    walletId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Wallet",
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: [true, "User ID is required"]
+    },
+    type: {
+        type: String,
+        enum: ["credit", "debit"],
+        required: [true, "Wallet transaction type is required"]
+    },
+    // gift_card: redeemed card, appointment/membership: spent on a booking, tip: given to the
+    // stylists of a visit, refund: returned on cancellation, adjustment: corrected by an admin
+    source: {
+        type: String,
+        enum: ["gift_card", "appointment", "membership", "tip", "refund", "adjustment"],
+        required: [true, "Wallet transaction source is required"]
+    },
+    amount: {
+        type: Number,
+        required: [true, "Amount is required"],
+        min: [0.01, "Amount must be positive"]
+    },
+    balanceAfter: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    giftCardId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "GiftCard"
+    },
+    appointmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Appointment"
+    },
+    membershipId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Membership"
+    },
+    // Identifies the event being recorded so it moves the balance once
+    idempotencyKey: {
+        type: String,
+        required: true,
+        unique: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxLength: [200, "Description cannot exceed 200 characters"]
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    }
+}, {
+    timestamps: true
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+walletTransactionSchema.index({ appointmentId: 1 });
+walletTransactionSchema.index({ membershipId: 1 });
+
+export const WalletTransaction = mongoose.model("WalletTransaction", walletTransactionSchema);
@@ -11,10 +11,23 @@ import {
     getAppointmentStats,
     rescheduleAppointment,
     updateAppointmentStatus,
+    updateAppointmentFee,
     getAppointmentByReference,
     addRatingAndFeedback,
-    getTodaysAppointments
+    getTodaysAppointments,
+    createSlotHold,
+    getMySlotHolds,
+    releaseSlotHold
 } from "../controllers/appointment.controller.js";
+import {
+    createAppointmentPaymentOrder,
+    verifyAppointmentPayment,
+    getAppointmentPayments
+} from "../controllers/appointmentPayment.controller.js";
+import {
+    addTip,
+    verifyTipPayment
+} from "../controllers/tip.controller.js";
 import { verifyJWT, adminOnly, customerAndAdmin } from "../middleware/auth.middleware.js";
 import { body, param, query } from "express-validator";
 import { validate } from "../middleware/validation.middleware.js";
@@ -29,8 +42,20 @@ router.post(
     "/",
     [
         body("serviceId")
+            .if(body("services").not().exists())
             .isMongoId()
             .withMessage("Valid service ID is required"),
+        body("services")
+            .optional()
+            .isArray({ min: 1, max: 10 })
+            .withMessage("Services must be a list of 1 to 10 items"),
+        body("services.*.serviceId")
+            .isMongoId()
+            .withMessage("Valid service ID is required for each service"),
+        body("services.*.stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required for each service"),
         body("stylistId")
             .optional()
             .isMongoId()
@@ -54,6 +79,39 @@ router.post(
             .optional()
             .isLength({ max: 500 })
             .withMessage("Notes cannot exceed 500 characters"),
+        body("waitlistEntryId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required"),
+        body("recurrence")
+            .optional()
+            .isObject()
+            .withMessage("Recurrence must be an object"),
+        body("recurrence.frequency")
+            .if(body("recurrence").exists())
+            .isIn(["daily", "weekly", "monthly"])
+            .withMessage("Recurrence frequency must be daily, weekly or monthly"),
+        body("recurrence.interval")
+            .optional()
+            .isInt({ min: 1, max: 12 })
+            .withMessage("Recurrence interval must be between 1 and 12"),
+        body("recurrence.count")
+            .optional()
+            .isInt({ min: 2, max: 52 })
+            .withMessage("Recurrence count must be between 2 and 52"),
+        body("recurrence.endDate")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid recurrence end date is required"),
+        body("membershipId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        body("useMembership")
+            .optional()
+            .isBoolean()
+            .withMessage("useMembership must be a boolean")
+            .toBoolean(),
         body("address")
             .optional()
             .isObject()
@@ -89,6 +147,70 @@ router.post(
     createAppointment
 );
 
+// Hold a slot during checkout
+router.post(
+    "/holds",
+    [
+        body("serviceId")
+            .if(body("services").not().exists())
+            .isMongoId()
+            .withMessage("Valid service ID is required"),
+        body("services")
+            .optional()
+            .isArray({ min: 1, max: 10 })
+            .withMessage("Services must be a list of 1 to 10 items"),
+        body("services.*.serviceId")
+            .isMongoId()
+            .withMessage("Valid service ID is required for each service"),
+        body("services.*.stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required for each service"),
+        body("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("date")
+            .isISO8601()
+            .withMessage("Valid date is required"),
+        body("timeSlot")
+            .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+            .withMessage("Valid time slot is required (HH:MM format)"),
+        body("location")
+            .optional()
+            .isIn(["home", "salon"])
+            .withMessage("Location must be either 'home' or 'salon'"),
+        body("holdMinutes")
+            .optional()
+            .isInt({ min: 1, max: 30 })
+            .withMessage("Hold minutes must be between 1 and 30")
+            .toInt()
+    ],
+    validate,
+    customerAndAdmin,
+    createSlotHold
+);
+
+// Get user's active slot holds
+router.get(
+    "/holds/mine",
+    customerAndAdmin,
+    getMySlotHolds
+);
+
+// Release a slot hold
+router.delete(
+    "/holds/:holdId",
+    [
+        param("holdId")
+            .isMongoId()
+            .withMessage("Valid hold ID is required")
+    ],
+    validate,
+    customerAndAdmin,
+    releaseSlotHold
+);
+
 // Get user's appointments
 router.get(
     "/my-appointments",
@@ -215,10 +337,11 @@ router.put(
             .optional()
             .isObject()
             .withMessage("Address must be an object"),
+        // Status changes carry refunds, fees and invoices, so they go through their own endpoints
         body("status")
-            .optional()
-            .isIn(["pending", "confirmed", "in_progress", "completed", "cancelled", "no_show"])
-            .withMessage("Invalid status")
+            .not()
+            .exists()
+            .withMessage("Change the status with PATCH /appointments/:appointmentId/status or /cancel")
     ],
     validate,
     customerAndAdmin,
@@ -235,36 +358,71 @@ router.patch(
         body("cancellationReason")
             .optional()
             .isLength({ max: 200 })
-            .withMessage("Cancellation reason cannot exceed 200 characters")
+            .withMessage("Cancellation reason cannot exceed 200 characters"),
+        body("scope")
+            .optional()
+            .isIn(["single", "following"])
+            .withMessage("Scope must be either 'single' or 'following'"),
+        body("waiveFee")
+            .optional()
+            .isBoolean()
+            .withMessage("waiveFee must be a boolean")
+            .toBoolean()
     ],
     validate,
     customerAndAdmin,
     cancelAppointment
 );
 
-// Get available time slots
+// Get available time slots (omit stylistId for any stylist)
 router.get(
     "/time-slots/available",
     [
         query("stylistId")
+            .optional()
             .isMongoId()
             .withMessage("Valid stylist ID is required"),
+        query("location")
+            .optional()
+            .isIn(["home", "salon"])
+            .withMessage("Location must be either 'home' or 'salon'"),
         query("date")
             .isISO8601()
-            .withMessage("Valid date is required")
+            .withMessage("Valid date is required"),
+        query("serviceId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid service ID is required"),
+        query("serviceIds")
+            .optional()
+            .matches(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+            .withMessage("Service IDs must be a comma-separated list of valid IDs")
     ],
     validate,
     customerAndAdmin,
     getAvailableTimeSlots
 );
 
-// Get available dates for a stylist
+// Get available dates for a stylist (omit stylistId for any stylist)
 router.get(
     "/dates/available",
     [
         query("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        query("location")
+            .optional()
+            .isIn(["home", "salon"])
+            .withMessage("Location must be either 'home' or 'salon'"),
+        query("serviceId")
+            .optional()
             .isMongoId()
-            .withMessage("Valid stylist ID is required")
+            .withMessage("Valid service ID is required"),
+        query("serviceIds")
+            .optional()
+            .matches(/^[0-9a-fA-F]{24}(,[0-9a-fA-F]{24})*$/)
+            .withMessage("Service IDs must be a comma-separated list of valid IDs")
     ],
     validate,
     customerAndAdmin,
@@ -311,7 +469,11 @@ router.patch(
         body("reason")
             .optional()
             .isLength({ max: 200 })
-            .withMessage("Reason cannot exceed 200 characters")
+            .withMessage("Reason cannot exceed 200 characters"),
+        body("scope")
+            .optional()
+            .isIn(["single", "following"])
+            .withMessage("Scope must be either 'single' or 'following'")
     ],
     validate,
     customerAndAdmin,
@@ -338,6 +500,142 @@ router.patch(
     updateAppointmentStatus
 );
 
+// Create a payment order for an appointment's deposit or full payment
+router.post(
+    "/:appointmentId/payments/order",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("type")
+            .optional()
+            .isIn(["deposit", "full"])
+            .withMessage("Payment type must be either 'deposit' or 'full'"),
+        body("walletAmount")
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage("Wallet amount must be a non-negative number")
+    ],
+    validate,
+    customerAndAdmin,
+    createAppointmentPaymentOrder
+);
+
+// Verify an appointment payment
+router.post(
+    "/:appointmentId/payments/verify",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("razorpay_order_id")
+            .notEmpty()
+            .withMessage("Razorpay order ID is required"),
+        body("razorpay_payment_id")
+            .notEmpty()
+            .withMessage("Razorpay payment ID is required"),
+        body("razorpay_signature")
+            .notEmpty()
+            .withMessage("Razorpay signature is required")
+    ],
+    validate,
+    customerAndAdmin,
+    verifyAppointmentPayment
+);
+
+// Get an appointment's payments
+router.get(
+    "/:appointmentId/payments",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required")
+    ],
+    validate,
+    customerAndAdmin,
+    getAppointmentPayments
+);
+
+// Add a tip for the stylists of a completed appointment
+router.post(
+    "/:appointmentId/tips",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("amount")
+            .isFloat({ min: 1, max: 100000 })
+            .withMessage("Tip must be between 1 and 100000"),
+        body("method")
+            .optional()
+            .isIn(["razorpay", "wallet", "cash", "upi", "card"])
+            .withMessage("Method must be one of: razorpay, wallet, cash, upi, card"),
+        body("allocations")
+            .optional()
+            .isArray({ max: 10 })
+            .withMessage("Allocations must be an array of at most 10 stylists"),
+        body("allocations.*.stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("allocations.*.amount")
+            .isFloat({ min: 0.01 })
+            .withMessage("Allocated amount must be positive"),
+        body("reference")
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage("Reference cannot exceed 100 characters")
+    ],
+    validate,
+    customerAndAdmin,
+    addTip
+);
+
+// Verify a tip payment
+router.post(
+    "/:appointmentId/tips/verify",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("razorpay_order_id")
+            .notEmpty()
+            .withMessage("Razorpay order ID is required"),
+        body("razorpay_payment_id")
+            .notEmpty()
+            .withMessage("Razorpay payment ID is required"),
+        body("razorpay_signature")
+            .notEmpty()
+            .withMessage("Razorpay signature is required")
+    ],
+    validate,
+    customerAndAdmin,
+    verifyTipPayment
+);
+
+// Mark a cancellation or no-show fee as paid or waived (admin only)
+router.patch(
+    "/:appointmentId/fees/:feeId",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        param("feeId")
+            .isMongoId()
+            .withMessage("Valid fee ID is required"),
+        body("status")
+            .isIn(["paid", "waived"])
+            .withMessage("Status must be either 'paid' or 'waived'"),
+        body("method")
+            .optional()
+            .isIn(["cash", "upi", "card"])
+            .withMessage("Method must be one of: cash, upi, card")
+    ],
+    validate,
+    adminOnly,
+    updateAppointmentFee
+);
+
 // Get appointment by booking reference
 router.get(
     "/reference/:bookingReference",
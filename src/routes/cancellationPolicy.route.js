@@ -0,0 +1,74 @@
+import express from "express";
+import {
+    getCancellationPolicies,
+    setCancellationPolicy,
+    deleteCancellationPolicy
+} from "../controllers/cancellationPolicy.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { body, param } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+const policyCategories = ["default", "hair", "nail", "body", "skin"];
+
+// Public routes (no authentication required)
+router.get(
+    "/",
+    getCancellationPolicies
+);
+
+// Admin routes (authentication required)
+router.use(verifyJWT);
+
+// Create or update a category's cancellation policy (Admin only)
+router.put(
+    "/:category",
+    [
+        param("category")
+            .isIn(policyCategories)
+            .withMessage("Invalid policy category"),
+        body("noticeHours")
+            .optional()
+            .isFloat({ min: 0, max: 168 })
+            .withMessage("Notice window must be between 0 and 168 hours"),
+        body("allowLateCancellation")
+            .optional()
+            .isBoolean()
+            .withMessage("allowLateCancellation must be a boolean"),
+        body("lateCancelFeePercent")
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage("Late cancellation fee must be between 0 and 100 percent"),
+        body("noShowFeePercent")
+            .optional()
+            .isFloat({ min: 0, max: 100 })
+            .withMessage("No-show fee must be between 0 and 100 percent"),
+        body("maxNoShows")
+            .optional({ nullable: true })
+            .isInt({ min: 1 })
+            .withMessage("Maximum no-shows must be a positive integer"),
+        body("isActive")
+            .optional()
+            .isBoolean()
+            .withMessage("isActive must be a boolean")
+    ],
+    validate,
+    adminOnly,
+    setCancellationPolicy
+);
+
+// Remove a category's cancellation policy (Admin only)
+router.delete(
+    "/:category",
+    [
+        param("category")
+            .isIn(policyCategories)
+            .withMessage("Invalid policy category")
+    ],
+    validate,
+    adminOnly,
+    deleteCancellationPolicy
+);
+
+export default router;
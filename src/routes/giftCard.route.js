@@ -0,0 +1,137 @@
+import express from "express";
+import {
+    purchaseGiftCard,
+    verifyGiftCardPayment,
+    redeemGiftCard,
+    getMyGiftCards,
+    getGiftCards,
+    cancelGiftCard
+} from "../controllers/giftCard.controller.js";
+import { verifyJWT, adminOnly, customerAndAdmin } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+const giftCardStatuses = ["pending_payment", "active", "redeemed", "cancelled"];
+
+const paginationRules = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100"),
+    query("status")
+        .optional()
+        .isIn(giftCardStatuses)
+        .withMessage(`Status must be one of: ${giftCardStatuses.join(", ")}`)
+];
+
+// Buy a gift card
+router.post(
+    "/purchase",
+    [
+        body("amount")
+            .isFloat({ min: 100, max: 50000 })
+            .withMessage("Gift card amount must be between 100 and 50000"),
+        body("recipientName")
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage("Recipient name must be between 2 and 50 characters"),
+        body("recipientEmail")
+            .optional()
+            .isEmail()
+            .withMessage("Please provide a valid recipient email"),
+        body("message")
+            .optional()
+            .trim()
+            .isLength({ max: 300 })
+            .withMessage("Message cannot exceed 300 characters")
+    ],
+    validate,
+    customerAndAdmin,
+    purchaseGiftCard
+);
+
+// Verify a gift card payment
+router.post(
+    "/verify-payment",
+    [
+        body("razorpay_order_id")
+            .notEmpty()
+            .withMessage("Razorpay order ID is required"),
+        body("razorpay_payment_id")
+            .notEmpty()
+            .withMessage("Razorpay payment ID is required"),
+        body("razorpay_signature")
+            .notEmpty()
+            .withMessage("Razorpay signature is required")
+    ],
+    validate,
+    customerAndAdmin,
+    verifyGiftCardPayment
+);
+
+// Redeem a gift card into the wallet
+router.post(
+    "/redeem",
+    [
+        body("code")
+            .trim()
+            .isLength({ min: 4, max: 30 })
+            .withMessage("Valid gift card code is required")
+    ],
+    validate,
+    customerAndAdmin,
+    redeemGiftCard
+);
+
+// Gift cards bought by the current user
+router.get(
+    "/my",
+    paginationRules,
+    validate,
+    customerAndAdmin,
+    getMyGiftCards
+);
+
+// Admin: all gift cards
+router.get(
+    "/",
+    [
+        ...paginationRules,
+        query("code")
+            .optional()
+            .trim()
+            .isLength({ min: 4, max: 30 })
+            .withMessage("Code must be between 4 and 30 characters"),
+        query("purchaserId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid purchaser ID is required")
+    ],
+    validate,
+    adminOnly,
+    getGiftCards
+);
+
+// Admin: cancel an unredeemed gift card
+router.patch(
+    "/:giftCardId/cancel",
+    [
+        param("giftCardId")
+            .isMongoId()
+            .withMessage("Valid gift card ID is required")
+    ],
+    validate,
+    adminOnly,
+    cancelGiftCard
+);
+
+export default router;
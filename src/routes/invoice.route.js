@@ -0,0 +1,111 @@
+import express from "express";
+import {
+    getInvoices,
+    getInvoice,
+    downloadInvoicePdf,
+    getAppointmentInvoice,
+    getMembershipInvoice
+} from "../controllers/invoice.controller.js";
+import { verifyJWT, customerAndAdmin } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// Customers see their own invoices, admins see all
+router.use(verifyJWT);
+router.use(customerAndAdmin);
+
+router.get(
+    "/",
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100"),
+        query("targetType")
+            .optional()
+            .isIn(["appointment", "membership"])
+            .withMessage("Target type must be either appointment or membership"),
+        query("status")
+            .optional()
+            .isIn(["issued", "cancelled"])
+            .withMessage("Status must be either issued or cancelled"),
+        query("userId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid user ID is required"),
+        query("invoiceNumber")
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 40 })
+            .withMessage("Invoice number must be between 1 and 40 characters"),
+        query("financialYear")
+            .optional()
+            .matches(/^\d{4}-\d{2}$/)
+            .withMessage("Financial year must look like 2025-26"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required")
+    ],
+    validate,
+    getInvoices
+);
+
+// Get or issue the invoice for a completed appointment
+router.get(
+    "/appointments/:appointmentId",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required")
+    ],
+    validate,
+    getAppointmentInvoice
+);
+
+// Get or issue the invoice for a paid membership
+router.get(
+    "/memberships/:membershipId",
+    [
+        param("membershipId")
+            .isMongoId()
+            .withMessage("Valid membership ID is required")
+    ],
+    validate,
+    getMembershipInvoice
+);
+
+router.get(
+    "/:invoiceId",
+    [
+        param("invoiceId")
+            .isMongoId()
+            .withMessage("Valid invoice ID is required")
+    ],
+    validate,
+    getInvoice
+);
+
+// Download an invoice as PDF
+router.get(
+    "/:invoiceId/pdf",
+    [
+        param("invoiceId")
+            .isMongoId()
+            .withMessage("Valid invoice ID is required")
+    ],
+    validate,
+    downloadInvoicePdf
+);
+
+export default router;
@@ -0,0 +1,84 @@
+import express from "express";
+import {
+    getJobs,
+    getJobRuns,
+    getJobRun,
+    triggerJob
+} from "../controllers/job.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+const JOB_NAMES = ["membership_expiry", "membership_reminders", "membership_renewal", "payment_reconciliation", "waitlist_offers"];
+
+// All job routes are admin only
+router.use(verifyJWT);
+router.use(adminOnly);
+
+// List jobs with their latest run
+router.get("/", getJobs);
+
+// List job runs
+router.get(
+    "/runs",
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100"),
+        query("name")
+            .optional()
+            .isIn(JOB_NAMES)
+            .withMessage(`Job name must be one of: ${JOB_NAMES.join(", ")}`),
+        query("status")
+            .optional()
+            .isIn(["running", "completed", "failed"])
+            .withMessage("Status must be one of: running, completed, failed"),
+        query("trigger")
+            .optional()
+            .isIn(["schedule", "manual"])
+            .withMessage("Trigger must be either schedule or manual"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required")
+    ],
+    validate,
+    getJobRuns
+);
+
+// Get one job run
+router.get(
+    "/runs/:runId",
+    [
+        param("runId")
+            .isMongoId()
+            .withMessage("Valid run ID is required")
+    ],
+    validate,
+    getJobRun
+);
+
+// Run a job now
+router.post(
+    "/:name/run",
+    [
+        param("name")
+            .isIn(JOB_NAMES)
+            .withMessage(`Job name must be one of: ${JOB_NAMES.join(", ")}`)
+    ],
+    validate,
+    triggerJob
+);
+
+export default router;
@@ -1,6 +1,7 @@
 import express from "express";
 import {
     getUserActiveMemberships,
+    getUserEntitlements,
     getUserAllMemberships,
     getMembership,
     purchaseMembership,
@@ -20,10 +21,20 @@ import {
     searchMemberships,
     upgradeMembershipTier,
     setAutoRenewal,
+    verifyAutoRenewal,
     suspendMembership,
     reactivateMembership,
     getMembershipAnalytics
 } from "../controllers/membership.controller.js";
+import {
+    requestFreeze,
+    getMembershipFreezes,
+    cancelFreeze,
+    getAllFreezes,
+    approveFreeze,
+    rejectFreeze,
+    adminCancelFreeze
+} from "../controllers/membershipFreeze.controller.js";
 import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
 import { body, param, query } from "express-validator";
 import { validate } from "../middleware/validation.middleware.js";
@@ -66,6 +77,12 @@ router.get(
     getUserMembershipStats
 );
 
+// Get included services left on the user's memberships
+router.get(
+    "/my/entitlements",
+    getUserEntitlements
+);
+
 // Get single membership
 router.get(
     "/my/:membershipId",
@@ -92,7 +109,11 @@ router.post(
         body("autoRenewal")
             .optional()
             .isBoolean()
-            .withMessage("Auto-renewal must be a boolean")
+            .withMessage("Auto-renewal must be a boolean"),
+        body("walletAmount")
+            .optional()
+            .isFloat({ min: 0 })
+            .withMessage("Wallet amount must be a non-negative number")
     ],
     validate,
     purchaseMembership
@@ -205,6 +226,56 @@ router.patch(
     useAppointment
 );
 
+// Request a membership freeze
+router.post(
+    "/my/:membershipId/freezes",
+    [
+        param("membershipId")
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        body("startDate")
+            .isISO8601()
+            .withMessage("Valid start date is required"),
+        body("days")
+            .isInt({ min: 1 })
+            .withMessage("Freeze length must be a positive number of days")
+            .toInt(),
+        body("reason")
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage("Reason cannot exceed 500 characters")
+    ],
+    validate,
+    requestFreeze
+);
+
+// Get a membership's freezes and freeze allowance
+router.get(
+    "/my/:membershipId/freezes",
+    [
+        param("membershipId")
+            .isMongoId()
+            .withMessage("Valid membership ID is required")
+    ],
+    validate,
+    getMembershipFreezes
+);
+
+// Cancel a membership freeze
+router.patch(
+    "/my/:membershipId/freezes/:freezeId/cancel",
+    [
+        param("membershipId")
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        param("freezeId")
+            .isMongoId()
+            .withMessage("Valid freeze ID is required")
+    ],
+    validate,
+    cancelFreeze
+);
+
 // Admin routes (admin only)
 // Get all memberships
 router.get(
@@ -240,6 +311,83 @@ router.get(
     getAllMemberships
 );
 
+// Get freeze requests (Admin)
+router.get(
+    "/admin/freezes",
+    [
+        query("status")
+            .optional()
+            .isIn(["pending", "approved", "rejected", "cancelled"])
+            .withMessage("Invalid freeze status"),
+        query("membershipId")
+            .optional()
+            .isMongoId()
+            .withMessage("Invalid membership ID"),
+        query("userId")
+            .optional()
+            .isMongoId()
+            .withMessage("Invalid user ID"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100")
+    ],
+    validate,
+    adminOnly,
+    getAllFreezes
+);
+
+// Approve a freeze request (Admin)
+router.patch(
+    "/admin/freezes/:freezeId/approve",
+    [
+        param("freezeId")
+            .isMongoId()
+            .withMessage("Valid freeze ID is required"),
+        body("note")
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage("Note cannot exceed 500 characters")
+    ],
+    validate,
+    adminOnly,
+    approveFreeze
+);
+
+// Reject a freeze request (Admin)
+router.patch(
+    "/admin/freezes/:freezeId/reject",
+    [
+        param("freezeId")
+            .isMongoId()
+            .withMessage("Valid freeze ID is required"),
+        body("note")
+            .optional()
+            .isLength({ max: 500 })
+            .withMessage("Note cannot exceed 500 characters")
+    ],
+    validate,
+    adminOnly,
+    rejectFreeze
+);
+
+// Cancel an approved freeze before it starts (Admin)
+router.patch(
+    "/admin/freezes/:freezeId/cancel",
+    [
+        param("freezeId")
+            .isMongoId()
+            .withMessage("Valid freeze ID is required")
+    ],
+    validate,
+    adminOnly,
+    adminCancelFreeze
+);
+
 // Get membership by ID (Admin)
 router.get(
     "/admin/:membershipId",
@@ -408,11 +556,36 @@ router.patch(
             .withMessage("Valid membership ID is required"),
         body("enabled")
             .isBoolean()
-            .withMessage("Auto-renewal status must be a boolean")
+            .withMessage("Auto-renewal status must be a boolean"),
+        body("method")
+            .optional()
+            .isIn(["card", "upi", "emandate"])
+            .withMessage("Mandate method must be card, upi or emandate")
     ],
     validate,
     setAutoRenewal
 );
 
+// Confirm the auto-renewal mandate
+router.post(
+    "/:membershipId/auto-renewal/verify",
+    [
+        param("membershipId")
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        body("razorpay_order_id")
+            .notEmpty()
+            .withMessage("Razorpay order ID is required"),
+        body("razorpay_payment_id")
+            .notEmpty()
+            .withMessage("Razorpay payment ID is required"),
+        body("razorpay_signature")
+            .notEmpty()
+            .withMessage("Razorpay signature is required")
+    ],
+    validate,
+    verifyAutoRenewal
+);
+
 export default router;
 
@@ -150,6 +150,16 @@ router.post(
             .optional()
             .isMongoId()
             .withMessage("Each service must be a valid MongoDB ObjectId"),
+        body("entitlements")
+            .optional()
+            .isArray()
+            .withMessage("Entitlements must be an array"),
+        body("entitlements.*.serviceId")
+            .isMongoId()
+            .withMessage("Each entitlement needs a valid service ID"),
+        body("entitlements.*.quantity")
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Each entitlement quantity must be between 1 and 100"),
         body("discountPercentage")
             .optional()
             .isFloat({ min: 0, max: 100 })
@@ -169,7 +179,11 @@ router.post(
         body("termsAndConditions")
             .optional()
             .isLength({ max: 1000 })
-            .withMessage("Terms and conditions cannot exceed 1000 characters")
+            .withMessage("Terms and conditions cannot exceed 1000 characters"),
+        body("sacCode")
+            .optional()
+            .matches(/^99\d{4}$/)
+            .withMessage("SAC code must be a 6-digit code starting with 99")
     ],
     validate,
     adminOnly,
@@ -219,6 +233,16 @@ router.put(
             .optional()
             .isMongoId()
             .withMessage("Each service must be a valid MongoDB ObjectId"),
+        body("entitlements")
+            .optional()
+            .isArray()
+            .withMessage("Entitlements must be an array"),
+        body("entitlements.*.serviceId")
+            .isMongoId()
+            .withMessage("Each entitlement needs a valid service ID"),
+        body("entitlements.*.quantity")
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Each entitlement quantity must be between 1 and 100"),
         body("discountPercentage")
             .optional()
             .isFloat({ min: 0, max: 100 })
@@ -238,7 +262,11 @@ router.put(
         body("termsAndConditions")
             .optional()
             .isLength({ max: 1000 })
-            .withMessage("Terms and conditions cannot exceed 1000 characters")
+            .withMessage("Terms and conditions cannot exceed 1000 characters"),
+        body("sacCode")
+            .optional()
+            .matches(/^99\d{4}$/)
+            .withMessage("SAC code must be a 6-digit code starting with 99")
     ],
     validate,
     adminOnly,
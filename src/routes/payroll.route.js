@@ -0,0 +1,228 @@
+import express from "express";
+import {
+    getCommissionRules,
+    createCommissionRule,
+    updateCommissionRule,
+    deleteCommissionRule,
+    getPayrollPeriods,
+    createPayrollPeriod,
+    getPayrollPeriod,
+    regeneratePayrollPeriod,
+    finalisePayrollPeriod,
+    deletePayrollPeriod,
+    getPayrollStatement,
+    exportPayrollPeriod
+} from "../controllers/payroll.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All payroll routes are admin only
+router.use(verifyJWT);
+router.use(adminOnly);
+
+const commissionCategories = ["default", "hair", "nail", "body", "skin", "retail"];
+
+const rateRules = [
+    body("rate")
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage("Rate must be between 0 and 100"),
+    body("tiers")
+        .optional()
+        .isArray({ min: 1, max: 10 })
+        .withMessage("Tiers must be an array of 1 to 10 tiers"),
+    body("tiers.*.minRevenue")
+        .isFloat({ min: 0 })
+        .withMessage("Tier revenue must be a non-negative number"),
+    body("tiers.*.rate")
+        .isFloat({ min: 0, max: 100 })
+        .withMessage("Tier rate must be between 0 and 100"),
+    body("notes")
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage("Notes cannot exceed 200 characters")
+];
+
+const periodIdRule = param("periodId")
+    .isMongoId()
+    .withMessage("Valid payroll period ID is required");
+
+// Get commission rules
+router.get(
+    "/commission-rules",
+    [
+        query("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        query("category")
+            .optional()
+            .isIn(commissionCategories)
+            .withMessage(`Category must be one of: ${commissionCategories.join(", ")}`),
+        query("isActive")
+            .optional()
+            .isBoolean()
+            .withMessage("isActive must be a boolean")
+    ],
+    validate,
+    getCommissionRules
+);
+
+// Create a commission rule
+router.post(
+    "/commission-rules",
+    [
+        body("stylistId")
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("category")
+            .isIn(commissionCategories)
+            .withMessage(`Category must be one of: ${commissionCategories.join(", ")}`),
+        body("type")
+            .isIn(["flat", "tiered"])
+            .withMessage("Type must be either 'flat' or 'tiered'"),
+        ...rateRules
+    ],
+    validate,
+    createCommissionRule
+);
+
+// Update a commission rule
+router.patch(
+    "/commission-rules/:ruleId",
+    [
+        param("ruleId")
+            .isMongoId()
+            .withMessage("Valid commission rule ID is required"),
+        body("type")
+            .optional()
+            .isIn(["flat", "tiered"])
+            .withMessage("Type must be either 'flat' or 'tiered'"),
+        body("isActive")
+            .optional()
+            .isBoolean()
+            .withMessage("isActive must be a boolean"),
+        ...rateRules
+    ],
+    validate,
+    updateCommissionRule
+);
+
+// Delete a commission rule
+router.delete(
+    "/commission-rules/:ruleId",
+    [
+        param("ruleId")
+            .isMongoId()
+            .withMessage("Valid commission rule ID is required")
+    ],
+    validate,
+    deleteCommissionRule
+);
+
+// Get pay periods
+router.get(
+    "/periods",
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100"),
+        query("status")
+            .optional()
+            .isIn(["draft", "finalised"])
+            .withMessage("Status must be either 'draft' or 'finalised'")
+    ],
+    validate,
+    getPayrollPeriods
+);
+
+// Open a pay period and generate its statements
+router.post(
+    "/periods",
+    [
+        body("startDate")
+            .isISO8601()
+            .withMessage("Valid start date is required"),
+        body("endDate")
+            .isISO8601()
+            .withMessage("Valid end date is required"),
+        body("notes")
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage("Notes cannot exceed 500 characters")
+    ],
+    validate,
+    createPayrollPeriod
+);
+
+// Get a pay period with each stylist's totals
+router.get(
+    "/periods/:periodId",
+    [periodIdRule],
+    validate,
+    getPayrollPeriod
+);
+
+// Export a pay period as CSV
+router.get(
+    "/periods/:periodId/export",
+    [
+        periodIdRule,
+        query("view")
+            .optional()
+            .isIn(["summary", "lines"])
+            .withMessage("View must be either 'summary' or 'lines'")
+    ],
+    validate,
+    exportPayrollPeriod
+);
+
+// Get a stylist's statement for a pay period
+router.get(
+    "/periods/:periodId/statements/:stylistId",
+    [
+        periodIdRule,
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required")
+    ],
+    validate,
+    getPayrollStatement
+);
+
+// Regenerate a draft pay period
+router.post(
+    "/periods/:periodId/regenerate",
+    [periodIdRule],
+    validate,
+    regeneratePayrollPeriod
+);
+
+// Finalise a pay period
+router.post(
+    "/periods/:periodId/finalise",
+    [periodIdRule],
+    validate,
+    finalisePayrollPeriod
+);
+
+// Delete a draft pay period
+router.delete(
+    "/periods/:periodId",
+    [periodIdRule],
+    validate,
+    deletePayrollPeriod
+);
+
+export default router;
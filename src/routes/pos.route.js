@@ -0,0 +1,179 @@
+import express from "express";
+import {
+    findPosCustomer,
+    posCheckout,
+    getPosReceipt
+} from "../controllers/pos.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All point-of-sale routes are for front-desk staff (admin only)
+router.use(verifyJWT);
+router.use(adminOnly);
+
+// Find a customer at the counter
+router.get(
+    "/customers",
+    [
+        query("email")
+            .optional()
+            .isEmail()
+            .withMessage("Please provide a valid email"),
+        query("phone")
+            .optional()
+            .matches(/^[\+]?[1-9][\d]{0,15}$/)
+            .withMessage("Please provide a valid phone number")
+    ],
+    validate,
+    findPosCustomer
+);
+
+// Check out a booked visit or a walk-in
+router.post(
+    "/checkout",
+    [
+        body("appointmentId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("customer")
+            .optional()
+            .isObject()
+            .withMessage("Customer must be an object"),
+        body("customer.userId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid customer ID is required"),
+        body("customer.name")
+            .optional()
+            .trim()
+            .isLength({ min: 2, max: 50 })
+            .withMessage("Name must be between 2 and 50 characters"),
+        body("customer.email")
+            .optional()
+            .isEmail()
+            .withMessage("Please provide a valid email"),
+        body("customer.phone")
+            .optional()
+            .matches(/^[\+]?[1-9][\d]{0,15}$/)
+            .withMessage("Please provide a valid phone number"),
+        body("services")
+            .optional()
+            .isArray({ max: 10 })
+            .withMessage("Services must be an array of at most 10 lines"),
+        body("services.*.serviceId")
+            .isMongoId()
+            .withMessage("Valid service ID is required"),
+        body("services.*.stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("retailItems")
+            .optional()
+            .isArray({ max: 50 })
+            .withMessage("Retail items must be an array of at most 50 lines"),
+        body("retailItems.*.name")
+            .trim()
+            .isLength({ min: 1, max: 100 })
+            .withMessage("Item name must be between 1 and 100 characters"),
+        body("retailItems.*.sku")
+            .optional()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage("SKU cannot exceed 50 characters"),
+        body("retailItems.*.hsnCode")
+            .optional()
+            .matches(/^\d{4,8}$/)
+            .withMessage("HSN code must be 4 to 8 digits"),
+        body("retailItems.*.gstRate")
+            .optional()
+            .isIn([0, 5, 12, 18, 28])
+            .withMessage("GST rate must be one of 0, 5, 12, 18 or 28"),
+        body("retailItems.*.quantity")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Quantity must be a positive integer"),
+        body("retailItems.*.unitPrice")
+            .isFloat({ min: 0 })
+            .withMessage("Unit price must be a non-negative number"),
+        body("retailItems.*.stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("offerCode")
+            .optional()
+            .trim()
+            .isLength({ min: 1, max: 20 })
+            .withMessage("Offer code must be between 1 and 20 characters"),
+        body("membershipId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        body("payments")
+            .optional()
+            .isArray({ max: 5 })
+            .withMessage("Payments must be an array of at most 5 payments"),
+        body("payments.*.method")
+            .isIn(["cash", "upi", "card"])
+            .withMessage("Method must be one of: cash, upi, card"),
+        body("payments.*.amount")
+            .isFloat({ min: 0.01 })
+            .withMessage("Payment amount must be a positive number"),
+        body("payments.*.reference")
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage("Reference cannot exceed 100 characters"),
+        body("tip")
+            .optional()
+            .isObject()
+            .withMessage("Tip must be an object"),
+        body("tip.amount")
+            .if(body("tip").exists())
+            .isFloat({ min: 1, max: 100000 })
+            .withMessage("Tip must be between 1 and 100000"),
+        body("tip.method")
+            .if(body("tip").exists())
+            .isIn(["cash", "upi", "card"])
+            .withMessage("Tip method must be one of: cash, upi, card"),
+        body("tip.allocations")
+            .optional()
+            .isArray({ max: 10 })
+            .withMessage("Tip allocations must be an array of at most 10 stylists"),
+        body("tip.allocations.*.stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("tip.allocations.*.amount")
+            .isFloat({ min: 0.01 })
+            .withMessage("Allocated amount must be positive"),
+        body("tip.reference")
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage("Reference cannot exceed 100 characters"),
+        body("notes")
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage("Notes cannot exceed 500 characters")
+    ],
+    validate,
+    posCheckout
+);
+
+// Get the receipt for a completed visit
+router.get(
+    "/receipts/:appointmentId",
+    [
+        param("appointmentId")
+            .isMongoId()
+            .withMessage("Valid appointment ID is required")
+    ],
+    validate,
+    getPosReceipt
+);
+
+export default router;
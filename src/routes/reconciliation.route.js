@@ -0,0 +1,69 @@
+import express from "express";
+import {
+    getReconciliationReports,
+    getReconciliationReport,
+    runReconciliation
+} from "../controllers/reconciliation.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All reconciliation routes are admin only
+router.use(verifyJWT);
+router.use(adminOnly);
+
+// List reconciliation runs
+router.get(
+    "/reports",
+    [
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100"),
+        query("status")
+            .optional()
+            .isIn(["running", "completed", "failed"])
+            .withMessage("Status must be one of: running, completed, failed"),
+        query("trigger")
+            .optional()
+            .isIn(["schedule", "manual"])
+            .withMessage("Trigger must be either schedule or manual"),
+        query("outcome")
+            .optional()
+            .isIn(["settled", "failed", "pending", "review", "error"])
+            .withMessage("Outcome must be one of: settled, failed, pending, review, error"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required")
+    ],
+    validate,
+    getReconciliationReports
+);
+
+// Get one reconciliation run
+router.get(
+    "/reports/:reportId",
+    [
+        param("reportId")
+            .isMongoId()
+            .withMessage("Valid report ID is required")
+    ],
+    validate,
+    getReconciliationReport
+);
+
+// Run reconciliation now
+router.post("/run", runReconciliation);
+
+export default router;
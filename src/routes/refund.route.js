@@ -0,0 +1,82 @@
+import express from "express";
+import {
+    getRefunds,
+    getRefund,
+    retryFailedRefund
+} from "../controllers/refund.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All refund routes are admin only
+router.use(verifyJWT);
+router.use(adminOnly);
+
+// Get the refunds ledger
+router.get(
+    "/",
+    [
+        query("status")
+            .optional()
+            .isIn(["pending", "processed", "failed"])
+            .withMessage("Invalid refund status"),
+        query("targetType")
+            .optional()
+            .isIn(["appointment", "membership"])
+            .withMessage("Target type must be either 'appointment' or 'membership'"),
+        query("source")
+            .optional()
+            .isIn(["cancellation", "admin", "gateway"])
+            .withMessage("Invalid refund source"),
+        query("userId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid user ID is required"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100")
+    ],
+    validate,
+    getRefunds
+);
+
+// Get a single refund
+router.get(
+    "/:refundId",
+    [
+        param("refundId")
+            .isMongoId()
+            .withMessage("Valid refund ID is required")
+    ],
+    validate,
+    getRefund
+);
+
+// Retry a failed refund
+router.post(
+    "/:refundId/retry",
+    [
+        param("refundId")
+            .isMongoId()
+            .withMessage("Valid refund ID is required")
+    ],
+    validate,
+    retryFailedRefund
+);
+
+export default router;
@@ -0,0 +1,172 @@
+import express from "express";
+import {
+    getBusinessHours,
+    setBusinessHours,
+    deleteBusinessHours,
+    getHolidays,
+    createHoliday,
+    updateHoliday,
+    deleteHoliday
+} from "../controllers/salonCalendar.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+const weekDays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+
+// Public routes (no authentication required)
+router.get(
+    "/business-hours",
+    getBusinessHours
+);
+
+router.get(
+    "/holidays",
+    [
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required")
+    ],
+    validate,
+    getHolidays
+);
+
+// Admin routes (authentication required)
+router.use(verifyJWT);
+
+// Set business hours for one or more weekdays (Admin only)
+router.put(
+    "/business-hours",
+    [
+        body("days")
+            .isArray({ min: 1, max: 7 })
+            .withMessage("Days must be a list of 1 to 7 items"),
+        body("days.*.dayOfWeek")
+            .isIn(weekDays)
+            .withMessage("Invalid day of week"),
+        body("days.*.isClosed")
+            .optional()
+            .isBoolean()
+            .withMessage("isClosed must be a boolean"),
+        body("days.*.openTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Open time must be in HH:MM format"),
+        body("days.*.closeTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Close time must be in HH:MM format")
+    ],
+    validate,
+    adminOnly,
+    setBusinessHours
+);
+
+// Remove business hours for a weekday (Admin only)
+router.delete(
+    "/business-hours/:dayOfWeek",
+    [
+        param("dayOfWeek")
+            .isIn(weekDays)
+            .withMessage("Invalid day of week")
+    ],
+    validate,
+    adminOnly,
+    deleteBusinessHours
+);
+
+// Create holiday (Admin only)
+router.post(
+    "/holidays",
+    [
+        body("name")
+            .isLength({ min: 1, max: 100 })
+            .withMessage("Holiday name is required and cannot exceed 100 characters"),
+        body("date")
+            .isISO8601()
+            .withMessage("Valid date is required"),
+        body("isClosed")
+            .optional()
+            .isBoolean()
+            .withMessage("isClosed must be a boolean"),
+        body("openTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Open time must be in HH:MM format"),
+        body("closeTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Close time must be in HH:MM format"),
+        body("notes")
+            .optional()
+            .isLength({ max: 300 })
+            .withMessage("Notes cannot exceed 300 characters")
+    ],
+    validate,
+    adminOnly,
+    createHoliday
+);
+
+// Update holiday (Admin only)
+router.put(
+    "/holidays/:holidayId",
+    [
+        param("holidayId")
+            .isMongoId()
+            .withMessage("Valid holiday ID is required"),
+        body("name")
+            .optional()
+            .isLength({ min: 1, max: 100 })
+            .withMessage("Holiday name cannot exceed 100 characters"),
+        body("date")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid date is required"),
+        body("isClosed")
+            .optional()
+            .isBoolean()
+            .withMessage("isClosed must be a boolean"),
+        body("openTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Open time must be in HH:MM format"),
+        body("closeTime")
+            .optional()
+            .matches(timeRegex)
+            .withMessage("Close time must be in HH:MM format"),
+        body("notes")
+            .optional()
+            .isLength({ max: 300 })
+            .withMessage("Notes cannot exceed 300 characters"),
+        body("isActive")
+            .optional()
+            .isBoolean()
+            .withMessage("isActive must be a boolean")
+    ],
+    validate,
+    adminOnly,
+    updateHoliday
+);
+
+// Delete holiday (Admin only)
+router.delete(
+    "/holidays/:holidayId",
+    [
+        param("holidayId")
+            .isMongoId()
+            .withMessage("Valid holiday ID is required")
+    ],
+    validate,
+    adminOnly,
+    deleteHoliday
+);
+
+export default router;
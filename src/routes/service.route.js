@@ -227,7 +227,15 @@ router.post(
         body("sortOrder")
             .optional()
             .isInt({ min: 0 })
-            .withMessage("Sort order must be a non-negative integer")
+            .withMessage("Sort order must be a non-negative integer"),
+        body("sacCode")
+            .optional()
+            .matches(/^99\d{4}$/)
+            .withMessage("SAC code must be a 6-digit code starting with 99"),
+        body("gstRate")
+            .optional()
+            .isIn([0, 5, 12, 18, 28])
+            .withMessage("GST rate must be one of 0, 5, 12, 18 or 28")
     ],
     validate,
     adminOnly,
@@ -298,7 +306,15 @@ router.put(
         body("sortOrder")
             .optional()
             .isInt({ min: 0 })
-            .withMessage("Sort order must be a non-negative integer")
+            .withMessage("Sort order must be a non-negative integer"),
+        body("sacCode")
+            .optional()
+            .matches(/^99\d{4}$/)
+            .withMessage("SAC code must be a 6-digit code starting with 99"),
+        body("gstRate")
+            .optional()
+            .isIn([0, 5, 12, 18, 28])
+            .withMessage("GST rate must be one of 0, 5, 12, 18 or 28")
     ],
     validate,
     adminOnly,
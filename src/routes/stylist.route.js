@@ -10,6 +10,13 @@ import {
     updateStylistRating, 
     getStylistStats 
 } from "../controllers/stylist.controller.js";
+import {
+    createStylistException,
+    getStylistExceptions,
+    updateStylistException,
+    deleteStylistException,
+    getStylistSchedule
+} from "../controllers/stylistException.controller.js";
 import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
 import { uploadSingle } from "../middleware/upload.middleware.js";
 import { parseFormData } from "../middleware/formDataParser.middleware.js";
@@ -144,6 +151,163 @@ router.patch(
     updateStylistRating
 );
 
+// Schedule exception validation shared by create and update
+const weekDays = ["sunday", "monday", "tuesday", "wednesday", "thursday", "friday", "saturday"];
+const timeRegex = /^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/;
+const exceptionValidators = [
+    body("reason")
+        .optional()
+        .isLength({ max: 200 })
+        .withMessage("Reason cannot exceed 200 characters"),
+    body("daysOfWeek")
+        .optional()
+        .isArray()
+        .withMessage("daysOfWeek must be an array"),
+    body("daysOfWeek.*")
+        .isIn(weekDays)
+        .withMessage("Invalid day of week"),
+    body("startTime")
+        .optional()
+        .matches(timeRegex)
+        .withMessage("Start time must be in HH:MM format"),
+    body("endTime")
+        .optional()
+        .matches(timeRegex)
+        .withMessage("End time must be in HH:MM format"),
+    body("startDate")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid start date is required"),
+    body("endDate")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid end date is required"),
+    body("date")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid date is required"),
+    body("isDayOff")
+        .optional()
+        .isBoolean()
+        .withMessage("isDayOff must be a boolean"),
+    body("workingHours.start")
+        .optional()
+        .matches(timeRegex)
+        .withMessage("Working hours start must be in HH:MM format"),
+    body("workingHours.end")
+        .optional()
+        .matches(timeRegex)
+        .withMessage("Working hours end must be in HH:MM format"),
+    body("isActive")
+        .optional()
+        .isBoolean()
+        .withMessage("isActive must be a boolean")
+];
+
+// Get stylist schedule exceptions (Admin only)
+router.get(
+    "/:stylistId/exceptions",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        query("type")
+            .optional()
+            .isIn(["break", "leave", "override"])
+            .withMessage("Type must be one of: break, leave, override"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required"),
+        query("isActive")
+            .optional()
+            .isBoolean()
+            .withMessage("isActive must be a boolean")
+    ],
+    validate,
+    adminOnly,
+    getStylistExceptions
+);
+
+// Create stylist schedule exception (Admin only)
+router.post(
+    "/:stylistId/exceptions",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("type")
+            .isIn(["break", "leave", "override"])
+            .withMessage("Type must be one of: break, leave, override"),
+        ...exceptionValidators
+    ],
+    validate,
+    adminOnly,
+    createStylistException
+);
+
+// Update stylist schedule exception (Admin only)
+router.put(
+    "/:stylistId/exceptions/:exceptionId",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        param("exceptionId")
+            .isMongoId()
+            .withMessage("Valid exception ID is required"),
+        body("type")
+            .optional()
+            .isIn(["break", "leave", "override"])
+            .withMessage("Type must be one of: break, leave, override"),
+        ...exceptionValidators
+    ],
+    validate,
+    adminOnly,
+    updateStylistException
+);
+
+// Delete stylist schedule exception (Admin only)
+router.delete(
+    "/:stylistId/exceptions/:exceptionId",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        param("exceptionId")
+            .isMongoId()
+            .withMessage("Valid exception ID is required")
+    ],
+    validate,
+    adminOnly,
+    deleteStylistException
+);
+
+// Get stylist's effective schedule after exceptions (Admin only)
+router.get(
+    "/:stylistId/schedule",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        query("from")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid from date is required"),
+        query("to")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid to date is required")
+    ],
+    validate,
+    adminOnly,
+    getStylistSchedule
+);
+
 // Get stylist statistics (Admin only)
 router.get(
     "/admin/stats",
@@ -0,0 +1,54 @@
+import express from "express";
+import {
+    getTipReport,
+    getStylistTipReport
+} from "../controllers/tip.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// Tip reports are for payroll (admin only); tips themselves are added on the appointment
+router.use(verifyJWT);
+router.use(adminOnly);
+
+const periodRules = [
+    query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid from date is required"),
+    query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid to date is required")
+];
+
+// Tip totals per stylist
+router.get(
+    "/report",
+    [
+        ...periodRules,
+        query("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required")
+    ],
+    validate,
+    getTipReport
+);
+
+// Tips allocated to one stylist
+router.get(
+    "/stylists/:stylistId",
+    [
+        param("stylistId")
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        ...periodRules
+    ],
+    validate,
+    getStylistTipReport
+);
+
+export default router;
@@ -0,0 +1,134 @@
+import express from "express";
+import {
+    getTransactions,
+    exportTransactions,
+    getTransaction,
+    recordCounterPayment
+} from "../controllers/transaction.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// All transaction routes are admin only
+router.use(verifyJWT);
+router.use(adminOnly);
+
+const ledgerFilters = [
+    query("type")
+        .optional()
+        .isIn(["charge", "refund", "fee", "tip"])
+        .withMessage("Type must be one of: charge, refund, fee, tip"),
+    query("method")
+        .optional()
+        .isIn(["razorpay", "cash", "upi", "card"])
+        .withMessage("Method must be one of: razorpay, cash, upi, card"),
+    query("source")
+        .optional()
+        .isIn(["online", "counter", "gateway"])
+        .withMessage("Source must be one of: online, counter, gateway"),
+    query("status")
+        .optional()
+        .isIn(["pending", "completed", "failed"])
+        .withMessage("Status must be one of: pending, completed, failed"),
+    query("userId")
+        .optional()
+        .isMongoId()
+        .withMessage("Valid user ID is required"),
+    query("appointmentId")
+        .optional()
+        .isMongoId()
+        .withMessage("Valid appointment ID is required"),
+    query("membershipId")
+        .optional()
+        .isMongoId()
+        .withMessage("Valid membership ID is required"),
+    query("reference")
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 100 })
+        .withMessage("Reference must be between 1 and 100 characters"),
+    query("from")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid from date is required"),
+    query("to")
+        .optional()
+        .isISO8601()
+        .withMessage("Valid to date is required")
+];
+
+// Search the transactions ledger
+router.get(
+    "/",
+    [
+        ...ledgerFilters,
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100")
+    ],
+    validate,
+    getTransactions
+);
+
+// Export the transactions ledger as CSV
+router.get(
+    "/export",
+    ledgerFilters,
+    validate,
+    exportTransactions
+);
+
+// Take a payment at the counter
+router.post(
+    "/counter",
+    [
+        body("appointmentId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid appointment ID is required"),
+        body("membershipId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid membership ID is required"),
+        body("method")
+            .isIn(["cash", "upi", "card"])
+            .withMessage("Method must be one of: cash, upi, card"),
+        body("amount")
+            .optional()
+            .isFloat({ min: 0.01 })
+            .withMessage("Amount must be a positive number"),
+        body("reference")
+            .optional()
+            .trim()
+            .isLength({ max: 100 })
+            .withMessage("Reference cannot exceed 100 characters"),
+        body("description")
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage("Description cannot exceed 200 characters")
+    ],
+    validate,
+    recordCounterPayment
+);
+
+// Get a single transaction
+router.get(
+    "/:transactionId",
+    [
+        param("transactionId")
+            .isMongoId()
+            .withMessage("Valid transaction ID is required")
+    ],
+    validate,
+    getTransaction
+);
+
+export default router;
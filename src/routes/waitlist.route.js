@@ -0,0 +1,195 @@
+import express from "express";
+import {
+    joinWaitlist,
+    getMyWaitlist,
+    cancelWaitlistEntry,
+    declineWaitlistOffer,
+    getWaitlist,
+    updateWaitlistEntry,
+    offerWaitlistSlot,
+    deleteWaitlistEntry
+} from "../controllers/waitlist.controller.js";
+import { verifyJWT, adminOnly, customerAndAdmin } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// Apply JWT authentication to all routes
+router.use(verifyJWT);
+
+// Join waitlist
+router.post(
+    "/",
+    [
+        body("serviceId")
+            .isMongoId()
+            .withMessage("Valid service ID is required"),
+        body("stylistId")
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("location")
+            .optional()
+            .isIn(["home", "salon"])
+            .withMessage("Location must be either 'home' or 'salon'"),
+        body("dateFrom")
+            .isISO8601()
+            .withMessage("Valid start date is required"),
+        body("dateTo")
+            .isISO8601()
+            .withMessage("Valid end date is required"),
+        body("notes")
+            .optional()
+            .isLength({ max: 300 })
+            .withMessage("Notes cannot exceed 300 characters")
+    ],
+    validate,
+    customerAndAdmin,
+    joinWaitlist
+);
+
+// Get user's waitlist entries
+router.get(
+    "/my-entries",
+    [
+        query("status")
+            .optional()
+            .isIn(["waiting", "offered", "booked", "expired", "cancelled"])
+            .withMessage("Invalid status")
+    ],
+    validate,
+    customerAndAdmin,
+    getMyWaitlist
+);
+
+// Get waitlist queue (admin only)
+router.get(
+    "/",
+    [
+        query("status")
+            .optional()
+            .isIn(["waiting", "offered", "booked", "expired", "cancelled"])
+            .withMessage("Invalid status"),
+        query("serviceId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid service ID is required"),
+        query("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        query("date")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid date is required"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100")
+    ],
+    validate,
+    adminOnly,
+    getWaitlist
+);
+
+// Leave waitlist
+router.patch(
+    "/:entryId/cancel",
+    [
+        param("entryId")
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required")
+    ],
+    validate,
+    customerAndAdmin,
+    cancelWaitlistEntry
+);
+
+// Decline offered slot
+router.patch(
+    "/:entryId/decline",
+    [
+        param("entryId")
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required")
+    ],
+    validate,
+    customerAndAdmin,
+    declineWaitlistOffer
+);
+
+// Update waitlist entry (admin only)
+router.patch(
+    "/:entryId",
+    [
+        param("entryId")
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required"),
+        body("priority")
+            .optional()
+            .isInt({ min: 0, max: 100 })
+            .withMessage("Priority must be between 0 and 100"),
+        body("dateFrom")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid start date is required"),
+        body("dateTo")
+            .optional()
+            .isISO8601()
+            .withMessage("Valid end date is required"),
+        body("stylistId")
+            .optional({ nullable: true })
+            .isMongoId()
+            .withMessage("Valid stylist ID is required"),
+        body("notes")
+            .optional()
+            .isLength({ max: 300 })
+            .withMessage("Notes cannot exceed 300 characters")
+    ],
+    validate,
+    adminOnly,
+    updateWaitlistEntry
+);
+
+// Offer a slot to a waitlisted customer (admin only)
+router.post(
+    "/:entryId/offer",
+    [
+        param("entryId")
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required"),
+        body("date")
+            .isISO8601()
+            .withMessage("Valid date is required"),
+        body("timeSlot")
+            .matches(/^([0-1]?[0-9]|2[0-3]):[0-5][0-9]$/)
+            .withMessage("Valid time slot is required (HH:MM format)"),
+        body("stylistId")
+            .optional()
+            .isMongoId()
+            .withMessage("Valid stylist ID is required")
+    ],
+    validate,
+    adminOnly,
+    offerWaitlistSlot
+);
+
+// Delete waitlist entry (admin only)
+router.delete(
+    "/:entryId",
+    [
+        param("entryId")
+            .isMongoId()
+            .withMessage("Valid waitlist entry ID is required")
+    ],
+    validate,
+    adminOnly,
+    deleteWaitlistEntry
+);
+
+export default router;
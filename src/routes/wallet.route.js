@@ -0,0 +1,80 @@
+import express from "express";
+import {
+    getMyWallet,
+    getUserWallet,
+    adjustWallet
+} from "../controllers/wallet.controller.js";
+import { verifyJWT, adminOnly, customerAndAdmin } from "../middleware/auth.middleware.js";
+import { body, param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+router.use(verifyJWT);
+
+const ledgerFilters = [
+    query("page")
+        .optional()
+        .isInt({ min: 1 })
+        .withMessage("Page must be a positive integer"),
+    query("limit")
+        .optional()
+        .isInt({ min: 1, max: 100 })
+        .withMessage("Limit must be between 1 and 100"),
+    query("type")
+        .optional()
+        .isIn(["credit", "debit"])
+        .withMessage("Type must be either credit or debit"),
+    query("source")
+        .optional()
+        .isIn(["gift_card", "appointment", "membership", "refund", "adjustment"])
+        .withMessage("Source must be one of: gift_card, appointment, membership, refund, adjustment")
+];
+
+// Current user's balance and ledger
+router.get(
+    "/",
+    ledgerFilters,
+    validate,
+    customerAndAdmin,
+    getMyWallet
+);
+
+// Admin: a customer's balance and ledger
+router.get(
+    "/users/:userId",
+    [
+        param("userId")
+            .isMongoId()
+            .withMessage("Valid user ID is required"),
+        ...ledgerFilters
+    ],
+    validate,
+    adminOnly,
+    getUserWallet
+);
+
+// Admin: credit or debit a customer's wallet
+router.post(
+    "/users/:userId/adjustments",
+    [
+        param("userId")
+            .isMongoId()
+            .withMessage("Valid user ID is required"),
+        body("type")
+            .isIn(["credit", "debit"])
+            .withMessage("Type must be either credit or debit"),
+        body("amount")
+            .isFloat({ min: 0.01 })
+            .withMessage("Amount must be a positive number"),
+        body("reason")
+            .trim()
+            .isLength({ min: 3, max: 200 })
+            .withMessage("Reason must be between 3 and 200 characters")
+    ],
+    validate,
+    adminOnly,
+    adjustWallet
+);
+
+export default router;
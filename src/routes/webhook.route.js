@@ -0,0 +1,58 @@
+import express from "express";
+import {
+    handleRazorpayWebhook,
+    getPaymentEvents,
+    replayPaymentEvent
+} from "../controllers/webhook.controller.js";
+import { verifyJWT, adminOnly } from "../middleware/auth.middleware.js";
+import { param, query } from "express-validator";
+import { validate } from "../middleware/validation.middleware.js";
+
+const router = express.Router();
+
+// Razorpay webhook; the raw body is needed to check the signature
+router.post(
+    "/razorpay",
+    express.raw({ type: "application/json", limit: "1mb" }),
+    handleRazorpayWebhook
+);
+
+// Admin routes (authentication required)
+router.use(verifyJWT);
+
+// Get stored payment events (Admin only)
+router.get(
+    "/razorpay/events",
+    [
+        query("status")
+            .optional()
+            .isIn(["received", "processed", "ignored", "failed"])
+            .withMessage("Invalid event status"),
+        query("page")
+            .optional()
+            .isInt({ min: 1 })
+            .withMessage("Page must be a positive integer"),
+        query("limit")
+            .optional()
+            .isInt({ min: 1, max: 100 })
+            .withMessage("Limit must be between 1 and 100")
+    ],
+    validate,
+    adminOnly,
+    getPaymentEvents
+);
+
+// Replay a stored payment event (Admin only)
+router.post(
+    "/razorpay/events/:paymentEventId/replay",
+    [
+        param("paymentEventId")
+            .isMongoId()
+            .withMessage("Valid payment event ID is required")
+    ],
+    validate,
+    adminOnly,
+    replayPaymentEvent
+);
+
+export default router;
@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+
+/**
+ * Run one payment reconciliation pass, against Razorpay or a local stub
+ * Usage: node src/scripts/reconcilePayments.js [--stub <fixtures.json>]
+ *
+ * Without --stub the configured Razorpay account is queried (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET).
+ * With --stub, orders and their payments come from a JSON file instead:
+ *
+ *   {
+ *     "orders": {
+ *       "order_ABC": {
+ *         "status": "attempted",
+ *         "amount": 590000,
+ *         "payments": [{ "id": "pay_XYZ", "status": "captured", "amount": 590000, "method": "upi" }]
+ *       }
+ *     }
+ *   }
+ *
+ * Amounts are in paise, as Razorpay returns them. Orders missing from the file fail like unknown
+ * orders do on Razorpay.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import connectDB from '../db/index.js';
+import { runPaymentReconciliation } from '../utils/paymentReconciliation.js';
+import { createReconciliationStubClient } from '../utils/razorpayStub.js';
+
+async function reconcilePayments() {
+  const stubIndex = process.argv.indexOf('--stub');
+  let client;
+  if (stubIndex !== -1) {
+    const file = process.argv[stubIndex + 1];
+    if (!file) {
+      console.error('Usage: node src/scripts/reconcilePayments.js [--stub <fixtures.json>]');
+      process.exit(1);
+    }
+    client = createReconciliationStubClient(JSON.parse(fs.readFileSync(file, 'utf8')));
+    console.log(`🧪 Using Razorpay stub from ${file}`);
+  }
+
+  await connectDB();
+
+  try {
+    const report = await runPaymentReconciliation({ client, trigger: 'manual' });
+    console.log(`📋 Report ${report._id}: ${report.status}`);
+    console.log(JSON.stringify(report.summary.toObject(), null, 2));
+    report.items.forEach(item => {
+      console.log(`  ${item.outcome.padEnd(8)} ${item.membershipId} ${item.razorpayOrderId || '-'} ${item.message || ''}`);
+    });
+    process.exitCode = report.status === 'completed' ? 0 : 1;
+  } catch (error) {
+    console.error('❌ Reconciliation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+reconcilePayments();
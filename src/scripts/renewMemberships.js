@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+
+/**
+ * Run one membership auto-renewal pass, against Razorpay or a local stub
+ * Usage: node src/scripts/renewMemberships.js [--stub <fixtures.json>] [--now <ISO date>]
+ *
+ * Without --stub the saved mandates are charged on the configured Razorpay account
+ * (RAZORPAY_KEY_ID / RAZORPAY_KEY_SECRET). With --stub, charges never leave the machine and
+ * their outcomes come from a JSON file instead, one per charge of each membership in turn:
+ *
+ *   {
+ *     "charges": {
+ *       "6650c0ffee0000000000abcd": [
+ *         { "status": "failed", "error_description": "Insufficient funds" },
+ *         "captured"
+ *       ]
+ *     },
+ *     "default": "captured"
+ *   }
+ *
+ * A charge is "captured", "failed", "created" (still processing) or "rejected" (Razorpay refuses
+ * to take it); see createRenewalStubClient. --now runs the pass as if it were that moment, to reach
+ * renewals and retries that are not due yet.
+ */
+
+import 'dotenv/config';
+import fs from 'fs';
+import mongoose from 'mongoose';
+import connectDB from '../db/index.js';
+import { runMembershipRenewals } from '../utils/membershipRenewal.js';
+import { createRenewalStubClient } from '../utils/razorpayStub.js';
+
+// Value following a command-line flag
+const getOption = (name) => {
+  const index = process.argv.indexOf(name);
+  return index === -1 ? undefined : process.argv[index + 1] || null;
+};
+
+async function renewMemberships() {
+  const stubFile = getOption('--stub');
+  const nowOption = getOption('--now');
+  if (stubFile === null || nowOption === null || (nowOption && isNaN(new Date(nowOption).getTime()))) {
+    console.error('Usage: node src/scripts/renewMemberships.js [--stub <fixtures.json>] [--now <ISO date>]');
+    process.exit(1);
+  }
+
+  let client;
+  if (stubFile) {
+    client = createRenewalStubClient(JSON.parse(fs.readFileSync(stubFile, 'utf8')));
+    console.log(`🧪 Using Razorpay stub from ${stubFile}`);
+  }
+  const now = nowOption ? new Date(nowOption) : new Date();
+
+  await connectDB();
+
+  try {
+    const summary = await runMembershipRenewals({ client, now });
+    console.log(`🔁 Renewal pass at ${now.toISOString()}`);
+    console.log(JSON.stringify(summary, null, 2));
+    process.exitCode = summary.errors > 0 ? 1 : 0;
+  } catch (error) {
+    console.error('❌ Renewals failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+renewMemberships();
@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+
+/**
+ * Send a fake, correctly signed Razorpay webhook to a local server
+ * Usage: node src/scripts/sendTestWebhook.js <event> --order <orderId> [options]
+ *
+ * Events: payment.captured, payment.failed, refund.processed, order.paid
+ * Options:
+ *   --order <id>        Razorpay order ID the event refers to
+ *   --payment <id>      Razorpay payment ID (generated if omitted)
+ *   --amount <rupees>   Payment or refund amount (default 100)
+ *   --event-id <id>     Event ID; reuse one to test duplicate deliveries
+ *   --url <url>         Webhook URL (default http://localhost:$PORT/api/webhooks/razorpay)
+ *   --secret <secret>   Signing secret (default RAZORPAY_WEBHOOK_SECRET)
+ *   --bad-signature     Sign with the wrong secret to test rejection
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const [event, ...rest] = argv;
+  const options = { event };
+  for (let index = 0; index < rest.length; index++) {
+    const flag = rest[index];
+    if (flag === '--bad-signature') {
+      options.badSignature = true;
+    } else if (flag.startsWith('--')) {
+      options[flag.slice(2)] = rest[index + 1];
+      index++;
+    }
+  }
+  return options;
+};
+
+// Build a payload shaped like the ones Razorpay sends
+const buildPayload = ({ event, order, payment, amount }) => {
+  const paise = Math.round(Number(amount) * 100);
+  const paymentEntity = {
+    id: payment,
+    entity: 'payment',
+    amount: paise,
+    currency: 'INR',
+    status: event === 'payment.failed' ? 'failed' : 'captured',
+    order_id: order,
+    method: 'upi',
+    captured: event !== 'payment.failed',
+    error_description: event === 'payment.failed' ? 'Payment was declined by the test harness' : null,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+
+  const payload = { payment: { entity: paymentEntity } };
+  if (event === 'order.paid') {
+    payload.order = {
+      entity: { id: order, entity: 'order', amount: paise, amount_paid: paise, currency: 'INR', status: 'paid' }
+    };
+  }
+  if (event === 'refund.processed') {
+    payload.refund = {
+      entity: {
+        id: `rfnd_test_${crypto.randomBytes(6).toString('hex')}`,
+        entity: 'refund',
+        amount: paise,
+        currency: 'INR',
+        payment_id: payment,
+        status: 'processed'
+      }
+    };
+  }
+
+  return {
+    entity: 'event',
+    account_id: 'acc_test_harness',
+    event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: Math.floor(Date.now() / 1000)
+  };
+};
+
+async function sendTestWebhook() {
+  const options = parseArgs(process.argv.slice(2));
+  const supportedEvents = ['payment.captured', 'payment.failed', 'refund.processed', 'order.paid'];
+
+  if (!supportedEvents.includes(options.event) || !options.order) {
+    console.error('Usage: node src/scripts/sendTestWebhook.js <event> --order <orderId> [--payment <id>] [--amount <rupees>] [--event-id <id>] [--url <url>] [--secret <secret>] [--bad-signature]');
+    console.error(`Events: ${supportedEvents.join(', ')}`);
+    process.exit(1);
+  }
+
+  const secret = options.secret || process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ No signing secret: set RAZORPAY_WEBHOOK_SECRET or pass --secret');
+    process.exit(1);
+  }
+
+  const url = options.url || `http://localhost:${process.env.PORT || 8000}/api/webhooks/razorpay`;
+  const eventId = options['event-id'] || `evt_test_${crypto.randomBytes(7).toString('hex')}`;
+  const body = JSON.stringify(buildPayload({
+    event: options.event,
+    order: options.order,
+    payment: options.payment || `pay_test_${crypto.randomBytes(7).toString('hex')}`,
+    amount: options.amount || 100
+  }));
+
+  const signingSecret = options.badSignature ? `${secret}_wrong` : secret;
+  const signature = crypto.createHmac('sha256', signingSecret).update(body).digest('hex');
+
+  console.log(`📤 Sending ${options.event} (${eventId}) to ${url}`);
+  try {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'X-Razorpay-Signature': signature,
+        'X-Razorpay-Event-Id': eventId
+      },
+      body
+    });
+    const text = await response.text();
+    console.log(`📥 ${response.status} ${response.statusText}`);
+    console.log(text);
+    process.exit(response.ok ? 0 : 1);
+  } catch (error) {
+    console.error('❌ Error sending webhook:', error.message);
+    process.exit(1);
+  }
+}
+
+sendTestWebhook();
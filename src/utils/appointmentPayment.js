@@ -0,0 +1,66 @@
+/**
+ * Appointment prepayment: deposit and full payment amounts and payment status
+ */
+
+export const APPOINTMENT_PAYMENT_TYPES = ['deposit', 'full'];
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the share of the price taken as a deposit (APPOINTMENT_DEPOSIT_PERCENT, default 25)
+ * @returns {number} - Deposit percentage between 1 and 100
+ */
+export const getDepositPercent = () => {
+    const percent = parseFloat(process.env.APPOINTMENT_DEPOSIT_PERCENT);
+    return percent > 0 && percent <= 100 ? percent : 25;
+};
+
+/**
+ * Get how much is still owed for an appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {number} - Amount due
+ */
+export const getAmountDue = (appointment) =>
+    Math.max(0, roundAmount((appointment.totalPrice || 0) - (appointment.amountPaid || 0)));
+
+/**
+ * Get the amount to charge for a payment of the given type
+ * A deposit is a share of the total price; a full payment settles whatever is still due.
+ * @param {Object} appointment - Appointment document
+ * @param {string} type - deposit or full
+ * @returns {number} - Amount to charge
+ */
+export const getPaymentAmount = (appointment, type) => {
+    const amountDue = getAmountDue(appointment);
+    if (type === 'deposit') {
+        return Math.min(amountDue, roundAmount(appointment.totalPrice * getDepositPercent() / 100));
+    }
+    return amountDue;
+};
+
+/**
+ * Work out the payment status from the amount paid so far
+ * @param {Object} appointment - Appointment document
+ * @returns {string} - pending, partial or paid
+ */
+export const derivePaymentStatus = (appointment) => {
+    if ((appointment.amountPaid || 0) <= 0) {
+        return 'pending';
+    }
+    return getAmountDue(appointment) > 0 ? 'partial' : 'paid';
+};
+
+/**
+ * Add a payment taken at the counter to an appointment and update the payment status
+ * Counter payments have no Razorpay order, so they only count towards the amount paid.
+ * The caller saves the appointment.
+ * @param {Object} appointment - Appointment document
+ * @param {number} amount - Amount taken
+ * @returns {Object} - The updated appointment
+ */
+export const applyCounterPayment = (appointment, amount) => {
+    appointment.amountPaid = roundAmount((appointment.amountPaid || 0) + amount);
+    appointment.paymentStatus = derivePaymentStatus(appointment);
+    return appointment;
+};
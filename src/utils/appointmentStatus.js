@@ -0,0 +1,97 @@
+/**
+ * Appointment state machine: allowed status transitions and their guards
+ */
+
+import { ApiError } from './ApiError.js';
+import { getSalonSlotStart } from './availability.js';
+
+export const APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in_progress', 'completed', 'cancelled', 'no_show', 'rescheduled'];
+
+// Statuses an appointment can move to from each status; terminal statuses allow none
+export const STATUS_TRANSITIONS = {
+    pending: ['confirmed', 'cancelled', 'rescheduled'],
+    confirmed: ['in_progress', 'cancelled', 'no_show', 'rescheduled'],
+    rescheduled: ['confirmed', 'in_progress', 'cancelled', 'no_show', 'rescheduled'],
+    in_progress: ['completed', 'cancelled'],
+    completed: [],
+    cancelled: [],
+    no_show: []
+};
+
+/**
+ * List the statuses an appointment may move to a status from
+ * Used to claim a transition with a conditional update, so racing requests make it once.
+ * @param {string} toStatus - Target status
+ * @returns {Array<string>} - Statuses whose transitions include toStatus
+ */
+export const getStatusesLeadingTo = (toStatus) =>
+    Object.keys(STATUS_TRANSITIONS).filter(from => STATUS_TRANSITIONS[from].includes(toStatus));
+
+// Conditions a transition must meet beyond being in the table
+const STATUS_GUARDS = {
+    confirmed: (appointment) =>
+        appointment.prepaymentRequired && appointment.paymentStatus !== 'paid'
+            ? 'Full prepayment is required before this appointment can be confirmed'
+            : null,
+    in_progress: (appointment, at) =>
+        at < getSalonSlotStart(appointment.date) ? 'An appointment cannot start before its scheduled day' : null,
+    no_show: (appointment, at) =>
+        at < getSalonSlotStart(appointment.date, appointment.timeSlot)
+            ? 'An appointment can only be marked as a no-show after its start time'
+            : null
+};
+
+/**
+ * Check whether an appointment may move to a status
+ * @param {Object} appointment - Appointment document
+ * @param {string} toStatus - Target status
+ * @param {Date} at - Time of the change
+ * @returns {Object|null} - { field, from, to, code, message, allowed } describing the rejection, or null if allowed
+ */
+export const getTransitionError = (appointment, toStatus, at = new Date()) => {
+    const from = appointment.status;
+    const allowed = STATUS_TRANSITIONS[from] || [];
+    const rejection = { field: 'status', from, to: toStatus, allowed };
+
+    if (!APPOINTMENT_STATUSES.includes(toStatus)) {
+        return { ...rejection, code: 'UNKNOWN_STATUS', message: `Unknown appointment status: ${toStatus}` };
+    }
+    if (!allowed.includes(toStatus)) {
+        return {
+            ...rejection,
+            code: allowed.length === 0 ? 'TERMINAL_STATUS' : 'INVALID_TRANSITION',
+            message: `Cannot change status from ${from} to ${toStatus}`
+        };
+    }
+
+    const guardMessage = STATUS_GUARDS[toStatus]?.(appointment, at);
+    if (guardMessage) {
+        return { ...rejection, code: 'GUARD_FAILED', message: guardMessage };
+    }
+    return null;
+};
+
+/**
+ * Move an appointment to a new status and record the change in its status history
+ * The caller saves the appointment.
+ * @param {Object} appointment - Appointment document
+ * @param {string} toStatus - Target status
+ * @param {Object} options - { actor, reason, at }
+ * @returns {Object} - The updated appointment
+ * @throws {ApiError} - 400 with the rejection details when the transition is not allowed
+ */
+export const transitionAppointment = (appointment, toStatus, { actor, reason, at = new Date() } = {}) => {
+    const rejection = getTransitionError(appointment, toStatus, at);
+    if (rejection) {
+        throw new ApiError(400, rejection.message, [rejection]);
+    }
+
+    appointment.status = toStatus;
+    appointment.statusHistory.push({
+        status: toStatus,
+        changedAt: at,
+        changedBy: actor,
+        reason: reason || `Status changed to ${toStatus}`
+    });
+    return appointment;
+};
@@ -0,0 +1,542 @@
+/**
+ * Availability utilities for duration-aware slot calculation
+ */
+
+import { Appointment } from '../models/appointment.model.js';
+import { StylistException } from '../models/stylistException.model.js';
+import { BusinessHours } from '../models/businessHours.model.js';
+import { Holiday } from '../models/holiday.model.js';
+import { Waitlist } from '../models/waitlist.model.js';
+import { SlotHold } from '../models/slotHold.model.js';
+
+// Granularity of the slots offered to customers
+export const SLOT_INTERVAL_MINUTES = 30;
+
+const WEEK_DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Appointment statuses that occupy a stylist's (and customer's) time
+export const BLOCKING_STATUSES = ['pending', 'confirmed', 'in_progress', 'rescheduled'];
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} - Minutes since midnight
+ */
+export const timeToMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Convert minutes since midnight to an HH:MM string
+ * @param {number} minutes - Minutes since midnight
+ * @returns {string} - Time in HH:MM format
+ */
+export const minutesToTime = (minutes) => {
+    const hour = Math.floor(minutes / 60);
+    const min = minutes % 60;
+    return `${hour.toString().padStart(2, '0')}:${min.toString().padStart(2, '0')}`;
+};
+
+/**
+ * Get the [start, end) range covering the calendar day of a date
+ * @param {Date|string} date - Any moment on the day
+ * @returns {{start: Date, end: Date}} - Day boundaries
+ */
+export const getDayRange = (date) => {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setUTCDate(end.getUTCDate() + 1);
+    return { start, end };
+};
+
+/**
+ * Read an instant on the salon's clock
+ * Days are stored as UTC midnights of the salon's calendar date and time slots as its local
+ * times, whatever timezone the server runs in (SALON_TIMEZONE, default Asia/Kolkata).
+ * @param {Date} at - Instant to read
+ * @returns {{date: Date, timeSlot: string}} - Salon day as a UTC midnight and HH:mm time
+ */
+export const getSalonClock = (at = new Date()) => {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-GB', {
+        timeZone: process.env.SALON_TIMEZONE || 'Asia/Kolkata',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(at).map(part => [part.type, part.value]));
+
+    return {
+        date: new Date(Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day))),
+        timeSlot: `${parts.hour}:${parts.minute}`
+    };
+};
+
+/**
+ * Get the instant a salon day and time slot start at
+ * The inverse of getSalonClock: the salon's wall-clock time is read in SALON_TIMEZONE, not in
+ * the server's timezone.
+ * @param {Date|string} date - Salon day
+ * @param {string} timeSlot - Salon time in HH:MM format
+ * @returns {Date} - The moment the slot starts
+ */
+export const getSalonSlotStart = (date, timeSlot = '00:00') => {
+    const wallTime = getDayRange(date).start.getTime() + timeToMinutes(timeSlot) * 60 * 1000;
+    const clock = getSalonClock(new Date(wallTime));
+    const offset = clock.date.getTime() + timeToMinutes(clock.timeSlot) * 60 * 1000 - wallTime;
+    return new Date(wallTime - offset);
+};
+
+/**
+ * Check whether two half-open minute intervals overlap
+ * @returns {boolean} - True if [startA, endA) and [startB, endB) intersect
+ */
+export const intervalsOverlap = (startA, endA, startB, endB) => {
+    return startA < endB && startB < endA;
+};
+
+/**
+ * Get the minute interval an appointment occupies on its day
+ * @param {Object} appointment - Appointment with timeSlot and estimatedDuration
+ * @returns {{start: number, end: number}} - Occupied interval
+ */
+export const getAppointmentInterval = (appointment) => {
+    const start = timeToMinutes(appointment.timeSlot);
+    return {
+        start,
+        end: start + (appointment.estimatedDuration || SLOT_INTERVAL_MINUTES)
+    };
+};
+
+/**
+ * Split an appointment into the consecutive intervals of its service lines
+ * Lines run back to back from the appointment's time slot, each with its own
+ * stylist (falling back to the appointment's stylist). Appointments without
+ * service lines are treated as a single line.
+ * @param {Object} appointment - Appointment with timeSlot, stylistId and services
+ * @returns {Array<{stylistId: *, serviceId: *, start: number, end: number}>} - Line intervals
+ */
+export const getLineIntervals = (appointment) => {
+    const lines = appointment.services && appointment.services.length > 0
+        ? appointment.services
+        : [{
+            serviceId: appointment.serviceId,
+            stylistId: appointment.stylistId,
+            duration: appointment.estimatedDuration || SLOT_INTERVAL_MINUTES
+        }];
+
+    let cursor = timeToMinutes(appointment.timeSlot);
+    return lines.map(line => {
+        const start = cursor;
+        cursor += line.duration;
+        return {
+            stylistId: line.stylistId || appointment.stylistId || null,
+            serviceId: line.serviceId,
+            start,
+            end: cursor
+        };
+    });
+};
+
+const isSameId = (a, b) => Boolean(a && b) && (a._id || a).toString() === (b._id || b).toString();
+
+/**
+ * Load the intervals already booked on a day for a stylist or customer
+ * A customer is busy for the whole visit; a stylist only for the lines they serve.
+ * A stylist is also busy while one of their slots is held (checkout hold or waitlist
+ * offer), except towards the customer holding it (holdOwnerId).
+ * @param {Object} filter - Extra query conditions, e.g. { stylistId } or { userId }
+ * @param {Date|string} date - Day to inspect
+ * @param {Object} options - { excludeAppointmentId, holdOwnerId, session }
+ * @returns {Promise<Array>} - Booked intervals with their appointment IDs
+ */
+export const getBookedIntervals = async (filter, date, options = {}) => {
+    const { stylistId, ...rest } = filter;
+    const { start, end } = getDayRange(date);
+    const query = {
+        ...rest,
+        date: { $gte: start, $lt: end },
+        status: { $in: BLOCKING_STATUSES }
+    };
+    if (stylistId) {
+        query.$or = [{ stylistId }, { 'services.stylistId': stylistId }];
+    }
+    if (options.excludeAppointmentId) {
+        query._id = { $ne: options.excludeAppointmentId };
+    }
+
+    let appointmentQuery = Appointment.find(query)
+        .select('timeSlot estimatedDuration serviceId stylistId services.serviceId services.stylistId services.duration');
+    if (options.session) {
+        appointmentQuery = appointmentQuery.session(options.session);
+    }
+    const appointments = await appointmentQuery;
+
+    const bookedIntervals = appointments.flatMap(apt => {
+        if (!stylistId) {
+            return [{ ...getAppointmentInterval(apt), appointmentId: apt._id }];
+        }
+        return getLineIntervals(apt)
+            .filter(line => isSameId(line.stylistId, stylistId))
+            .map(line => ({ start: line.start, end: line.end, appointmentId: apt._id }));
+    });
+
+    if (!stylistId) {
+        return bookedIntervals;
+    }
+    return [...bookedIntervals, ...await getHeldIntervals(stylistId, date, options)];
+};
+
+/**
+ * Load a stylist's slots currently held on a day, either during checkout or for a
+ * waitlisted customer, ignoring holds owned by options.holdOwnerId
+ * @param {*} stylistId - Stylist ID
+ * @param {Date|string} date - Day to inspect
+ * @param {Object} options - { holdOwnerId, session }
+ * @returns {Promise<Array>} - Held intervals with their hold or waitlist entry IDs
+ */
+export const getHeldIntervals = async (stylistId, date, options = {}) => {
+    const { start, end } = getDayRange(date);
+    const now = new Date();
+    const waitlistFilter = {
+        status: 'offered',
+        'currentOffer.stylistId': stylistId,
+        'currentOffer.date': { $gte: start, $lt: end },
+        'currentOffer.expiresAt': { $gt: now }
+    };
+    const holdFilter = {
+        'services.stylistId': stylistId,
+        date: { $gte: start, $lt: end },
+        expiresAt: { $gt: now }
+    };
+    if (options.holdOwnerId) {
+        waitlistFilter.userId = { $ne: options.holdOwnerId };
+        holdFilter.userId = { $ne: options.holdOwnerId };
+    }
+
+    let waitlistQuery = Waitlist.find(waitlistFilter).select('currentOffer');
+    let holdQuery = SlotHold.find(holdFilter).select('timeSlot services');
+    if (options.session) {
+        waitlistQuery = waitlistQuery.session(options.session);
+        holdQuery = holdQuery.session(options.session);
+    }
+    const [entries, holds] = await Promise.all([waitlistQuery, holdQuery]);
+
+    const offerIntervals = entries.map(entry => {
+        const holdStart = timeToMinutes(entry.currentOffer.timeSlot);
+        return { start: holdStart, end: holdStart + entry.currentOffer.duration, waitlistEntryId: entry._id };
+    });
+    const checkoutIntervals = holds.flatMap(hold => getLineIntervals(hold)
+        .filter(line => isSameId(line.stylistId, stylistId))
+        .map(line => ({ start: line.start, end: line.end, holdId: hold._id }))
+    );
+
+    return [...offerIntervals, ...checkoutIntervals];
+};
+
+/**
+ * Find a booked interval that overlaps a requested time range
+ * @param {Object} filter - Extra query conditions, e.g. { stylistId } or { userId }
+ * @param {Date|string} date - Appointment day
+ * @param {string} timeSlot - Requested start time (HH:MM)
+ * @param {number} duration - Requested duration in minutes
+ * @param {Object} options - { excludeAppointmentId, session }
+ * @returns {Promise<Object|null>} - The conflicting interval, if any
+ */
+export const findConflictingAppointment = async (filter, date, timeSlot, duration, options = {}) => {
+    const start = timeToMinutes(timeSlot);
+    const end = start + duration;
+    const bookedIntervals = await getBookedIntervals(filter, date, options);
+
+    return bookedIntervals.find(interval =>
+        intervalsOverlap(start, end, interval.start, interval.end)
+    ) || null;
+};
+
+/**
+ * Find a stylist booking that overlaps any line of a multi-service visit
+ * @param {Object} visit - { timeSlot, stylistId, services: [{ stylistId, duration }] }
+ * @param {Date|string} date - Appointment day
+ * @param {Object} options - { excludeAppointmentId, session }
+ * @returns {Promise<Object|null>} - The conflicting interval and stylist, if any
+ */
+export const findVisitConflict = async (visit, date, options = {}) => {
+    const lineIntervals = getLineIntervals(visit).filter(line => line.stylistId);
+    const stylistIds = [...new Set(lineIntervals.map(line => line.stylistId.toString()))];
+
+    for (const stylistId of stylistIds) {
+        const bookedIntervals = await getBookedIntervals({ stylistId }, date, options);
+        const conflict = lineIntervals
+            .filter(line => isSameId(line.stylistId, stylistId))
+            .map(line => bookedIntervals.find(booked =>
+                intervalsOverlap(line.start, line.end, booked.start, booked.end)
+            ))
+            .find(Boolean);
+
+        if (conflict) {
+            return { ...conflict, stylistId };
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Check that a time range fits inside working hours
+ * @param {Object} workingHours - { start, end } in HH:MM format
+ * @param {string} timeSlot - Requested start time (HH:MM)
+ * @param {number} duration - Requested duration in minutes
+ * @returns {boolean} - True if the whole range is within working hours
+ */
+export const isWithinWorkingHours = (workingHours, timeSlot, duration) => {
+    const start = timeToMinutes(timeSlot);
+    return start >= timeToMinutes(workingHours.start) &&
+           start + duration <= timeToMinutes(workingHours.end);
+};
+
+/**
+ * Generate the start times at which a service of the given duration fits
+ * @param {Object} params - { workingHours, duration, bookedIntervals, interval }
+ * @returns {Array<string>} - Available start times in HH:MM format
+ */
+export const generateAvailableSlots = ({
+    workingHours,
+    duration = SLOT_INTERVAL_MINUTES,
+    bookedIntervals = [],
+    interval = SLOT_INTERVAL_MINUTES
+}) => {
+    const openMinutes = timeToMinutes(workingHours.start);
+    const closeMinutes = timeToMinutes(workingHours.end);
+    const availableSlots = [];
+
+    for (let minutes = openMinutes; minutes + duration <= closeMinutes; minutes += interval) {
+        const isBlocked = bookedIntervals.some(booked =>
+            intervalsOverlap(minutes, minutes + duration, booked.start, booked.end)
+        );
+        if (!isBlocked) {
+            availableSlots.push(minutesToTime(minutes));
+        }
+    }
+
+    return availableSlots;
+};
+
+/**
+ * Load the salon's weekly business hours and the active holidays within a date range
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} to - Last day of the range (inclusive)
+ * @param {Object} options - { session }
+ * @returns {Promise<{businessHours: Array, holidays: Array}>} - Salon calendar for the range
+ */
+export const loadSalonCalendar = async (from, to, options = {}) => {
+    let businessHoursQuery = BusinessHours.find({});
+    let holidayQuery = Holiday.find({
+        isActive: true,
+        date: { $gte: getDayRange(from).start, $lt: getDayRange(to).end }
+    });
+    if (options.session) {
+        businessHoursQuery = businessHoursQuery.session(options.session);
+        holidayQuery = holidayQuery.session(options.session);
+    }
+
+    const [businessHours, holidays] = await Promise.all([businessHoursQuery, holidayQuery]);
+    return { businessHours, holidays };
+};
+
+/**
+ * Resolve whether the salon is open on a day and during which hours
+ * A holiday replaces the weekly hours for its date; weekdays without configured
+ * business hours are unrestricted (hours is null).
+ * @param {Object} salonCalendar - Calendar as returned by loadSalonCalendar
+ * @param {Date|string} date - Day to resolve
+ * @returns {{isOpen: boolean, hours: Object|null, reason: string|null}}
+ */
+export const resolveSalonDaySchedule = (salonCalendar, date) => {
+    const { start: dayStart, end: dayEnd } = getDayRange(date);
+    const dayOfWeek = WEEK_DAYS[new Date(date).getDay()];
+
+    const holiday = salonCalendar.holidays.find(item => item.date >= dayStart && item.date < dayEnd);
+    if (holiday) {
+        return holiday.isClosed
+            ? { isOpen: false, hours: null, reason: holiday.name }
+            : { isOpen: true, hours: { start: holiday.openTime, end: holiday.closeTime }, reason: holiday.name };
+    }
+
+    const day = salonCalendar.businessHours.find(item => item.dayOfWeek === dayOfWeek);
+    if (!day) {
+        return { isOpen: true, hours: null, reason: null };
+    }
+    if (day.isClosed) {
+        return { isOpen: false, hours: null, reason: 'Closed' };
+    }
+    return { isOpen: true, hours: { start: day.openTime, end: day.closeTime }, reason: null };
+};
+
+/**
+ * Build the query conditions matching exceptions that touch a [rangeStart, rangeEnd) window
+ * Breaks without startDate/endDate bounds apply indefinitely.
+ * @param {Date} rangeStart - Start of the window
+ * @param {Date} rangeEnd - End of the window (exclusive)
+ * @returns {Object} - Mongo filter with an $or per exception type
+ */
+export const getExceptionRangeFilter = (rangeStart, rangeEnd) => ({
+    $or: [
+        { type: 'override', date: { $gte: rangeStart, $lt: rangeEnd } },
+        { type: 'leave', startDate: { $lt: rangeEnd }, endDate: { $gte: rangeStart } },
+        {
+            type: 'break',
+            $and: [
+                { $or: [{ startDate: null }, { startDate: { $lt: rangeEnd } }] },
+                { $or: [{ endDate: null }, { endDate: { $gte: rangeStart } }] }
+            ]
+        }
+    ]
+});
+
+/**
+ * Load the active schedule exceptions of one or more stylists touching a date range
+ * @param {Array|string} stylistIds - Stylist ID(s)
+ * @param {Date|string} from - First day of the range
+ * @param {Date|string} to - Last day of the range (inclusive)
+ * @param {Object} options - { session }
+ * @returns {Promise<Array>} - Breaks, leave and overrides relevant to the range
+ */
+export const loadStylistExceptions = async (stylistIds, from, to, options = {}) => {
+    const ids = Array.isArray(stylistIds) ? stylistIds : [stylistIds];
+    const rangeStart = getDayRange(from).start;
+    const rangeEnd = getDayRange(to).end;
+
+    let exceptionQuery = StylistException.find({
+        stylistId: { $in: ids },
+        isActive: true,
+        ...getExceptionRangeFilter(rangeStart, rangeEnd)
+    });
+    if (options.session) {
+        exceptionQuery = exceptionQuery.session(options.session);
+    }
+    return exceptionQuery;
+};
+
+/**
+ * Resolve a stylist's effective schedule for a day from their weekly schedule and exceptions
+ * Leave wins over everything, an override replaces the weekly hours for its date,
+ * and breaks are returned as blocked intervals within the day. When a salon calendar
+ * is given, the result is narrowed to the salon's opening hours for the day.
+ * @param {Object} stylist - Stylist with workingDays and workingHours
+ * @param {Date|string} date - Day to resolve
+ * @param {Array} exceptions - Exceptions as returned by loadStylistExceptions
+ * @param {Object|null} salonCalendar - Calendar as returned by loadSalonCalendar
+ * @returns {{isWorking: boolean, isSalonClosed: boolean, workingHours: Object|null, blockedIntervals: Array, reason: string|null}}
+ */
+export const resolveStylistDaySchedule = (stylist, date, exceptions = [], salonCalendar = null) => {
+    const { start: dayStart, end: dayEnd } = getDayRange(date);
+    const dayOfWeek = WEEK_DAYS[new Date(date).getDay()];
+    const ownExceptions = exceptions.filter(exception => isSameId(exception.stylistId, stylist._id));
+
+    const salonDay = salonCalendar ? resolveSalonDaySchedule(salonCalendar, date) : null;
+    if (salonDay && !salonDay.isOpen) {
+        return { isWorking: false, isSalonClosed: true, workingHours: null, blockedIntervals: [], reason: salonDay.reason };
+    }
+
+    const leave = ownExceptions.find(exception =>
+        exception.type === 'leave' &&
+        exception.startDate < dayEnd &&
+        exception.endDate >= dayStart
+    );
+    if (leave) {
+        return { isWorking: false, isSalonClosed: false, workingHours: null, blockedIntervals: [], reason: leave.reason || 'On leave' };
+    }
+
+    const override = ownExceptions.find(exception =>
+        exception.type === 'override' &&
+        exception.date >= dayStart &&
+        exception.date < dayEnd
+    );
+    if (override && override.isDayOff) {
+        return { isWorking: false, isSalonClosed: false, workingHours: null, blockedIntervals: [], reason: override.reason || 'Day off' };
+    }
+
+    let workingHours = null;
+    if (override) {
+        workingHours = { start: override.workingHours.start, end: override.workingHours.end };
+    } else if (stylist.workingDays.includes(dayOfWeek)) {
+        workingHours = { start: stylist.workingHours.start, end: stylist.workingHours.end };
+    }
+    if (!workingHours) {
+        return { isWorking: false, isSalonClosed: false, workingHours: null, blockedIntervals: [], reason: 'Not a working day' };
+    }
+
+    // Only work while the salon is open
+    if (salonDay && salonDay.hours) {
+        const start = Math.max(timeToMinutes(workingHours.start), timeToMinutes(salonDay.hours.start));
+        const end = Math.min(timeToMinutes(workingHours.end), timeToMinutes(salonDay.hours.end));
+        if (start >= end) {
+            return { isWorking: false, isSalonClosed: false, workingHours: null, blockedIntervals: [], reason: 'Outside salon hours' };
+        }
+        workingHours = { start: minutesToTime(start), end: minutesToTime(end) };
+    }
+
+    const blockedIntervals = ownExceptions
+        .filter(exception =>
+            exception.type === 'break' &&
+            (!exception.daysOfWeek || exception.daysOfWeek.length === 0 || exception.daysOfWeek.includes(dayOfWeek)) &&
+            (!exception.startDate || exception.startDate < dayEnd) &&
+            (!exception.endDate || exception.endDate >= dayStart)
+        )
+        .map(exception => ({
+            start: timeToMinutes(exception.startTime),
+            end: timeToMinutes(exception.endTime),
+            reason: exception.reason || 'Break'
+        }));
+
+    return { isWorking: true, isSalonClosed: false, workingHours, blockedIntervals, reason: null };
+};
+
+/**
+ * Load exceptions and the salon calendar and resolve a stylist's effective schedule for a single day
+ * @param {Object} stylist - Stylist document
+ * @param {Date|string} date - Day to resolve
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - See resolveStylistDaySchedule
+ */
+export const getStylistDaySchedule = async (stylist, date, options = {}) => {
+    const [exceptions, salonCalendar] = await Promise.all([
+        loadStylistExceptions(stylist._id, date, date, options),
+        loadSalonCalendar(date, date, options)
+    ]);
+    return resolveStylistDaySchedule(stylist, date, exceptions, salonCalendar);
+};
+
+/**
+ * Explain why a set of intervals cannot be served under a resolved day schedule
+ * @param {Object} schedule - Result of resolveStylistDaySchedule
+ * @param {Array<{start: number, end: number}>} intervals - Requested minute intervals
+ * @returns {string|null} - Reason the intervals don't fit, or null if they do
+ */
+export const getScheduleConflict = (schedule, intervals) => {
+    if (schedule.isSalonClosed) {
+        return `Salon is closed on this day (${schedule.reason})`;
+    }
+    if (!schedule.isWorking) {
+        return 'Stylist is not available on this day';
+    }
+
+    const outsideHours = intervals.some(interval =>
+        !isWithinWorkingHours(schedule.workingHours, minutesToTime(interval.start), interval.end - interval.start)
+    );
+    if (outsideHours) {
+        return 'Appointment time is outside stylist working hours';
+    }
+
+    const blocked = schedule.blockedIntervals.find(blockedInterval =>
+        intervals.some(interval => intervalsOverlap(interval.start, interval.end, blockedInterval.start, blockedInterval.end))
+    );
+    if (blocked) {
+        return `Stylist is unavailable at this time (${blocked.reason})`;
+    }
+
+    return null;
+};
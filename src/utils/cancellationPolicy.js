@@ -0,0 +1,127 @@
+/**
+ * Cancellation and no-show policies: notice windows, fees and prepayment rules
+ */
+
+import { Appointment } from '../models/appointment.model.js';
+import { CancellationPolicy } from '../models/cancellationPolicy.model.js';
+import { getSalonSlotStart } from './availability.js';
+
+// Terms used when no policy is configured: free cancellation up to 2 hours before
+export const DEFAULT_CANCELLATION_POLICY = {
+    noticeHours: 2,
+    allowLateCancellation: false,
+    lateCancelFeePercent: 0,
+    noShowFeePercent: 0,
+    maxNoShows: null
+};
+
+const POLICY_FIELDS = Object.keys(DEFAULT_CANCELLATION_POLICY);
+
+// Keep only the policy terms of a policy document or snapshot
+const pickPolicyTerms = (policy) => POLICY_FIELDS.reduce((terms, field) => {
+    terms[field] = policy[field] ?? DEFAULT_CANCELLATION_POLICY[field];
+    return terms;
+}, {});
+
+/**
+ * Combine policies into the strictest terms across them
+ * A visit spanning several categories gets the longest notice, the highest fees and the lowest no-show limit.
+ * @param {Array<Object>} policies - Policy terms
+ * @returns {Object} - Combined policy terms
+ */
+export const combinePolicies = (policies) => {
+    if (policies.length === 0) {
+        return { ...DEFAULT_CANCELLATION_POLICY };
+    }
+    const noShowLimits = policies.map(policy => policy.maxNoShows).filter(limit => limit !== null);
+    return {
+        noticeHours: Math.max(...policies.map(policy => policy.noticeHours)),
+        allowLateCancellation: policies.every(policy => policy.allowLateCancellation),
+        lateCancelFeePercent: Math.max(...policies.map(policy => policy.lateCancelFeePercent)),
+        noShowFeePercent: Math.max(...policies.map(policy => policy.noShowFeePercent)),
+        maxNoShows: noShowLimits.length > 0 ? Math.min(...noShowLimits) : null
+    };
+};
+
+/**
+ * Resolve the policy for a visit from its service categories
+ * Categories without an active policy of their own fall back to the "default" policy, then to the built-in terms.
+ * @param {Array<string>} categories - Service categories in the visit
+ * @param {Object} options - Options { session }
+ * @returns {Promise<Object>} - Combined policy terms
+ */
+export const resolveVisitPolicy = async (categories, { session } = {}) => {
+    const uniqueCategories = [...new Set(categories.filter(Boolean))];
+    const configured = await CancellationPolicy.find({
+        category: { $in: [...uniqueCategories, 'default'] },
+        isActive: true
+    }).session(session || null);
+
+    const fallback = configured.find(policy => policy.category === 'default') || DEFAULT_CANCELLATION_POLICY;
+    const policies = (uniqueCategories.length > 0 ? uniqueCategories : ['default']).map(category =>
+        pickPolicyTerms(configured.find(policy => policy.category === category) || fallback)
+    );
+    return combinePolicies(policies);
+};
+
+/**
+ * Get the policy terms an appointment was booked under
+ * Appointments booked before policies existed use the built-in terms.
+ * @param {Object} appointment - Appointment document
+ * @returns {Object} - Policy terms
+ */
+export const getAppointmentPolicy = (appointment) => {
+    const snapshot = appointment.cancellationPolicy;
+    return snapshot && snapshot.noticeHours !== undefined && snapshot.noticeHours !== null
+        ? pickPolicyTerms(snapshot)
+        : { ...DEFAULT_CANCELLATION_POLICY };
+};
+
+/**
+ * Calculate a fee as a percentage of the appointment's price
+ * @param {Object} appointment - Appointment document
+ * @param {number} percent - Fee percentage
+ * @returns {number} - Fee amount, rounded to the paisa
+ */
+export const calculatePolicyFee = (appointment, percent) =>
+    Math.round((appointment.totalPrice || 0) * percent) / 100;
+
+/**
+ * Work out the terms for cancelling an appointment at a given time
+ * @param {Object} appointment - Appointment document
+ * @param {Date} at - Time of cancellation
+ * @returns {Object} - { isLate, isAllowed, noticeHours, feePercent, fee }
+ */
+export const getCancellationTerms = (appointment, at = new Date()) => {
+    const policy = getAppointmentPolicy(appointment);
+    const appointmentDateTime = getSalonSlotStart(appointment.date, appointment.timeSlot);
+    const noticeDeadline = new Date(appointmentDateTime.getTime() - policy.noticeHours * 60 * 60 * 1000);
+    const isLate = at >= noticeDeadline;
+    const feePercent = isLate ? policy.lateCancelFeePercent : 0;
+
+    return {
+        isLate,
+        isAllowed: !isLate || policy.allowLateCancellation,
+        noticeHours: policy.noticeHours,
+        feePercent,
+        fee: calculatePolicyFee(appointment, feePercent)
+    };
+};
+
+/**
+ * Count a customer's no-shows
+ * @param {string} userId - Customer ID
+ * @param {Object} options - Options { session }
+ * @returns {Promise<number>} - Number of appointments marked as no-show
+ */
+export const countUserNoShows = async (userId, { session } = {}) =>
+    Appointment.countDocuments({ userId, status: 'no_show' }).session(session || null);
+
+/**
+ * Check whether a customer's no-show record requires them to prepay
+ * @param {Object} policy - Policy terms
+ * @param {number} noShowCount - Customer's no-shows
+ * @returns {boolean} - True when new bookings must be prepaid
+ */
+export const isPrepaymentRequired = (policy, noShowCount) =>
+    policy.maxNoShows !== null && noShowCount >= policy.maxNoShows;
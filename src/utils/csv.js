@@ -0,0 +1,32 @@
+/**
+ * CSV export helpers
+ */
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ * @param {*} value - Field value
+ * @returns {string} - CSV field; empty for undefined and null
+ */
+export const toCsvValue = (value) => {
+    if (value === undefined || value === null) {
+        return '';
+    }
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build the header row for CSV columns
+ * @param {Array} columns - [header, getValue] pairs
+ * @returns {string} - Header row with its line break
+ */
+export const toCsvHeader = (columns) => columns.map(([header]) => header).join(',') + '\n';
+
+/**
+ * Build the CSV row of a record
+ * @param {Array} columns - [header, getValue] pairs
+ * @param {Object} record - Record the values are read from
+ * @returns {string} - Row with its line break
+ */
+export const toCsvRow = (columns, record) =>
+    columns.map(([, getValue]) => toCsvValue(getValue(record))).join(',') + '\n';
@@ -3,6 +3,10 @@ import crypto from 'crypto';
 import { logger } from './logger.js';
 import { Membership } from '../models/membership.model.js';
 import { Package } from '../models/package.model.js';
+import { recordMembershipCharge } from './transactions.js';
+import { issueInvoiceQuietly } from './invoices.js';
+import { debitWallet, getWalletBalance, releaseMembershipWallet } from './wallet.js';
+import { buildMembershipEntitlements } from './membershipBenefits.js';
 
 // Initialize Razorpay
 const razorpay = new Razorpay({
@@ -267,8 +271,8 @@ export const verifyMembershipPayment = async (paymentData) => {
                 totalAmount
             });
         } else {
-            // Production mode - perform full verification
-            const expectedAmount = Math.round(totalAmount * 100);
+            // Production mode - perform full verification; the wallet share was not charged online
+            const expectedAmount = Math.round((totalAmount - (membership.walletAmount || 0)) * 100);
 
             logger.info('Amount calculation for verification', {
                 originalAmount,
@@ -336,6 +340,8 @@ export const verifyMembershipPayment = async (paymentData) => {
         membership.activatedAt = new Date();
 
         await membership.save();
+        await recordMembershipCharge(membership);
+        await issueInvoiceQuietly('membership', membership);
 
         // Verify the membership was updated
         const updatedMembership = await Membership.findById(membership._id);
@@ -378,10 +384,10 @@ export const verifyMembershipPayment = async (paymentData) => {
 };
 
 // Create membership with Razorpay order
-export const createMembershipWithOrder = async (userId, packageId, notes = '') => {
+export const createMembershipWithOrder = async (userId, packageId, notes = '', { walletAmount = 0 } = {}) => {
     try {
         // Get package details
-        const packageDoc = await Package.findById(packageId);
+        const packageDoc = await Package.findById(packageId).populate('entitlements.serviceId', 'name');
         if (!packageDoc) {
             throw new Error('Package not found');
         }
@@ -418,6 +424,13 @@ export const createMembershipWithOrder = async (userId, packageId, notes = '') =
         const taxAmount = Math.round(finalAmount * 0.18);
         const totalAmount = finalAmount + taxAmount;
 
+        // Part of the total can come from the wallet; Razorpay charges the rest
+        const walletShare = Math.min(walletAmount, totalAmount);
+        if (walletShare > 0 && await getWalletBalance(userId) < walletShare) {
+            throw new Error('Insufficient wallet balance');
+        }
+        const chargeAmount = Math.round((totalAmount - walletShare) * 100) / 100;
+
         // Create membership record
         const membership = await Membership.create({
             userId,
@@ -430,9 +443,11 @@ export const createMembershipWithOrder = async (userId, packageId, notes = '') =
             membershipStatus: 'pending_payment',
             originalAmount,
             amountPaid: totalAmount,
+            walletAmount: walletShare,
             discountApplied: discountAmount,
             taxAmount,
             remainingAppointments: packageDoc.maxAppointments,
+            entitlements: buildMembershipEntitlements(packageDoc.entitlements),
             benefits: packageDoc.benefits,
             notes,
             activatedBy: userId
@@ -460,9 +475,59 @@ export const createMembershipWithOrder = async (userId, packageId, notes = '') =
             paymentStatus: savedMembership.paymentStatus
         });
 
+        // Take the wallet share now; the membership is only kept if the wallet still covers it
+        if (walletShare > 0) {
+            try {
+                await debitWallet(userId, walletShare, {
+                    source: 'membership',
+                    idempotencyKey: `membership:${membership._id}:payment`,
+                    membershipId: membership._id,
+                    description: `Membership payment (${packageDoc.name})`,
+                    createdBy: userId
+                });
+            } catch (error) {
+                await Membership.deleteOne({ _id: membership._id });
+                throw error;
+            }
+        }
+
+        // Paid in full from the wallet: nothing to charge through Razorpay
+        if (chargeAmount <= 0) {
+            membership.paymentMethod = 'wallet';
+            membership.paymentStatus = 'paid';
+            membership.membershipStatus = 'active';
+            membership.isActive = true;
+            membership.activatedAt = new Date();
+            await membership.save();
+            await issueInvoiceQuietly('membership', membership);
+
+            logger.info('Membership paid from wallet', {
+                membershipId: membership._id,
+                userId,
+                amount: walletShare
+            });
+
+            return {
+                success: true,
+                membership,
+                order: null,
+                package: {
+                    id: packageDoc._id,
+                    name: packageDoc.name,
+                    originalAmount,
+                    discountAmount,
+                    finalAmount,
+                    taxAmount,
+                    totalAmount,
+                    walletAmount: walletShare,
+                    chargeAmount
+                }
+            };
+        }
+
         // Create Razorpay order directly (skip the existing membership check since we just created it)
         const orderOptions = {
-            amount: Math.round(totalAmount * 100), // Convert to paise
+            amount: Math.round(chargeAmount * 100), // Convert to paise
             currency: 'INR',
             receipt: paymentSecurity.generateSecureOrderId(userId, packageId),
             notes: {
@@ -474,18 +539,31 @@ export const createMembershipWithOrder = async (userId, packageId, notes = '') =
                 finalAmount: finalAmount,
                 taxAmount: taxAmount,
                 totalAmount: totalAmount,
+                walletAmount: walletShare,
                 type: 'membership',
                 membershipId: membership._id.toString()
             }
         };
 
-        const order = await razorpay.orders.create(orderOptions);
+        let order;
+        try {
+            order = await razorpay.orders.create(orderOptions);
+        } catch (error) {
+            // Without an order the membership can't be paid, so give the wallet share back
+            if (walletShare > 0) {
+                membership.membershipStatus = 'cancelled';
+                membership.cancellationReason = 'Payment order could not be created';
+                await membership.save();
+                await releaseMembershipWallet(membership, { createdBy: userId });
+            }
+            throw error;
+        }
 
         logger.info('Razorpay order created for membership', {
             orderId: order.id,
             userId,
             packageId,
-            amount: totalAmount,
+            amount: chargeAmount,
             receipt: orderOptions.receipt
         });
 
@@ -511,7 +589,9 @@ export const createMembershipWithOrder = async (userId, packageId, notes = '') =
                 discountAmount,
                 finalAmount,
                 taxAmount,
-                totalAmount
+                totalAmount,
+                walletAmount: walletShare,
+                chargeAmount
             }
         };
 
@@ -561,21 +641,37 @@ export const handlePaymentFailure = async (membershipId, reason) => {
     }
 };
 
-// Get payment status
-export const getPaymentStatus = async (orderId) => {
+// Get payment status, with the order's payment attempts from Razorpay when asked.
+// Pass a client to query another account or a local stub.
+export const getPaymentStatus = async (orderId, { includeGateway = false, client = razorpay } = {}) => {
     try {
         const membership = await Membership.findOne({ razorpayOrderId: orderId });
         if (!membership) {
             throw new Error('Membership not found');
         }
 
-        return {
+        const result = {
             success: true,
             membership: membership,
             paymentStatus: membership.paymentStatus,
             membershipStatus: membership.membershipStatus
         };
 
+        if (includeGateway) {
+            const { items = [] } = await client.orders.fetchPayments(orderId);
+            result.gatewayPayments = items.map(payment => ({
+                id: payment.id,
+                amount: payment.amount / 100,
+                currency: payment.currency,
+                status: payment.status,
+                method: payment.method,
+                errorDescription: payment.error_description,
+                createdAt: new Date(payment.created_at * 1000)
+            }));
+        }
+
+        return result;
+
     } catch (error) {
         logger.error('Failed to get payment status:', error);
         return {
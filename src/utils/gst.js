@@ -0,0 +1,170 @@
+/**
+ * GST: state codes, supply type, financial years and tax splits for invoices
+ */
+
+// GST state codes by state or union territory name
+export const GST_STATE_CODES = {
+    'jammu and kashmir': '01',
+    'himachal pradesh': '02',
+    'punjab': '03',
+    'chandigarh': '04',
+    'uttarakhand': '05',
+    'haryana': '06',
+    'delhi': '07',
+    'rajasthan': '08',
+    'uttar pradesh': '09',
+    'bihar': '10',
+    'sikkim': '11',
+    'arunachal pradesh': '12',
+    'nagaland': '13',
+    'manipur': '14',
+    'mizoram': '15',
+    'tripura': '16',
+    'meghalaya': '17',
+    'assam': '18',
+    'west bengal': '19',
+    'jharkhand': '20',
+    'odisha': '21',
+    'chhattisgarh': '22',
+    'madhya pradesh': '23',
+    'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26',
+    'maharashtra': '27',
+    'karnataka': '29',
+    'goa': '30',
+    'lakshadweep': '31',
+    'kerala': '32',
+    'tamil nadu': '33',
+    'puducherry': '34',
+    'andaman and nicobar islands': '35',
+    'telangana': '36',
+    'andhra pradesh': '37',
+    'ladakh': '38'
+};
+
+// Common spellings that differ from the official names
+const STATE_ALIASES = {
+    'new delhi': 'delhi',
+    'nct of delhi': 'delhi',
+    'orissa': 'odisha',
+    'pondicherry': 'puducherry',
+    'j&k': 'jammu and kashmir',
+    'jammu & kashmir': 'jammu and kashmir',
+    'andaman & nicobar islands': 'andaman and nicobar islands'
+};
+
+export const GST_RATES = [0, 5, 12, 18, 28];
+export const DEFAULT_GST_RATE = 18;
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Get the GST state code for a state name
+ * @param {string} state - State or union territory name
+ * @returns {string|null} - Two-digit state code, or null when unknown
+ */
+export const getStateCode = (state) => {
+    if (!state) {
+        return null;
+    }
+    const name = state.trim().toLowerCase().replace(/\s+/g, ' ');
+    return GST_STATE_CODES[STATE_ALIASES[name] || name] || null;
+};
+
+/**
+ * Get the salon's registration details from the environment
+ * The state comes from SALON_STATE, or from the first two digits of SALON_GSTIN.
+ * @returns {Object} - { name, gstin, address, state, stateCode }
+ */
+export const getSupplierDetails = () => {
+    const gstin = process.env.SALON_GSTIN?.trim().toUpperCase() || undefined;
+    const state = process.env.SALON_STATE?.trim() || undefined;
+    const stateCode = getStateCode(state) || (gstin ? gstin.slice(0, 2) : null);
+    return {
+        name: process.env.SALON_LEGAL_NAME || 'Enlive Salon',
+        gstin,
+        address: process.env.SALON_ADDRESS || undefined,
+        state: state || Object.keys(GST_STATE_CODES).find(name => GST_STATE_CODES[name] === stateCode),
+        stateCode: stateCode || undefined
+    };
+};
+
+/**
+ * Work out whether a supply is inter-state
+ * Supplies with an unknown place of supply are treated as intra-state.
+ * @param {string} supplierStateCode - Salon's state code
+ * @param {string} placeOfSupplyCode - Customer's state code
+ * @returns {boolean} - True when IGST applies
+ */
+export const isInterStateSupply = (supplierStateCode, placeOfSupplyCode) =>
+    Boolean(supplierStateCode && placeOfSupplyCode && supplierStateCode !== placeOfSupplyCode);
+
+/**
+ * Get the Indian financial year (April to March) a date falls in, in IST
+ * @param {Date} date - Date to check
+ * @returns {string} - Financial year, e.g. 2025-26
+ */
+export const getFinancialYear = (date = new Date()) => {
+    const ist = new Date(date.getTime() + 330 * 60 * 1000);
+    const year = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+    return `${year}-${String((year + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Format an invoice number (prefix from INVOICE_NUMBER_PREFIX, default INV)
+ * @param {string} financialYear - Financial year, e.g. 2025-26
+ * @param {number} sequence - Number within the financial year
+ * @returns {string} - Invoice number, e.g. INV/2025-26/000042
+ */
+export const formatInvoiceNumber = (financialYear, sequence) =>
+    `${process.env.INVOICE_NUMBER_PREFIX || 'INV'}/${financialYear}/${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Split a GST-inclusive amount into its taxable value and tax components
+ * @param {number} amount - Amount charged, including GST
+ * @param {number} rate - GST rate in percent
+ * @param {boolean} interState - True for IGST, false for CGST and SGST
+ * @returns {Object} - { taxableValue, cgst, sgst, igst, totalTax }
+ */
+export const splitInclusiveAmount = (amount, rate, interState) => {
+    const taxableValue = roundAmount(amount * 100 / (100 + rate));
+    return splitTax(taxableValue, roundAmount(amount - taxableValue), interState);
+};
+
+/**
+ * Split a tax amount into CGST and SGST halves, or IGST
+ * @param {number} taxableValue - Value the tax was charged on
+ * @param {number} totalTax - Tax charged
+ * @param {boolean} interState - True for IGST, false for CGST and SGST
+ * @returns {Object} - { taxableValue, cgst, sgst, igst, totalTax }
+ */
+export const splitTax = (taxableValue, totalTax, interState) => {
+    if (interState) {
+        return { taxableValue, cgst: 0, sgst: 0, igst: totalTax, totalTax };
+    }
+    const cgst = roundAmount(totalTax / 2);
+    return { taxableValue, cgst, sgst: roundAmount(totalTax - cgst), igst: 0, totalTax };
+};
+
+/**
+ * Share a discount across line amounts in proportion to each amount
+ * The last line takes the rounding remainder so the shares add up to the discount.
+ * @param {Array<number>} amounts - Line amounts
+ * @param {number} discount - Discount to share
+ * @returns {Array<number>} - Discount share per line
+ */
+export const allocateDiscount = (amounts, discount) => {
+    const total = amounts.reduce((sum, amount) => sum + amount, 0);
+    if (!discount || total <= 0) {
+        return amounts.map(() => 0);
+    }
+    let remaining = roundAmount(Math.min(discount, total));
+    return amounts.map((amount, index) => {
+        const share = index === amounts.length - 1
+            ? remaining
+            : Math.min(remaining, roundAmount(discount * amount / total));
+        remaining = roundAmount(remaining - share);
+        return share;
+    });
+};
@@ -0,0 +1,138 @@
+/**
+ * PDF rendering for GST tax invoices
+ */
+
+import PDFDocument from 'pdfkit';
+
+const PAGE_MARGIN = 40;
+
+// Table columns: label, x offset, width, alignment
+const LINE_COLUMNS = [
+    { label: 'Description', x: 0, width: 150, align: 'left' },
+    { label: 'HSN/SAC', x: 150, width: 50, align: 'left' },
+    { label: 'Qty', x: 200, width: 25, align: 'right' },
+    { label: 'Discount', x: 225, width: 50, align: 'right' },
+    { label: 'Taxable', x: 275, width: 60, align: 'right' },
+    { label: 'GST %', x: 335, width: 35, align: 'right' },
+    { label: 'Tax', x: 370, width: 70, align: 'right' },
+    { label: 'Amount', x: 440, width: 75, align: 'right' }
+];
+
+// Format an amount with two decimals
+const formatMoney = (amount) => (amount || 0).toFixed(2);
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Write a party block (supplier or buyer) at the given position
+const writeParty = (doc, title, party, x, y, width) => {
+    doc.font('Helvetica-Bold').fontSize(10).text(title, x, y, { width });
+    doc.font('Helvetica').fontSize(9);
+    [
+        party?.name,
+        party?.address,
+        party?.state && `State: ${party.state}${party.stateCode ? ` (${party.stateCode})` : ''}`,
+        party?.gstin && `GSTIN: ${party.gstin}`,
+        party?.email,
+        party?.phone
+    ].filter(Boolean).forEach(line => doc.text(line, { width }));
+    return doc.y;
+};
+
+// Write one table row and return the y position below it
+const writeRow = (doc, values, y, { bold = false } = {}) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(8);
+    let height = 0;
+    LINE_COLUMNS.forEach((column, index) => {
+        const options = { width: column.width, align: column.align };
+        doc.text(values[index], PAGE_MARGIN + column.x, y, options);
+        height = Math.max(height, doc.heightOfString(values[index], options));
+    });
+    return y + height + 4;
+};
+
+/**
+ * Render an invoice as a PDF into a writable stream
+ * @param {Object} invoice - Invoice document
+ * @param {Object} stream - Writable stream, e.g. an Express response
+ */
+export const writeInvoicePdf = (invoice, stream) => {
+    const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+    doc.pipe(stream);
+
+    const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+    const interState = invoice.supplyType === 'inter_state';
+
+    doc.font('Helvetica-Bold').fontSize(16).text('TAX INVOICE', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.font('Helvetica').fontSize(9)
+        .text(`Invoice No: ${invoice.invoiceNumber}`, { align: 'right' })
+        .text(`Date: ${formatDate(invoice.issuedAt)}`, { align: 'right' })
+        .text(`Place of supply: ${invoice.placeOfSupply?.state || '-'}${invoice.placeOfSupply?.stateCode ? ` (${invoice.placeOfSupply.stateCode})` : ''}`, { align: 'right' });
+    if (invoice.status === 'cancelled') {
+        doc.font('Helvetica-Bold').text('CANCELLED', { align: 'right' });
+    }
+
+    const partiesTop = doc.y + 12;
+    const columnWidth = contentWidth / 2 - 10;
+    const supplierBottom = writeParty(doc, 'Supplier', invoice.supplier, PAGE_MARGIN, partiesTop, columnWidth);
+    const buyerBottom = writeParty(doc, 'Billed to', invoice.buyer, PAGE_MARGIN + contentWidth / 2 + 10, partiesTop, columnWidth);
+
+    let y = Math.max(supplierBottom, buyerBottom) + 16;
+    y = writeRow(doc, LINE_COLUMNS.map(column => column.label), y, { bold: true });
+    doc.moveTo(PAGE_MARGIN, y - 2).lineTo(PAGE_MARGIN + contentWidth, y - 2).stroke();
+
+    invoice.lines.forEach(line => {
+        const tax = (line.cgst || 0) + (line.sgst || 0) + (line.igst || 0);
+        y = writeRow(doc, [
+            line.description,
+            line.hsnSac || '-',
+            String(line.quantity),
+            formatMoney(line.discount),
+            formatMoney(line.taxableValue),
+            String(line.gstRate),
+            formatMoney(tax),
+            formatMoney(line.amount)
+        ], y);
+        if (y > doc.page.height - 160) {
+            doc.addPage();
+            y = PAGE_MARGIN;
+        }
+    });
+    doc.moveTo(PAGE_MARGIN, y).lineTo(PAGE_MARGIN + contentWidth, y).stroke();
+
+    const totals = invoice.totals || {};
+    const summary = [
+        ['Gross amount', totals.grossAmount],
+        ['Discount', totals.discount],
+        ['Taxable value', totals.taxableValue],
+        ...(interState
+            ? [['IGST', totals.igst]]
+            : [['CGST', totals.cgst], ['SGST', totals.sgst]]),
+        ['Total tax', totals.totalTax]
+    ];
+
+    y += 10;
+    doc.font('Helvetica').fontSize(9);
+    summary.forEach(([label, amount]) => {
+        doc.text(label, PAGE_MARGIN + 300, y, { width: 120 });
+        doc.text(formatMoney(amount), PAGE_MARGIN + 420, y, { width: 95, align: 'right' });
+        y += 14;
+    });
+    doc.font('Helvetica-Bold').fontSize(11);
+    doc.text(`Total (${invoice.currency || 'INR'})`, PAGE_MARGIN + 300, y, { width: 120 });
+    doc.text(formatMoney(totals.total), PAGE_MARGIN + 420, y, { width: 95, align: 'right' });
+
+    doc.font('Helvetica').fontSize(8).text(
+        'Amounts include GST. This is a computer-generated invoice and does not require a signature.',
+        PAGE_MARGIN,
+        y + 40,
+        { width: contentWidth, align: 'center' }
+    );
+
+    doc.end();
+};
@@ -0,0 +1,282 @@
+/**
+ * Tax invoices: lines and GST split for appointments and memberships, and gapless issuing
+ */
+
+import mongoose from 'mongoose';
+import { Invoice } from '../models/invoice.model.js';
+import { Counter } from '../models/counter.model.js';
+import { Address } from '../models/address.model.js';
+import { Service } from '../models/service.model.js';
+import { Package } from '../models/package.model.js';
+import { User } from '../models/user.model.js';
+import { ApiError } from './ApiError.js';
+import { logger } from './logger.js';
+import {
+    DEFAULT_GST_RATE,
+    GST_RATES,
+    allocateDiscount,
+    formatInvoiceNumber,
+    getFinancialYear,
+    getStateCode,
+    getSupplierDetails,
+    isInterStateSupply,
+    splitInclusiveAmount,
+    splitTax
+} from './gst.js';
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const MEMBERSHIP_SAC_CODE = '999729';
+
+/**
+ * Check whether an invoice can be issued for an appointment or membership
+ * @param {string} targetType - appointment or membership
+ * @param {Object} target - Appointment or Membership document
+ * @returns {string|null} - Reason no invoice can be issued yet, or null
+ */
+export const getInvoiceIssueError = (targetType, target) => {
+    if (targetType === 'membership') {
+        if (!['paid', 'partially_refunded', 'refunded'].includes(target.paymentStatus)) {
+            return 'An invoice is issued once the membership is paid';
+        }
+        return target.amountPaid > 0 ? null : 'Nothing was charged for this membership';
+    }
+    if (target.status !== 'completed') {
+        return 'An invoice is issued once the visit is completed';
+    }
+    return target.totalPrice > 0 ? null : 'Nothing was charged for this visit';
+};
+
+// Build one invoice line from a GST-inclusive amount
+const buildLine = ({ description, hsnSac, quantity = 1, grossAmount, discount = 0, gstRate }, interState) => {
+    const amount = roundAmount(grossAmount - discount);
+    const { taxableValue, cgst, sgst, igst } = splitInclusiveAmount(amount, gstRate, interState);
+    return { description, hsnSac, quantity, grossAmount, discount, taxableValue, gstRate, cgst, sgst, igst, amount };
+};
+
+/**
+ * Build invoice lines for a completed visit
+ * Service prices include GST. Offer and membership discounts are shared across the
+ * service lines in proportion to their prices; retail lines are not discounted.
+ * @param {Object} appointment - Appointment document
+ * @param {boolean} interState - True for IGST
+ * @param {Map} serviceTerms - serviceId => { sacCode, gstRate } for lines booked without a snapshot
+ * @returns {Array} - Invoice lines
+ */
+export const buildAppointmentInvoiceLines = (appointment, interState, serviceTerms = new Map()) => {
+    const discount = (appointment.offerDiscount || 0) + (appointment.membershipDiscount || 0);
+    const shares = allocateDiscount(appointment.services.map(line => line.price), discount);
+
+    const serviceLines = appointment.services.map((line, index) => {
+        const terms = serviceTerms.get(line.serviceId.toString()) || {};
+        return buildLine({
+            description: line.serviceName,
+            hsnSac: line.sacCode || terms.sacCode,
+            grossAmount: line.price,
+            discount: shares[index],
+            gstRate: line.gstRate ?? terms.gstRate ?? DEFAULT_GST_RATE
+        }, interState);
+    });
+
+    const retailLines = (appointment.retailItems || []).map(item => buildLine({
+        description: item.name,
+        hsnSac: item.hsnCode,
+        quantity: item.quantity,
+        grossAmount: item.amount,
+        gstRate: item.gstRate ?? DEFAULT_GST_RATE
+    }, interState));
+
+    return [...serviceLines, ...retailLines];
+};
+
+/**
+ * Build the invoice line for a paid membership
+ * Memberships are charged GST on top of the package price, so the recorded tax is used
+ * as is; older memberships without a recorded tax are treated as GST-inclusive.
+ * @param {Object} membership - Membership document
+ * @param {string} sacCode - Package SAC code
+ * @param {boolean} interState - True for IGST
+ * @returns {Array} - Invoice lines
+ */
+export const buildMembershipInvoiceLines = (membership, sacCode, interState) => {
+    const description = `${membership.packageName} membership`;
+    if (!(membership.taxAmount > 0)) {
+        return [buildLine({ description, hsnSac: sacCode, grossAmount: membership.amountPaid, gstRate: DEFAULT_GST_RATE }, interState)];
+    }
+
+    const taxableValue = roundAmount(membership.amountPaid - membership.taxAmount);
+    const effectiveRate = taxableValue > 0 ? membership.taxAmount / taxableValue * 100 : DEFAULT_GST_RATE;
+    const gstRate = GST_RATES.reduce((closest, rate) =>
+        Math.abs(rate - effectiveRate) < Math.abs(closest - effectiveRate) ? rate : closest);
+    const { cgst, sgst, igst } = splitTax(taxableValue, membership.taxAmount, interState);
+
+    return [{
+        description,
+        hsnSac: sacCode,
+        quantity: 1,
+        grossAmount: membership.amountPaid,
+        discount: 0,
+        taxableValue,
+        gstRate,
+        cgst,
+        sgst,
+        igst,
+        amount: membership.amountPaid
+    }];
+};
+
+/**
+ * Total an invoice's lines
+ * @param {Array} lines - Invoice lines
+ * @returns {Object} - { grossAmount, discount, taxableValue, cgst, sgst, igst, totalTax, total }
+ */
+export const sumInvoiceLines = (lines) => {
+    const sum = (field) => roundAmount(lines.reduce((total, line) => total + (line[field] || 0), 0));
+    const totals = {
+        grossAmount: sum('grossAmount'),
+        discount: sum('discount'),
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst'),
+        total: sum('amount')
+    };
+    totals.totalTax = roundAmount(totals.cgst + totals.sgst + totals.igst);
+    return totals;
+};
+
+// Snapshot the customer, taking their state from the visit address or their saved addresses
+const getBuyerDetails = async (userId, visitAddress) => {
+    const user = await User.findById(userId).select('name email phone');
+
+    let address = visitAddress?.state ? visitAddress : null;
+    if (!address) {
+        address = await Address.findOne({ userId, isActive: true }).sort({ isDefault: -1, updatedAt: -1 });
+    }
+
+    const buyer = {
+        name: user?.name,
+        email: user?.email,
+        phone: user?.phone
+    };
+    if (address) {
+        buyer.address = [address.street, address.city, address.state, address.pincode || address.zipCode]
+            .filter(Boolean)
+            .join(', ');
+        buyer.state = address.state;
+        buyer.stateCode = getStateCode(address.state) || undefined;
+    }
+    return buyer;
+};
+
+// Look up SAC codes and GST rates for service lines booked before they were snapshotted
+const getServiceTerms = async (appointment) => {
+    const missing = appointment.services.filter(line => !line.sacCode).map(line => line.serviceId);
+    if (missing.length === 0) {
+        return new Map();
+    }
+    const services = await Service.find({ _id: { $in: missing } }).select('sacCode gstRate');
+    return new Map(services.map(service => [service._id.toString(), { sacCode: service.sacCode, gstRate: service.gstRate }]));
+};
+
+/**
+ * Get the invoice for an appointment or membership, issuing it if there is none yet
+ * The invoice number is taken in the same transaction that stores the invoice, so numbers
+ * within a financial year have no gaps.
+ * @param {string} targetType - appointment or membership
+ * @param {Object} target - Appointment or Membership document
+ * @param {Object} options - { issuedBy }
+ * @returns {Promise<Object>} - The invoice
+ * @throws {ApiError} - When the target cannot be invoiced yet
+ */
+export const issueInvoice = async (targetType, target, { issuedBy } = {}) => {
+    const targetField = targetType === 'membership' ? 'membershipId' : 'appointmentId';
+    const existingInvoice = await Invoice.findOne({ [targetField]: target._id });
+    if (existingInvoice) {
+        return existingInvoice;
+    }
+
+    const issueError = getInvoiceIssueError(targetType, target);
+    if (issueError) {
+        throw new ApiError(400, issueError);
+    }
+
+    const supplier = getSupplierDetails();
+    const buyer = await getBuyerDetails(target.userId, targetType === 'appointment' && target.location === 'home' ? target.address : null);
+    const placeOfSupply = buyer.stateCode
+        ? { state: buyer.state, stateCode: buyer.stateCode }
+        : { state: supplier.state, stateCode: supplier.stateCode };
+    const interState = isInterStateSupply(supplier.stateCode, placeOfSupply.stateCode);
+
+    let lines;
+    if (targetType === 'membership') {
+        const packageDoc = await Package.findById(target.packageId).select('sacCode');
+        lines = buildMembershipInvoiceLines(target, packageDoc?.sacCode || MEMBERSHIP_SAC_CODE, interState);
+    } else {
+        lines = buildAppointmentInvoiceLines(target, interState, await getServiceTerms(target));
+    }
+
+    const issuedAt = new Date();
+    const financialYear = getFinancialYear(issuedAt);
+    const session = await mongoose.startSession();
+
+    try {
+        let invoice;
+        await session.withTransaction(async () => {
+            const sequence = await Counter.next(`invoice:${financialYear}`, { session });
+            [invoice] = await Invoice.create([{
+                invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+                financialYear,
+                sequence,
+                targetType,
+                [targetField]: target._id,
+                userId: target.userId,
+                supplier,
+                buyer,
+                placeOfSupply,
+                supplyType: interState ? 'inter_state' : 'intra_state',
+                lines,
+                totals: sumInvoiceLines(lines),
+                issuedAt,
+                issuedBy
+            }], { session });
+        });
+
+        logger.info('Invoice issued', {
+            invoiceId: invoice._id,
+            invoiceNumber: invoice.invoiceNumber,
+            targetType,
+            targetId: target._id,
+            total: invoice.totals.total
+        });
+        return invoice;
+    } catch (error) {
+        // A concurrent request issued this invoice first; the aborted transaction released its number
+        if (error.code === 11000) {
+            const concurrentInvoice = await Invoice.findOne({ [targetField]: target._id });
+            if (concurrentInvoice) {
+                return concurrentInvoice;
+            }
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
+
+/**
+ * Issue an invoice without failing the caller; used when a visit completes or a membership is paid
+ * @param {string} targetType - appointment or membership
+ * @param {Object} target - Appointment or Membership document
+ * @param {Object} options - { issuedBy }
+ * @returns {Promise<Object|null>} - The invoice, or null when it could not be issued
+ */
+export const issueInvoiceQuietly = async (targetType, target, options) => {
+    try {
+        return await issueInvoice(targetType, target, options);
+    } catch (error) {
+        logger.error('Failed to issue invoice', { targetType, targetId: target._id, error: error.message });
+        return null;
+    }
+};
@@ -0,0 +1,163 @@
+/**
+ * Background jobs: the scheduled sweeps the server runs, each run logged as a JobRun and
+ * only one run of a job at a time, across processes
+ */
+
+import { JobRun } from '../models/jobRun.model.js';
+import { ApiError } from './ApiError.js';
+import { expireMemberships, getLifecycleSettings, sendExpiryReminders } from './membershipLifecycle.js';
+import { getRenewalSettings, runMembershipRenewals } from './membershipRenewal.js';
+import { getReconciliationSettings, runPaymentReconciliation } from './paymentReconciliation.js';
+import { getRazorpayClient } from './razorpay.js';
+import { expireWaitlistOffers, getWaitlistExpiryIntervalMinutes } from './waitlist.js';
+import { logger } from './logger.js';
+
+const MINUTE_MS = 60 * 1000;
+
+// Runs still marked running after this long were cut short, e.g. by a restart, and are failed
+const STALE_RUN_MINUTES = 120;
+
+// Jobs that charge or query Razorpay only run where it is configured
+const razorpayConfigured = () => Boolean(getRazorpayClient());
+
+// What each job does, how often it runs and what it needs
+const JOBS = {
+    membership_expiry: {
+        description: 'Move memberships past their expiry date to expired',
+        getIntervalMinutes: () => getLifecycleSettings().expiryIntervalMinutes,
+        run: ({ now }) => expireMemberships({ now })
+    },
+    membership_reminders: {
+        description: 'Remind members before their membership expires or renews',
+        getIntervalMinutes: () => getLifecycleSettings().reminderIntervalMinutes,
+        run: ({ now }) => sendExpiryReminders({ now })
+    },
+    membership_renewal: {
+        description: 'Charge auto-renewal mandates and retry failed renewals',
+        getIntervalMinutes: () => getRenewalSettings().intervalMinutes,
+        isAvailable: razorpayConfigured,
+        run: ({ now }) => runMembershipRenewals({ now })
+    },
+    payment_reconciliation: {
+        description: 'Settle or fail stale pending membership payments against Razorpay',
+        getIntervalMinutes: () => getReconciliationSettings().intervalMinutes,
+        isAvailable: razorpayConfigured,
+        run: async ({ now, trigger, triggeredBy }) => {
+            const report = await runPaymentReconciliation({ trigger, triggeredBy, now });
+            return { reportId: report._id, status: report.status, ...report.summary.toObject() };
+        }
+    },
+    waitlist_offers: {
+        description: 'Expire lapsed waitlist offers, passing their slots on, and close past entries',
+        getIntervalMinutes: () => getWaitlistExpiryIntervalMinutes(),
+        run: ({ now }) => expireWaitlistOffers({ now })
+    }
+};
+
+export const JOB_NAMES = Object.keys(JOBS);
+
+/**
+ * List the jobs with their schedule and latest run
+ * @returns {Promise<Array>} - [{ name, description, intervalMinutes, available, lastRun }]
+ */
+export const listJobs = () =>
+    Promise.all(JOB_NAMES.map(async (name) => {
+        const job = JOBS[name];
+        const lastRun = await JobRun.findOne({ name }).sort({ startedAt: -1 });
+        return {
+            name,
+            description: job.description,
+            intervalMinutes: job.getIntervalMinutes(),
+            available: job.isAvailable ? job.isAvailable() : true,
+            lastRun
+        };
+    }));
+
+/**
+ * Run a job now and log the run
+ * A job that throws is logged as a failed run rather than rethrown.
+ * @param {string} name - Job name
+ * @param {Object} options - { trigger, triggeredBy, now }
+ * @returns {Promise<Object>} - The finished JobRun
+ * @throws {ApiError} - When the job is unknown, cannot run here or is already running
+ */
+export const runJob = async (name, { trigger = 'schedule', triggeredBy, now = new Date() } = {}) => {
+    const job = JOBS[name];
+    if (!job) {
+        throw new ApiError(404, `Unknown job: ${name}`);
+    }
+    if (job.isAvailable && !job.isAvailable()) {
+        throw new ApiError(503, 'Razorpay service not configured');
+    }
+
+    await JobRun.updateMany(
+        { name, status: 'running', startedAt: { $lt: new Date(now.getTime() - STALE_RUN_MINUTES * MINUTE_MS) } },
+        { $set: { status: 'failed', error: 'Run did not finish', finishedAt: now } }
+    );
+
+    let run;
+    try {
+        run = await JobRun.create({ name, trigger, triggeredBy, startedAt: now });
+    } catch (error) {
+        if (error.code === 11000) {
+            throw new ApiError(409, `Job ${name} is already running`);
+        }
+        throw error;
+    }
+
+    const startedAt = Date.now();
+    try {
+        run.summary = await job.run({ now, trigger, triggeredBy });
+        run.status = 'completed';
+    } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        logger.error('Job failed', { name, runId: run._id, error: error.message });
+    }
+
+    run.finishedAt = new Date();
+    run.durationMs = Date.now() - startedAt;
+    await run.save();
+
+    logger.info('Job finished', { name, runId: run._id, trigger, status: run.status, durationMs: run.durationMs });
+    return run;
+};
+
+/**
+ * Run every job on its schedule
+ * Jobs with a 0 interval, or that cannot run here, are not scheduled.
+ * @returns {Function} - Stops the schedules
+ */
+export const startJobs = () => {
+    const timers = [];
+
+    for (const name of JOB_NAMES) {
+        const job = JOBS[name];
+        const intervalMinutes = job.getIntervalMinutes();
+        if (!intervalMinutes) {
+            continue;
+        }
+        if (job.isAvailable && !job.isAvailable()) {
+            logger.warn('Job not scheduled: Razorpay service not configured', { name });
+            continue;
+        }
+
+        const timer = setInterval(async () => {
+            try {
+                await runJob(name);
+            } catch (error) {
+                // Another process is running it; this tick is skipped
+                if (error.statusCode !== 409) {
+                    logger.error('Scheduled job could not start', { name, error: error.message });
+                }
+            }
+        }, intervalMinutes * MINUTE_MS);
+
+        // Don't keep the process alive just for the schedule
+        timer.unref();
+        timers.push(timer);
+        logger.info('Job scheduled', { name, intervalMinutes });
+    }
+
+    return () => timers.forEach(timer => clearInterval(timer));
+};
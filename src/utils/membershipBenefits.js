@@ -0,0 +1,231 @@
+/**
+ * Membership benefits on visits: choosing a membership, its tier discount, the visits it includes
+ * and the package services it covers
+ */
+
+import { Membership } from '../models/membership.model.js';
+import { Appointment } from '../models/appointment.model.js';
+import { ApiError } from './ApiError.js';
+import { getFreezeOn } from './membershipFreeze.js';
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check whether a membership can be used for a visit
+ * @param {Object} membership - Membership document
+ * @param {Date} visitDate - Day of the visit; defaults to today
+ * @returns {string|null} - Reason it cannot be used, or null
+ */
+export const getMembershipUseError = (membership, visitDate = new Date()) => {
+    if (!membership.isValid() || membership.membershipStatus !== 'active') {
+        return 'Membership is not valid or has expired';
+    }
+    if (visitDate > membership.expiryDate) {
+        return 'Membership expires before the visit';
+    }
+    if (getFreezeOn(membership, visitDate)) {
+        return 'Membership is frozen on the day of the visit';
+    }
+    if (membership.remainingAppointments !== null && membership.remainingAppointments <= 0) {
+        return 'No remaining appointments in this membership';
+    }
+    return null;
+};
+
+/**
+ * Turn a package's included services into the balances of a membership bought from it
+ * Services deleted since the package was set up are left out.
+ * @param {Array} entitlements - Package entitlements with serviceId populated with the service name
+ * @returns {Array} - Membership entitlements
+ */
+export const buildMembershipEntitlements = (entitlements = []) =>
+    entitlements.filter(entitlement => entitlement.serviceId).map(entitlement => ({
+        serviceId: entitlement.serviceId._id || entitlement.serviceId,
+        serviceName: entitlement.serviceId.name,
+        quantity: entitlement.quantity,
+        used: 0,
+        remaining: entitlement.quantity
+    }));
+
+/**
+ * Work out what a membership takes off a visit
+ * Service lines with a balance left on the membership are included in full; the tier discount
+ * applies to the rest. The benefit never exceeds what is left to pay after the offer discount.
+ * @param {Object} membership - Membership document
+ * @param {Array} lines - Service lines of the visit
+ * @param {number} serviceAmount - Service total after any offer discount
+ * @returns {Object} - { entitlements, discount } with the balances used and the discount amount
+ */
+export const getVisitBenefit = (membership, lines, serviceAmount) => {
+    const taken = new Map();
+    let coveredAmount = 0;
+
+    for (const line of lines) {
+        const key = String(line.serviceId);
+        const balance = (membership.entitlements || []).find(entitlement => String(entitlement.serviceId) === key);
+        const used = taken.get(key)?.quantity || 0;
+        if (!balance || balance.remaining <= used) {
+            continue;
+        }
+        taken.set(key, {
+            serviceId: balance.serviceId,
+            serviceName: balance.serviceName || line.serviceName,
+            quantity: used + 1
+        });
+        coveredAmount += line.price;
+    }
+
+    const amount = Math.max(0, serviceAmount);
+    const uncovered = Math.max(0, amount - coveredAmount);
+    return {
+        entitlements: [...taken.values()],
+        discount: roundAmount(Math.min(amount, amount - uncovered + uncovered * membership.getDiscountRate()))
+    };
+};
+
+/**
+ * Pick the membership that gives a visit the biggest benefit
+ * The largest saving wins, then the higher tier; between equals the one expiring first is used first.
+ * A membership that saves nothing is only used when the customer chose it, so it doesn't spend a visit for free.
+ * @param {Array} memberships - The customer's Membership documents
+ * @param {Date} visitDate - Day of the visit
+ * @param {Array} lines - Service lines of the visit
+ * @param {number} serviceAmount - Service total after any offer discount
+ * @param {Object} options - { chosen } with chosen true when the customer picked the membership
+ * @returns {Object|null} - The membership to use, or null when none can be used
+ */
+export const pickMembershipForVisit = (memberships, visitDate, lines = [], serviceAmount = 0, { chosen = false } = {}) =>
+    memberships
+        .filter(membership => !getMembershipUseError(membership, visitDate))
+        .map(membership => ({ membership, saving: getVisitBenefit(membership, lines, serviceAmount).discount }))
+        .filter(candidate => chosen || candidate.saving > 0)
+        .sort((a, b) =>
+            b.saving - a.saving ||
+            b.membership.getDiscountRate() - a.membership.getDiscountRate() ||
+            a.membership.expiryDate - b.membership.expiryDate
+        )[0]?.membership || null;
+
+/**
+ * Use one visit of a membership, and any included services, and add what the visit saved to its total savings
+ * The balance checks and the decrements are one update, so concurrent bookings
+ * can't use more visits or sessions than the membership includes.
+ * @param {Object} membership - Membership document
+ * @param {number} savings - Membership discount on the visit
+ * @param {Object} options - { at, session, entitlements } with entitlements from getVisitBenefit
+ * @returns {Promise<Object>} - The updated Membership
+ * @throws {ApiError} - When the membership has no visits or sessions left
+ */
+export const useMembershipVisit = async (membership, savings, { at = new Date(), session, entitlements = [] } = {}) => {
+    const limited = membership.remainingAppointments !== null;
+    const filter = { _id: membership._id, isActive: true, membershipStatus: 'active' };
+    const update = {
+        $inc: { usedAppointments: 1, totalSavings: roundAmount(savings) },
+        $set: { lastUsedAt: at }
+    };
+    if (limited) {
+        filter.remainingAppointments = { $gt: 0 };
+        update.$inc.remainingAppointments = -1;
+    }
+
+    const arrayFilters = [];
+    if (entitlements.length > 0) {
+        filter.entitlements = {
+            $all: entitlements.map(({ serviceId, quantity }) => ({
+                $elemMatch: { serviceId, remaining: { $gte: quantity } }
+            }))
+        };
+        entitlements.forEach(({ serviceId, quantity }, index) => {
+            update.$inc[`entitlements.$[e${index}].remaining`] = -quantity;
+            update.$inc[`entitlements.$[e${index}].used`] = quantity;
+            arrayFilters.push({ [`e${index}.serviceId`]: serviceId });
+        });
+    }
+
+    const updated = await Membership.findOneAndUpdate(filter, update, {
+        new: true,
+        session,
+        ...(arrayFilters.length > 0 ? { arrayFilters } : {})
+    });
+    if (!updated) {
+        if (entitlements.length > 0) {
+            throw new ApiError(400, 'Not enough included sessions left in this membership');
+        }
+        throw new ApiError(400, limited ? 'No remaining appointments in this membership' : 'Membership is not valid or has expired');
+    }
+    return updated;
+};
+
+/**
+ * Give back the visit and included services a cancelled appointment used and take its savings off the total
+ * The appointment is marked restored in the same step, so a visit is only given back once; pass the
+ * session the cancellation is saved in so both commit together.
+ * @param {Object} appointment - Appointment booked with a membership
+ * @param {Object} options - { session }
+ * @returns {Promise<Object|null>} - The updated Membership, or null when no membership was used or it was already restored
+ */
+export const restoreMembershipVisit = async (appointment, { session } = {}) => {
+    if (!appointment.membershipId) {
+        return null;
+    }
+
+    const restoredAt = new Date();
+    const { modifiedCount } = await Appointment.updateOne(
+        { _id: appointment._id, membershipRestoredAt: null },
+        { $set: { membershipRestoredAt: restoredAt } },
+        { session }
+    );
+    if (modifiedCount === 0) {
+        return null;
+    }
+    appointment.membershipRestoredAt = restoredAt;
+
+    // Each included service the visit used goes back on its balance
+    const restored = {};
+    const entitlements = appointment.membershipEntitlements || [];
+    if (entitlements.length > 0) {
+        const returnedQuantity = {
+            $switch: {
+                branches: entitlements.map(({ serviceId, quantity }) => ({
+                    case: { $eq: ['$$entitlement.serviceId', serviceId] },
+                    then: quantity
+                })),
+                default: 0
+            }
+        };
+        restored.entitlements = {
+            $map: {
+                input: '$entitlements',
+                as: 'entitlement',
+                in: {
+                    $mergeObjects: ['$$entitlement', {
+                        remaining: { $min: ['$$entitlement.quantity', { $add: ['$$entitlement.remaining', returnedQuantity] }] },
+                        used: { $max: [0, { $subtract: ['$$entitlement.used', returnedQuantity] }] }
+                    }]
+                }
+            }
+        };
+    }
+
+    // Unlimited memberships have no remaining count to give back
+    return Membership.findOneAndUpdate(
+        { _id: appointment.membershipId },
+        [{
+            $set: {
+                ...restored,
+                remainingAppointments: {
+                    $cond: [
+                        { $eq: [{ $ifNull: ['$remainingAppointments', null] }, null] },
+                        null,
+                        { $add: ['$remainingAppointments', 1] }
+                    ]
+                },
+                usedAppointments: { $max: [0, { $subtract: ['$usedAppointments', 1] }] },
+                totalSavings: {
+                    $max: [0, { $round: [{ $subtract: ['$totalSavings', appointment.membershipDiscount || 0] }, 2] }]
+                }
+            }
+        }],
+        { new: true, session }
+    );
+};
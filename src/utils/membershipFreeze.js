@@ -0,0 +1,359 @@
+/**
+ * Membership freezes: members ask to pause a membership for a while, within a yearly allowance
+ * set by their tier, and once an admin approves the membership cannot be used during the freeze
+ * and its expiry moves out by the frozen days
+ */
+
+import mongoose from 'mongoose';
+import { Membership } from '../models/membership.model.js';
+import { MembershipFreeze } from '../models/membershipFreeze.model.js';
+import { Appointment } from '../models/appointment.model.js';
+import { User } from '../models/user.model.js';
+import { ApiError } from './ApiError.js';
+import { getDayRange } from './availability.js';
+import { notifyUser } from './notifications.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Freezes that hold days of the allowance and block other freezes on the same dates
+const HELD_FREEZE_STATUSES = ['pending', 'approved'];
+
+// Appointments still to happen, which a freeze would leave without their membership
+const UPCOMING_APPOINTMENT_STATUSES = ['pending', 'confirmed', 'in_progress'];
+
+// Print a date as YYYY-MM-DD in messages
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+// Member to notify about a freeze
+const getMember = (userId) => User.findById(userId).select('name email');
+
+// Move a date by a number of days, leaving unset dates alone
+const shiftDate = (date, days) => (date ? new Date(date.getTime() + days * DAY_MS) : date);
+
+/**
+ * Get the freeze settings from the environment
+ * MEMBERSHIP_FREEZE_MIN_DAYS (default 7) and MEMBERSHIP_FREEZE_MAX_DAYS (default 30): length of a single freeze.
+ * How many days a year a membership can be frozen in total depends on its tier.
+ * @returns {Object} - { minDays, maxDays }
+ */
+export const getFreezeSettings = () => {
+    const minDays = parseInt(process.env.MEMBERSHIP_FREEZE_MIN_DAYS, 10);
+    const maxDays = parseInt(process.env.MEMBERSHIP_FREEZE_MAX_DAYS, 10);
+    const min = minDays > 0 ? minDays : 7;
+    return {
+        minDays: min,
+        maxDays: Math.max(min, maxDays > 0 ? maxDays : 30)
+    };
+};
+
+/**
+ * Find the approved freeze a membership is in on a day
+ * @param {Object} membership - Membership document
+ * @param {Date} date - Any moment on the day
+ * @returns {Object|null} - The freeze period, or null when the membership is not frozen
+ */
+export const getFreezeOn = (membership, date = new Date()) =>
+    (membership.freezePeriods || []).find(period => date >= period.startDate && date < period.endDate) || null;
+
+/**
+ * Get the calendar year a freeze counts against
+ * A freeze running into the next year counts in full against the year it starts in.
+ * @param {Date} date - Start of the freeze
+ * @returns {Object} - { year, start, end }
+ */
+export const getFreezeYear = (date) => {
+    const year = date.getUTCFullYear();
+    return {
+        year,
+        start: new Date(Date.UTC(year, 0, 1)),
+        end: new Date(Date.UTC(year + 1, 0, 1))
+    };
+};
+
+/**
+ * Work out how much of a membership's freeze allowance is used in a year
+ * Pending requests hold their days until they are reviewed.
+ * @param {Object} membership - Membership document
+ * @param {Date} date - Any moment in the year
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - { year, allowanceDays, usedDays, remainingDays }
+ */
+export const getFreezeAllowance = async (membership, date = new Date(), { session } = {}) => {
+    const { year, start, end } = getFreezeYear(date);
+    const [usage] = await MembershipFreeze.aggregate([
+        {
+            $match: {
+                membershipId: membership._id,
+                status: { $in: HELD_FREEZE_STATUSES },
+                startDate: { $gte: start, $lt: end }
+            }
+        },
+        { $group: { _id: null, days: { $sum: '$days' } } }
+    ]).session(session || null);
+
+    const allowanceDays = membership.getFreezeAllowanceDays();
+    const usedDays = usage?.days || 0;
+    return {
+        year,
+        allowanceDays,
+        usedDays,
+        remainingDays: Math.max(0, allowanceDays - usedDays)
+    };
+};
+
+/**
+ * Check whether a membership can be frozen for the requested dates
+ * @param {Object} membership - Membership document
+ * @param {Object} request - { startDate, days } with startDate at the start of its day
+ * @param {Object} options - { remainingDays, now, settings }
+ * @returns {string|null} - Reason the freeze cannot be requested, or null
+ */
+export const getFreezeRequestError = (membership, { startDate, days }, { remainingDays, now = new Date(), settings = getFreezeSettings() }) => {
+    if (!membership.isActive || membership.paymentStatus !== 'paid' || membership.membershipStatus !== 'active') {
+        return 'Only active memberships can be frozen';
+    }
+    if (membership.renewal?.status === 'past_due') {
+        return 'Memberships with an unpaid renewal cannot be frozen';
+    }
+    if (days < settings.minDays || days > settings.maxDays) {
+        return `A freeze must last between ${settings.minDays} and ${settings.maxDays} days`;
+    }
+    if (startDate < getDayRange(now).start) {
+        return 'A freeze cannot start in the past';
+    }
+    if (startDate < membership.startDate || startDate >= membership.expiryDate) {
+        return 'A freeze must start while the membership is running';
+    }
+    if (days > remainingDays) {
+        return `Only ${remainingDays} freeze day(s) left this year on this membership`;
+    }
+    return null;
+};
+
+// Count the upcoming appointments booked with a membership during a freeze
+const countFrozenBookings = (membershipId, startDate, endDate, session) =>
+    Appointment.countDocuments({
+        membershipId,
+        date: { $gte: startDate, $lt: endDate },
+        status: { $in: UPCOMING_APPOINTMENT_STATUSES }
+    }).session(session || null);
+
+/**
+ * Ask for a membership to be frozen
+ * @param {Object} membership - Membership document
+ * @param {Object} request - { startDate, days, reason }
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - The pending MembershipFreeze
+ * @throws {ApiError} - When the freeze is not allowed, overlaps another freeze or clashes with bookings
+ */
+export const requestFreeze = async (membership, { startDate, days, reason }, { now = new Date() } = {}) => {
+    const start = getDayRange(startDate).start;
+    const end = new Date(start.getTime() + days * DAY_MS);
+
+    // The allowance, overlap and booking checks and the insert happen together
+    const session = await mongoose.startSession();
+    let freeze;
+    try {
+        await session.withTransaction(async () => {
+            // Writing to the membership first makes concurrent requests for it conflict, so the
+            // retried one sees the other's freeze
+            await Membership.updateOne(
+                { _id: membership._id },
+                { $set: { updatedAt: now } },
+                { session, timestamps: false }
+            );
+
+            const { remainingDays } = await getFreezeAllowance(membership, start, { session });
+            const requestError = getFreezeRequestError(membership, { startDate: start, days }, { remainingDays, now });
+            if (requestError) {
+                throw new ApiError(400, requestError);
+            }
+
+            const overlapping = await MembershipFreeze.exists({
+                membershipId: membership._id,
+                status: { $in: HELD_FREEZE_STATUSES },
+                startDate: { $lt: end },
+                endDate: { $gt: start }
+            }).session(session);
+            if (overlapping) {
+                throw new ApiError(409, 'A freeze is already requested or approved for some of these dates');
+            }
+
+            const bookings = await countFrozenBookings(membership._id, start, end, session);
+            if (bookings > 0) {
+                throw new ApiError(409, `${bookings} appointment(s) are booked with this membership during the freeze; cancel or move them first`);
+            }
+
+            [freeze] = await MembershipFreeze.create([{
+                membershipId: membership._id,
+                userId: membership.userId,
+                startDate: start,
+                endDate: end,
+                days,
+                reason,
+                requestedAt: now
+            }], { session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    logger.info('Membership freeze requested', { membershipId: membership._id, freezeId: freeze._id, days });
+    return freeze;
+};
+
+/**
+ * Approve a pending freeze: block the membership for the frozen days and move its expiry,
+ * and any auto-renewal charge, out by as many days
+ * @param {string} freezeId - MembershipFreeze ID
+ * @param {Object} options - { reviewedBy, note, now }
+ * @returns {Promise<Object>} - { freeze, membership }
+ * @throws {ApiError} - When the freeze is not pending or can no longer be applied
+ */
+export const approveFreeze = async (freezeId, { reviewedBy, note, now = new Date() } = {}) => {
+    const session = await mongoose.startSession();
+    let freeze;
+    let membership;
+    try {
+        await session.withTransaction(async () => {
+            freeze = await MembershipFreeze.findOneAndUpdate(
+                { _id: freezeId, status: 'pending' },
+                { $set: { status: 'approved', reviewedBy, reviewedAt: now, reviewNote: note } },
+                { new: true, session }
+            );
+            if (!freeze) {
+                const exists = await MembershipFreeze.exists({ _id: freezeId }).session(session);
+                throw exists
+                    ? new ApiError(409, 'Freeze request has already been reviewed')
+                    : new ApiError(404, 'Freeze request not found');
+            }
+
+            membership = await Membership.findById(freeze.membershipId).session(session);
+            if (!membership) {
+                throw new ApiError(404, 'Membership not found');
+            }
+
+            // The allowance was checked on request; the membership and dates are checked again
+            const requestError = getFreezeRequestError(membership, freeze, { remainingDays: freeze.days, now });
+            if (requestError) {
+                throw new ApiError(400, requestError);
+            }
+            const bookings = await countFrozenBookings(membership._id, freeze.startDate, freeze.endDate, session);
+            if (bookings > 0) {
+                throw new ApiError(409, `${bookings} appointment(s) are booked with this membership during the freeze; cancel or move them first`);
+            }
+
+            freeze.previousExpiryDate = membership.expiryDate;
+            membership.expiryDate = shiftDate(membership.expiryDate, freeze.days);
+            freeze.extendedExpiryDate = membership.expiryDate;
+            if (membership.autoRenewal) {
+                membership.renewalDate = membership.expiryDate;
+            }
+            if (membership.renewal?.status === 'active') {
+                membership.renewal.nextAttemptAt = shiftDate(membership.renewal.nextAttemptAt, freeze.days);
+            }
+            membership.freezePeriods.push({
+                freezeId: freeze._id,
+                startDate: freeze.startDate,
+                endDate: freeze.endDate,
+                days: freeze.days
+            });
+
+            await membership.save({ session });
+            await freeze.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    await notifyUser(await getMember(freeze.userId), {
+        subject: 'Membership freeze approved',
+        text: `Your ${membership.packageName} membership is frozen from ${formatDate(freeze.startDate)} to ${formatDate(new Date(freeze.endDate.getTime() - DAY_MS))}. It now runs until ${formatDate(membership.expiryDate)}.`
+    });
+
+    logger.info('Membership freeze approved', { membershipId: membership._id, freezeId: freeze._id, expiryDate: membership.expiryDate });
+    return { freeze, membership };
+};
+
+/**
+ * Reject a pending freeze, giving its days back to the allowance
+ * @param {string} freezeId - MembershipFreeze ID
+ * @param {Object} options - { reviewedBy, note, now }
+ * @returns {Promise<Object>} - The rejected MembershipFreeze
+ * @throws {ApiError} - When the freeze is not pending
+ */
+export const rejectFreeze = async (freezeId, { reviewedBy, note, now = new Date() } = {}) => {
+    const freeze = await MembershipFreeze.findOneAndUpdate(
+        { _id: freezeId, status: 'pending' },
+        { $set: { status: 'rejected', reviewedBy, reviewedAt: now, reviewNote: note } },
+        { new: true }
+    );
+    if (!freeze) {
+        const exists = await MembershipFreeze.exists({ _id: freezeId });
+        throw exists
+            ? new ApiError(409, 'Freeze request has already been reviewed')
+            : new ApiError(404, 'Freeze request not found');
+    }
+
+    await notifyUser(await getMember(freeze.userId), {
+        subject: 'Membership freeze declined',
+        text: `Your request to freeze your membership from ${formatDate(freeze.startDate)} for ${freeze.days} day(s) was declined.${note ? ` ${note}` : ''}`
+    });
+    return freeze;
+};
+
+/**
+ * Withdraw a freeze request, or call off an approved freeze before it starts
+ * Calling off an approved freeze takes the extension back off the membership.
+ * @param {Object} freeze - MembershipFreeze document
+ * @param {Object} options - { cancelledBy, now }
+ * @returns {Promise<Object>} - The cancelled MembershipFreeze
+ * @throws {ApiError} - When the freeze was reviewed and declined, or has already started
+ */
+export const cancelFreeze = async (freeze, { cancelledBy, now = new Date() } = {}) => {
+    if (!HELD_FREEZE_STATUSES.includes(freeze.status)) {
+        throw new ApiError(400, `Cannot cancel a ${freeze.status} freeze`);
+    }
+    if (freeze.status === 'approved' && freeze.startDate <= now) {
+        throw new ApiError(400, 'A freeze that has started cannot be cancelled');
+    }
+
+    const session = await mongoose.startSession();
+    let cancelled;
+    try {
+        await session.withTransaction(async () => {
+            cancelled = await MembershipFreeze.findOneAndUpdate(
+                { _id: freeze._id, status: freeze.status },
+                { $set: { status: 'cancelled', cancelledAt: now, cancelledBy } },
+                { new: true, session }
+            );
+            if (!cancelled) {
+                throw new ApiError(409, 'Freeze was changed by someone else; reload and try again');
+            }
+            if (freeze.status !== 'approved') {
+                return;
+            }
+
+            const membership = await Membership.findById(freeze.membershipId).session(session);
+            if (!membership || !membership.freezePeriods.some(period => String(period.freezeId) === String(freeze._id))) {
+                return;
+            }
+
+            membership.freezePeriods = membership.freezePeriods.filter(period => String(period.freezeId) !== String(freeze._id));
+            membership.expiryDate = shiftDate(membership.expiryDate, -freeze.days);
+            if (membership.autoRenewal) {
+                membership.renewalDate = membership.expiryDate;
+            }
+            if (membership.renewal?.status === 'active') {
+                membership.renewal.nextAttemptAt = shiftDate(membership.renewal.nextAttemptAt, -freeze.days);
+            }
+            await membership.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    logger.info('Membership freeze cancelled', { membershipId: freeze.membershipId, freezeId: freeze._id, status: freeze.status });
+    return cancelled;
+};
@@ -0,0 +1,135 @@
+/**
+ * Membership lifecycle sweeps: moving lapsed memberships to expired and reminding members before expiry
+ */
+
+import { Membership } from '../models/membership.model.js';
+import { User } from '../models/user.model.js';
+import { notifyUser } from './notifications.js';
+import { logger } from './logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Memberships reminded per run; the rest are reminded on the next run
+const REMINDER_BATCH_SIZE = 200;
+
+// Print a date as YYYY-MM-DD in messages
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+/**
+ * Get the lifecycle settings from the environment
+ * MEMBERSHIP_REMINDER_DAYS (default "7,1"): days before expiry to remind members, comma separated.
+ * MEMBERSHIP_EXPIRY_INTERVAL_MINUTES and MEMBERSHIP_REMINDER_INTERVAL_MINUTES (default 60, 0 turns the schedule off).
+ * @returns {Object} - { reminderDays, expiryIntervalMinutes, reminderIntervalMinutes }
+ */
+export const getLifecycleSettings = () => {
+    const reminderDays = (process.env.MEMBERSHIP_REMINDER_DAYS || '7,1')
+        .split(',')
+        .map(days => parseInt(days, 10))
+        .filter(days => days > 0);
+    const expiryIntervalMinutes = parseInt(process.env.MEMBERSHIP_EXPIRY_INTERVAL_MINUTES, 10);
+    const reminderIntervalMinutes = parseInt(process.env.MEMBERSHIP_REMINDER_INTERVAL_MINUTES, 10);
+    return {
+        reminderDays: [...new Set(reminderDays)].sort((a, b) => a - b),
+        expiryIntervalMinutes: expiryIntervalMinutes >= 0 ? expiryIntervalMinutes : 60,
+        reminderIntervalMinutes: reminderIntervalMinutes >= 0 ? reminderIntervalMinutes : 60
+    };
+};
+
+/**
+ * Move active memberships whose expiry date has passed to expired
+ * Memberships kept going by a renewal grace period have their expiry moved out, so they are left alone.
+ * @param {Object} options - { now }
+ * @returns {Promise<Object>} - { expired }
+ */
+export const expireMemberships = async ({ now = new Date() } = {}) => {
+    const result = await Membership.updateMany(
+        { membershipStatus: 'active', expiryDate: { $lte: now } },
+        { $set: { membershipStatus: 'expired' } }
+    );
+
+    if (result.modifiedCount > 0) {
+        logger.info('Memberships expired', { count: result.modifiedCount });
+    }
+    return { expired: result.modifiedCount };
+};
+
+/**
+ * Pick the reminder a membership is due at the moment
+ * The closest lead time the expiry falls within wins, so a member who joins late or was
+ * missed gets one timely reminder rather than every earlier one. Reminders already sent
+ * for the same expiry date at that lead time or closer are not repeated.
+ * @param {Object} membership - Membership document
+ * @param {Date} now - Current time
+ * @param {Array} reminderDays - Lead times in days, ascending
+ * @returns {number|null} - Lead time in days to remind at, or null when no reminder is due
+ */
+export const getDueReminder = (membership, now, reminderDays) => {
+    const msLeft = membership.expiryDate - now;
+    if (msLeft <= 0) {
+        return null;
+    }
+
+    const leadDays = reminderDays.find(days => msLeft <= days * DAY_MS);
+    if (leadDays === undefined) {
+        return null;
+    }
+
+    const alreadySent = (membership.expiryReminders || []).some(reminder =>
+        reminder.expiryDate?.getTime() === membership.expiryDate.getTime() && reminder.leadDays <= leadDays
+    );
+    return alreadySent ? null : leadDays;
+};
+
+/**
+ * Remind members whose membership expires within one of the reminder lead times
+ * Memberships that will renew automatically get a renewal notice instead.
+ * @param {Object} options - { now, reminderDays }
+ * @returns {Promise<Object>} - { checked, reminded, emailed }
+ */
+export const sendExpiryReminders = async ({ now = new Date(), reminderDays = getLifecycleSettings().reminderDays } = {}) => {
+    const summary = { checked: 0, reminded: 0, emailed: 0 };
+    if (reminderDays.length === 0) {
+        return summary;
+    }
+
+    const memberships = await Membership.find({
+        isActive: true,
+        paymentStatus: 'paid',
+        membershipStatus: 'active',
+        expiryDate: { $gt: now, $lte: new Date(now.getTime() + Math.max(...reminderDays) * DAY_MS) }
+    })
+        .sort({ expiryDate: 1 })
+        .limit(REMINDER_BATCH_SIZE);
+
+    for (const membership of memberships) {
+        summary.checked += 1;
+        const leadDays = getDueReminder(membership, now, reminderDays);
+        if (leadDays === null) {
+            continue;
+        }
+
+        const user = await User.findById(membership.userId).select('name email');
+        const expiry = formatDate(membership.expiryDate);
+        const renewing = membership.autoRenewal && membership.renewal?.status === 'active';
+        const emailed = await notifyUser(user, renewing
+            ? {
+                subject: 'Your membership renews soon',
+                text: `Your ${membership.packageName} membership renews automatically on ${expiry}. We will charge the payment method you authorised.`
+            }
+            : {
+                subject: 'Your membership expires soon',
+                text: `Your ${membership.packageName} membership expires on ${expiry}. Renew it from your account to keep your benefits.`
+            });
+
+        membership.expiryReminders.push({ leadDays, expiryDate: membership.expiryDate, sentAt: now });
+        await membership.save();
+
+        summary.reminded += 1;
+        if (emailed) {
+            summary.emailed += 1;
+        }
+    }
+
+    logger.info('Membership expiry reminders finished', summary);
+    return summary;
+};
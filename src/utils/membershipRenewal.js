@@ -0,0 +1,564 @@
+/**
+ * Membership auto-renewal: recurring charges on a saved Razorpay mandate that start each next
+ * membership period, with retries and a grace period when a charge fails
+ */
+
+import mongoose from 'mongoose';
+import { Membership } from '../models/membership.model.js';
+import { Package } from '../models/package.model.js';
+import { User } from '../models/user.model.js';
+import { buildMembershipEntitlements } from './membershipBenefits.js';
+import { getRazorpayClient, verifyPaymentSignature } from './razorpay.js';
+import { recordMembershipCharge } from './transactions.js';
+import { issueInvoiceQuietly } from './invoices.js';
+import { notifyUser } from './notifications.js';
+import { logger } from './logger.js';
+
+export const MANDATE_METHODS = ['card', 'upi', 'emandate'];
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Print a date as YYYY-MM-DD in messages
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Memberships charged per run; the rest wait for the next run
+const BATCH_SIZE = 50;
+
+// Card and UPI mandates are authorised with a ₹1 payment that is refunded straight away
+const AUTHORISATION_AMOUNT_PAISE = 100;
+
+/**
+ * Get the auto-renewal settings from the environment
+ * MEMBERSHIP_RENEWAL_LEAD_HOURS (default 24): how long before expiry the renewal is charged.
+ * MEMBERSHIP_RENEWAL_RETRY_HOURS (default 24): wait between failed attempts.
+ * MEMBERSHIP_RENEWAL_MAX_ATTEMPTS (default 3): attempts before auto-renewal is given up.
+ * MEMBERSHIP_RENEWAL_GRACE_DAYS (default 3): days a membership keeps going past expiry while a renewal is retried.
+ * MEMBERSHIP_RENEWAL_INTERVAL_MINUTES (default 60, 0 turns the schedule off).
+ * @returns {Object} - { leadHours, retryHours, maxAttempts, graceDays, intervalMinutes }
+ */
+export const getRenewalSettings = () => {
+    const leadHours = parseInt(process.env.MEMBERSHIP_RENEWAL_LEAD_HOURS, 10);
+    const retryHours = parseInt(process.env.MEMBERSHIP_RENEWAL_RETRY_HOURS, 10);
+    const maxAttempts = parseInt(process.env.MEMBERSHIP_RENEWAL_MAX_ATTEMPTS, 10);
+    const graceDays = parseInt(process.env.MEMBERSHIP_RENEWAL_GRACE_DAYS, 10);
+    const intervalMinutes = parseInt(process.env.MEMBERSHIP_RENEWAL_INTERVAL_MINUTES, 10);
+    return {
+        leadHours: leadHours >= 0 ? leadHours : 24,
+        retryHours: retryHours > 0 ? retryHours : 24,
+        maxAttempts: maxAttempts > 0 ? maxAttempts : 3,
+        graceDays: graceDays >= 0 ? graceDays : 3,
+        intervalMinutes: intervalMinutes >= 0 ? intervalMinutes : 60
+    };
+};
+
+/**
+ * Price a renewal the way a new purchase of the package is priced
+ * @param {Object} packageDoc - Package document
+ * @returns {Object} - { originalAmount, discountAmount, taxAmount, totalAmount }
+ */
+export const getRenewalPrice = (packageDoc) => {
+    const originalAmount = packageDoc.price;
+    const discountAmount = packageDoc.discountPercentage > 0
+        ? (originalAmount * packageDoc.discountPercentage / 100)
+        : 0;
+    const finalAmount = originalAmount - discountAmount;
+    const taxAmount = Math.round(finalAmount * 0.18);
+    return {
+        originalAmount,
+        discountAmount,
+        taxAmount,
+        totalAmount: roundAmount(finalAmount + taxAmount)
+    };
+};
+
+/**
+ * Work out when a membership period bought from a package ends
+ * @param {Date} startDate - Start of the period
+ * @param {Object} packageDoc - Package document
+ * @returns {Date} - Expiry date
+ */
+export const getPeriodEnd = (startDate, packageDoc) => {
+    const expiryDate = new Date(startDate);
+    switch (packageDoc.durationUnit) {
+        case 'days':
+            expiryDate.setDate(expiryDate.getDate() + packageDoc.duration);
+            break;
+        case 'weeks':
+            expiryDate.setDate(expiryDate.getDate() + (packageDoc.duration * 7));
+            break;
+        case 'months':
+            expiryDate.setMonth(expiryDate.getMonth() + packageDoc.duration);
+            break;
+        case 'years':
+            expiryDate.setFullYear(expiryDate.getFullYear() + packageDoc.duration);
+            break;
+    }
+    return expiryDate;
+};
+
+/**
+ * Decide what happens after a renewal charge fails
+ * Attempts are retried after the retry wait until they run out or the next one would fall
+ * after the grace period, which starts when the paid period ends.
+ * @param {Object} membership - Membership document, before the failed attempt is counted
+ * @param {Object} options - { now, settings }
+ * @returns {Object} - { retry, attemptCount, nextAttemptAt, periodEndsAt, graceEndsAt }
+ */
+export const decideRenewalRetry = (membership, { now = new Date(), settings = getRenewalSettings() } = {}) => {
+    const attemptCount = (membership.renewal?.attemptCount || 0) + 1;
+    const periodEndsAt = membership.renewal?.periodEndsAt || membership.expiryDate;
+    const graceEndsAt = new Date(periodEndsAt.getTime() + settings.graceDays * DAY_MS);
+    const nextAttemptAt = new Date(now.getTime() + settings.retryHours * HOUR_MS);
+
+    return {
+        retry: attemptCount < settings.maxAttempts && nextAttemptAt <= graceEndsAt,
+        attemptCount,
+        nextAttemptAt,
+        periodEndsAt,
+        graceEndsAt
+    };
+};
+
+// Load the customer a membership belongs to, for notifications and mandates
+const getMember = (membership) => User.findById(membership.userId).select('name email phone');
+
+/**
+ * Start auto-renewal by creating the order that authorises a recurring mandate
+ * The customer completes the order in Razorpay checkout and the mandate is confirmed with
+ * confirmRenewalMandate. The mandate allows charges up to twice today's renewal price.
+ * @param {Object} membership - Paid Membership document
+ * @param {Object} options - { method, client }
+ * @returns {Promise<Object>} - The Razorpay order
+ * @throws {Error} - When Razorpay is not configured or the package is no longer sold
+ */
+export const createRenewalMandate = async (membership, { method = 'card', client = getRazorpayClient() } = {}) => {
+    if (!client) {
+        throw new Error('Razorpay service not configured');
+    }
+    if (!MANDATE_METHODS.includes(method)) {
+        throw new Error(`Mandate method must be one of: ${MANDATE_METHODS.join(', ')}`);
+    }
+    const packageDoc = await Package.findById(membership.packageId);
+    if (!packageDoc || !packageDoc.isActive) {
+        throw new Error('This package can no longer be renewed');
+    }
+
+    const user = await getMember(membership);
+    const customer = await client.customers.create({
+        name: user.name,
+        email: user.email,
+        contact: user.phone,
+        fail_existing: '0'
+    });
+
+    const { totalAmount } = getRenewalPrice(packageDoc);
+    const order = await client.orders.create({
+        amount: method === 'emandate' ? 0 : AUTHORISATION_AMOUNT_PAISE,
+        currency: 'INR',
+        receipt: `MDT_${membership._id.toString().slice(-8)}_${Date.now().toString().slice(-6)}`,
+        customer_id: customer.id,
+        method,
+        payment_capture: 1,
+        token: {
+            max_amount: Math.round(totalAmount * 100) * 2,
+            expire_at: Math.floor(Date.now() / 1000) + 10 * 365 * 24 * 60 * 60,
+            frequency: 'as_presented'
+        },
+        notes: {
+            type: 'renewal_mandate',
+            membershipId: membership._id.toString(),
+            userId: membership.userId.toString()
+        }
+    });
+
+    membership.renewal.status = 'mandate_pending';
+    membership.renewal.method = method;
+    membership.renewal.razorpayCustomerId = customer.id;
+    membership.renewal.mandateOrderId = order.id;
+    await membership.save();
+
+    logger.info('Renewal mandate order created', { membershipId: membership._id, orderId: order.id, method });
+    return order;
+};
+
+/**
+ * Confirm the mandate a customer authorised and switch auto-renewal on
+ * @param {Object} membership - Membership document with a pending mandate
+ * @param {Object} payment - { orderId, paymentId, signature } from Razorpay checkout
+ * @param {Object} options - { client, now }
+ * @returns {Promise<Object>} - The updated membership
+ * @throws {Error} - When the payment does not match the mandate order or carries no token
+ */
+export const confirmRenewalMandate = async (membership, { orderId, paymentId, signature }, { client = getRazorpayClient(), now = new Date() } = {}) => {
+    if (!client) {
+        throw new Error('Razorpay service not configured');
+    }
+    if (membership.renewal.status !== 'mandate_pending' || membership.renewal.mandateOrderId !== orderId) {
+        throw new Error('No pending mandate for this order');
+    }
+
+    const verification = verifyPaymentSignature(orderId, paymentId, signature);
+    if (!verification.success) {
+        throw new Error(verification.message);
+    }
+
+    const payment = await client.payments.fetch(paymentId);
+    if (!payment.token_id) {
+        throw new Error('The payment did not set up a mandate');
+    }
+
+    const { leadHours } = getRenewalSettings();
+    membership.autoRenewal = true;
+    membership.renewalDate = membership.expiryDate;
+    membership.renewal.status = 'active';
+    membership.renewal.razorpayTokenId = payment.token_id;
+    membership.renewal.authorisedAt = now;
+    membership.renewal.attemptCount = 0;
+    membership.renewal.lastError = undefined;
+    membership.renewal.nextAttemptAt = new Date(membership.expiryDate.getTime() - leadHours * HOUR_MS);
+    await membership.save();
+
+    // The authorisation payment only proves the mandate; give it back
+    if (payment.amount > 0) {
+        try {
+            await client.payments.refund(paymentId, { amount: payment.amount, notes: { reason: 'Mandate authorisation' } });
+        } catch (error) {
+            logger.error('Failed to refund mandate authorisation', { membershipId: membership._id, paymentId, error: error.message });
+        }
+    }
+
+    await notifyUser(await getMember(membership), {
+        subject: 'Auto-renewal is on',
+        text: `Auto-renewal is on for your ${membership.packageName} membership. We will renew it on ${formatDate(membership.expiryDate)} using the payment method you authorised.`
+    });
+
+    logger.info('Renewal mandate confirmed', { membershipId: membership._id, tokenId: payment.token_id });
+    return membership;
+};
+
+/**
+ * Switch auto-renewal off and cancel the saved mandate
+ * @param {Object} membership - Membership document
+ * @param {Object} options - { client }
+ * @returns {Promise<Object>} - The updated membership
+ */
+export const cancelRenewalMandate = async (membership, { client = getRazorpayClient() } = {}) => {
+    const { razorpayCustomerId, razorpayTokenId } = membership.renewal;
+
+    membership.autoRenewal = false;
+    membership.renewalDate = null;
+    if (['mandate_pending', 'active', 'past_due'].includes(membership.renewal.status)) {
+        membership.renewal.status = 'cancelled';
+        membership.renewal.nextAttemptAt = undefined;
+    }
+
+    // A membership in its grace period goes back to ending with its paid period
+    if (membership.renewal.periodEndsAt) {
+        membership.expiryDate = membership.renewal.periodEndsAt;
+        membership.renewal.periodEndsAt = undefined;
+        membership.renewal.graceEndsAt = undefined;
+    }
+    await membership.save();
+
+    if (client && razorpayCustomerId && razorpayTokenId) {
+        try {
+            await client.customers.deleteToken(razorpayCustomerId, razorpayTokenId);
+        } catch (error) {
+            logger.error('Failed to delete renewal mandate', { membershipId: membership._id, error: error.message });
+        }
+    }
+    return membership;
+};
+
+/**
+ * Start the next membership period from a captured renewal charge
+ * The attempt is claimed and the new membership created in one transaction, so a charge seen by
+ * both the scheduler and the webhook renews once.
+ * @param {Object} membership - Membership being renewed
+ * @param {string} orderId - Razorpay order of the renewal attempt
+ * @param {string} paymentId - Captured Razorpay payment
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} - The new Membership, or null when the attempt was already settled
+ */
+export const settleRenewal = async (membership, orderId, paymentId, { now = new Date() } = {}) => {
+    const packageDoc = await Package.findById(membership.packageId).populate('entitlements.serviceId', 'name');
+    if (!packageDoc) {
+        throw new Error('Package not found');
+    }
+
+    const session = await mongoose.startSession();
+    let renewed = null;
+    try {
+        await session.withTransaction(async () => {
+            renewed = null;
+            const current = await Membership.findOneAndUpdate(
+                { _id: membership._id, renewalAttempts: { $elemMatch: { razorpayOrderId: orderId, status: 'pending' } } },
+                {
+                    $set: {
+                        'renewalAttempts.$.status': 'captured',
+                        'renewalAttempts.$.razorpayPaymentId': paymentId,
+                        'renewalAttempts.$.settledAt': now
+                    }
+                },
+                { new: true, session }
+            );
+            if (!current) {
+                return;
+            }
+
+            const attempt = current.renewalAttempts.find(item => item.razorpayOrderId === orderId);
+            const startDate = current.renewal.periodEndsAt || current.expiryDate;
+            const expiryDate = getPeriodEnd(startDate, packageDoc);
+            const { originalAmount, discountAmount, taxAmount } = getRenewalPrice(packageDoc);
+            const { leadHours } = getRenewalSettings();
+
+            [renewed] = await Membership.create([{
+                userId: current.userId,
+                packageId: current.packageId,
+                packageName: packageDoc.name,
+                description: packageDoc.description,
+                startDate,
+                expiryDate,
+                isActive: true,
+                membershipStatus: 'active',
+                paymentStatus: 'paid',
+                razorpayOrderId: orderId,
+                razorpayPaymentId: paymentId,
+                paymentMethod: 'razorpay',
+                originalAmount,
+                amountPaid: attempt.amount,
+                discountApplied: discountAmount,
+                taxAmount,
+                remainingAppointments: packageDoc.maxAppointments,
+                entitlements: buildMembershipEntitlements(packageDoc.entitlements),
+                membershipTier: current.membershipTier,
+                benefits: packageDoc.benefits,
+                autoRenewal: true,
+                renewalDate: expiryDate,
+                renewal: {
+                    status: 'active',
+                    method: current.renewal.method,
+                    razorpayCustomerId: current.renewal.razorpayCustomerId,
+                    razorpayTokenId: current.renewal.razorpayTokenId,
+                    authorisedAt: current.renewal.authorisedAt,
+                    nextAttemptAt: new Date(expiryDate.getTime() - leadHours * HOUR_MS)
+                },
+                activatedAt: now,
+                previousMembershipId: current._id
+            }], { session });
+
+            // The renewed membership ends with its paid period, even when a grace period had extended it
+            current.expiryDate = startDate;
+            current.autoRenewal = false;
+            current.renewal.status = 'renewed';
+            current.renewal.renewedMembershipId = renewed._id;
+            current.renewal.nextAttemptAt = undefined;
+            current.renewal.periodEndsAt = undefined;
+            current.renewal.graceEndsAt = undefined;
+            current.renewal.lastError = undefined;
+            await current.save({ session });
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    if (!renewed) {
+        return null;
+    }
+
+    await recordMembershipCharge(renewed);
+    await issueInvoiceQuietly('membership', renewed);
+    await notifyUser(await getMember(renewed), {
+        subject: 'Membership renewed',
+        text: `Your ${renewed.packageName} membership has been renewed until ${formatDate(renewed.expiryDate)}. ₹${renewed.amountPaid} was charged to your saved payment method.`
+    });
+
+    logger.info('Membership renewed', {
+        membershipId: membership._id,
+        renewedMembershipId: renewed._id,
+        orderId,
+        paymentId,
+        amount: renewed.amountPaid
+    });
+    return renewed;
+};
+
+/**
+ * Record a failed renewal charge, then schedule a retry inside the grace period or give up
+ * While retrying, the membership stays usable until the grace period ends.
+ * @param {Object} membership - Membership being renewed
+ * @param {string} orderId - Razorpay order of the failed attempt
+ * @param {string} reason - Why the charge failed
+ * @param {Object} options - { now, settings }
+ * @returns {Promise<Object|null>} - { retry, nextAttemptAt, graceEndsAt }, or null when the attempt was already settled
+ */
+export const failRenewalAttempt = async (membership, orderId, reason, { now = new Date(), settings = getRenewalSettings() } = {}) => {
+    const attempt = membership.renewalAttempts.find(item => item.razorpayOrderId === orderId);
+    if (attempt && attempt.status !== 'pending') {
+        return null;
+    }
+    if (attempt) {
+        attempt.status = 'failed';
+        attempt.error = reason;
+        attempt.settledAt = now;
+    }
+
+    const decision = decideRenewalRetry(membership, { now, settings });
+    membership.renewal.attemptCount = decision.attemptCount;
+    membership.renewal.lastError = reason;
+
+    if (decision.retry) {
+        membership.renewal.status = 'past_due';
+        membership.renewal.nextAttemptAt = decision.nextAttemptAt;
+        membership.renewal.periodEndsAt = decision.periodEndsAt;
+        membership.renewal.graceEndsAt = decision.graceEndsAt;
+        membership.expiryDate = decision.graceEndsAt;
+    } else {
+        membership.renewal.status = 'failed';
+        membership.renewal.nextAttemptAt = undefined;
+        membership.autoRenewal = false;
+        membership.renewalDate = null;
+        membership.expiryDate = decision.periodEndsAt;
+        membership.renewal.periodEndsAt = undefined;
+        membership.renewal.graceEndsAt = undefined;
+    }
+    await membership.save();
+
+    const user = await getMember(membership);
+    if (decision.retry) {
+        await notifyUser(user, {
+            subject: 'Membership renewal payment failed',
+            text: `We couldn't renew your ${membership.packageName} membership: ${reason}. We will try again on ${formatDate(decision.nextAttemptAt)}, and your benefits continue until ${formatDate(decision.graceEndsAt)}.`
+        });
+    } else {
+        await notifyUser(user, {
+            subject: 'Membership auto-renewal stopped',
+            text: `We couldn't renew your ${membership.packageName} membership after ${decision.attemptCount} attempt(s), so auto-renewal has been switched off. Your membership ends on ${formatDate(decision.periodEndsAt)}. You can renew it from your account.`
+        });
+    }
+
+    logger.warn('Membership renewal failed', {
+        membershipId: membership._id,
+        orderId,
+        reason,
+        attemptCount: decision.attemptCount,
+        retry: decision.retry
+    });
+    return { retry: decision.retry, nextAttemptAt: decision.nextAttemptAt, graceEndsAt: decision.graceEndsAt };
+};
+
+// Charge the saved mandate for the next period and record the attempt
+const chargeRenewal = async (membership, { client, now }) => {
+    const packageDoc = await Package.findById(membership.packageId);
+    if (!packageDoc || !packageDoc.isActive) {
+        await failRenewalAttempt(membership, null, 'The package is no longer available', {
+            now,
+            settings: { ...getRenewalSettings(), maxAttempts: 1 }
+        });
+        return 'failed';
+    }
+
+    const { totalAmount } = getRenewalPrice(packageDoc);
+    const user = await getMember(membership);
+    const order = await client.orders.create({
+        amount: Math.round(totalAmount * 100),
+        currency: 'INR',
+        receipt: `REN_${membership._id.toString().slice(-8)}_${Date.now().toString().slice(-6)}`,
+        customer_id: membership.renewal.razorpayCustomerId,
+        payment_capture: 1,
+        notes: {
+            type: 'membership_renewal',
+            membershipId: membership._id.toString(),
+            userId: membership.userId.toString()
+        }
+    });
+
+    membership.renewalAttempts.push({ razorpayOrderId: order.id, amount: totalAmount, attemptedAt: now });
+    await membership.save();
+
+    let charge;
+    try {
+        charge = await client.payments.createRecurringPayment({
+            email: user.email,
+            contact: user.phone,
+            amount: Math.round(totalAmount * 100),
+            currency: 'INR',
+            order_id: order.id,
+            customer_id: membership.renewal.razorpayCustomerId,
+            token: membership.renewal.razorpayTokenId,
+            recurring: '1',
+            description: `${membership.packageName} membership renewal`,
+            notes: { membershipId: membership._id.toString() }
+        });
+    } catch (error) {
+        const result = await failRenewalAttempt(membership, order.id, error.error?.description || error.message, { now });
+        return result?.retry ? 'retrying' : 'failed';
+    }
+
+    const attempt = membership.renewalAttempts.find(item => item.razorpayOrderId === order.id);
+    attempt.razorpayPaymentId = charge.razorpay_payment_id;
+    await membership.save();
+    return checkRenewalAttempt(membership, attempt, { client, now });
+};
+
+// See how a charged attempt went; recurring payments can take a while to be captured
+const checkRenewalAttempt = async (membership, attempt, { client, now }) => {
+    const payment = await client.payments.fetch(attempt.razorpayPaymentId);
+    if (payment.status === 'captured') {
+        await settleRenewal(membership, attempt.razorpayOrderId, payment.id, { now });
+        return 'renewed';
+    }
+    if (payment.status === 'failed') {
+        const result = await failRenewalAttempt(membership, attempt.razorpayOrderId, payment.error_description || 'Payment failed', { now });
+        return result?.retry ? 'retrying' : 'failed';
+    }
+    return 'pending';
+};
+
+/**
+ * Run one auto-renewal pass
+ * Memberships whose next attempt is due are charged on their mandate, or, when a charge is
+ * already in flight, checked for its outcome. Captured charges start the next period; failed
+ * ones are retried within the grace period.
+ * @param {Object} options - { client, now }; client defaults to the configured Razorpay client
+ * @returns {Promise<Object>} - Summary { checked, renewed, pending, retrying, failed, errors }
+ * @throws {Error} - When no Razorpay client is available
+ */
+export const runMembershipRenewals = async ({ client = getRazorpayClient(), now = new Date() } = {}) => {
+    if (!client) {
+        throw new Error('Razorpay service not configured');
+    }
+
+    const summary = { checked: 0, renewed: 0, pending: 0, retrying: 0, failed: 0, errors: 0 };
+    const memberships = await Membership.find({
+        autoRenewal: true,
+        isActive: true,
+        paymentStatus: 'paid',
+        'renewal.status': { $in: ['active', 'past_due'] },
+        'renewal.nextAttemptAt': { $lte: now }
+    })
+        .sort({ 'renewal.nextAttemptAt': 1 })
+        .limit(BATCH_SIZE);
+
+    for (const membership of memberships) {
+        summary.checked += 1;
+        try {
+            const inFlight = membership.renewalAttempts.find(item => item.status === 'pending' && item.razorpayPaymentId);
+            const outcome = inFlight
+                ? await checkRenewalAttempt(membership, inFlight, { client, now })
+                : await chargeRenewal(membership, { client, now });
+            summary[outcome] += 1;
+        } catch (error) {
+            summary.errors += 1;
+            logger.error('Membership renewal errored', { membershipId: membership._id, error: error.message });
+        }
+    }
+
+    logger.info('Membership renewals finished', summary);
+    return summary;
+};
@@ -0,0 +1,54 @@
+/**
+ * Customer notifications: email through SMTP when it is configured, otherwise only logged
+ */
+
+import nodemailer from 'nodemailer';
+import { logger } from './logger.js';
+
+let transporter;
+
+// Build the SMTP transport on first use; null when SMTP_HOST is not set
+const getTransporter = () => {
+    if (transporter === undefined) {
+        transporter = process.env.SMTP_HOST
+            ? nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port: parseInt(process.env.SMTP_PORT, 10) || 587,
+                secure: process.env.SMTP_SECURE === 'true',
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            })
+            : null;
+    }
+    return transporter;
+};
+
+/**
+ * Send a customer a notification
+ * Failures are logged rather than thrown, so a notification never undoes the change it reports.
+ * @param {Object} user - User document, or { name, email }
+ * @param {Object} message - { subject, text }
+ * @returns {Promise<boolean>} - True when an email was sent
+ */
+export const notifyUser = async (user, { subject, text }) => {
+    const mailer = getTransporter();
+    if (!mailer || !user?.email) {
+        logger.info('Notification not emailed', { userId: user?._id, subject });
+        return false;
+    }
+
+    try {
+        await mailer.sendMail({
+            from: process.env.EMAIL_FROM || process.env.SMTP_USER,
+            to: user.email,
+            subject,
+            text: user.name ? `Hi ${user.name},\n\n${text}` : text
+        });
+        logger.info('Notification emailed', { userId: user._id, subject });
+        return true;
+    } catch (error) {
+        logger.error('Failed to email notification', { userId: user._id, subject, error: error.message });
+        return false;
+    }
+};
@@ -0,0 +1,258 @@
+/**
+ * Payment reconciliation: sweep stale pending memberships against Razorpay and settle or fail them
+ */
+
+import { Membership } from '../models/membership.model.js';
+import { ReconciliationReport } from '../models/reconciliationReport.model.js';
+import { getPaymentStatus } from './enhancedRazorpay.js';
+import { getOrderDetails, getRazorpayClient } from './razorpay.js';
+import { settleMembership } from './paymentWebhook.js';
+import { releaseMembershipWallet } from './wallet.js';
+import { logger } from './logger.js';
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// Memberships checked per run; the oldest go first and the rest wait for the next run
+const BATCH_SIZE = 100;
+
+/**
+ * Get the reconciliation settings from the environment
+ * PAYMENT_RECONCILIATION_STALE_MINUTES (default 30): pending memberships younger than this are left alone.
+ * PAYMENT_RECONCILIATION_EXPIRY_HOURS (default 24): unpaid memberships older than this are failed.
+ * PAYMENT_RECONCILIATION_INTERVAL_MINUTES (default 15, 0 turns the schedule off).
+ * @returns {Object} - { staleAfterMinutes, expireAfterHours, intervalMinutes }
+ */
+export const getReconciliationSettings = () => {
+    const staleAfterMinutes = parseInt(process.env.PAYMENT_RECONCILIATION_STALE_MINUTES, 10);
+    const expireAfterHours = parseInt(process.env.PAYMENT_RECONCILIATION_EXPIRY_HOURS, 10);
+    const intervalMinutes = parseInt(process.env.PAYMENT_RECONCILIATION_INTERVAL_MINUTES, 10);
+    return {
+        staleAfterMinutes: staleAfterMinutes > 0 ? staleAfterMinutes : 30,
+        expireAfterHours: expireAfterHours > 0 ? expireAfterHours : 24,
+        intervalMinutes: intervalMinutes >= 0 ? intervalMinutes : 15
+    };
+};
+
+/**
+ * Get the amount Razorpay should have charged for a membership
+ * @param {Object} membership - Membership document
+ * @returns {number} - Amount in rupees; any wallet share is not charged online
+ */
+export const getExpectedGatewayAmount = (membership) =>
+    roundAmount((membership.amountPaid || 0) - (membership.walletAmount || 0));
+
+/**
+ * Decide what to do with a stale pending membership from what Razorpay reports
+ * @param {Object} membership - Pending Membership document
+ * @param {Object|null} order - Razorpay order, or null when the membership has none
+ * @param {Array} payments - The order's payment attempts (amounts in rupees)
+ * @param {Object} options - { now, expireAfterHours }
+ * @returns {Object} - { outcome, payment, message }
+ */
+export const decideReconciliation = (membership, order, payments, { now = new Date(), expireAfterHours }) => {
+    const captured = payments.find(payment => payment.status === 'captured');
+    if (captured) {
+        const expected = getExpectedGatewayAmount(membership);
+        if (Math.abs(captured.amount - expected) >= 0.01) {
+            return {
+                outcome: 'review',
+                payment: captured,
+                message: `Captured ${captured.amount} but expected ${expected}`
+            };
+        }
+        return { outcome: 'settled', payment: captured, message: 'Captured payment applied' };
+    }
+
+    if (order?.status === 'paid') {
+        return { outcome: 'review', message: 'Order is paid but no captured payment was found' };
+    }
+
+    const authorized = payments.find(payment => payment.status === 'authorized');
+    if (authorized) {
+        return { outcome: 'pending', payment: authorized, message: 'Payment authorised, waiting for capture' };
+    }
+
+    const lastActivity = membership.lastPaymentAttempt || membership.createdAt;
+    if (now - lastActivity >= expireAfterHours * HOUR_MS) {
+        return { outcome: 'failed', message: `No successful payment within ${expireAfterHours} hours` };
+    }
+
+    const failedAttempts = payments.filter(payment => payment.status === 'failed');
+    if (failedAttempts.length > 0) {
+        return {
+            outcome: 'pending',
+            payment: failedAttempts[failedAttempts.length - 1],
+            message: `${failedAttempts.length} failed payment attempt(s), waiting for a retry`
+        };
+    }
+    return { outcome: 'pending', message: 'No payment attempt yet' };
+};
+
+// Memberships still waiting for their first payment. Failures are written only while this holds,
+// so a capture the webhook settles while Razorpay is being queried is never overwritten.
+const UNPAID_MEMBERSHIP = { paymentStatus: { $ne: 'paid' }, membershipStatus: 'pending_payment' };
+
+// Give up on an unpaid membership and return any wallet share taken for it; returns false
+// when the membership was settled or changed meanwhile
+const failMembership = async (membership, message) => {
+    const changes = {
+        paymentStatus: 'failed',
+        membershipStatus: 'cancelled',
+        isActive: false,
+        cancelledAt: new Date(),
+        cancellationReason: 'Payment not completed',
+        notes: membership.notes
+            ? `${membership.notes}\nReconciliation: ${message}`
+            : `Reconciliation: ${message}`
+    };
+    const failed = await Membership.findOneAndUpdate(
+        { _id: membership._id, ...UNPAID_MEMBERSHIP },
+        { $set: changes },
+        { new: true }
+    );
+    if (!failed) {
+        return false;
+    }
+
+    membership.set(changes);
+    await releaseMembershipWallet(failed);
+    return true;
+};
+
+// Record failed attempts Razorpay knows about that never reached us
+const recordFailedAttempts = async (membership, payments) => {
+    const failedAttempts = payments.filter(payment => payment.status === 'failed');
+    if (failedAttempts.length === 0 || membership.paymentRetryCount >= failedAttempts.length) {
+        return;
+    }
+    const changes = {
+        paymentStatus: 'failed',
+        paymentRetryCount: failedAttempts.length,
+        lastPaymentAttempt: failedAttempts[failedAttempts.length - 1].createdAt
+    };
+    const { modifiedCount } = await Membership.updateOne(
+        { _id: membership._id, ...UNPAID_MEMBERSHIP },
+        { $set: changes }
+    );
+    if (modifiedCount > 0) {
+        membership.set(changes);
+    }
+};
+
+// Check one membership against Razorpay and apply the outcome
+const reconcileMembership = async (membership, { client, now, expireAfterHours }) => {
+    const item = {
+        membershipId: membership._id,
+        userId: membership.userId,
+        razorpayOrderId: membership.razorpayOrderId,
+        previousPaymentStatus: membership.paymentStatus,
+        expectedAmount: getExpectedGatewayAmount(membership)
+    };
+
+    let order = null;
+    let payments = [];
+    if (membership.razorpayOrderId) {
+        const orderResult = await getOrderDetails(membership.razorpayOrderId, { client });
+        if (!orderResult.success) {
+            return { ...item, outcome: 'error', message: orderResult.error };
+        }
+        order = orderResult.order;
+        item.orderStatus = order.status;
+
+        const statusResult = await getPaymentStatus(membership.razorpayOrderId, { includeGateway: true, client });
+        if (!statusResult.success) {
+            return { ...item, outcome: 'error', message: statusResult.error };
+        }
+        payments = statusResult.gatewayPayments;
+    }
+
+    const { outcome, payment, message } = decideReconciliation(membership, order, payments, { now, expireAfterHours });
+    item.razorpayPaymentId = payment?.id;
+    item.amount = payment?.amount;
+
+    if (outcome === 'settled') {
+        await settleMembership(membership, payment.id);
+    } else if (outcome === 'failed') {
+        if (!await failMembership(membership, message)) {
+            return { ...item, outcome: 'review', message: 'Membership was paid or changed while it was being reconciled' };
+        }
+    } else if (outcome === 'pending') {
+        await recordFailedAttempts(membership, payments);
+    }
+    return { ...item, outcome, message };
+};
+
+/**
+ * Run one reconciliation pass and store its report
+ * Stale memberships are those still waiting for payment after the stale period. Each is
+ * checked against its Razorpay order and payments, then settled, failed or left pending;
+ * anything that doesn't add up is flagged for review rather than changed.
+ * @param {Object} options - { client, trigger, triggeredBy, now }; client defaults to the configured Razorpay client
+ * @returns {Promise<Object>} - The ReconciliationReport
+ * @throws {Error} - When no Razorpay client is available
+ */
+export const runPaymentReconciliation = async ({ client = getRazorpayClient(), trigger = 'schedule', triggeredBy, now = new Date() } = {}) => {
+    if (!client) {
+        throw new Error('Razorpay service not configured');
+    }
+
+    const { staleAfterMinutes, expireAfterHours } = getReconciliationSettings();
+    const report = await ReconciliationReport.create({
+        trigger,
+        triggeredBy,
+        startedAt: now,
+        staleAfterMinutes,
+        expireAfterHours
+    });
+
+    try {
+        const memberships = await Membership.find({
+            membershipStatus: 'pending_payment',
+            paymentStatus: { $in: ['pending', 'failed'] },
+            createdAt: { $lte: new Date(now.getTime() - staleAfterMinutes * MINUTE_MS) }
+        })
+            .sort({ createdAt: 1 })
+            .limit(BATCH_SIZE);
+
+        for (const membership of memberships) {
+            let item;
+            try {
+                item = await reconcileMembership(membership, { client, now, expireAfterHours });
+            } catch (error) {
+                item = {
+                    membershipId: membership._id,
+                    userId: membership.userId,
+                    razorpayOrderId: membership.razorpayOrderId,
+                    previousPaymentStatus: membership.paymentStatus,
+                    outcome: 'error',
+                    message: error.message
+                };
+            }
+
+            report.items.push(item);
+            report.summary.checked += 1;
+            report.summary[item.outcome === 'error' ? 'errors' : item.outcome] += 1;
+        }
+
+        report.status = 'completed';
+    } catch (error) {
+        report.status = 'failed';
+        report.error = error.message;
+        logger.error('Payment reconciliation failed', { reportId: report._id, error: error.message });
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    logger.info('Payment reconciliation finished', {
+        reportId: report._id,
+        trigger,
+        status: report.status,
+        summary: report.summary
+    });
+    return report;
+};
@@ -0,0 +1,344 @@
+/**
+ * Razorpay webhook processing: reconcile memberships, renewals, appointments, tips and gift cards with gateway events
+ */
+
+import mongoose from 'mongoose';
+import { Membership } from '../models/membership.model.js';
+import { Appointment } from '../models/appointment.model.js';
+import { Refund } from '../models/refund.model.js';
+import { GiftCard } from '../models/giftCard.model.js';
+import { derivePaymentStatus } from './appointmentPayment.js';
+import { getTransitionError, transitionAppointment } from './appointmentStatus.js';
+import { applyRefundToTarget, issueRefund } from './refunds.js';
+import {
+    recordAppointmentCharge,
+    recordMembershipCharge,
+    recordRefundTransaction
+} from './transactions.js';
+import { issueInvoiceQuietly } from './invoices.js';
+import { activateGiftCard } from './wallet.js';
+import { settleTipPayment } from './tips.js';
+import { failRenewalAttempt, settleRenewal } from './membershipRenewal.js';
+import { logger } from './logger.js';
+
+export const SUPPORTED_WEBHOOK_EVENTS = ['payment.captured', 'payment.failed', 'refund.processed', 'order.paid'];
+
+/**
+ * Pull the gateway references out of a webhook body
+ * @param {Object} body - Parsed webhook body
+ * @returns {Object} - { orderId, paymentId, refundId }
+ */
+export const getEventReferences = (body) => {
+    const payment = body?.payload?.payment?.entity;
+    const order = body?.payload?.order?.entity;
+    const refund = body?.payload?.refund?.entity;
+    return {
+        orderId: payment?.order_id || order?.id,
+        paymentId: payment?.id || refund?.payment_id,
+        refundId: refund?.id
+    };
+};
+
+// Refund a capture that arrived after the membership was given up on. Its wallet share has already
+// been returned, so the membership stays cancelled; the payment ID is claimed first so repeated
+// events refund it once.
+const refundLateMembershipCapture = async (membership, paymentId) => {
+    const claimed = await Membership.findOneAndUpdate(
+        { _id: membership._id, membershipStatus: 'cancelled', razorpayPaymentId: { $ne: paymentId } },
+        { $set: { razorpayPaymentId: paymentId } },
+        { new: true }
+    );
+    if (!claimed) {
+        return false;
+    }
+
+    await recordMembershipCharge(claimed);
+    const refund = await issueRefund({
+        target: claimed,
+        targetType: 'membership',
+        userId: claimed.userId,
+        paymentId,
+        amount: claimed.amountPaid - (claimed.walletAmount || 0),
+        reason: 'Payment captured after the membership was cancelled'
+    });
+
+    // Everything taken has gone back: the capture now, the wallet share when it was cancelled
+    if (refund.status !== 'failed') {
+        claimed.paymentStatus = 'refunded';
+    }
+    const note = `Late capture ${paymentId} ${refund.status === 'failed' ? 'could not be refunded' : 'refunded'}`;
+    claimed.notes = claimed.notes ? `${claimed.notes}\n${note}` : note;
+    await claimed.save();
+
+    logger.warn('Refunded payment captured for a cancelled membership', {
+        membershipId: claimed._id,
+        paymentId,
+        refundId: refund._id,
+        refundStatus: refund.status
+    });
+    return true;
+};
+
+/**
+ * Mark a membership paid and active from a captured payment
+ * A capture for a membership already cancelled, e.g. failed by reconciliation, is refunded
+ * instead. Used by the webhook and by payment reconciliation.
+ * @param {Object} membership - Membership document
+ * @param {string} paymentId - Razorpay payment ID
+ * @returns {Promise<boolean>} - True when the membership changed
+ */
+export const settleMembership = async (membership, paymentId) => {
+    if (membership.paymentStatus === 'paid') {
+        return false;
+    }
+    if (membership.membershipStatus === 'cancelled') {
+        return refundLateMembershipCapture(membership, paymentId);
+    }
+    membership.razorpayPaymentId = paymentId;
+    membership.paymentStatus = 'paid';
+    membership.membershipStatus = 'active';
+    membership.isActive = true;
+    membership.activatedAt = membership.activatedAt || new Date();
+    await membership.save();
+    await recordMembershipCharge(membership);
+    await issueInvoiceQuietly('membership', membership);
+    return true;
+};
+
+/**
+ * Record a captured payment against the appointment order it settles
+ * The order is claimed and its amount added in one conditional update, so the verify call and
+ * both capture webhooks count a payment once. A paid deposit or prepayment then confirms a
+ * pending booking. Used by the webhook and the verify call.
+ * @param {Object} appointment - Appointment document holding the order
+ * @param {string} orderId - Razorpay order ID
+ * @param {Object} details - { razorpayPaymentId, razorpaySignature, actor }
+ * @returns {Promise<Object|null>} - { appointment, payment } as stored, or null when the order was already paid
+ */
+export const settleAppointmentPayment = async (appointment, orderId, { razorpayPaymentId, razorpaySignature, actor } = {}) => {
+    const payment = appointment.payments.find(item => item.razorpayOrderId === orderId);
+    if (!payment || payment.status === 'paid') {
+        return null;
+    }
+
+    const settled = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, payments: { $elemMatch: { _id: payment._id, status: { $ne: 'paid' } } } },
+        {
+            $set: {
+                'payments.$.status': 'paid',
+                'payments.$.razorpayPaymentId': razorpayPaymentId,
+                'payments.$.razorpaySignature': razorpaySignature,
+                'payments.$.paidAt': new Date()
+            },
+            $inc: { amountPaid: payment.amount }
+        },
+        { new: true }
+    );
+    if (!settled) {
+        return null;
+    }
+
+    settled.paymentStatus = derivePaymentStatus(settled);
+    if (settled.status === 'pending' && !getTransitionError(settled, 'confirmed')) {
+        transitionAppointment(settled, 'confirmed', {
+            actor: actor || settled.userId,
+            reason: `Confirmed on ${payment.type} payment`
+        });
+    }
+    await settled.save();
+
+    const settledPayment = settled.payments.id(payment._id);
+    await recordAppointmentCharge(settled, settledPayment, { recordedBy: actor });
+    return { appointment: settled, payment: settledPayment };
+};
+
+// payment.captured and order.paid: the customer has paid for the order
+const handlePaymentCaptured = async ({ orderId, paymentId }) => {
+    const membership = await Membership.findOne({ razorpayOrderId: orderId });
+    if (membership) {
+        const changed = await settleMembership(membership, paymentId);
+        return { targetType: 'membership', targetId: membership._id, changed };
+    }
+
+    // Auto-renewal charges start the next period; the scheduler may have got there first
+    const renewingMembership = await Membership.findOne({ 'renewalAttempts.razorpayOrderId': orderId });
+    if (renewingMembership) {
+        const renewed = await settleRenewal(renewingMembership, orderId, paymentId);
+        return { targetType: 'membership', targetId: renewingMembership._id, changed: Boolean(renewed) };
+    }
+
+    const appointment = await Appointment.findOne({ 'payments.razorpayOrderId': orderId });
+    if (appointment) {
+        const settled = await settleAppointmentPayment(appointment, orderId, { razorpayPaymentId: paymentId });
+        const changed = Boolean(settled);
+        return { targetType: 'appointment', targetId: appointment._id, changed };
+    }
+
+    const tippedAppointment = await Appointment.findOne({ 'tips.razorpayOrderId': orderId });
+    if (tippedAppointment) {
+        const settled = await settleTipPayment(tippedAppointment, orderId, { razorpayPaymentId: paymentId });
+        return { targetType: 'appointment', targetId: tippedAppointment._id, changed: Boolean(settled) };
+    }
+
+    const giftCard = await GiftCard.findOne({ razorpayOrderId: orderId });
+    if (giftCard) {
+        const { activated } = await activateGiftCard(giftCard, paymentId);
+        return { targetType: 'gift_card', targetId: giftCard._id, changed: activated };
+    }
+    return null;
+};
+
+// payment.failed: record the failed attempt unless the order was paid meanwhile
+const handlePaymentFailed = async ({ orderId }, body) => {
+    const reason = body?.payload?.payment?.entity?.error_description || 'Payment failed';
+
+    const membership = await Membership.findOne({ razorpayOrderId: orderId });
+    if (membership) {
+        if (membership.paymentStatus === 'paid') {
+            return { targetType: 'membership', targetId: membership._id, changed: false };
+        }
+        membership.paymentStatus = 'failed';
+        membership.paymentRetryCount += 1;
+        membership.lastPaymentAttempt = new Date();
+        membership.notes = membership.notes
+            ? `${membership.notes}\nPayment failed: ${reason}`
+            : `Payment failed: ${reason}`;
+        await membership.save();
+        return { targetType: 'membership', targetId: membership._id, changed: true };
+    }
+
+    const renewingMembership = await Membership.findOne({ 'renewalAttempts.razorpayOrderId': orderId });
+    if (renewingMembership) {
+        const result = await failRenewalAttempt(renewingMembership, orderId, reason);
+        return { targetType: 'membership', targetId: renewingMembership._id, changed: Boolean(result) };
+    }
+
+    const appointment = await Appointment.findOne({ 'payments.razorpayOrderId': orderId });
+    if (appointment) {
+        // Conditional, so a capture settled meanwhile is not marked failed
+        const result = await Appointment.updateOne(
+            { _id: appointment._id, payments: { $elemMatch: { razorpayOrderId: orderId, status: 'created' } } },
+            { $set: { 'payments.$.status': 'failed' } }
+        );
+        return { targetType: 'appointment', targetId: appointment._id, changed: result.modifiedCount > 0 };
+    }
+
+    const tippedAppointment = await Appointment.findOne({ 'tips.razorpayOrderId': orderId });
+    if (tippedAppointment) {
+        // Conditional, so a tip settled meanwhile is not marked failed
+        const result = await Appointment.updateOne(
+            { _id: tippedAppointment._id, tips: { $elemMatch: { razorpayOrderId: orderId, status: 'created' } } },
+            { $set: { 'tips.$.status': 'failed' } }
+        );
+        return { targetType: 'appointment', targetId: tippedAppointment._id, changed: result.modifiedCount > 0 };
+    }
+    return null;
+};
+
+// refund.processed: money has gone back to the customer
+const handleRefundProcessed = async ({ paymentId, refundId }, body) => {
+    // Refunds issued through the API are already in the ledger and applied to their target.
+    // They carry the ledger ID in their notes in case the webhook beats the API response.
+    const ledgerId = body?.payload?.refund?.entity?.notes?.refundLedgerId;
+    const refund = await Refund.findOne(mongoose.isValidObjectId(ledgerId)
+        ? { $or: [{ razorpayRefundId: refundId }, { _id: ledgerId }] }
+        : { razorpayRefundId: refundId });
+    if (refund) {
+        const changed = refund.status !== 'processed';
+        if (changed) {
+            refund.razorpayRefundId = refund.razorpayRefundId || refundId;
+            refund.status = 'processed';
+            refund.failureReason = undefined;
+            refund.processedAt = new Date();
+            await refund.save();
+            await recordRefundTransaction(refund);
+        }
+        return { targetType: refund.targetType, targetId: refund.targetId, changed };
+    }
+
+    // Refunds made outside the API (e.g. the Razorpay dashboard) are recorded and applied here
+    const amount = (body?.payload?.refund?.entity?.amount || 0) / 100;
+    const membership = await Membership.findOne({ razorpayPaymentId: paymentId });
+    const appointment = membership ? null : await Appointment.findOne({ 'payments.razorpayPaymentId': paymentId });
+    const target = membership || appointment;
+    if (!target || amount <= 0) {
+        return null;
+    }
+
+    const targetType = membership ? 'membership' : 'appointment';
+    const gatewayRefund = await Refund.create({
+        targetType,
+        targetId: target._id,
+        targetModel: membership ? 'Membership' : 'Appointment',
+        userId: target.userId,
+        razorpayPaymentId: paymentId,
+        razorpayRefundId: refundId,
+        amount,
+        reason: 'Refund issued from the payment gateway',
+        status: 'processed',
+        source: 'gateway',
+        processedAt: new Date()
+    });
+    applyRefundToTarget(target, amount);
+    await target.save();
+    await recordRefundTransaction(gatewayRefund);
+    return { targetType, targetId: target._id, changed: true };
+};
+
+const EVENT_HANDLERS = {
+    'payment.captured': handlePaymentCaptured,
+    'order.paid': handlePaymentCaptured,
+    'payment.failed': handlePaymentFailed,
+    'refund.processed': handleRefundProcessed
+};
+
+/**
+ * Apply a stored webhook event to the membership, appointment or gift card it concerns
+ * Handlers are idempotent, so redelivered or replayed events leave already reconciled records unchanged.
+ * Events that match no record, or that are not supported, are marked ignored.
+ * @param {Object} paymentEvent - PaymentEvent document
+ * @returns {Promise<Object>} - The updated PaymentEvent
+ * @throws {Error} - When processing fails; the event is saved as failed first
+ */
+export const processPaymentEvent = async (paymentEvent) => {
+    const handler = EVENT_HANDLERS[paymentEvent.event];
+    paymentEvent.attempts += 1;
+
+    try {
+        const result = handler
+            ? await handler({
+                orderId: paymentEvent.orderId,
+                paymentId: paymentEvent.paymentId,
+                refundId: paymentEvent.refundId
+            }, paymentEvent.payload)
+            : null;
+
+        paymentEvent.status = result ? 'processed' : 'ignored';
+        paymentEvent.targetType = result?.targetType;
+        paymentEvent.targetId = result?.targetId;
+        paymentEvent.lastError = undefined;
+        paymentEvent.processedAt = new Date();
+        await paymentEvent.save();
+
+        logger.info('Payment webhook processed', {
+            eventId: paymentEvent.eventId,
+            event: paymentEvent.event,
+            status: paymentEvent.status,
+            targetType: result?.targetType,
+            targetId: result?.targetId,
+            changed: result?.changed
+        });
+        return paymentEvent;
+    } catch (error) {
+        paymentEvent.status = 'failed';
+        paymentEvent.lastError = error.message;
+        await paymentEvent.save();
+
+        logger.error('Payment webhook processing failed', {
+            eventId: paymentEvent.eventId,
+            event: paymentEvent.event,
+            error: error.message
+        });
+        throw error;
+    }
+};
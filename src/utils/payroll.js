@@ -0,0 +1,340 @@
+/**
+ * Payroll: commission rules, stylist earnings and pay period statements
+ */
+
+import mongoose from 'mongoose';
+import { Appointment } from '../models/appointment.model.js';
+import { CommissionRule } from '../models/commissionRule.model.js';
+import { PayrollPeriod } from '../models/payrollPeriod.model.js';
+import { PayrollStatement } from '../models/payrollStatement.model.js';
+import { Stylist } from '../models/stylist.model.js';
+import { ApiError } from './ApiError.js';
+import { getDayRange } from './availability.js';
+import { DEFAULT_GST_RATE, allocateDiscount, splitInclusiveAmount } from './gst.js';
+import { getStylistTipTotals, getStylistTips } from './tips.js';
+
+export const COMMISSION_CATEGORIES = ['default', 'hair', 'nail', 'body', 'skin', 'retail'];
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Add up a field over a list
+const sumOf = (items, field) => roundAmount(items.reduce((total, item) => total + (item[field] || 0), 0));
+
+/**
+ * Check a commission rule's rates
+ * Tiers must be in ascending order of revenue, starting from 0.
+ * @param {Object} rule - { type, rate, tiers }
+ * @returns {string|null} - Reason the rule is not acceptable, or null
+ */
+export const getCommissionRuleError = ({ type, rate, tiers = [] }) => {
+    if (type === 'flat') {
+        return rate === undefined || rate === null ? 'A flat rule needs a rate' : null;
+    }
+    if (tiers.length === 0) {
+        return 'A tiered rule needs at least one tier';
+    }
+    if (tiers[0].minRevenue !== 0) {
+        return 'The first tier must start from 0 revenue';
+    }
+    for (let index = 1; index < tiers.length; index++) {
+        if (tiers[index].minRevenue <= tiers[index - 1].minRevenue) {
+            return 'Tiers must be in ascending order of revenue';
+        }
+    }
+    return null;
+};
+
+/**
+ * Find the rule that sets a stylist's commission on a category
+ * The stylist's own rule for the category comes first, then their default rule, then the
+ * salon-wide rule for the category and finally the salon-wide default. Retail sales only
+ * earn commission under a retail rule.
+ * @param {Array} rules - Active CommissionRule documents
+ * @param {string} stylistId - Stylist ID
+ * @param {string} category - Service category, or retail
+ * @returns {Object|null} - The rule, or null when none applies
+ */
+export const findCommissionRule = (rules, stylistId, category) => {
+    const stylistKey = String(stylistId);
+    const candidates = category === 'retail'
+        ? [[stylistKey, 'retail'], [null, 'retail']]
+        : [[stylistKey, category], [stylistKey, 'default'], [null, category], [null, 'default']];
+
+    for (const [ruleStylist, ruleCategory] of candidates) {
+        const rule = rules.find(item =>
+            item.category === ruleCategory &&
+            (item.stylistId ? String(item.stylistId) : null) === ruleStylist
+        );
+        if (rule) {
+            return rule;
+        }
+    }
+    return null;
+};
+
+/**
+ * Check a pay period covers whole calendar months
+ * Tiered rules pay by monthly revenue, so a period starts on the first of a month and ends on
+ * the last day of a month; it may cover several months.
+ * @param {Date} startDate - First day of the period
+ * @param {Date} endDate - Last day of the period
+ * @returns {string|null} - Reason the period is not acceptable, or null
+ */
+export const getPayPeriodError = (startDate, endDate) => {
+    if (endDate < startDate) {
+        return 'End date cannot be before the start date';
+    }
+    if (startDate.getUTCDate() !== 1) {
+        return 'A pay period must start on the first day of a month';
+    }
+    const dayAfterEnd = new Date(endDate);
+    dayAfterEnd.setUTCDate(dayAfterEnd.getUTCDate() + 1);
+    if (dayAfterEnd.getUTCDate() !== 1) {
+        return 'A pay period must end on the last day of a month';
+    }
+    return null;
+};
+
+/**
+ * Get the rate a rule pays on the revenue it covers in a calendar month
+ * @param {Object|null} rule - CommissionRule document
+ * @param {number} revenue - Revenue the rule covers in the month
+ * @returns {number} - Commission rate in percent
+ */
+export const getCommissionRate = (rule, revenue) => {
+    if (!rule) {
+        return 0;
+    }
+    if (rule.type === 'flat') {
+        return rule.rate;
+    }
+    let rate = 0;
+    for (const tier of [...rule.tiers].sort((a, b) => a.minRevenue - b.minRevenue)) {
+        if (revenue >= tier.minRevenue) {
+            rate = tier.rate;
+        }
+    }
+    return rate;
+};
+
+/**
+ * Get the revenue each stylist brought in on completed appointments
+ * Service lines are credited to the stylist who performed them, net of their share of the
+ * offer and membership discounts; retail lines to the stylist who sold them. GST is excluded.
+ * @param {Array} appointments - Completed Appointment documents
+ * @returns {Map} - stylistId => revenue lines
+ */
+export const buildRevenueLines = (appointments) => {
+    const linesByStylist = new Map();
+    const addLine = (stylistId, line) => {
+        const key = String(stylistId);
+        if (!linesByStylist.has(key)) {
+            linesByStylist.set(key, []);
+        }
+        linesByStylist.get(key).push(line);
+    };
+
+    for (const appointment of appointments) {
+        const visit = {
+            appointmentId: appointment._id,
+            bookingReference: appointment.bookingReference,
+            date: appointment.date
+        };
+        const discount = (appointment.offerDiscount || 0) + (appointment.membershipDiscount || 0);
+        const shares = allocateDiscount(appointment.services.map(line => line.price), discount);
+
+        appointment.services.forEach((line, index) => {
+            const stylistId = line.stylistId || appointment.stylistId;
+            if (!stylistId) {
+                return;
+            }
+            const netAmount = Math.max(0, roundAmount(line.price - shares[index]));
+            addLine(stylistId, {
+                ...visit,
+                kind: 'service',
+                description: line.serviceName,
+                category: line.category || 'default',
+                revenue: splitInclusiveAmount(netAmount, line.gstRate ?? DEFAULT_GST_RATE, false).taxableValue
+            });
+        });
+
+        for (const item of appointment.retailItems || []) {
+            if (!item.stylistId) {
+                continue;
+            }
+            addLine(item.stylistId, {
+                ...visit,
+                kind: 'retail',
+                description: item.quantity > 1 ? `${item.name} x ${item.quantity}` : item.name,
+                category: 'retail',
+                revenue: splitInclusiveAmount(item.amount, item.gstRate ?? DEFAULT_GST_RATE, false).taxableValue
+            });
+        }
+    }
+    return linesByStylist;
+};
+
+/**
+ * Work out a stylist's commission on their revenue lines
+ * Lines are grouped by the rule that covers them, and a tiered rule's lines also by calendar
+ * month. A tiered rule's rate comes from the month's revenue under it, so reaching a higher
+ * tier raises the rate on all of that month's revenue.
+ * @param {Array} revenueLines - The stylist's lines from buildRevenueLines
+ * @param {Array} rules - Active CommissionRule documents
+ * @param {string} stylistId - Stylist ID
+ * @returns {Object} - { lines, breakdown }
+ */
+export const calculateCommission = (revenueLines, rules, stylistId) => {
+    const groups = new Map();
+    for (const line of revenueLines) {
+        const rule = findCommissionRule(rules, stylistId, line.category);
+        const month = rule?.type === 'tiered' ? new Date(line.date).toISOString().slice(0, 7) : undefined;
+        const key = rule ? `${rule._id}:${month || ''}` : `none:${line.kind}`;
+        if (!groups.has(key)) {
+            groups.set(key, {
+                rule,
+                month,
+                category: rule?.category || (line.kind === 'retail' ? 'retail' : 'default'),
+                lines: []
+            });
+        }
+        groups.get(key).lines.push(line);
+    }
+
+    const lines = [];
+    const breakdown = [];
+    for (const { rule, month, category, lines: groupLines } of groups.values()) {
+        const revenue = sumOf(groupLines, 'revenue');
+        const rate = getCommissionRate(rule, revenue);
+        const commissionLines = groupLines.map(line => ({
+            ...line,
+            ruleId: rule?._id,
+            rate,
+            amount: roundAmount(line.revenue * rate / 100)
+        }));
+        lines.push(...commissionLines);
+        breakdown.push({
+            ruleId: rule?._id,
+            category,
+            type: rule?.type || 'none',
+            month,
+            revenue,
+            rate,
+            commission: sumOf(commissionLines, 'amount')
+        });
+    }
+
+    lines.sort((a, b) => a.date - b.date);
+    return { lines, breakdown };
+};
+
+/**
+ * Build one stylist's statement for a pay period
+ * @param {Object} details - { periodId, stylistId, stylistName, revenueLines, tips, rules }
+ * @returns {Object} - PayrollStatement fields
+ */
+export const buildPayrollStatement = ({ periodId, stylistId, stylistName, revenueLines = [], tips = [], rules }) => {
+    const { lines, breakdown } = calculateCommission(revenueLines, rules, stylistId);
+    const serviceLines = lines.filter(line => line.kind === 'service');
+    const retailLines = lines.filter(line => line.kind === 'retail');
+    const tipLines = tips.map(tip => ({
+        kind: 'tip',
+        appointmentId: tip.appointmentId,
+        bookingReference: tip.bookingReference,
+        date: tip.paidAt,
+        description: `Tip (${tip.method})`,
+        amount: tip.amount
+    }));
+
+    const serviceCommission = sumOf(serviceLines, 'amount');
+    const retailCommission = sumOf(retailLines, 'amount');
+    const tipTotal = sumOf(tipLines, 'amount');
+
+    return {
+        periodId,
+        stylistId,
+        stylistName,
+        lines: [...lines, ...tipLines],
+        breakdown,
+        appointmentCount: new Set(lines.map(line => String(line.appointmentId))).size,
+        serviceRevenue: sumOf(serviceLines, 'revenue'),
+        retailRevenue: sumOf(retailLines, 'revenue'),
+        serviceCommission,
+        retailCommission,
+        tips: tipTotal,
+        totalPayout: roundAmount(serviceCommission + retailCommission + tipTotal)
+    };
+};
+
+/**
+ * Generate the statements of a draft pay period, replacing any generated before
+ * Appointments count towards the period of their visit date, tips towards the period they were paid in.
+ * @param {Object} period - Draft PayrollPeriod document
+ * @param {Object} options - { generatedBy }
+ * @returns {Promise<Object>} - { period, statements } with the updated period and its PayrollStatement documents
+ * @throws {ApiError} - When the period has been finalised meanwhile
+ */
+export const generatePayrollStatements = async (period, { generatedBy } = {}) => {
+    const start = getDayRange(period.startDate).start;
+    const end = getDayRange(period.endDate).end;
+
+    const [rules, appointments, tipTotals] = await Promise.all([
+        CommissionRule.find({ isActive: true }),
+        Appointment.find({ status: 'completed', date: { $gte: start, $lt: end } })
+            .select('bookingReference date stylistId services retailItems offerDiscount membershipDiscount'),
+        getStylistTipTotals({ start, end })
+    ]);
+
+    const revenueByStylist = buildRevenueLines(appointments);
+    const stylistIds = [...new Set([
+        ...revenueByStylist.keys(),
+        ...tipTotals.map(total => String(total.stylistId))
+    ])];
+    const stylists = await Stylist.find({ _id: { $in: stylistIds } }).select('name');
+    const names = new Map(stylists.map(stylist => [String(stylist._id), stylist.name]));
+
+    const statements = [];
+    for (const stylistId of stylistIds) {
+        statements.push(buildPayrollStatement({
+            periodId: period._id,
+            stylistId,
+            stylistName: names.get(stylistId),
+            revenueLines: revenueByStylist.get(stylistId),
+            tips: await getStylistTips(stylistId, { start, end }),
+            rules
+        }));
+    }
+
+    // Statements are replaced together, and only while the period is still a draft
+    const session = await mongoose.startSession();
+    let saved;
+    let updatedPeriod;
+    try {
+        await session.withTransaction(async () => {
+            const draft = await PayrollPeriod.findOne({ _id: period._id, status: 'draft' }).session(session);
+            if (!draft) {
+                throw new ApiError(400, 'Payroll period is finalised and cannot be regenerated');
+            }
+
+            await PayrollStatement.deleteMany({ periodId: period._id }, { session });
+            saved = await PayrollStatement.insertMany(statements, { session });
+
+            draft.totals = {
+                serviceRevenue: sumOf(statements, 'serviceRevenue'),
+                retailRevenue: sumOf(statements, 'retailRevenue'),
+                commission: roundAmount(sumOf(statements, 'serviceCommission') + sumOf(statements, 'retailCommission')),
+                tips: sumOf(statements, 'tips'),
+                totalPayout: sumOf(statements, 'totalPayout')
+            };
+            draft.stylistCount = statements.length;
+            draft.generatedAt = new Date();
+            draft.generatedBy = generatedBy;
+            await draft.save({ session });
+            updatedPeriod = draft;
+        });
+    } finally {
+        await session.endSession();
+    }
+    return { period: updatedPeriod, statements: saved };
+};
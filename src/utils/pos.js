@@ -0,0 +1,95 @@
+/**
+ * Point of sale: retail lines, split payments and receipts
+ */
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price retail lines sold at the counter
+ * @param {Array} items - [{ name, sku, hsnCode, gstRate, quantity, unitPrice, stylistId }]
+ * @returns {Array} - Retail lines with their amounts
+ */
+export const buildRetailItems = (items = []) =>
+    items.map(item => {
+        const quantity = parseInt(item.quantity, 10) || 1;
+        const unitPrice = roundAmount(parseFloat(item.unitPrice));
+        return {
+            name: item.name,
+            sku: item.sku,
+            hsnCode: item.hsnCode,
+            gstRate: item.gstRate === undefined ? undefined : parseFloat(item.gstRate),
+            quantity,
+            unitPrice,
+            amount: roundAmount(unitPrice * quantity),
+            stylistId: item.stylistId || undefined
+        };
+    });
+
+/**
+ * Check that split payments settle exactly what is due
+ * @param {Array} payments - [{ method, amount }]
+ * @param {number} amountDue - Amount still owed for the visit
+ * @returns {string|null} - Reason the payments are not acceptable, or null
+ */
+export const getSplitPaymentError = (payments, amountDue) => {
+    const total = roundAmount(payments.reduce((sum, payment) => sum + parseFloat(payment.amount), 0));
+    if (total !== roundAmount(amountDue)) {
+        return `Payments total ${total} but ${roundAmount(amountDue)} is due`;
+    }
+    return null;
+};
+
+/**
+ * Build the receipt for a checked out visit
+ * @param {Object} appointment - Appointment document with userId populated
+ * @param {Array} charges - Charge transactions for the appointment, oldest first
+ * @returns {Object} - Receipt
+ */
+export const buildReceipt = (appointment, charges) => ({
+    receiptNumber: appointment.bookingReference,
+    issuedAt: appointment.checkedOutAt || appointment.updatedAt,
+    customer: {
+        name: appointment.userId?.name,
+        email: appointment.userId?.email,
+        phone: appointment.userId?.phone
+    },
+    services: appointment.services.map(line => ({
+        serviceName: line.serviceName,
+        category: line.category,
+        stylistId: line.stylistId,
+        price: line.price
+    })),
+    retailItems: appointment.retailItems.map(item => ({
+        name: item.name,
+        sku: item.sku,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        amount: item.amount
+    })),
+    subtotal: appointment.subtotal,
+    offerCode: appointment.offerCode,
+    offerDiscount: appointment.offerDiscount || 0,
+    membershipDiscount: appointment.membershipDiscount || 0,
+    membershipEntitlements: (appointment.membershipEntitlements || []).map(entitlement => ({
+        serviceName: entitlement.serviceName,
+        quantity: entitlement.quantity
+    })),
+    retailTotal: appointment.retailTotal || 0,
+    total: appointment.totalPrice,
+    payments: charges.map(charge => ({
+        method: charge.method,
+        amount: charge.amount,
+        reference: charge.reference || charge.razorpayPaymentId,
+        paidAt: charge.occurredAt
+    })),
+    amountPaid: appointment.amountPaid,
+    amountDue: Math.max(0, roundAmount(appointment.totalPrice - appointment.amountPaid)),
+    // Tips are paid on top of the total
+    tips: appointment.tips.filter(tip => tip.status === 'paid').map(tip => ({
+        method: tip.method,
+        amount: tip.amount,
+        paidAt: tip.paidAt
+    })),
+    tipTotal: appointment.tipTotal || 0
+});
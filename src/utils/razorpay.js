@@ -14,7 +14,7 @@ if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
 }
 
 // Create Razorpay order
-export const createRazorpayOrder = async (amount, currency = 'INR', receipt = null) => {
+export const createRazorpayOrder = async (amount, currency = 'INR', receipt = null, notes = {}) => {
     try {
         if (!razorpay) {
             return {
@@ -28,20 +28,21 @@ export const createRazorpayOrder = async (amount, currency = 'INR', receipt = nu
             currency: currency,
             receipt: receipt || `receipt_${Date.now()}`,
             notes: {
-                source: 'salon-management-api'
+                source: 'salon-management-api',
+                ...notes
             }
         };
 
         const order = await razorpay.orders.create(options);
         return {
             success: true,
-            appointment: {
-                id: appointment.id,
-                amount: appointment.amount,
-                currency: appointment.currency,
-                receipt: appointment.receipt,
-                status: appointment.status,
-                created_at: appointment.created_at
+            order: {
+                id: order.id,
+                amount: order.amount,
+                currency: order.currency,
+                receipt: order.receipt,
+                status: order.status,
+                created_at: order.created_at
             }
         };
     } catch (error) {
@@ -77,6 +78,23 @@ export const verifyPaymentSignature = (razorpayOrderId, razorpayPaymentId, razor
     }
 };
 
+// Verify a Razorpay webhook signature against the raw request body
+export const verifyWebhookSignature = (rawBody, signature, secret = process.env.RAZORPAY_WEBHOOK_SECRET) => {
+    if (!secret || !signature || !rawBody) {
+        return false;
+    }
+
+    const expectedSignature = crypto
+        .createHmac("sha256", secret)
+        .update(rawBody)
+        .digest("hex");
+
+    // Compare in constant time; lengths must match for timingSafeEqual
+    const expected = Buffer.from(expectedSignature);
+    const received = Buffer.from(String(signature));
+    return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
 // Capture Razorpay payment
 export const capturePayment = async (paymentId, amount, currency = 'INR') => {
     try {
@@ -181,27 +199,32 @@ export const getPaymentDetails = async (paymentId) => {
     }
 };
 
-// Get Razorpay order details
-export const getOrderDetails = async (orderId) => {
+// Get the Razorpay client, or null when credentials are not configured
+export const getRazorpayClient = () => razorpay;
+
+// Get Razorpay order details; pass a client to query another account or a local stub
+export const getOrderDetails = async (orderId, { client = razorpay } = {}) => {
     try {
-        if (!razorpay) {
+        if (!client) {
             return {
                 success: false,
                 error: 'Razorpay service not configured'
             };
         }
 
-        const order = await razorpay.orders.fetch(orderId);
+        const order = await client.orders.fetch(orderId);
         return {
             success: true,
-            appointment: {
-                id: appointment.id,
-                amount: appointment.amount,
-                currency: appointment.currency,
-                status: appointment.status,
-                receipt: appointment.receipt,
-                created_at: appointment.created_at,
-                notes: appointment.notes
+            order: {
+                id: order.id,
+                amount: order.amount,
+                amount_paid: order.amount_paid,
+                attempts: order.attempts,
+                currency: order.currency,
+                status: order.status,
+                receipt: order.receipt,
+                created_at: order.created_at,
+                notes: order.notes
             }
         };
     } catch (error) {
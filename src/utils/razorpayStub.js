@@ -0,0 +1,127 @@
+/**
+ * Razorpay stand-ins for the tests and the --stub mode of the payment scripts: clients exposing
+ * the parts of the Razorpay SDK each job uses, with outcomes scripted from fixtures so nothing
+ * leaves the machine
+ */
+
+/**
+ * Create a client for membership auto-renewal
+ * Each charge of a membership takes the next outcome from fixtures.charges[membershipId]; once
+ * the list runs out its last outcome repeats, and memberships missing from it get fixtures.default
+ * (or "captured"). An outcome is "captured", "failed", "created" (still processing) or "rejected"
+ * (Razorpay refuses the charge), or an object such as { status: "failed", error_description }.
+ * @param {Object} fixtures - { charges, default }
+ * @returns {Object} - Client with orders.create, payments.createRecurringPayment and payments.fetch
+ */
+export const createRenewalStubClient = (fixtures = {}) => {
+    const orders = new Map();
+    const payments = new Map();
+    const chargeCounts = new Map();
+
+    // Next scripted outcome for a membership's charges
+    const nextOutcome = (membershipId) => {
+        const count = chargeCounts.get(membershipId) || 0;
+        chargeCounts.set(membershipId, count + 1);
+        const script = fixtures.charges?.[membershipId] || [];
+        const outcome = script[Math.min(count, script.length - 1)] ?? fixtures.default ?? 'captured';
+        return typeof outcome === 'string' ? { status: outcome } : outcome;
+    };
+
+    return {
+        orders: {
+            create: async (options) => {
+                const order = {
+                    id: `order_stub${orders.size + 1}${Date.now().toString().slice(-6)}`,
+                    entity: 'order',
+                    status: 'created',
+                    amount_paid: 0,
+                    attempts: 0,
+                    created_at: Math.floor(Date.now() / 1000),
+                    ...options
+                };
+                orders.set(order.id, order);
+                return order;
+            }
+        },
+        payments: {
+            createRecurringPayment: async ({ order_id: orderId, amount, token }) => {
+                const order = orders.get(orderId);
+                const { status, error_description: errorDescription } = nextOutcome(order?.notes?.membershipId);
+                if (status === 'rejected') {
+                    throw { statusCode: 400, error: { description: errorDescription || 'The token is not valid' } };
+                }
+
+                const payment = {
+                    id: `pay_stub${payments.size + 1}${Date.now().toString().slice(-6)}`,
+                    entity: 'payment',
+                    amount,
+                    currency: 'INR',
+                    status,
+                    order_id: orderId,
+                    token_id: token,
+                    recurring: true,
+                    error_description: status === 'failed' ? errorDescription || 'Payment failed' : null,
+                    created_at: Math.floor(Date.now() / 1000)
+                };
+                payments.set(payment.id, payment);
+                return { razorpay_payment_id: payment.id, razorpay_order_id: orderId };
+            },
+            fetch: async (paymentId) => {
+                const payment = payments.get(paymentId);
+                if (!payment) {
+                    throw new Error(`The id provided does not exist: ${paymentId}`);
+                }
+                return payment;
+            }
+        }
+    };
+};
+
+/**
+ * Create a client for payment reconciliation
+ * Orders and their payments come from fixtures.orders, keyed by order ID, with amounts in paise as
+ * Razorpay returns them. Orders missing from the fixtures fail like unknown orders do on Razorpay.
+ * @param {Object} fixtures - { orders: { [orderId]: { status, amount, payments } } }
+ * @returns {Object} - Client with orders.fetch and orders.fetchPayments
+ */
+export const createReconciliationStubClient = (fixtures = {}) => {
+    const findOrder = (orderId) => {
+        const order = fixtures.orders?.[orderId];
+        if (!order) {
+            throw new Error(`The id provided does not exist: ${orderId}`);
+        }
+        return order;
+    };
+
+    return {
+        orders: {
+            fetch: async (orderId) => {
+                const { payments = [], ...order } = findOrder(orderId);
+                const paid = payments.filter(payment => payment.status === 'captured');
+                return {
+                    id: orderId,
+                    entity: 'order',
+                    currency: 'INR',
+                    amount_paid: paid.reduce((total, payment) => total + payment.amount, 0),
+                    attempts: payments.length,
+                    created_at: Math.floor(Date.now() / 1000),
+                    ...order
+                };
+            },
+            fetchPayments: async (orderId) => {
+                const { payments = [] } = findOrder(orderId);
+                return {
+                    entity: 'collection',
+                    count: payments.length,
+                    items: payments.map(payment => ({
+                        entity: 'payment',
+                        currency: 'INR',
+                        order_id: orderId,
+                        created_at: Math.floor(Date.now() / 1000),
+                        ...payment
+                    }))
+                };
+            }
+        }
+    };
+};
@@ -0,0 +1,87 @@
+/**
+ * Recurrence rules for appointment series
+ */
+
+export const RECURRENCE_FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+// Upper bound on the occurrences a single series can create
+export const MAX_SERIES_OCCURRENCES = 52;
+
+// Furthest a series may extend from its first occurrence
+const MAX_SERIES_SPAN_DAYS = 366;
+
+/**
+ * Validate a recurrence rule
+ * @param {Object} recurrence - { frequency, interval, count, endDate }
+ * @returns {string|null} - Error message, or null if the rule is valid
+ */
+export const validateRecurrence = (recurrence) => {
+    if (!recurrence || typeof recurrence !== 'object') {
+        return 'Recurrence must be an object';
+    }
+    const { frequency, interval = 1, count, endDate } = recurrence;
+
+    if (!RECURRENCE_FREQUENCIES.includes(frequency)) {
+        return `Recurrence frequency must be one of: ${RECURRENCE_FREQUENCIES.join(', ')}`;
+    }
+    if (!Number.isInteger(Number(interval)) || Number(interval) < 1 || Number(interval) > 12) {
+        return 'Recurrence interval must be between 1 and 12';
+    }
+    if (count === undefined && !endDate) {
+        return 'Recurrence requires either a count or an end date';
+    }
+    if (count !== undefined && (!Number.isInteger(Number(count)) || Number(count) < 2 || Number(count) > MAX_SERIES_OCCURRENCES)) {
+        return `Recurrence count must be between 2 and ${MAX_SERIES_OCCURRENCES}`;
+    }
+    if (endDate && isNaN(new Date(endDate).getTime())) {
+        return 'Recurrence end date is invalid';
+    }
+    return null;
+};
+
+// Add a number of calendar months, clamping to the last day of shorter months
+const addMonths = (date, months, dayOfMonth) => {
+    const next = new Date(date);
+    next.setUTCDate(1);
+    next.setUTCMonth(next.getUTCMonth() + months);
+    const lastDay = new Date(Date.UTC(next.getUTCFullYear(), next.getUTCMonth() + 1, 0)).getUTCDate();
+    next.setUTCDate(Math.min(dayOfMonth, lastDay));
+    return next;
+};
+
+/**
+ * Expand a recurrence rule into occurrence dates, starting with the first appointment
+ * Stops at the count, the end date (inclusive) or the series limits, whichever comes first.
+ * @param {Date} startDate - First occurrence
+ * @param {Object} recurrence - { frequency, interval, count, endDate }
+ * @returns {Array<Date>} - Occurrence dates
+ */
+export const getOccurrenceDates = (startDate, recurrence) => {
+    const interval = Number(recurrence.interval || 1);
+    const count = recurrence.count !== undefined ? Number(recurrence.count) : MAX_SERIES_OCCURRENCES;
+    const spanLimit = new Date(startDate.getTime() + MAX_SERIES_SPAN_DAYS * 24 * 60 * 60 * 1000);
+    let until = spanLimit;
+    if (recurrence.endDate) {
+        until = new Date(recurrence.endDate);
+        until.setUTCHours(23, 59, 59, 999);
+        until = until < spanLimit ? until : spanLimit;
+    }
+
+    const dates = [];
+    const dayOfMonth = startDate.getUTCDate();
+    for (let index = 0; dates.length < Math.min(count, MAX_SERIES_OCCURRENCES); index++) {
+        let occurrence;
+        if (recurrence.frequency === 'monthly') {
+            occurrence = addMonths(startDate, index * interval, dayOfMonth);
+        } else {
+            const stepDays = recurrence.frequency === 'weekly' ? 7 * interval : interval;
+            occurrence = new Date(startDate);
+            occurrence.setUTCDate(occurrence.getUTCDate() + index * stepDays);
+        }
+        if (occurrence > until) {
+            break;
+        }
+        dates.push(occurrence);
+    }
+    return dates;
+};
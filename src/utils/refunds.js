@@ -0,0 +1,276 @@
+/**
+ * Refunds: refundable amounts under policy, issuing refunds and keeping the ledger in step
+ */
+
+import { Refund } from '../models/refund.model.js';
+import { WalletTransaction } from '../models/walletTransaction.model.js';
+import { refundPayment } from './razorpay.js';
+import { recordRefundTransaction } from './transactions.js';
+import { creditWallet } from './wallet.js';
+import { logger } from './logger.js';
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the cooling-off period for a full membership refund (MEMBERSHIP_FULL_REFUND_DAYS, default 7)
+ * @returns {number} - Days after activation
+ */
+export const getMembershipFullRefundDays = () => {
+    const days = parseInt(process.env.MEMBERSHIP_FULL_REFUND_DAYS, 10);
+    return days >= 0 ? days : 7;
+};
+
+/**
+ * Get the refundable amount for a cancelled appointment
+ * Whatever was paid online is returned, less earlier refunds and any late cancellation fee.
+ * @param {Object} appointment - Appointment document
+ * @param {number} feeAmount - Late cancellation fee kept from the payment
+ * @returns {number} - Refundable amount
+ */
+export const getAppointmentRefundableAmount = (appointment, feeAmount = 0) =>
+    Math.max(0, roundAmount((appointment.amountPaid || 0) - (appointment.amountRefunded || 0) - feeAmount));
+
+/**
+ * Get the refundable amount for a cancelled membership
+ * Unused memberships are refunded in full during the cooling-off period. After that the
+ * unused share is refunded: the smaller of the time left and the appointments left.
+ * @param {Object} membership - Membership document
+ * @param {Date} at - Time of cancellation
+ * @returns {number} - Refundable amount
+ */
+export const getMembershipRefundableAmount = (membership, at = new Date()) => {
+    if (!['paid', 'partially_refunded'].includes(membership.paymentStatus)) {
+        return 0;
+    }
+    const refundable = roundAmount((membership.amountPaid || 0) - (membership.amountRefunded || 0));
+    if (refundable <= 0) {
+        return 0;
+    }
+
+    const activatedAt = membership.activatedAt || membership.startDate;
+    if (membership.usedAppointments === 0 && at - activatedAt <= getMembershipFullRefundDays() * DAY_MS) {
+        return refundable;
+    }
+
+    const totalTime = membership.expiryDate - membership.startDate;
+    const timeLeft = membership.expiryDate - Math.max(at, membership.startDate);
+    let unusedShare = totalTime > 0 ? Math.min(1, Math.max(0, timeLeft / totalTime)) : 0;
+
+    if (membership.remainingAppointments !== null && membership.remainingAppointments !== undefined) {
+        const totalAppointments = membership.remainingAppointments + membership.usedAppointments;
+        if (totalAppointments > 0) {
+            unusedShare = Math.min(unusedShare, membership.remainingAppointments / totalAppointments);
+        }
+    }
+
+    return Math.min(refundable, roundAmount(membership.amountPaid * unusedShare));
+};
+
+/**
+ * Add a refunded amount to an appointment or membership and update its payment status
+ * The caller saves the target.
+ * @param {Object} target - Appointment or Membership document
+ * @param {number} amount - Amount refunded
+ * @returns {Object} - The updated target
+ */
+export const applyRefundToTarget = (target, amount) => {
+    target.amountRefunded = roundAmount((target.amountRefunded || 0) + amount);
+    target.paymentStatus = target.amountRefunded >= target.amountPaid ? 'refunded' : 'partially_refunded';
+    return target;
+};
+
+// Send a ledger entry's refund to Razorpay and record the outcome on the entry
+const submitRefund = async (refund) => {
+    const result = await refundPayment(refund.razorpayPaymentId, refund.amount, {
+        reason: refund.reason || 'Cancellation refund',
+        refundLedgerId: refund._id.toString(),
+        targetType: refund.targetType,
+        targetId: refund.targetId.toString()
+    });
+
+    if (!result.success) {
+        refund.status = 'failed';
+        refund.failureReason = result.error;
+        await refund.save();
+        logger.error('Refund failed', { refundId: refund._id, paymentId: refund.razorpayPaymentId, error: result.error });
+        return false;
+    }
+
+    refund.razorpayRefundId = result.refund.id;
+    refund.failureReason = undefined;
+    if (result.refund.status === 'processed') {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+    } else {
+        refund.status = 'pending';
+    }
+    await refund.save();
+    await recordRefundTransaction(refund);
+
+    logger.info('Refund issued', {
+        refundId: refund._id,
+        razorpayRefundId: refund.razorpayRefundId,
+        targetType: refund.targetType,
+        targetId: refund.targetId,
+        amount: refund.amount
+    });
+    return true;
+};
+
+/**
+ * Issue a refund against a payment, record it in the ledger and apply it to the target
+ * Gateway failures don't throw: the ledger entry is marked failed so an admin can retry it,
+ * and the target is left unchanged. The caller saves the target.
+ * @param {Object} options - { target, targetType, userId, paymentId, amount, reason, source, initiatedBy }
+ * @returns {Promise<Object>} - The ledger entry
+ */
+export const issueRefund = async ({ target, targetType, userId, paymentId, amount, reason, source = 'cancellation', initiatedBy }) => {
+    const refund = await Refund.create({
+        targetType,
+        targetId: target._id,
+        targetModel: targetType === 'membership' ? 'Membership' : 'Appointment',
+        userId,
+        razorpayPaymentId: paymentId,
+        amount: roundAmount(amount),
+        reason,
+        source,
+        initiatedBy
+    });
+
+    if (await submitRefund(refund)) {
+        applyRefundToTarget(target, refund.amount);
+    }
+    return refund;
+};
+
+/**
+ * Retry a failed ledger entry
+ * @param {Object} refund - Failed Refund document
+ * @param {Object} target - Appointment or Membership the refund belongs to
+ * @returns {Promise<boolean>} - True when the gateway accepted the refund; the caller saves the target
+ */
+export const retryRefund = async (refund, target) => {
+    const accepted = await submitRefund(refund);
+    if (accepted) {
+        applyRefundToTarget(target, refund.amount);
+    }
+    return accepted;
+};
+
+// Return what is left to refund to the wallet it was paid from, up to the wallet share
+// not yet returned. Wallet refunds are instant, so they apply to the target straight away.
+const refundToWallet = async ({ target, targetType, amount, walletPaid, reason, initiatedBy }) => {
+    const targetField = targetType === 'membership' ? 'membershipId' : 'appointmentId';
+    const earlierCredits = await WalletTransaction.find({ [targetField]: target._id, type: 'credit', source: 'refund' });
+    const returned = earlierCredits.reduce((total, entry) => total + entry.amount, 0);
+    const portion = Math.min(amount, roundAmount(walletPaid - returned));
+    if (portion <= 0) {
+        return 0;
+    }
+
+    await creditWallet(target.userId, portion, {
+        source: 'refund',
+        idempotencyKey: `${targetType}:${target._id}:refund:${earlierCredits.length + 1}`,
+        [targetField]: target._id,
+        description: reason,
+        createdBy: initiatedBy
+    });
+    applyRefundToTarget(target, portion);
+
+    logger.info('Refund credited to wallet', { targetType, targetId: target._id, amount: portion });
+    return portion;
+};
+
+/**
+ * Refund an amount across an appointment's paid payments, latest payment first
+ * Each Razorpay payment is refunded at most what is left of it after earlier refunds;
+ * whatever remains goes back to the wallet for the share paid from it.
+ * @param {Object} appointment - Appointment document
+ * @param {number} amount - Amount to refund
+ * @param {Object} options - { reason, source, initiatedBy }
+ * @returns {Promise<Array>} - Ledger entries created for Razorpay refunds
+ */
+export const refundAppointmentPayments = async (appointment, amount, { reason, source, initiatedBy } = {}) => {
+    const refunds = [];
+    let remaining = roundAmount(amount);
+
+    const paidPayments = appointment.payments.filter(payment => payment.status === 'paid' && payment.razorpayPaymentId);
+    for (const payment of paidPayments.reverse()) {
+        if (remaining <= 0) {
+            break;
+        }
+
+        const earlierRefunds = await Refund.find({
+            razorpayPaymentId: payment.razorpayPaymentId,
+            status: { $in: ['pending', 'processed'] }
+        });
+        const refunded = earlierRefunds.reduce((total, refund) => total + refund.amount, 0);
+        const portion = Math.min(remaining, roundAmount(payment.amount - refunded));
+        if (portion <= 0) {
+            continue;
+        }
+
+        refunds.push(await issueRefund({
+            target: appointment,
+            targetType: 'appointment',
+            userId: appointment.userId,
+            paymentId: payment.razorpayPaymentId,
+            amount: portion,
+            reason,
+            source,
+            initiatedBy
+        }));
+        remaining = roundAmount(remaining - portion);
+    }
+
+    const walletPaid = appointment.payments
+        .filter(payment => payment.status === 'paid' && payment.method === 'wallet')
+        .reduce((total, payment) => total + payment.amount, 0);
+    if (remaining > 0 && walletPaid > 0) {
+        await refundToWallet({ target: appointment, targetType: 'appointment', amount: remaining, walletPaid, reason, initiatedBy });
+    }
+    return refunds;
+};
+
+/**
+ * Refund an amount of a membership payment, the Razorpay share first and then the wallet share
+ * @param {Object} membership - Membership document
+ * @param {number} amount - Amount to refund
+ * @param {Object} options - { reason, source, initiatedBy }
+ * @returns {Promise<Object|null>} - Ledger entry for the Razorpay refund, if one was issued
+ */
+export const refundMembershipPayment = async (membership, amount, { reason, source, initiatedBy } = {}) => {
+    let remaining = roundAmount(amount);
+    let refund = null;
+
+    const walletPaid = membership.walletAmount || 0;
+    if (membership.razorpayPaymentId) {
+        const earlierRefunds = await Refund.find({
+            razorpayPaymentId: membership.razorpayPaymentId,
+            status: { $in: ['pending', 'processed'] }
+        });
+        const refunded = earlierRefunds.reduce((total, entry) => total + entry.amount, 0);
+        const portion = Math.min(remaining, roundAmount(membership.amountPaid - walletPaid - refunded));
+        if (portion > 0) {
+            refund = await issueRefund({
+                target: membership,
+                targetType: 'membership',
+                userId: membership.userId,
+                paymentId: membership.razorpayPaymentId,
+                amount: portion,
+                reason,
+                source,
+                initiatedBy
+            });
+            remaining = roundAmount(remaining - portion);
+        }
+    }
+
+    if (remaining > 0 && walletPaid > 0) {
+        await refundToWallet({ target: membership, targetType: 'membership', amount: remaining, walletPaid, reason, initiatedBy });
+    }
+    return refund;
+};
@@ -0,0 +1,139 @@
+/**
+ * Automatic stylist assignment for "no preference" bookings
+ */
+
+import { Stylist } from '../models/stylist.model.js';
+import { Appointment } from '../models/appointment.model.js';
+import {
+    getBookedIntervals,
+    getScheduleConflict,
+    getStylistDaySchedule,
+    intervalsOverlap
+} from './availability.js';
+
+// Stylist specialties that qualify for each service category
+export const CATEGORY_SPECIALTIES = {
+    hair: ['hair'],
+    nail: ['nail', 'nails'],
+    skin: ['skin', 'skincare'],
+    body: ['body', 'massage']
+};
+
+export const ASSIGNMENT_STRATEGIES = ['least_loaded', 'highest_rated', 'round_robin'];
+
+/**
+ * Get the configured assignment strategy (STYLIST_ASSIGNMENT_STRATEGY), defaulting to least_loaded
+ * @returns {string} - One of ASSIGNMENT_STRATEGIES
+ */
+export const getAssignmentStrategy = () => {
+    const strategy = (process.env.STYLIST_ASSIGNMENT_STRATEGY || '').toLowerCase();
+    return ASSIGNMENT_STRATEGIES.includes(strategy) ? strategy : 'least_loaded';
+};
+
+/**
+ * Check whether a stylist's specialties cover a service category
+ * @param {Object} stylist - Stylist with specialties
+ * @param {string} category - Service category
+ * @returns {boolean} - True if the stylist can perform services of the category
+ */
+export const stylistMatchesCategory = (stylist, category) => {
+    const accepted = CATEGORY_SPECIALTIES[category] || [category];
+    return (stylist.specialties || []).some(specialty => accepted.includes(specialty.toLowerCase().trim()));
+};
+
+/**
+ * Find active stylists able to perform every given service category at a location
+ * @param {Array<string>} categories - Service categories to cover (empty matches everyone)
+ * @param {Object} options - { location, session }
+ * @returns {Promise<Array>} - Eligible stylists
+ */
+export const findEligibleStylists = async (categories = [], options = {}) => {
+    const query = { isActive: true };
+    if (options.location === 'home') query.availableForHome = true;
+    if (options.location === 'salon') query.availableForSalon = true;
+
+    let stylistQuery = Stylist.find(query);
+    if (options.session) {
+        stylistQuery = stylistQuery.session(options.session);
+    }
+    const stylists = await stylistQuery;
+
+    const requiredCategories = [...new Set(categories)];
+    return stylists.filter(stylist =>
+        requiredCategories.every(category => stylistMatchesCategory(stylist, category))
+    );
+};
+
+/**
+ * Get when each stylist was last assigned an appointment (for round-robin)
+ * @param {Array} stylists - Candidate stylists
+ * @param {Object} options - { session }
+ * @returns {Promise<Map>} - Stylist ID to last assignment time (epoch ms, 0 if never)
+ */
+const getLastAssignmentTimes = async (stylists, options = {}) => {
+    const lastAssigned = new Map();
+    for (const stylist of stylists) {
+        let appointmentQuery = Appointment.findOne({
+            $or: [{ stylistId: stylist._id }, { 'services.stylistId': stylist._id }]
+        }).sort({ createdAt: -1 }).select('createdAt');
+        if (options.session) {
+            appointmentQuery = appointmentQuery.session(options.session);
+        }
+        const lastAppointment = await appointmentQuery;
+        lastAssigned.set(stylist._id.toString(), lastAppointment ? lastAppointment.createdAt.getTime() : 0);
+    }
+    return lastAssigned;
+};
+
+/**
+ * Pick a free stylist for a set of line intervals on a day
+ * Candidates are filtered to those whose schedule covers every interval and who have
+ * no overlapping booking, then ordered by the strategy:
+ * - least_loaded: fewest booked minutes that day, then highest rating
+ * - highest_rated: highest rating, then fewest booked minutes
+ * - round_robin: longest since their last assignment
+ * @param {Array} candidates - Eligible stylists
+ * @param {Date|string} date - Appointment day
+ * @param {Array<{start: number, end: number}>} intervals - Minute intervals to cover
+ * @param {Object} options - { strategy, excludeAppointmentId, session }
+ * @returns {Promise<Object|null>} - The chosen stylist, or null if none is free
+ */
+export const pickAvailableStylist = async (candidates, date, intervals, options = {}) => {
+    const strategy = options.strategy || getAssignmentStrategy();
+    const available = [];
+
+    for (const stylist of candidates) {
+        const schedule = await getStylistDaySchedule(stylist, date, options);
+        if (getScheduleConflict(schedule, intervals)) {
+            continue;
+        }
+
+        const bookedIntervals = await getBookedIntervals({ stylistId: stylist._id }, date, options);
+        const isBooked = intervals.some(interval =>
+            bookedIntervals.some(booked => intervalsOverlap(interval.start, interval.end, booked.start, booked.end))
+        );
+        if (isBooked) {
+            continue;
+        }
+
+        const load = bookedIntervals.reduce((total, booked) => total + (booked.end - booked.start), 0);
+        available.push({ stylist, load });
+    }
+
+    if (available.length === 0) {
+        return null;
+    }
+
+    if (strategy === 'round_robin') {
+        const lastAssigned = await getLastAssignmentTimes(available.map(item => item.stylist), options);
+        available.sort((a, b) =>
+            lastAssigned.get(a.stylist._id.toString()) - lastAssigned.get(b.stylist._id.toString())
+        );
+    } else if (strategy === 'highest_rated') {
+        available.sort((a, b) => (b.stylist.rating - a.stylist.rating) || (a.load - b.load));
+    } else {
+        available.sort((a, b) => (a.load - b.load) || (b.stylist.rating - a.stylist.rating));
+    }
+
+    return available[0].stylist;
+};
@@ -0,0 +1,251 @@
+/**
+ * Tips: sharing gratuities between the stylists who served a visit and totalling them per stylist
+ */
+
+import mongoose from 'mongoose';
+import { Appointment } from '../models/appointment.model.js';
+import { recordTipTransaction } from './transactions.js';
+
+export const TIP_METHODS = ['razorpay', 'wallet', 'cash', 'upi', 'card'];
+export const ONLINE_TIP_METHODS = ['razorpay', 'wallet'];
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check whether a tip can be added to an appointment
+ * @param {Object} appointment - Appointment document
+ * @returns {string|null} - Reason a tip cannot be added, or null
+ */
+export const getTipError = (appointment) => {
+    if (appointment.status !== 'completed') {
+        return 'Tips can only be added to a completed appointment';
+    }
+    return null;
+};
+
+/**
+ * Get the stylists who served a visit, in service order
+ * @param {Object} appointment - Appointment document
+ * @returns {Array} - Distinct stylist IDs
+ */
+export const getServingStylistIds = (appointment) => {
+    const stylistIds = appointment.services.map(line => line.stylistId).filter(Boolean);
+    if (stylistIds.length === 0 && appointment.stylistId) {
+        stylistIds.push(appointment.stylistId);
+    }
+    return [...new Map(stylistIds.map(stylistId => [stylistId.toString(), stylistId])).values()];
+};
+
+/**
+ * Share a tip between the stylists who served the visit
+ * Without allocations the tip is split evenly, any paisa left over going to the first stylist.
+ * Given allocations must name stylists who served the visit and add up to the tip.
+ * @param {Object} appointment - Appointment document
+ * @param {number} amount - Tip amount
+ * @param {Array} allocations - Optional [{ stylistId, amount }]
+ * @returns {Object} - { allocations } or { error }
+ */
+export const buildTipAllocations = (appointment, amount, allocations = []) => {
+    const servingIds = getServingStylistIds(appointment);
+
+    if (allocations.length === 0) {
+        if (servingIds.length === 0) {
+            return { error: 'Choose the stylists to receive the tip' };
+        }
+        const paise = Math.round(amount * 100);
+        const share = Math.floor(paise / servingIds.length);
+        const remainder = paise - share * servingIds.length;
+        return {
+            allocations: servingIds.map((stylistId, index) => ({
+                stylistId,
+                amount: (share + (index === 0 ? remainder : 0)) / 100
+            }))
+        };
+    }
+
+    const served = new Set(servingIds.map(String));
+    const allocated = new Set();
+    for (const allocation of allocations) {
+        const stylistId = String(allocation.stylistId);
+        if (!served.has(stylistId)) {
+            return { error: 'Tips can only be allocated to stylists who served this visit' };
+        }
+        if (allocated.has(stylistId)) {
+            return { error: 'Each stylist can only be allocated once' };
+        }
+        allocated.add(stylistId);
+    }
+
+    const total = roundAmount(allocations.reduce((sum, allocation) => sum + parseFloat(allocation.amount), 0));
+    if (total !== roundAmount(amount)) {
+        return { error: `Allocations total ${total} but the tip is ${roundAmount(amount)}` };
+    }
+    return {
+        allocations: allocations.map(allocation => ({
+            stylistId: allocation.stylistId,
+            amount: roundAmount(parseFloat(allocation.amount))
+        }))
+    };
+};
+
+/**
+ * Mark a tip paid and add it to the appointment's tip total
+ * Used for tips paid as they are added; online tips are settled with settleTipPayment.
+ * The caller saves the appointment.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} tip - Entry of appointment.tips being settled
+ * @param {Object} details - { razorpayPaymentId, razorpaySignature } for online tips
+ * @returns {Object} - The updated appointment
+ */
+export const applyTipPayment = (appointment, tip, { razorpayPaymentId, razorpaySignature } = {}) => {
+    tip.status = 'paid';
+    if (razorpayPaymentId) {
+        tip.razorpayPaymentId = razorpayPaymentId;
+        tip.razorpaySignature = razorpaySignature;
+    }
+    tip.paidAt = new Date();
+
+    appointment.tipTotal = roundAmount((appointment.tipTotal || 0) + tip.amount);
+    return appointment;
+};
+
+/**
+ * Settle an online tip from its captured Razorpay payment and record it in the payments ledger
+ * The tip is marked paid and added to the tip total in one conditional update, so when the
+ * verify call and the webhook race only one of them counts it.
+ * @param {Object} appointment - Appointment document holding the tip
+ * @param {string} orderId - Razorpay order of the tip
+ * @param {Object} details - { razorpayPaymentId, razorpaySignature, recordedBy }
+ * @returns {Promise<Object|null>} - { appointment, tip } as stored, or null when the tip was already paid
+ */
+export const settleTipPayment = async (appointment, orderId, { razorpayPaymentId, razorpaySignature, recordedBy } = {}) => {
+    const tip = appointment.tips.find(item => item.razorpayOrderId === orderId);
+    if (!tip || tip.status === 'paid') {
+        return null;
+    }
+
+    const settled = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, tips: { $elemMatch: { _id: tip._id, status: { $ne: 'paid' } } } },
+        {
+            $set: {
+                'tips.$.status': 'paid',
+                'tips.$.razorpayPaymentId': razorpayPaymentId,
+                'tips.$.razorpaySignature': razorpaySignature,
+                'tips.$.paidAt': new Date()
+            },
+            $inc: { tipTotal: tip.amount }
+        },
+        { new: true }
+    );
+    if (!settled) {
+        return null;
+    }
+
+    const settledTip = settled.tips.id(tip._id);
+    await recordTipTransaction(settled, settledTip, { recordedBy });
+    return { appointment: settled, tip: settledTip };
+};
+
+// Paid tip allocations within a period, one document per stylist share
+const getAllocationPipeline = ({ start, end, stylistId }) => {
+    const tipFilter = { status: 'paid' };
+    if (start || end) {
+        tipFilter.paidAt = {};
+        if (start) tipFilter.paidAt.$gte = start;
+        if (end) tipFilter.paidAt.$lt = end;
+    }
+    const unwoundFilter = Object.fromEntries(
+        Object.entries(tipFilter).map(([field, condition]) => [`tips.${field}`, condition])
+    );
+
+    return [
+        { $match: { tips: { $elemMatch: tipFilter } } },
+        { $unwind: '$tips' },
+        { $match: unwoundFilter },
+        { $unwind: '$tips.allocations' },
+        ...(stylistId
+            ? [{ $match: { 'tips.allocations.stylistId': new mongoose.Types.ObjectId(stylistId) } }]
+            : [])
+    ];
+};
+
+/**
+ * Total the paid tips allocated to each stylist
+ * @param {Object} filters - { start, end, stylistId }; start and end bound when the tip was paid
+ * @returns {Promise<Array>} - [{ stylistId, stylistName, totalTips, tipCount, appointmentCount, byMethod }]
+ */
+export const getStylistTipTotals = (filters = {}) =>
+    Appointment.aggregate([
+        ...getAllocationPipeline(filters),
+        {
+            $group: {
+                _id: { stylistId: '$tips.allocations.stylistId', method: '$tips.method' },
+                amount: { $sum: '$tips.allocations.amount' },
+                tipCount: { $sum: 1 },
+                appointments: { $addToSet: '$_id' }
+            }
+        },
+        {
+            $group: {
+                _id: '$_id.stylistId',
+                totalTips: { $sum: '$amount' },
+                tipCount: { $sum: '$tipCount' },
+                appointments: { $push: '$appointments' },
+                byMethod: { $push: { method: '$_id.method', amount: '$amount', tipCount: '$tipCount' } }
+            }
+        },
+        {
+            $lookup: {
+                from: 'stylists',
+                localField: '_id',
+                foreignField: '_id',
+                as: 'stylist'
+            }
+        },
+        {
+            $project: {
+                _id: 0,
+                stylistId: '$_id',
+                stylistName: { $arrayElemAt: ['$stylist.name', 0] },
+                totalTips: { $round: ['$totalTips', 2] },
+                tipCount: 1,
+                appointmentCount: {
+                    $size: {
+                        $reduce: {
+                            input: '$appointments',
+                            initialValue: [],
+                            in: { $setUnion: ['$$value', '$$this'] }
+                        }
+                    }
+                },
+                byMethod: 1
+            }
+        },
+        { $sort: { totalTips: -1 } }
+    ]);
+
+/**
+ * List the paid tips allocated to one stylist, newest first
+ * @param {string} stylistId - Stylist ID
+ * @param {Object} filters - { start, end }
+ * @returns {Promise<Array>} - [{ appointmentId, bookingReference, date, tipId, method, tipAmount, amount, paidAt }]
+ */
+export const getStylistTips = (stylistId, { start, end } = {}) =>
+    Appointment.aggregate([
+        ...getAllocationPipeline({ start, end, stylistId }),
+        {
+            $project: {
+                _id: 0,
+                appointmentId: '$_id',
+                bookingReference: 1,
+                date: 1,
+                tipId: '$tips._id',
+                method: '$tips.method',
+                tipAmount: '$tips.amount',
+                amount: '$tips.allocations.amount',
+                paidAt: '$tips.paidAt'
+            }
+        },
+        { $sort: { paidAt: -1 } }
+    ]);
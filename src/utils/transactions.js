@@ -0,0 +1,202 @@
+/**
+ * Payment transactions ledger: recording charges, refunds and fees, and revenue totals
+ */
+
+import { Transaction } from '../models/transaction.model.js';
+import { logger } from './logger.js';
+
+export const TRANSACTION_TYPES = ['charge', 'refund', 'fee', 'tip'];
+export const TRANSACTION_METHODS = ['razorpay', 'cash', 'upi', 'card'];
+export const COUNTER_PAYMENT_METHODS = ['cash', 'upi', 'card'];
+
+// Refunds the gateway has accepted count against revenue before Razorpay settles them
+export const REVENUE_STATUSES = ['pending', 'completed'];
+
+// Tips belong to the stylists, so they are not salon revenue
+export const REVENUE_TYPES = ['charge', 'refund', 'fee'];
+
+// Ledger status for a refund ledger entry
+const REFUND_TRANSACTION_STATUS = { pending: 'pending', processed: 'completed', failed: 'failed' };
+
+/**
+ * Aggregation expression for a transaction's effect on revenue: refunds count negative
+ */
+export const SIGNED_AMOUNT = {
+    $cond: [{ $eq: ['$type', 'refund'] }, { $multiply: ['$amount', -1] }, '$amount']
+};
+
+/**
+ * Record a transaction once per idempotency key
+ * Recording again with the same key only updates the status and gateway refund ID, so
+ * verify calls, webhooks and replays can all record the same payment safely. Ledger
+ * failures are logged rather than thrown: the payment itself has already happened.
+ * @param {Object} data - Transaction fields including idempotencyKey
+ * @returns {Promise<Object|null>} - The transaction, or null when it could not be recorded
+ */
+export const recordTransaction = async ({ idempotencyKey, status = 'completed', razorpayRefundId, ...data }) => {
+    try {
+        const update = { $set: { status }, $setOnInsert: data };
+        if (razorpayRefundId) {
+            update.$set.razorpayRefundId = razorpayRefundId;
+        }
+        return await Transaction.findOneAndUpdate({ idempotencyKey }, update, {
+            new: true,
+            upsert: true,
+            runValidators: true,
+            setDefaultsOnInsert: true
+        });
+    } catch (error) {
+        logger.error('Failed to record transaction', { idempotencyKey, type: data.type, error: error.message });
+        return null;
+    }
+};
+
+/**
+ * Record a Razorpay payment captured for an appointment
+ * @param {Object} appointment - Appointment document
+ * @param {Object} payment - Paid entry of appointment.payments
+ * @param {Object} options - { recordedBy }
+ * @returns {Promise<Object|null>} - The transaction
+ */
+export const recordAppointmentCharge = (appointment, payment, { recordedBy } = {}) =>
+    recordTransaction({
+        idempotencyKey: `charge:razorpay:${payment.razorpayPaymentId}`,
+        type: 'charge',
+        method: 'razorpay',
+        amount: payment.amount,
+        currency: payment.currency,
+        userId: appointment.userId,
+        appointmentId: appointment._id,
+        razorpayOrderId: payment.razorpayOrderId,
+        razorpayPaymentId: payment.razorpayPaymentId,
+        description: `Appointment ${payment.type} payment (${appointment.bookingReference})`,
+        recordedBy,
+        occurredAt: payment.paidAt
+    });
+
+/**
+ * Record a Razorpay payment captured for a membership
+ * Only the part charged through Razorpay is recorded; any wallet share moved no money.
+ * @param {Object} membership - Paid Membership document
+ * @returns {Promise<Object|null>} - The transaction
+ */
+export const recordMembershipCharge = (membership) =>
+    recordTransaction({
+        idempotencyKey: `charge:razorpay:${membership.razorpayPaymentId}`,
+        type: 'charge',
+        method: 'razorpay',
+        amount: Math.round((membership.amountPaid - (membership.walletAmount || 0)) * 100) / 100,
+        userId: membership.userId,
+        membershipId: membership._id,
+        razorpayOrderId: membership.razorpayOrderId,
+        razorpayPaymentId: membership.razorpayPaymentId,
+        description: `Membership payment (${membership.packageName})`,
+        occurredAt: membership.activatedAt
+    });
+
+/**
+ * Record a paid tip
+ * Tips paid from the wallet moved no money and are not recorded.
+ * @param {Object} appointment - Appointment document
+ * @param {Object} tip - Paid entry of appointment.tips
+ * @param {Object} options - { recordedBy }
+ * @returns {Promise<Object|null>} - The transaction
+ */
+export const recordTipTransaction = (appointment, tip, { recordedBy } = {}) => {
+    if (tip.method === 'wallet') {
+        return Promise.resolve(null);
+    }
+    return recordTransaction({
+        idempotencyKey: `tip:${tip._id}`,
+        type: 'tip',
+        method: tip.method,
+        source: tip.method === 'razorpay' ? 'online' : 'counter',
+        amount: tip.amount,
+        userId: appointment.userId,
+        appointmentId: appointment._id,
+        tipId: tip._id,
+        razorpayOrderId: tip.razorpayOrderId,
+        razorpayPaymentId: tip.razorpayPaymentId,
+        reference: tip.reference,
+        description: `Tip (${appointment.bookingReference})`,
+        recordedBy,
+        occurredAt: tip.paidAt
+    });
+};
+
+/**
+ * Record a refund ledger entry, or update its status when it is recorded again
+ * Failed refunds never moved money and are not recorded.
+ * @param {Object} refund - Refund document
+ * @returns {Promise<Object|null>} - The transaction
+ */
+export const recordRefundTransaction = (refund) => {
+    if (refund.status === 'failed') {
+        return Promise.resolve(null);
+    }
+    return recordTransaction({
+        idempotencyKey: `refund:${refund._id}`,
+        type: 'refund',
+        method: 'razorpay',
+        source: refund.source === 'gateway' ? 'gateway' : 'online',
+        status: REFUND_TRANSACTION_STATUS[refund.status],
+        amount: refund.amount,
+        currency: refund.currency,
+        userId: refund.userId,
+        [refund.targetType === 'membership' ? 'membershipId' : 'appointmentId']: refund.targetId,
+        refundId: refund._id,
+        razorpayPaymentId: refund.razorpayPaymentId,
+        razorpayRefundId: refund.razorpayRefundId,
+        description: refund.reason,
+        recordedBy: refund.initiatedBy
+    });
+};
+
+/**
+ * Record a cancellation or no-show fee collected at the counter
+ * @param {Object} appointment - Appointment document
+ * @param {Object} fee - Paid entry of appointment.fees
+ * @param {Object} options - { method, recordedBy }
+ * @returns {Promise<Object|null>} - The transaction
+ */
+export const recordFeeTransaction = (appointment, fee, { method, recordedBy }) =>
+    recordTransaction({
+        idempotencyKey: `fee:${fee._id}`,
+        type: 'fee',
+        method,
+        source: 'counter',
+        amount: fee.amount,
+        userId: appointment.userId,
+        appointmentId: appointment._id,
+        feeId: fee._id,
+        description: `${fee.type === 'no_show' ? 'No-show' : 'Late cancellation'} fee (${appointment.bookingReference})`,
+        recordedBy
+    });
+
+/**
+ * Total the revenue of the transactions matching a filter
+ * Tips are left out unless the filter asks for them by type.
+ * @param {Object} match - Transaction filter
+ * @returns {Promise<Object>} - { grossRevenue, refunds, netRevenue, transactionCount }
+ */
+export const getRevenueTotals = async (match = {}) => {
+    const [totals] = await Transaction.aggregate([
+        { $match: { status: { $in: REVENUE_STATUSES }, type: { $in: REVENUE_TYPES }, ...match } },
+        {
+            $group: {
+                _id: null,
+                grossRevenue: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, 0, '$amount'] } },
+                refunds: { $sum: { $cond: [{ $eq: ['$type', 'refund'] }, '$amount', 0] } },
+                netRevenue: { $sum: SIGNED_AMOUNT },
+                transactionCount: { $sum: 1 }
+            }
+        }
+    ]);
+
+    return {
+        grossRevenue: totals?.grossRevenue || 0,
+        refunds: totals?.refunds || 0,
+        netRevenue: totals?.netRevenue || 0,
+        transactionCount: totals?.transactionCount || 0
+    };
+};
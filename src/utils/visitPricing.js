@@ -0,0 +1,120 @@
+/**
+ * Visit pricing: service lines, service discounts and offer codes
+ */
+
+import { Service } from '../models/service.model.js';
+import { Offer } from '../models/offer.model.js';
+import { ApiError } from './ApiError.js';
+
+/**
+ * Get a service's price with its own active discount applied
+ * @param {Object} service - Service document
+ * @returns {number} - Effective price
+ */
+export const getEffectiveServicePrice = (service) => {
+    if (service.discount && service.discount.isActive && service.discount.percentage > 0) {
+        const now = new Date();
+        const validFrom = service.discount.validFrom ? new Date(service.discount.validFrom) : null;
+        const validUntil = service.discount.validUntil ? new Date(service.discount.validUntil) : null;
+
+        // Check if discount is within valid date range
+        const isDiscountValid = (!validFrom || now >= validFrom) && (!validUntil || now <= validUntil);
+
+        if (isDiscountValid) {
+            const discountAmount = (service.price * service.discount.percentage) / 100;
+            return Math.max(0, service.price - discountAmount);
+        }
+    }
+    return service.price;
+};
+
+/**
+ * Sum the line prices covered by an offer's service and category restrictions
+ * @param {Object} offer - Offer document
+ * @param {Array} lines - Priced service lines
+ * @returns {number} - Eligible amount
+ */
+export const getOfferEligibleAmount = (offer, lines) => {
+    return lines
+        .filter(line => {
+            const serviceMatches = offer.applicableServices.length === 0 ||
+                offer.applicableServices.some(id => id.toString() === line.serviceId.toString());
+            const categoryMatches = offer.applicableCategories.length === 0 ||
+                offer.applicableCategories.includes(line.category);
+            return serviceMatches && categoryMatches;
+        })
+        .reduce((total, line) => total + line.price, 0);
+};
+
+/**
+ * Resolve requested service lines into priced, timed lines, validating each service
+ * @param {Array} requestedLines - [{ serviceId, stylistId }]
+ * @param {Object} options - { stylistId, location, session }
+ * @returns {Promise<Array>} - Service lines ready to store on an appointment
+ * @throws {ApiError} - When a service is missing, inactive or not offered at the location
+ */
+export const buildVisitLines = async (requestedLines, { stylistId, location, session }) => {
+    const serviceIds = requestedLines.map(line => line.serviceId);
+    const serviceDocs = await Service.find({ _id: { $in: serviceIds } }).session(session);
+
+    return requestedLines.map(line => {
+        const service = serviceDocs.find(doc => doc._id.toString() === line.serviceId.toString());
+        if (!service) {
+            throw new ApiError(404, 'Service not found');
+        }
+        if (!service.isActive) {
+            throw new ApiError(400, `Service ${service.name} is currently inactive`);
+        }
+        if (location === 'home' && !service.availableAtHome) {
+            throw new ApiError(400, `${service.name} is not available at home`);
+        }
+        if (location === 'salon' && !service.availableAtSalon) {
+            throw new ApiError(400, `${service.name} is not available at salon`);
+        }
+
+        return {
+            serviceId: service._id,
+            serviceName: service.name,
+            category: service.category,
+            price: getEffectiveServicePrice(service),
+            duration: service.duration,
+            stylistId: line.stylistId || stylistId || undefined,
+            sacCode: service.sacCode,
+            gstRate: service.gstRate
+        };
+    });
+};
+
+/**
+ * Validate an offer code against a visit's service lines and work out its discount
+ * Mixed-category visits skip the offer's single-category check; only covered lines are discounted.
+ * @param {string} offerCode - Offer code entered by the customer
+ * @param {Array} lines - Priced service lines
+ * @param {Object} options - { session }
+ * @returns {Promise<Object>} - { offer, discount }
+ * @throws {ApiError} - When the code is unknown, expired or does not apply to the visit
+ */
+export const resolveOfferDiscount = async (offerCode, lines, { session } = {}) => {
+    const offer = await Offer.findOne({ code: offerCode.toUpperCase() }).session(session);
+    if (!offer) {
+        throw new ApiError(400, 'Invalid offer code');
+    }
+    if (!offer.isValid) {
+        throw new ApiError(400, 'Offer is not currently valid');
+    }
+
+    const subtotal = lines.reduce((total, line) => total + line.price, 0);
+    const categories = [...new Set(lines.map(line => line.category))];
+    const category = categories.length === 1 ? categories[0] : null;
+    const validation = offer.canBeApplied(subtotal, lines.map(line => line.serviceId), category);
+    if (!validation.canApply) {
+        throw new ApiError(400, validation.reason || 'Offer cannot be applied to this booking');
+    }
+
+    const eligibleAmount = getOfferEligibleAmount(offer, lines);
+    if (eligibleAmount <= 0) {
+        throw new ApiError(400, 'Offer not applicable to selected services');
+    }
+
+    return { offer, discount: offer.calculateDiscount(eligibleAmount) };
+};
@@ -0,0 +1,270 @@
+/**
+ * Waitlist offers: hand freed slots to waitlisted customers in queue order
+ */
+
+import { Waitlist } from '../models/waitlist.model.js';
+import { Stylist } from '../models/stylist.model.js';
+import { User } from '../models/user.model.js';
+import {
+    findConflictingAppointment,
+    getDayRange,
+    getLineIntervals,
+    getSalonClock,
+    getScheduleConflict,
+    getStylistDaySchedule,
+    minutesToTime,
+    timeToMinutes
+} from './availability.js';
+import { stylistMatchesCategory } from './stylistAssignment.js';
+import { notifyUser } from './notifications.js';
+import { logger } from './logger.js';
+
+// Queue order: highest priority first, then first come first served
+export const WAITLIST_QUEUE_ORDER = { priority: -1, createdAt: 1 };
+
+/**
+ * Get how long an offered slot is held for the customer (WAITLIST_OFFER_HOLD_MINUTES, default 30)
+ * @returns {number} - Hold length in minutes
+ */
+export const getOfferHoldMinutes = () => {
+    const minutes = parseInt(process.env.WAITLIST_OFFER_HOLD_MINUTES, 10);
+    return minutes > 0 ? minutes : 30;
+};
+
+/**
+ * Get how often lapsed offers are expired (WAITLIST_EXPIRY_INTERVAL_MINUTES, default 5, 0 turns it off)
+ * @returns {number} - Interval in minutes
+ */
+export const getWaitlistExpiryIntervalMinutes = () => {
+    const minutes = parseInt(process.env.WAITLIST_EXPIRY_INTERVAL_MINUTES, 10);
+    return minutes >= 0 ? minutes : 5;
+};
+
+// Check whether an entry was already offered this exact slot
+const wasOffered = (entry, slot) => entry.offerHistory.some(offer =>
+    offer.stylistId.toString() === slot.stylistId.toString() &&
+    offer.date.getTime() === getDayRange(slot.date).start.getTime() &&
+    offer.timeSlot === slot.timeSlot
+);
+
+/**
+ * Hold a slot for a waitlist entry, mark it as offered and tell the customer
+ * @param {Object} entry - Waitlist entry document
+ * @param {Object} slot - { date, timeSlot, stylistId, duration }
+ * @returns {Promise<Object>} - The updated entry
+ */
+export const holdSlotForEntry = async (entry, slot) => {
+    const offer = {
+        date: getDayRange(slot.date).start,
+        timeSlot: slot.timeSlot,
+        stylistId: slot.stylistId,
+        duration: slot.duration,
+        offeredAt: new Date(),
+        expiresAt: new Date(Date.now() + getOfferHoldMinutes() * 60 * 1000),
+        outcome: 'pending'
+    };
+    entry.status = 'offered';
+    entry.currentOffer = offer;
+    entry.offerHistory.push(offer);
+    await entry.save();
+
+    logger.info('Waitlist slot offered', {
+        waitlistEntryId: entry._id,
+        userId: entry.userId,
+        stylistId: offer.stylistId,
+        date: offer.date,
+        timeSlot: offer.timeSlot,
+        expiresAt: offer.expiresAt
+    });
+
+    const user = await User.findById(entry.userId).select('name email');
+    await notifyUser(user, {
+        subject: 'A waitlisted slot is available',
+        text: `A slot opened up on ${offer.date.toISOString().split('T')[0]} at ${offer.timeSlot}. It is held for you until ${getSalonClock(offer.expiresAt).timeSlot}; book it from your waitlist before then.`
+    });
+    return entry;
+};
+
+/**
+ * Offer a freed stylist slot to the first matching customer in the waitlist
+ * An entry matches when the slot's day is in its date range, its stylist preference
+ * (if any) is the slot's stylist, the service fits in the freed time and the stylist
+ * can still take it. Slots that have already started on the salon clock are not offered.
+ * @param {Object} slot - { stylistId, date, start, end } with start/end in minutes
+ * @param {Object} options - { now }
+ * @returns {Promise<Object|null>} - The entry that received the offer, if any
+ */
+export const offerFreedSlot = async (slot, { now = new Date() } = {}) => {
+    const { start: dayStart } = getDayRange(slot.date);
+    const clock = getSalonClock(now);
+    if (dayStart < clock.date || (dayStart.getTime() === clock.date.getTime() && slot.start <= timeToMinutes(clock.timeSlot))) {
+        return null;
+    }
+
+    const stylist = await Stylist.findById(slot.stylistId);
+    if (!stylist || !stylist.isActive) {
+        return null;
+    }
+
+    const entries = await Waitlist.find({
+        status: 'waiting',
+        dateFrom: { $lte: dayStart },
+        dateTo: { $gte: dayStart },
+        $or: [{ stylistId: null }, { stylistId: slot.stylistId }]
+    })
+        .sort(WAITLIST_QUEUE_ORDER)
+        .populate('serviceId', 'duration category isActive');
+
+    const timeSlot = minutesToTime(slot.start);
+    const schedule = await getStylistDaySchedule(stylist, dayStart);
+
+    for (const entry of entries) {
+        const service = entry.serviceId;
+        if (!service || !service.isActive || service.duration > slot.end - slot.start) {
+            continue;
+        }
+        if (!entry.stylistId && !stylistMatchesCategory(stylist, service.category)) {
+            continue;
+        }
+        if (entry.location === 'home' ? !stylist.availableForHome : !stylist.availableForSalon) {
+            continue;
+        }
+        if (wasOffered(entry, { ...slot, timeSlot })) {
+            continue;
+        }
+
+        // Make sure nothing has been booked or held in the freed time since
+        const interval = { start: slot.start, end: slot.start + service.duration };
+        if (getScheduleConflict(schedule, [interval])) {
+            continue;
+        }
+        const conflict = await findConflictingAppointment(
+            { stylistId: slot.stylistId }, dayStart, timeSlot, service.duration
+        );
+        if (conflict) {
+            continue;
+        }
+
+        await holdSlotForEntry(entry, { date: dayStart, timeSlot, stylistId: slot.stylistId, duration: service.duration });
+        return entry;
+    }
+
+    return null;
+};
+
+/**
+ * Offer every stylist slot freed by a cancelled or moved appointment
+ * @param {Object} appointment - Appointment (or its previous date/time) that no longer occupies the slot
+ * @returns {Promise<Array>} - Entries that received offers
+ */
+export const offerSlotsFreedBy = async (appointment) => {
+    const offered = [];
+    for (const line of getLineIntervals(appointment).filter(interval => interval.stylistId)) {
+        const entry = await offerFreedSlot({
+            stylistId: line.stylistId,
+            date: appointment.date,
+            start: line.start,
+            end: line.end
+        });
+        if (entry) {
+            offered.push(entry);
+        }
+    }
+    return offered;
+};
+
+/**
+ * Close an entry's current offer and pass the slot on to the next customer in line
+ * @param {Object} entry - Waitlist entry with a current offer
+ * @param {string} outcome - declined, expired or withdrawn
+ * @returns {Promise<Object|null>} - The entry that received the slot next, if any
+ */
+export const releaseWaitlistOffer = async (entry, outcome) => {
+    const offer = entry.currentOffer;
+    if (!offer) {
+        return null;
+    }
+
+    const lastOffer = entry.offerHistory[entry.offerHistory.length - 1];
+    if (lastOffer && lastOffer.outcome === 'pending') {
+        lastOffer.outcome = outcome;
+    }
+    entry.currentOffer = null;
+    if (entry.status === 'offered') {
+        entry.status = entry.dateTo < getDayRange(new Date()).start ? 'expired' : 'waiting';
+    }
+    await entry.save();
+
+    const start = timeToMinutes(offer.timeSlot);
+    return offerFreedSlot({
+        stylistId: offer.stylistId,
+        date: offer.date,
+        start,
+        end: start + offer.duration
+    });
+};
+
+/**
+ * Check that a booking made from a waitlist entry is what the entry was waiting for
+ * An offered entry must book the offered slot (day, time and stylist of the waitlisted service)
+ * before the hold lapses; an entry without an offer must book its service within its date range.
+ * @param {Object} entry - Waitlist entry document
+ * @param {Object} appointment - Booked visit with date, timeSlot and services
+ * @param {Date} now - Current time
+ * @returns {string|null} - Why the booking does not match the entry, or null
+ */
+export const getWaitlistBookingError = (entry, appointment, now = new Date()) => {
+    const line = getLineIntervals(appointment)
+        .find(interval => interval.serviceId && interval.serviceId.toString() === entry.serviceId.toString());
+    if (!line) {
+        return 'The booking does not include the waitlisted service';
+    }
+
+    const day = getDayRange(appointment.date).start;
+    const offer = entry.currentOffer;
+    if (entry.status === 'offered' && offer) {
+        if (offer.expiresAt <= now) {
+            return 'The offered slot has expired';
+        }
+        if (day.getTime() !== offer.date.getTime() || minutesToTime(line.start) !== offer.timeSlot) {
+            return `The offered slot is on ${offer.date.toDateString()} at ${offer.timeSlot}`;
+        }
+        if (!line.stylistId || line.stylistId.toString() !== offer.stylistId.toString()) {
+            return 'The booking is not with the offered stylist';
+        }
+        return null;
+    }
+
+    if (day < entry.dateFrom || day > entry.dateTo) {
+        return 'The booking is outside the waitlisted dates';
+    }
+    return null;
+};
+
+/**
+ * Expire lapsed offers (re-offering their slots) and entries whose date range has passed
+ * Runs as the waitlist_offers job; it only touches entries that need updating.
+ * @param {Object} options - { now }
+ * @returns {Promise<{expiredOffers: number, expiredEntries: number}>} - Counts of updates
+ */
+export const expireWaitlistOffers = async ({ now = new Date() } = {}) => {
+    const lapsedEntries = await Waitlist.find({
+        status: 'offered',
+        'currentOffer.expiresAt': { $lte: now }
+    });
+
+    for (const entry of lapsedEntries) {
+        try {
+            await releaseWaitlistOffer(entry, 'expired');
+        } catch (error) {
+            logger.error('Failed to expire waitlist offer', { waitlistEntryId: entry._id, error: error.message });
+        }
+    }
+
+    const { modifiedCount } = await Waitlist.updateMany(
+        { status: 'waiting', dateTo: { $lt: getDayRange(now).start } },
+        { $set: { status: 'expired' } }
+    );
+
+    return { expiredOffers: lapsedEntries.length, expiredEntries: modifiedCount };
+};
@@ -0,0 +1,257 @@
+/**
+ * Wallet balances and gift cards: crediting, spending and refunding prepaid balance
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import { GiftCard } from '../models/giftCard.model.js';
+import { Wallet } from '../models/wallet.model.js';
+import { WalletTransaction } from '../models/walletTransaction.model.js';
+import { ApiError } from './ApiError.js';
+import { applyCounterPayment } from './appointmentPayment.js';
+import { logger } from './logger.js';
+import { recordTransaction } from './transactions.js';
+
+// Round an amount to the paisa
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Gift card code characters, leaving out ones that are easy to misread (0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+
+/**
+ * Get how long a gift card can be redeemed after purchase (GIFT_CARD_VALIDITY_DAYS, default 365)
+ * @returns {number} - Days after payment
+ */
+export const getGiftCardValidityDays = () => {
+    const days = parseInt(process.env.GIFT_CARD_VALIDITY_DAYS, 10);
+    return days > 0 ? days : 365;
+};
+
+/**
+ * Generate a gift card code, e.g. GC-7KQM-P2XW-H9TD
+ * @returns {string} - Random code
+ */
+export const generateGiftCardCode = () => {
+    const bytes = crypto.randomBytes(12);
+    const characters = Array.from(bytes, byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `GC-${characters.match(/.{4}/g).join('-')}`;
+};
+
+/**
+ * Get the reason a gift card cannot be redeemed
+ * @param {Object} giftCard - GiftCard document
+ * @param {Date} at - Time of redemption
+ * @returns {string|null} - Reason, or null when it can be redeemed
+ */
+export const getGiftCardRedeemError = (giftCard, at = new Date()) => {
+    if (giftCard.status === 'redeemed') {
+        return 'Gift card has already been redeemed';
+    }
+    if (giftCard.status !== 'active') {
+        return 'Gift card is not active';
+    }
+    if (giftCard.expiresAt && giftCard.expiresAt < at) {
+        return 'Gift card has expired';
+    }
+    return null;
+};
+
+/**
+ * Get a customer's wallet balance
+ * @param {string} userId - Customer ID
+ * @param {Object} options - { session }
+ * @returns {Promise<number>} - Balance; customers without a wallet have 0
+ */
+export const getWalletBalance = async (userId, { session } = {}) => {
+    const wallet = await Wallet.findOne({ userId }).session(session || null);
+    return wallet?.balance || 0;
+};
+
+// Move the balance and write its ledger entry, once per idempotency key
+const moveBalance = async (session, userId, type, amount, { idempotencyKey, ...details }) => {
+    const existing = await WalletTransaction.findOne({ idempotencyKey }).session(session);
+    if (existing) {
+        return existing;
+    }
+
+    let wallet;
+    if (type === 'credit') {
+        wallet = await Wallet.findOneAndUpdate(
+            { userId },
+            { $inc: { balance: amount } },
+            { new: true, upsert: true, setDefaultsOnInsert: true, session }
+        );
+    } else {
+        // The balance check and the debit are one update, so concurrent spends can't overdraw
+        wallet = await Wallet.findOneAndUpdate(
+            { userId, balance: { $gte: amount } },
+            { $inc: { balance: -amount } },
+            { new: true, session }
+        );
+        if (!wallet) {
+            throw new ApiError(400, 'Insufficient wallet balance');
+        }
+    }
+
+    const [entry] = await WalletTransaction.create([{
+        walletId: wallet._id,
+        userId,
+        type,
+        amount,
+        balanceAfter: roundAmount(wallet.balance),
+        idempotencyKey,
+        ...details
+    }], { session });
+    return entry;
+};
+
+// Run a balance change in the caller's transaction, or in one of its own
+const changeBalance = async (userId, type, amount, { session, ...details }) => {
+    const rounded = roundAmount(amount);
+    if (!(rounded > 0)) {
+        throw new ApiError(400, 'Wallet amount must be positive');
+    }
+    if (session) {
+        return moveBalance(session, userId, type, rounded, details);
+    }
+
+    const ownSession = await mongoose.startSession();
+    try {
+        let entry;
+        await ownSession.withTransaction(async () => {
+            entry = await moveBalance(ownSession, userId, type, rounded, details);
+        });
+        return entry;
+    } finally {
+        await ownSession.endSession();
+    }
+};
+
+/**
+ * Add to a customer's wallet, creating the wallet on first use
+ * @param {string} userId - Customer ID
+ * @param {number} amount - Amount to add
+ * @param {Object} details - { source, idempotencyKey, giftCardId, appointmentId, membershipId, description, createdBy, session }
+ * @returns {Promise<Object>} - The wallet ledger entry
+ */
+export const creditWallet = (userId, amount, details) => changeBalance(userId, 'credit', amount, details);
+
+/**
+ * Spend from a customer's wallet
+ * @param {string} userId - Customer ID
+ * @param {number} amount - Amount to take
+ * @param {Object} details - { source, idempotencyKey, giftCardId, appointmentId, membershipId, description, createdBy, session }
+ * @returns {Promise<Object>} - The wallet ledger entry
+ * @throws {ApiError} - When the balance is too low
+ */
+export const debitWallet = (userId, amount, details) => changeBalance(userId, 'debit', amount, details);
+
+/**
+ * Activate a gift card once its payment is captured and record the sale in the payments ledger
+ * The card is claimed with one conditional update, so when the verify call and webhooks race
+ * only one of them issues a code. Cards that are already active are left unchanged.
+ * @param {Object} giftCard - GiftCard document
+ * @param {string} paymentId - Razorpay payment ID
+ * @returns {Promise<Object>} - { giftCard, activated } with the card as stored and whether it was activated now
+ */
+export const activateGiftCard = async (giftCard, paymentId) => {
+    if (giftCard.status !== 'pending_payment') {
+        return { giftCard, activated: false };
+    }
+
+    const paidAt = new Date();
+    const activatedCard = await GiftCard.findOneAndUpdate(
+        { _id: giftCard._id, status: 'pending_payment' },
+        {
+            $set: {
+                code: generateGiftCardCode(),
+                status: 'active',
+                razorpayPaymentId: paymentId,
+                paidAt,
+                expiresAt: new Date(paidAt.getTime() + getGiftCardValidityDays() * DAY_MS)
+            }
+        },
+        { new: true }
+    );
+    if (!activatedCard) {
+        // Another caller activated it first; its code is the one stored
+        return { giftCard: await GiftCard.findById(giftCard._id), activated: false };
+    }
+
+    await recordTransaction({
+        idempotencyKey: `charge:razorpay:${paymentId}`,
+        type: 'charge',
+        method: 'razorpay',
+        amount: activatedCard.amount,
+        currency: activatedCard.currency,
+        userId: activatedCard.purchaserId,
+        giftCardId: activatedCard._id,
+        razorpayOrderId: activatedCard.razorpayOrderId,
+        razorpayPaymentId: paymentId,
+        description: 'Gift card purchase',
+        occurredAt: paidAt
+    });
+
+    logger.info('Gift card activated', {
+        giftCardId: activatedCard._id,
+        purchaserId: activatedCard.purchaserId,
+        amount: activatedCard.amount,
+        paymentId
+    });
+    return { giftCard: activatedCard, activated: true };
+};
+
+/**
+ * Pay part or all of an appointment payment from the customer's wallet
+ * Adds a paid wallet entry to appointment.payments and updates the amount paid.
+ * The caller saves the appointment, in the same session when one is given.
+ * @param {Object} appointment - Appointment document
+ * @param {number} amount - Amount to take from the wallet
+ * @param {Object} options - { type, createdBy, session }
+ * @returns {Promise<Object>} - The new entry of appointment.payments
+ */
+export const payAppointmentFromWallet = async (appointment, amount, { type = 'full', createdBy, session } = {}) => {
+    const paymentId = new mongoose.Types.ObjectId();
+    await debitWallet(appointment.userId, amount, {
+        source: 'appointment',
+        idempotencyKey: `appointment:${appointment._id}:${paymentId}`,
+        appointmentId: appointment._id,
+        description: `Appointment ${type} payment (${appointment.bookingReference})`,
+        createdBy,
+        session
+    });
+
+    appointment.payments.push({
+        _id: paymentId,
+        type,
+        method: 'wallet',
+        amount: roundAmount(amount),
+        status: 'paid',
+        paidAt: new Date()
+    });
+    applyCounterPayment(appointment, roundAmount(amount));
+    return appointment.payments[appointment.payments.length - 1];
+};
+
+/**
+ * Return the wallet share of an unpaid membership when it is abandoned or cancelled
+ * The share is taken when the membership order is created, so it has to be given back
+ * if the rest is never paid.
+ * @param {Object} membership - Membership document that was never paid
+ * @param {Object} options - { createdBy }
+ * @returns {Promise<Object|null>} - The wallet ledger entry, or null when nothing was taken
+ */
+export const releaseMembershipWallet = async (membership, { createdBy } = {}) => {
+    if (!(membership.walletAmount > 0)) {
+        return null;
+    }
+    return creditWallet(membership.userId, membership.walletAmount, {
+        source: 'refund',
+        idempotencyKey: `membership:${membership._id}:release`,
+        membershipId: membership._id,
+        description: `Unpaid membership released (${membership.packageName})`,
+        createdBy
+    });
+};
@@ -0,0 +1,42 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+
+/**
+ * Stand in for a Mongoose query: chainable like one and resolving to the result when awaited
+ * @param {*} result - Value the query resolves to, or a function computing it when awaited
+ * @returns {Object} - Thenable query
+ */
+export const mockQuery = (result) => {
+    const query = {
+        then: (resolve, reject) =>
+            Promise.resolve()
+                .then(() => (typeof result === 'function' ? result() : result))
+                .then(resolve, reject)
+    };
+    for (const method of ['sort', 'limit', 'skip', 'select', 'populate', 'session', 'lean']) {
+        query[method] = () => query;
+    }
+    return query;
+};
+
+/**
+ * Run transactions without a replica set: the callback runs straight through
+ * @returns {Object} - The startSession spy
+ */
+export const mockTransactions = () =>
+    jest.spyOn(mongoose, 'startSession').mockImplementation(async () => ({
+        withTransaction: async (callback) => callback(),
+        startTransaction: () => {},
+        commitTransaction: async () => {},
+        abortTransaction: async () => {},
+        endSession: async () => {}
+    }));
+
+/**
+ * Keep the logger's console output out of the test report
+ */
+export const silenceLogs = () => {
+    for (const method of ['log', 'info', 'warn', 'error']) {
+        jest.spyOn(console, method).mockImplementation(() => {});
+    }
+};
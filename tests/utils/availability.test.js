@@ -0,0 +1,28 @@
+import { getSalonClock, getSalonSlotStart } from '../../src/utils/availability.js';
+
+describe('getSalonClock', () => {
+    it('reads a late-evening instant as the salon day and time', () => {
+        // 20:30 UTC is already 02:00 the next morning in India
+        expect(getSalonClock(new Date('2026-10-19T20:30:00Z'))).toEqual({
+            date: new Date('2026-10-20T00:00:00Z'),
+            timeSlot: '02:00'
+        });
+    });
+
+    it('reads a daytime instant on the same salon day', () => {
+        expect(getSalonClock(new Date('2026-10-19T13:45:00Z'))).toEqual({
+            date: new Date('2026-10-19T00:00:00Z'),
+            timeSlot: '19:15'
+        });
+    });
+});
+
+describe('getSalonSlotStart', () => {
+    it('reads a slot on the salon clock rather than the server clock', () => {
+        expect(getSalonSlotStart(new Date('2026-10-20T00:00:00Z'), '10:30')).toEqual(new Date('2026-10-20T05:00:00Z'));
+    });
+
+    it('puts an early-morning slot on the previous UTC day', () => {
+        expect(getSalonSlotStart(new Date('2026-10-20T00:00:00Z'), '02:00')).toEqual(new Date('2026-10-19T20:30:00Z'));
+    });
+});
@@ -0,0 +1,25 @@
+import { getCancellationTerms } from '../../src/utils/cancellationPolicy.js';
+
+describe('getCancellationTerms', () => {
+    // A 10:30 visit with 24 hours' free notice and a 50% late fee
+    const appointment = {
+        date: new Date('2026-10-21T00:00:00Z'),
+        timeSlot: '10:30',
+        totalPrice: 1000,
+        cancellationPolicy: { noticeHours: 24, allowLateCancellation: true, lateCancelFeePercent: 50 }
+    };
+
+    it('charges the late fee from the salon-time notice deadline', () => {
+        // 10:45 in India on the day before is inside the window
+        const terms = getCancellationTerms(appointment, new Date('2026-10-20T05:15:00Z'));
+
+        expect(terms).toMatchObject({ isLate: true, fee: 500 });
+    });
+
+    it('cancels free just before the deadline', () => {
+        // 10:15 in India on the day before
+        const terms = getCancellationTerms(appointment, new Date('2026-10-20T04:45:00Z'));
+
+        expect(terms).toMatchObject({ isLate: false, fee: 0 });
+    });
+});
@@ -0,0 +1,85 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Appointment } from '../../src/models/appointment.model.js';
+import { Membership } from '../../src/models/membership.model.js';
+import { pickMembershipForVisit, restoreMembershipVisit } from '../../src/utils/membershipBenefits.js';
+import { mockQuery } from '../helpers/mongoose.js';
+
+describe('restoreMembershipVisit', () => {
+    let appointment;
+
+    beforeEach(() => {
+        appointment = new Appointment({
+            userId: new mongoose.Types.ObjectId(),
+            date: new Date('2026-11-02T00:00:00Z'),
+            timeSlot: '11:00',
+            status: 'cancelled',
+            totalPrice: 800,
+            bookingReference: 'ENL-MEM',
+            membershipId: new mongoose.Types.ObjectId(),
+            membershipDiscount: 200
+        });
+
+        jest.spyOn(Appointment, 'updateOne').mockImplementation(async () => ({ modifiedCount: 1 }));
+        jest.spyOn(Membership, 'findOneAndUpdate').mockImplementation(() => mockQuery({ _id: appointment.membershipId }));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('claims the restore with an update that only matches an unrestored appointment', async () => {
+        const session = {};
+
+        await restoreMembershipVisit(appointment, { session });
+
+        const [filter, update, options] = Appointment.updateOne.mock.calls[0];
+        expect(filter).toEqual({ _id: appointment._id, membershipRestoredAt: null });
+        expect(update).toEqual({ $set: { membershipRestoredAt: expect.any(Date) } });
+        expect(options).toEqual({ session });
+        expect(Membership.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id: appointment.membershipId });
+        expect(Membership.findOneAndUpdate.mock.calls[0][2]).toMatchObject({ session });
+        expect(appointment.membershipRestoredAt).toEqual(update.$set.membershipRestoredAt);
+    });
+
+    it('leaves the membership alone when another cancellation restored the visit first', async () => {
+        Appointment.updateOne.mockImplementation(async () => ({ modifiedCount: 0 }));
+
+        await expect(restoreMembershipVisit(appointment)).resolves.toBeNull();
+        expect(Membership.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(appointment.membershipRestoredAt).toBeUndefined();
+    });
+
+    it('skips appointments booked without a membership', async () => {
+        appointment.membershipId = undefined;
+
+        await expect(restoreMembershipVisit(appointment)).resolves.toBeNull();
+        expect(Appointment.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('pickMembershipForVisit', () => {
+    const visitDate = new Date('2026-11-02T00:00:00Z');
+    const lines = [{ serviceId: new mongoose.Types.ObjectId(), price: 800 }];
+    const membership = new Membership({
+        userId: new mongoose.Types.ObjectId(),
+        packageId: new mongoose.Types.ObjectId(),
+        packageName: 'Premium',
+        membershipTier: 'premium',
+        startDate: new Date('2020-01-01T00:00:00Z'),
+        expiryDate: new Date('2030-01-01T00:00:00Z'),
+        isActive: true,
+        membershipStatus: 'active',
+        paymentStatus: 'paid'
+    });
+
+    it('picks a membership that saves on the visit', () => {
+        expect(pickMembershipForVisit([membership], visitDate, lines, 800)).toBe(membership);
+    });
+
+    it('does not spend a visit on a membership that saves nothing', () => {
+        // An offer already covers the whole visit
+        expect(pickMembershipForVisit([membership], visitDate, lines, 0)).toBeNull();
+        expect(pickMembershipForVisit([membership], visitDate, lines, 0, { chosen: true })).toBe(membership);
+    });
+});
@@ -0,0 +1,71 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Appointment } from '../../src/models/appointment.model.js';
+import { Membership } from '../../src/models/membership.model.js';
+import { MembershipFreeze } from '../../src/models/membershipFreeze.model.js';
+import { requestFreeze } from '../../src/utils/membershipFreeze.js';
+import { mockQuery, mockTransactions, silenceLogs } from '../helpers/mongoose.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+describe('requestFreeze', () => {
+    let membership;
+    let startSession;
+
+    beforeEach(() => {
+        silenceLogs();
+        startSession = mockTransactions();
+        membership = new Membership({
+            userId: new mongoose.Types.ObjectId(),
+            packageId: new mongoose.Types.ObjectId(),
+            packageName: 'Premium',
+            membershipTier: 'premium',
+            startDate: new Date('2026-10-01T00:00:00Z'),
+            expiryDate: new Date('2027-10-01T00:00:00Z'),
+            isActive: true,
+            membershipStatus: 'active',
+            paymentStatus: 'paid'
+        });
+
+        jest.spyOn(Membership, 'updateOne').mockImplementation(async () => ({ modifiedCount: 1 }));
+        jest.spyOn(MembershipFreeze, 'aggregate').mockImplementation(() => mockQuery([]));
+        jest.spyOn(MembershipFreeze, 'exists').mockImplementation(() => mockQuery(null));
+        jest.spyOn(Appointment, 'countDocuments').mockImplementation(() => mockQuery(0));
+        jest.spyOn(MembershipFreeze, 'create').mockImplementation(async (docs) => docs.map(doc => new MembershipFreeze(doc)));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('locks the membership and inserts the freeze in the transaction that checked it', async () => {
+        const freeze = await requestFreeze(membership, { startDate: '2026-11-01', days: 10 }, { now: NOW });
+        const session = await startSession.mock.results[0].value;
+
+        expect(freeze.days).toBe(10);
+        expect(Membership.updateOne).toHaveBeenCalledWith(
+            { _id: membership._id },
+            { $set: { updatedAt: NOW } },
+            { session, timestamps: false }
+        );
+        expect(MembershipFreeze.aggregate.mock.calls[0][0][0].$match).toMatchObject({
+            membershipId: membership._id,
+            status: { $in: ['pending', 'approved'] }
+        });
+        expect(MembershipFreeze.exists).toHaveBeenCalledWith({
+            membershipId: membership._id,
+            status: { $in: ['pending', 'approved'] },
+            startDate: { $lt: new Date('2026-11-11T00:00:00Z') },
+            endDate: { $gt: new Date('2026-11-01T00:00:00Z') }
+        });
+        expect(MembershipFreeze.create.mock.calls[0][1]).toEqual({ session });
+    });
+
+    it('refuses a request beyond the days other requests already hold', async () => {
+        MembershipFreeze.aggregate.mockImplementation(() => mockQuery([{ days: 25 }]));
+
+        await expect(requestFreeze(membership, { startDate: '2026-11-01', days: 10 }, { now: NOW }))
+            .rejects.toMatchObject({ statusCode: 400, message: 'Only 5 freeze day(s) left this year on this membership' });
+        expect(MembershipFreeze.create).not.toHaveBeenCalled();
+    });
+});
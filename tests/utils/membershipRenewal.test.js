@@ -0,0 +1,308 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Membership } from '../../src/models/membership.model.js';
+import { Package } from '../../src/models/package.model.js';
+import { User } from '../../src/models/user.model.js';
+import { Transaction } from '../../src/models/transaction.model.js';
+import { Invoice } from '../../src/models/invoice.model.js';
+import { decideRenewalRetry, runMembershipRenewals, settleRenewal } from '../../src/utils/membershipRenewal.js';
+import { createRenewalStubClient } from '../../src/utils/razorpayStub.js';
+import { mockQuery, mockTransactions, silenceLogs } from '../helpers/mongoose.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const EXPIRY = new Date('2026-11-01T00:00:00Z');
+// The renewal is charged a day before expiry
+const DUE = new Date(EXPIRY.getTime() - DAY_MS);
+
+const SETTINGS = { leadHours: 24, retryHours: 24, maxAttempts: 3, graceDays: 3, intervalMinutes: 60 };
+
+const packageDoc = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Gold',
+    description: 'Gold membership',
+    price: 2999,
+    discountPercentage: 10,
+    duration: 1,
+    durationUnit: 'months',
+    maxAppointments: null,
+    entitlements: [],
+    benefits: [],
+    isActive: true
+};
+
+// An auto-renewing membership with an authorised mandate, due for renewal
+const buildMembership = () => new Membership({
+    userId: new mongoose.Types.ObjectId(),
+    packageId: packageDoc._id,
+    packageName: packageDoc.name,
+    startDate: new Date('2026-10-01T00:00:00Z'),
+    expiryDate: EXPIRY,
+    isActive: true,
+    membershipStatus: 'active',
+    paymentStatus: 'paid',
+    amountPaid: 3185.1,
+    originalAmount: 2999,
+    membershipTier: 'premium',
+    autoRenewal: true,
+    renewalDate: EXPIRY,
+    renewal: {
+        status: 'active',
+        method: 'card',
+        razorpayCustomerId: 'cust_stub',
+        razorpayTokenId: 'token_stub',
+        nextAttemptAt: DUE
+    }
+});
+
+// Memberships "in the database", kept up to date by save, create and the atomic claim
+let store;
+
+// Apply the filter runMembershipRenewals queries with
+const matchesDueFilter = (membership, filter) =>
+    membership.autoRenewal === filter.autoRenewal &&
+    membership.isActive === filter.isActive &&
+    membership.paymentStatus === filter.paymentStatus &&
+    filter['renewal.status'].$in.includes(membership.renewal.status) &&
+    membership.renewal.nextAttemptAt <= filter['renewal.nextAttemptAt'].$lte;
+
+beforeEach(() => {
+    store = new Map();
+    silenceLogs();
+    mockTransactions();
+
+    jest.spyOn(Membership.prototype, 'save').mockImplementation(function () {
+        store.set(String(this._id), this);
+        return Promise.resolve(this);
+    });
+    jest.spyOn(Membership, 'find').mockImplementation((filter) =>
+        mockQuery(() => [...store.values()].filter(membership => matchesDueFilter(membership, filter)))
+    );
+    jest.spyOn(Membership, 'create').mockImplementation(async ([data]) => {
+        const membership = new Membership(data);
+        store.set(String(membership._id), membership);
+        return [membership];
+    });
+    // Claim a pending attempt the way MongoDB would: only one caller finds it still pending
+    jest.spyOn(Membership, 'findOneAndUpdate').mockImplementation((filter, update) =>
+        mockQuery(() => {
+            const membership = store.get(String(filter._id));
+            const { razorpayOrderId, status } = filter.renewalAttempts.$elemMatch;
+            const attempt = membership?.renewalAttempts.find(item => item.razorpayOrderId === razorpayOrderId && item.status === status);
+            if (!attempt) {
+                return null;
+            }
+            attempt.status = update.$set['renewalAttempts.$.status'];
+            attempt.razorpayPaymentId = update.$set['renewalAttempts.$.razorpayPaymentId'];
+            attempt.settledAt = update.$set['renewalAttempts.$.settledAt'];
+            return membership;
+        })
+    );
+
+    jest.spyOn(Package, 'findById').mockImplementation(() => mockQuery(packageDoc));
+    jest.spyOn(User, 'findById').mockImplementation(() => mockQuery({ name: 'Asha', email: 'asha@example.com', phone: '9999999999' }));
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    // An invoice already exists, so issuing one is a lookup
+    jest.spyOn(Invoice, 'findOne').mockImplementation(() => mockQuery({ _id: new mongoose.Types.ObjectId() }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Save a membership to the store and return it
+const seed = (membership = buildMembership()) => {
+    store.set(String(membership._id), membership);
+    return membership;
+};
+
+// Renewed memberships created from a membership
+const renewalsOf = (membership) =>
+    [...store.values()].filter(item => String(item.previousMembershipId) === String(membership._id));
+
+describe('decideRenewalRetry', () => {
+    it('retries the first failure within the grace period', () => {
+        const decision = decideRenewalRetry(buildMembership(), { now: DUE, settings: SETTINGS });
+
+        expect(decision).toEqual({
+            retry: true,
+            attemptCount: 1,
+            nextAttemptAt: new Date(DUE.getTime() + 24 * HOUR_MS),
+            periodEndsAt: EXPIRY,
+            graceEndsAt: new Date(EXPIRY.getTime() + 3 * DAY_MS)
+        });
+    });
+
+    it('keeps the grace period anchored to the end of the paid period', () => {
+        const membership = buildMembership();
+        membership.renewal.attemptCount = 1;
+        membership.renewal.periodEndsAt = EXPIRY;
+        membership.expiryDate = new Date(EXPIRY.getTime() + 3 * DAY_MS);
+
+        const decision = decideRenewalRetry(membership, { now: EXPIRY, settings: SETTINGS });
+
+        expect(decision.attemptCount).toBe(2);
+        expect(decision.periodEndsAt).toEqual(EXPIRY);
+        expect(decision.graceEndsAt).toEqual(new Date(EXPIRY.getTime() + 3 * DAY_MS));
+        expect(decision.retry).toBe(true);
+    });
+
+    it('gives up once the attempts run out', () => {
+        const membership = buildMembership();
+        membership.renewal.attemptCount = 2;
+
+        expect(decideRenewalRetry(membership, { now: DUE, settings: SETTINGS }).retry).toBe(false);
+    });
+
+    it('gives up when the next attempt would fall after the grace period', () => {
+        const decision = decideRenewalRetry(buildMembership(), {
+            now: new Date(EXPIRY.getTime() + 2.5 * DAY_MS),
+            settings: { ...SETTINGS, maxAttempts: 10 }
+        });
+
+        expect(decision.retry).toBe(false);
+    });
+});
+
+describe('runMembershipRenewals', () => {
+    const envKeys = ['MEMBERSHIP_RENEWAL_MAX_ATTEMPTS', 'MEMBERSHIP_RENEWAL_GRACE_DAYS'];
+    let savedEnv;
+
+    beforeEach(() => {
+        savedEnv = Object.fromEntries(envKeys.map(key => [key, process.env[key]]));
+        envKeys.forEach(key => delete process.env[key]);
+    });
+
+    afterEach(() => {
+        envKeys.forEach(key => {
+            if (savedEnv[key] === undefined) {
+                delete process.env[key];
+            } else {
+                process.env[key] = savedEnv[key];
+            }
+        });
+    });
+
+    it('starts the next period when the charge is captured', async () => {
+        const membership = seed();
+        const client = createRenewalStubClient({ default: 'captured' });
+
+        const summary = await runMembershipRenewals({ client, now: DUE });
+
+        expect(summary).toEqual({ checked: 1, renewed: 1, pending: 0, retrying: 0, failed: 0, errors: 0 });
+        const [renewed] = renewalsOf(membership);
+        expect(renewed.startDate).toEqual(EXPIRY);
+        expect(renewed.amountPaid).toBe(3185.1);
+        expect(renewed.renewal.status).toBe('active');
+        expect(membership.renewal.status).toBe('renewed');
+        expect(membership.renewal.renewedMembershipId).toEqual(renewed._id);
+        expect(membership.renewalAttempts[0].status).toBe('captured');
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('leaves a charge that is still processing to be checked on the next pass', async () => {
+        const membership = seed();
+        const client = createRenewalStubClient({ default: 'created' });
+
+        const summary = await runMembershipRenewals({ client, now: DUE });
+
+        expect(summary.pending).toBe(1);
+        expect(membership.renewalAttempts[0].status).toBe('pending');
+        expect(renewalsOf(membership)).toHaveLength(0);
+    });
+
+    it('retries a failed charge and renews on the retry', async () => {
+        const membership = seed();
+        const client = createRenewalStubClient({
+            charges: { [membership._id.toString()]: [{ status: 'failed', error_description: 'Insufficient funds' }, 'captured'] }
+        });
+
+        const first = await runMembershipRenewals({ client, now: DUE });
+
+        expect(first.retrying).toBe(1);
+        expect(membership.renewal.status).toBe('past_due');
+        expect(membership.renewal.attemptCount).toBe(1);
+        expect(membership.renewal.lastError).toBe('Insufficient funds');
+        expect(membership.renewal.periodEndsAt).toEqual(EXPIRY);
+        // Benefits continue through the grace period while the renewal is retried
+        expect(membership.expiryDate).toEqual(new Date(EXPIRY.getTime() + 3 * DAY_MS));
+        expect(membership.renewal.nextAttemptAt).toEqual(new Date(DUE.getTime() + 24 * HOUR_MS));
+
+        // Not due again until the retry wait has passed
+        const early = await runMembershipRenewals({ client, now: new Date(DUE.getTime() + HOUR_MS) });
+        expect(early.checked).toBe(0);
+
+        const second = await runMembershipRenewals({ client, now: membership.renewal.nextAttemptAt });
+
+        expect(second.renewed).toBe(1);
+        const [renewed] = renewalsOf(membership);
+        // The next period starts where the paid one ended, not where the grace period did
+        expect(renewed.startDate).toEqual(EXPIRY);
+        expect(membership.expiryDate).toEqual(EXPIRY);
+        expect(membership.renewal.status).toBe('renewed');
+        expect(membership.renewalAttempts.map(attempt => attempt.status)).toEqual(['failed', 'captured']);
+    });
+
+    it('treats a charge Razorpay rejects as a failed attempt', async () => {
+        const membership = seed();
+        const client = createRenewalStubClient({
+            charges: { [membership._id.toString()]: [{ status: 'rejected', error_description: 'Token expired' }] }
+        });
+
+        const summary = await runMembershipRenewals({ client, now: DUE });
+
+        expect(summary.retrying).toBe(1);
+        expect(summary.errors).toBe(0);
+        expect(membership.renewalAttempts[0].status).toBe('failed');
+        expect(membership.renewalAttempts[0].error).toBe('Token expired');
+        expect(membership.renewal.status).toBe('past_due');
+    });
+
+    it('switches auto-renewal off when the grace period runs out', async () => {
+        process.env.MEMBERSHIP_RENEWAL_MAX_ATTEMPTS = '5';
+        process.env.MEMBERSHIP_RENEWAL_GRACE_DAYS = '1';
+        const membership = seed();
+        const client = createRenewalStubClient({ default: 'failed' });
+
+        const first = await runMembershipRenewals({ client, now: DUE });
+        const second = await runMembershipRenewals({ client, now: membership.renewal.nextAttemptAt });
+        expect(first.retrying).toBe(1);
+        expect(second.retrying).toBe(1);
+        expect(membership.expiryDate).toEqual(new Date(EXPIRY.getTime() + DAY_MS));
+
+        // A third attempt would fall after the one-day grace period
+        const third = await runMembershipRenewals({ client, now: membership.renewal.nextAttemptAt });
+
+        expect(third.failed).toBe(1);
+        expect(membership.renewal.status).toBe('failed');
+        expect(membership.autoRenewal).toBe(false);
+        expect(membership.renewal.nextAttemptAt).toBeUndefined();
+        expect(membership.expiryDate).toEqual(EXPIRY);
+        expect(renewalsOf(membership)).toHaveLength(0);
+
+        const after = await runMembershipRenewals({ client, now: new Date(EXPIRY.getTime() + 5 * DAY_MS) });
+        expect(after.checked).toBe(0);
+    });
+});
+
+describe('settleRenewal', () => {
+    it('renews once when the webhook and the scheduler settle the same order', async () => {
+        const membership = seed();
+        membership.renewalAttempts.push({ razorpayOrderId: 'order_renewal', razorpayPaymentId: 'pay_renewal', amount: 3185.1, attemptedAt: DUE });
+
+        const results = await Promise.all([
+            settleRenewal(membership, 'order_renewal', 'pay_renewal', { now: DUE }),
+            settleRenewal(membership, 'order_renewal', 'pay_renewal', { now: DUE })
+        ]);
+
+        expect(results.filter(Boolean)).toHaveLength(1);
+        expect(Membership.create).toHaveBeenCalledTimes(1);
+        expect(renewalsOf(membership)).toHaveLength(1);
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+
+        // A replay after the fact changes nothing either
+        await expect(settleRenewal(membership, 'order_renewal', 'pay_renewal', { now: DUE })).resolves.toBeNull();
+        expect(Membership.create).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Membership } from '../../src/models/membership.model.js';
+import { ReconciliationReport } from '../../src/models/reconciliationReport.model.js';
+import { Transaction } from '../../src/models/transaction.model.js';
+import { Invoice } from '../../src/models/invoice.model.js';
+import { decideReconciliation, runPaymentReconciliation } from '../../src/utils/paymentReconciliation.js';
+import { createReconciliationStubClient } from '../../src/utils/razorpayStub.js';
+import { mockQuery, mockTransactions, silenceLogs } from '../helpers/mongoose.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// A membership still waiting for its Razorpay payment
+const buildMembership = ({ orderId, createdHoursAgo = 2, ...fields } = {}) => new Membership({
+    userId: new mongoose.Types.ObjectId(),
+    packageId: new mongoose.Types.ObjectId(),
+    packageName: 'Gold',
+    startDate: NOW,
+    expiryDate: new Date(NOW.getTime() + 30 * 24 * HOUR_MS),
+    isActive: false,
+    membershipStatus: 'pending_payment',
+    paymentStatus: 'pending',
+    razorpayOrderId: orderId,
+    amountPaid: 3185.1,
+    originalAmount: 2999,
+    createdAt: new Date(NOW.getTime() - createdHoursAgo * HOUR_MS),
+    ...fields
+});
+
+let memberships;
+
+beforeEach(() => {
+    memberships = [];
+    silenceLogs();
+
+    jest.spyOn(Membership, 'find').mockImplementation(() => mockQuery(() => memberships));
+    jest.spyOn(Membership, 'findOne').mockImplementation((filter) =>
+        mockQuery(() => memberships.find(membership => membership.razorpayOrderId === filter.razorpayOrderId) || null)
+    );
+    jest.spyOn(Membership.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+    });
+    jest.spyOn(Membership, 'findOneAndUpdate').mockImplementation((filter) =>
+        mockQuery(() => memberships.find(membership => String(membership._id) === String(filter._id)) || null)
+    );
+    jest.spyOn(Membership, 'updateOne').mockImplementation(async () => ({ modifiedCount: 1 }));
+    jest.spyOn(ReconciliationReport, 'create').mockImplementation(async (data) => new ReconciliationReport(data));
+    jest.spyOn(ReconciliationReport.prototype, 'save').mockImplementation(function () {
+        return Promise.resolve(this);
+    });
+    jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    // An invoice already exists, so issuing one is a lookup
+    jest.spyOn(Invoice, 'findOne').mockImplementation(() => mockQuery({ _id: new mongoose.Types.ObjectId() }));
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// The report line for a membership
+const itemFor = (report, membership) =>
+    report.items.find(item => String(item.membershipId) === String(membership._id));
+
+describe('decideReconciliation', () => {
+    const options = { now: NOW, expireAfterHours: 24 };
+
+    it('flags a captured payment for the wrong amount for review', () => {
+        const membership = buildMembership({ orderId: 'order_short' });
+        const decision = decideReconciliation(membership, { status: 'paid' }, [{ id: 'pay_1', status: 'captured', amount: 100 }], options);
+
+        expect(decision.outcome).toBe('review');
+        expect(decision.message).toBe('Captured 100 but expected 3185.1');
+    });
+
+    it('waits for an authorised payment to be captured', () => {
+        const membership = buildMembership({ orderId: 'order_auth', createdHoursAgo: 30 });
+        const decision = decideReconciliation(membership, { status: 'attempted' }, [{ id: 'pay_1', status: 'authorized', amount: 3185.1 }], options);
+
+        expect(decision.outcome).toBe('pending');
+    });
+});
+
+describe('runPaymentReconciliation', () => {
+    it('settles a membership whose payment was captured', async () => {
+        const membership = buildMembership({ orderId: 'order_paid' });
+        memberships.push(membership);
+        const client = createReconciliationStubClient({
+            orders: {
+                order_paid: {
+                    status: 'paid',
+                    amount: 318510,
+                    payments: [{ id: 'pay_paid', status: 'captured', amount: 318510, method: 'upi' }]
+                }
+            }
+        });
+
+        const report = await runPaymentReconciliation({ client, trigger: 'manual', now: NOW });
+
+        expect(report.status).toBe('completed');
+        expect(report.summary.toObject()).toMatchObject({ checked: 1, settled: 1, errors: 0 });
+        expect(itemFor(report, membership)).toMatchObject({ outcome: 'settled', razorpayPaymentId: 'pay_paid', amount: 3185.1 });
+        expect(membership.paymentStatus).toBe('paid');
+        expect(membership.membershipStatus).toBe('active');
+        expect(membership.isActive).toBe(true);
+        expect(membership.razorpayPaymentId).toBe('pay_paid');
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('fails a membership left unpaid past the expiry window', async () => {
+        const membership = buildMembership({ orderId: 'order_failed', createdHoursAgo: 30 });
+        memberships.push(membership);
+        const client = createReconciliationStubClient({
+            orders: {
+                order_failed: {
+                    status: 'attempted',
+                    amount: 318510,
+                    payments: [{ id: 'pay_failed', status: 'failed', amount: 318510, error_description: 'Card declined' }]
+                }
+            }
+        });
+
+        const report = await runPaymentReconciliation({ client, now: NOW });
+
+        expect(report.summary.failed).toBe(1);
+        expect(itemFor(report, membership).message).toBe('No successful payment within 24 hours');
+        expect(membership.paymentStatus).toBe('failed');
+        expect(membership.membershipStatus).toBe('cancelled');
+        expect(membership.isActive).toBe(false);
+        expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(Membership.findOneAndUpdate).toHaveBeenCalledWith(
+            { _id: membership._id, paymentStatus: { $ne: 'paid' }, membershipStatus: 'pending_payment' },
+            { $set: expect.objectContaining({ paymentStatus: 'failed', membershipStatus: 'cancelled' }) },
+            { new: true }
+        );
+    });
+
+    it('leaves a membership the webhook settled during the run alone', async () => {
+        const membership = buildMembership({ orderId: 'order_late', createdHoursAgo: 30, walletAmount: 500 });
+        memberships.push(membership);
+        const startSession = mockTransactions();
+        // The conditional update finds the membership already paid
+        Membership.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+        const client = createReconciliationStubClient({
+            orders: { order_late: { status: 'attempted', amount: 268510, payments: [] } }
+        });
+
+        const report = await runPaymentReconciliation({ client, now: NOW });
+
+        expect(itemFor(report, membership)).toMatchObject({
+            outcome: 'review',
+            message: 'Membership was paid or changed while it was being reconciled'
+        });
+        expect(membership.membershipStatus).toBe('pending_payment');
+        expect(startSession).not.toHaveBeenCalled();
+    });
+
+    it('leaves a recent membership pending and records its failed attempts', async () => {
+        const membership = buildMembership({ orderId: 'order_retrying', createdHoursAgo: 2 });
+        memberships.push(membership);
+        const client = createReconciliationStubClient({
+            orders: {
+                order_retrying: {
+                    status: 'attempted',
+                    amount: 318510,
+                    payments: [{ id: 'pay_declined', status: 'failed', amount: 318510, error_description: 'Card declined' }]
+                }
+            }
+        });
+
+        const report = await runPaymentReconciliation({ client, now: NOW });
+
+        expect(report.summary.pending).toBe(1);
+        expect(itemFor(report, membership)).toMatchObject({
+            outcome: 'pending',
+            razorpayPaymentId: 'pay_declined',
+            message: '1 failed payment attempt(s), waiting for a retry'
+        });
+        expect(membership.membershipStatus).toBe('pending_payment');
+        expect(membership.paymentStatus).toBe('failed');
+        expect(membership.paymentRetryCount).toBe(1);
+        expect(Membership.updateOne.mock.calls[0][0]).toEqual({
+            _id: membership._id,
+            paymentStatus: { $ne: 'paid' },
+            membershipStatus: 'pending_payment'
+        });
+    });
+
+    it('reports an order Razorpay does not know as an error and leaves the membership alone', async () => {
+        const missing = buildMembership({ orderId: 'order_missing' });
+        const paid = buildMembership({ orderId: 'order_paid' });
+        memberships.push(missing, paid);
+        const client = createReconciliationStubClient({
+            orders: {
+                order_paid: {
+                    status: 'paid',
+                    amount: 318510,
+                    payments: [{ id: 'pay_paid', status: 'captured', amount: 318510 }]
+                }
+            }
+        });
+
+        const report = await runPaymentReconciliation({ client, now: NOW });
+
+        expect(report.status).toBe('completed');
+        expect(report.summary.toObject()).toMatchObject({ checked: 2, settled: 1, errors: 1 });
+        expect(itemFor(report, missing)).toMatchObject({
+            outcome: 'error',
+            message: 'The id provided does not exist: order_missing'
+        });
+        expect(missing.paymentStatus).toBe('pending');
+        expect(missing.membershipStatus).toBe('pending_payment');
+    });
+});
@@ -0,0 +1,150 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Appointment } from '../../src/models/appointment.model.js';
+import { Membership } from '../../src/models/membership.model.js';
+import { Refund } from '../../src/models/refund.model.js';
+import { Transaction } from '../../src/models/transaction.model.js';
+import { settleAppointmentPayment, settleMembership } from '../../src/utils/paymentWebhook.js';
+import { getRazorpayClient } from '../../src/utils/razorpay.js';
+import { mockQuery, silenceLogs } from '../helpers/mongoose.js';
+
+describe('settleAppointmentPayment', () => {
+    let appointment;
+
+    // An unpaid booking with one open Razorpay order
+    const buildAppointment = (fields = {}) => new Appointment({
+        userId: new mongoose.Types.ObjectId(),
+        date: new Date('2026-11-02T00:00:00Z'),
+        timeSlot: '11:00',
+        status: 'pending',
+        totalPrice: 1000,
+        amountPaid: 0,
+        paymentStatus: 'pending',
+        bookingReference: 'ENL-TEST',
+        payments: [{ type: 'full', amount: 1000, razorpayOrderId: 'order_appt' }],
+        ...fields
+    });
+
+    // The appointment as the conditional update returns it once the order is claimed
+    const claimOrder = () => mockQuery(() => {
+        const settled = Appointment.hydrate(appointment.toObject());
+        settled.payments[0].status = 'paid';
+        settled.amountPaid += settled.payments[0].amount;
+        return settled;
+    });
+
+    beforeEach(() => {
+        silenceLogs();
+        appointment = buildAppointment();
+
+        jest.spyOn(Appointment, 'findOneAndUpdate').mockImplementation(claimOrder);
+        jest.spyOn(Appointment.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('claims the order with an update that only matches it while it is unpaid', async () => {
+        const paymentId = appointment.payments[0]._id;
+
+        const result = await settleAppointmentPayment(appointment, 'order_appt', { razorpayPaymentId: 'pay_appt' });
+
+        const [filter, update, options] = Appointment.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: appointment._id, payments: { $elemMatch: { _id: paymentId, status: { $ne: 'paid' } } } });
+        expect(update.$set).toMatchObject({ 'payments.$.status': 'paid', 'payments.$.razorpayPaymentId': 'pay_appt' });
+        expect(update.$inc).toEqual({ amountPaid: 1000 });
+        expect(options).toEqual({ new: true });
+        expect(result.appointment).toMatchObject({ amountPaid: 1000, paymentStatus: 'paid', status: 'confirmed' });
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('records nothing when another caller settled the order first', async () => {
+        Appointment.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+        await expect(settleAppointmentPayment(appointment, 'order_appt', { razorpayPaymentId: 'pay_appt' })).resolves.toBeNull();
+        expect(Appointment.prototype.save).not.toHaveBeenCalled();
+        expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('leaves a part-paid prepayment booking pending', async () => {
+        appointment = buildAppointment({
+            prepaymentRequired: true,
+            payments: [{ type: 'full', amount: 400, razorpayOrderId: 'order_appt' }]
+        });
+
+        const result = await settleAppointmentPayment(appointment, 'order_appt', { razorpayPaymentId: 'pay_appt' });
+
+        expect(result.payment.status).toBe('paid');
+        expect(result.appointment).toMatchObject({ amountPaid: 400, paymentStatus: 'partial', status: 'pending' });
+    });
+});
+
+describe('settleMembership', () => {
+    let membership;
+
+    beforeEach(() => {
+        silenceLogs();
+        // Failed by reconciliation, with its wallet share already returned
+        membership = new Membership({
+            userId: new mongoose.Types.ObjectId(),
+            packageId: new mongoose.Types.ObjectId(),
+            packageName: 'Gold',
+            startDate: new Date('2026-10-19T00:00:00Z'),
+            expiryDate: new Date('2026-11-18T00:00:00Z'),
+            isActive: false,
+            membershipStatus: 'cancelled',
+            paymentStatus: 'failed',
+            razorpayOrderId: 'order_late',
+            amountPaid: 3185.1,
+            walletAmount: 500
+        });
+
+        jest.spyOn(Membership, 'findOneAndUpdate').mockImplementation((filter, update) =>
+            mockQuery(() => Membership.hydrate({ ...membership.toObject(), ...update.$set }))
+        );
+        jest.spyOn(Membership.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(Refund, 'create').mockImplementation(async (data) => new Refund(data));
+        jest.spyOn(Refund.prototype, 'save').mockImplementation(function () {
+            return Promise.resolve(this);
+        });
+        jest.spyOn(getRazorpayClient().payments, 'refund').mockImplementation(async (paymentId, { amount }) => ({
+            id: 'rfnd_late',
+            amount,
+            currency: 'INR',
+            status: 'processed'
+        }));
+        jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('claims a late capture for a cancelled membership before refunding it', async () => {
+        await expect(settleMembership(membership, 'pay_late')).resolves.toBe(true);
+
+        const [filter, update, options] = Membership.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: membership._id, membershipStatus: 'cancelled', razorpayPaymentId: { $ne: 'pay_late' } });
+        expect(update).toEqual({ $set: { razorpayPaymentId: 'pay_late' } });
+        expect(options).toEqual({ new: true });
+
+        const saved = Membership.prototype.save.mock.contexts[0];
+        expect(saved).toMatchObject({ membershipStatus: 'cancelled', isActive: false, paymentStatus: 'refunded' });
+        expect(getRazorpayClient().payments.refund).toHaveBeenCalledTimes(1);
+        expect(getRazorpayClient().payments.refund.mock.calls[0][1].amount).toBe(268510);
+    });
+
+    it('does not refund a capture another caller already claimed', async () => {
+        Membership.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+        await expect(settleMembership(membership, 'pay_late')).resolves.toBe(false);
+        expect(getRazorpayClient().payments.refund).not.toHaveBeenCalled();
+        expect(Membership.prototype.save).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+import { calculateCommission, getPayPeriodError } from '../../src/utils/payroll.js';
+
+describe('getPayPeriodError', () => {
+    it('accepts whole calendar months', () => {
+        expect(getPayPeriodError(new Date('2026-02-01T00:00:00Z'), new Date('2026-02-28T00:00:00Z'))).toBeNull();
+        expect(getPayPeriodError(new Date('2026-10-01T00:00:00Z'), new Date('2026-12-31T00:00:00Z'))).toBeNull();
+    });
+
+    it('rejects periods that start or end mid-month', () => {
+        expect(getPayPeriodError(new Date('2026-10-05T00:00:00Z'), new Date('2026-10-31T00:00:00Z')))
+            .toBe('A pay period must start on the first day of a month');
+        expect(getPayPeriodError(new Date('2026-10-01T00:00:00Z'), new Date('2026-10-15T00:00:00Z')))
+            .toBe('A pay period must end on the last day of a month');
+    });
+});
+
+describe('calculateCommission', () => {
+    const stylistId = new mongoose.Types.ObjectId();
+    const tieredRule = {
+        _id: new mongoose.Types.ObjectId(),
+        category: 'default',
+        type: 'tiered',
+        tiers: [{ minRevenue: 0, rate: 10 }, { minRevenue: 50000, rate: 15 }]
+    };
+
+    // A service line of the stylist's on a day
+    const serviceLine = (date, revenue) => ({
+        appointmentId: new mongoose.Types.ObjectId(),
+        date: new Date(date),
+        kind: 'service',
+        category: 'hair',
+        revenue
+    });
+
+    it('sets each month\'s tier from that month\'s revenue', () => {
+        const lines = [
+            serviceLine('2026-10-10T00:00:00Z', 30000),
+            serviceLine('2026-10-20T00:00:00Z', 30000),
+            serviceLine('2026-11-10T00:00:00Z', 40000)
+        ];
+
+        const { breakdown } = calculateCommission(lines, [tieredRule], stylistId);
+
+        expect(breakdown).toEqual([
+            expect.objectContaining({ month: '2026-10', revenue: 60000, rate: 15, commission: 9000 }),
+            expect.objectContaining({ month: '2026-11', revenue: 40000, rate: 10, commission: 4000 })
+        ]);
+    });
+});
@@ -0,0 +1,63 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Appointment } from '../../src/models/appointment.model.js';
+import { Transaction } from '../../src/models/transaction.model.js';
+import { settleTipPayment } from '../../src/utils/tips.js';
+import { mockQuery, silenceLogs } from '../helpers/mongoose.js';
+
+describe('settleTipPayment', () => {
+    let appointment;
+
+    beforeEach(() => {
+        silenceLogs();
+        const stylistId = new mongoose.Types.ObjectId();
+        appointment = new Appointment({
+            userId: new mongoose.Types.ObjectId(),
+            date: new Date('2026-11-02T00:00:00Z'),
+            timeSlot: '11:00',
+            status: 'completed',
+            totalPrice: 1000,
+            bookingReference: 'ENL-TIP',
+            tipTotal: 0,
+            tips: [{ amount: 200, method: 'razorpay', razorpayOrderId: 'order_tip', allocations: [{ stylistId, amount: 200 }] }]
+        });
+
+        jest.spyOn(Appointment, 'findOneAndUpdate').mockImplementation(() => mockQuery(() => {
+            const settled = Appointment.hydrate(appointment.toObject());
+            settled.tips[0].status = 'paid';
+            settled.tipTotal = 200;
+            return settled;
+        }));
+        jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('settles the tip with an update that only matches it while it is unpaid', async () => {
+        const tipId = appointment.tips[0]._id;
+
+        const result = await settleTipPayment(appointment, 'order_tip', { razorpayPaymentId: 'pay_tip' });
+
+        const [filter, update, options] = Appointment.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: appointment._id, tips: { $elemMatch: { _id: tipId, status: { $ne: 'paid' } } } });
+        expect(update.$set).toMatchObject({ 'tips.$.status': 'paid', 'tips.$.razorpayPaymentId': 'pay_tip' });
+        expect(update.$inc).toEqual({ tipTotal: 200 });
+        expect(options).toEqual({ new: true });
+        expect(result.tip.status).toBe('paid');
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('records nothing when another caller settled the tip first', async () => {
+        Appointment.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+        await expect(settleTipPayment(appointment, 'order_tip', { razorpayPaymentId: 'pay_tip' })).resolves.toBeNull();
+        expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('ignores an order that is not a tip on the appointment', async () => {
+        await expect(settleTipPayment(appointment, 'order_other', { razorpayPaymentId: 'pay_tip' })).resolves.toBeNull();
+        expect(Appointment.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});
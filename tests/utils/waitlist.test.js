@@ -0,0 +1,122 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { Stylist } from '../../src/models/stylist.model.js';
+import { User } from '../../src/models/user.model.js';
+import { Waitlist } from '../../src/models/waitlist.model.js';
+import { getDayRange } from '../../src/utils/availability.js';
+import { getWaitlistBookingError, holdSlotForEntry, offerFreedSlot } from '../../src/utils/waitlist.js';
+import { mockQuery, silenceLogs } from '../helpers/mongoose.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const OFFER_DAY = getDayRange(new Date('2026-10-21T12:00:00Z')).start;
+
+describe('getWaitlistBookingError', () => {
+    const serviceId = new mongoose.Types.ObjectId();
+    const stylistId = new mongoose.Types.ObjectId();
+    let entry;
+
+    // A visit with a trim first and the waitlisted service second
+    const buildVisit = ({ date = OFFER_DAY, timeSlot = '10:30', lineStylistId = stylistId, lineServiceId = serviceId } = {}) => ({
+        date,
+        timeSlot,
+        services: [
+            { serviceId: new mongoose.Types.ObjectId(), stylistId: new mongoose.Types.ObjectId(), duration: 30 },
+            { serviceId: lineServiceId, stylistId: lineStylistId, duration: 60 }
+        ]
+    });
+
+    beforeEach(() => {
+        entry = new Waitlist({
+            userId: new mongoose.Types.ObjectId(),
+            serviceId,
+            dateFrom: new Date('2026-10-20T12:00:00Z'),
+            dateTo: new Date('2026-10-25T12:00:00Z'),
+            status: 'offered',
+            currentOffer: {
+                date: OFFER_DAY,
+                timeSlot: '11:00',
+                stylistId,
+                duration: 60,
+                offeredAt: NOW,
+                expiresAt: new Date(NOW.getTime() + 30 * 60 * 1000)
+            }
+        });
+    });
+
+    it('accepts the offered slot', () => {
+        expect(getWaitlistBookingError(entry, buildVisit(), NOW)).toBeNull();
+    });
+
+    it('rejects another time, day, stylist or service than the offer', () => {
+        expect(getWaitlistBookingError(entry, buildVisit({ timeSlot: '11:00' }), NOW)).toMatch(/^The offered slot is on/);
+        expect(getWaitlistBookingError(entry, buildVisit({ date: new Date('2026-10-22T12:00:00Z') }), NOW)).toMatch(/^The offered slot is on/);
+        expect(getWaitlistBookingError(entry, buildVisit({ lineStylistId: new mongoose.Types.ObjectId() }), NOW))
+            .toBe('The booking is not with the offered stylist');
+        expect(getWaitlistBookingError(entry, buildVisit({ lineServiceId: new mongoose.Types.ObjectId() }), NOW))
+            .toBe('The booking does not include the waitlisted service');
+    });
+
+    it('rejects an offer whose hold has lapsed', () => {
+        const later = new Date(NOW.getTime() + 31 * 60 * 1000);
+        expect(getWaitlistBookingError(entry, buildVisit(), later)).toBe('The offered slot has expired');
+    });
+
+    it('holds an entry without an offer to its date range', () => {
+        entry.status = 'waiting';
+        entry.currentOffer = null;
+
+        expect(getWaitlistBookingError(entry, buildVisit({ timeSlot: '15:00' }), NOW)).toBeNull();
+        expect(getWaitlistBookingError(entry, buildVisit({ date: new Date('2026-10-27T12:00:00Z') }), NOW))
+            .toBe('The booking is outside the waitlisted dates');
+    });
+});
+
+describe('offerFreedSlot', () => {
+    // 12:00 UTC is 17:30 on the salon clock
+    const today = new Date('2026-10-19T00:00:00Z');
+
+    beforeEach(() => {
+        jest.spyOn(Stylist, 'findById').mockImplementation(() => mockQuery(null));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('does not offer a slot that already started today on the salon clock', async () => {
+        const slot = { stylistId: new mongoose.Types.ObjectId(), date: today, start: 16 * 60, end: 17 * 60 };
+
+        await expect(offerFreedSlot(slot, { now: NOW })).resolves.toBeNull();
+        expect(Stylist.findById).not.toHaveBeenCalled();
+    });
+
+    it('looks for a customer for a slot later today', async () => {
+        const slot = { stylistId: new mongoose.Types.ObjectId(), date: today, start: 18 * 60, end: 19 * 60 };
+
+        await offerFreedSlot(slot, { now: NOW });
+        expect(Stylist.findById).toHaveBeenCalledWith(slot.stylistId);
+    });
+});
+
+describe('holdSlotForEntry', () => {
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('tells the customer about the held slot', async () => {
+        silenceLogs();
+        const entry = new Waitlist({
+            userId: new mongoose.Types.ObjectId(),
+            serviceId: new mongoose.Types.ObjectId(),
+            dateFrom: OFFER_DAY,
+            dateTo: OFFER_DAY
+        });
+        jest.spyOn(entry, 'save').mockImplementation(async () => entry);
+        jest.spyOn(User, 'findById').mockImplementation(() => mockQuery({ name: 'Asha', email: null }));
+
+        await holdSlotForEntry(entry, { date: OFFER_DAY, timeSlot: '11:00', stylistId: new mongoose.Types.ObjectId(), duration: 60 });
+
+        expect(entry.status).toBe('offered');
+        expect(User.findById).toHaveBeenCalledWith(entry.userId);
+    });
+});
@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import mongoose from 'mongoose';
+import { GiftCard } from '../../src/models/giftCard.model.js';
+import { Transaction } from '../../src/models/transaction.model.js';
+import { activateGiftCard } from '../../src/utils/wallet.js';
+import { mockQuery, silenceLogs } from '../helpers/mongoose.js';
+
+describe('activateGiftCard', () => {
+    let giftCard;
+
+    beforeEach(() => {
+        silenceLogs();
+        giftCard = new GiftCard({
+            purchaserId: new mongoose.Types.ObjectId(),
+            amount: 2000,
+            razorpayOrderId: 'order_gift',
+            status: 'pending_payment'
+        });
+
+        jest.spyOn(GiftCard, 'findOneAndUpdate').mockImplementation((filter, update) =>
+            mockQuery(() => GiftCard.hydrate({ ...giftCard.toObject(), ...update.$set }))
+        );
+        jest.spyOn(GiftCard, 'findById').mockImplementation(() => mockQuery({ _id: giftCard._id, code: 'GIFT-WINNER' }));
+        jest.spyOn(Transaction, 'findOneAndUpdate').mockImplementation(async () => ({}));
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('activates the card with an update that only matches it while it is pending', async () => {
+        const result = await activateGiftCard(giftCard, 'pay_gift');
+
+        const [filter, update, options] = GiftCard.findOneAndUpdate.mock.calls[0];
+        expect(filter).toEqual({ _id: giftCard._id, status: 'pending_payment' });
+        expect(update.$set).toMatchObject({ status: 'active', razorpayPaymentId: 'pay_gift', code: expect.any(String) });
+        expect(options).toEqual({ new: true });
+        expect(result).toMatchObject({ activated: true, giftCard: { code: update.$set.code } });
+        expect(Transaction.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('returns the stored code when another caller activated the card first', async () => {
+        GiftCard.findOneAndUpdate.mockImplementation(() => mockQuery(null));
+
+        const result = await activateGiftCard(giftCard, 'pay_gift');
+
+        expect(result).toEqual({ giftCard: { _id: giftCard._id, code: 'GIFT-WINNER' }, activated: false });
+        expect(Transaction.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('leaves an active card unchanged', async () => {
+        giftCard.set({ status: 'active', code: 'GIFT-EXISTING' });
+
+        const result = await activateGiftCard(giftCard, 'pay_other');
+
+        expect(result).toEqual({ giftCard, activated: false });
+        expect(GiftCard.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+});